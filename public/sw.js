@@ -0,0 +1,122 @@
+// Service worker for offline browsing. It keeps the app shell, the last photo and album
+// lists and every thumbnail the app has shown, so the library still opens and scrolls
+// when the proxy or tunnel is unreachable. Uploads and deletes made offline are queued
+// by the app itself (src/lib/offlineQueue.ts), not here.
+
+const VERSION = "v1";
+const SHELL_CACHE = `photo-library-shell-${VERSION}`;
+const DATA_CACHE = `photo-library-data-${VERSION}`;
+const MEDIA_CACHE = `photo-library-media-${VERSION}`;
+const MEDIA_CACHE_MAX = 3000;
+// Responses served from the data cache carry this header so the app can show it is offline.
+const OFFLINE_HEADER = "X-Offline-Cache";
+
+// API lists worth showing offline. Everything else under /api goes straight to the network.
+const CACHED_API_PATHS = [/^\/api\/photos$/, /^\/api\/photos\/search$/, /^\/api\/albums$/, /^\/api\/auth\/me$/];
+// Thumbnails and renditions never change under one name, so the signature in the query is ignored.
+const MEDIA_PATHS = [/^\/uploads\/thumb-/, /^\/renditions\//];
+
+const isMediaRequest = (url) => MEDIA_PATHS.some((pattern) => pattern.test(url.pathname));
+const isCachedApiRequest = (url) => CACHED_API_PATHS.some((pattern) => pattern.test(url.pathname));
+
+// index.html names the hashed bundles, so precaching it and what it links covers the shell.
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const res = await fetch("/", { cache: "no-store" });
+  if (!res.ok) return;
+  const html = await res.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map((match) => match[1]);
+  await cache.put("/", res);
+  await Promise.all(assets.map((asset) => cache.add(asset).catch(() => undefined)));
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, MEDIA_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const trimCache = async (name, max) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+};
+
+const markOffline = async (cached) => {
+  const headers = new Headers(cached.headers);
+  headers.set(OFFLINE_HEADER, "1");
+  return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+};
+
+// The network answers while it can; a failure or a gateway error (tunnel or proxy down)
+// falls back to the last good copy of the same URL.
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      await cache.put(request, res.clone());
+      return res;
+    }
+    if (res.status < 500) return res;
+    const cached = await cache.match(request, { ignoreVary: true });
+    return cached ? markOffline(cached) : res;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (!cached) throw error;
+    return markOffline(cached);
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(MEDIA_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true, ignoreVary: true });
+  if (cached) return cached;
+  // <img> requests to the API origin are no-cors; asking again with CORS gives a readable
+  // status, so an expired signature's 403 is never kept in place of the image.
+  const res = await fetch(request.url, {
+    mode: "cors",
+    credentials: "omit",
+    headers: { Accept: request.headers.get("Accept") || "image/*" },
+  });
+  if (res.ok) {
+    await cache.put(request, res.clone());
+    trimCache(MEDIA_CACHE, MEDIA_CACHE_MAX).catch(() => undefined);
+  }
+  return res;
+};
+
+const shellResponse = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request.mode === "navigate" ? "/" : request, res.clone());
+    return res;
+  } catch (error) {
+    // Every route is the same single-page app, so any navigation can use the cached index.
+    const cached = await cache.match(request.mode === "navigate" ? "/" : request);
+    if (!cached) throw error;
+    return cached;
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (isMediaRequest(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (isCachedApiRequest(url)) {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && !/^\/(api|uploads)\//.test(url.pathname)) {
+    event.respondWith(shellResponse(request));
+  }
+});
@@ -0,0 +1,98 @@
+// Duplicate detection over the hashes stored with each photo. Kept free of I/O so the
+// server and the tests share it.
+
+// dHash: given a 9x8 greyscale image, record whether each pixel is brighter than its right
+// neighbour. Resizes and recompression barely change the bits. Returns 16 hex digits.
+export const differenceHashFromPixels = (pixels) => {
+  let high = 0;
+  let low = 0;
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 8; col += 1) {
+      const bit = pixels[row * 9 + col] < pixels[row * 9 + col + 1] ? 1 : 0;
+      const index = row * 8 + col;
+      if (index < 32) {
+        high = ((high << 1) | bit) >>> 0;
+      } else {
+        low = ((low << 1) | bit) >>> 0;
+      }
+    }
+  }
+  return `${high.toString(16).padStart(8, "0")}${low.toString(16).padStart(8, "0")}`;
+};
+
+export const popcount32 = (value) => {
+  let n = value - ((value >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24) & 0xff;
+};
+
+export const hammingDistance = (left, right) =>
+  popcount32((left[0] ^ right[0]) >>> 0) + popcount32((left[1] ^ right[1]) >>> 0);
+
+export const splitHash = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+
+// Groups photos that share a content hash ("exact") and, among the rest, photos whose
+// perceptual hashes lie within `threshold` bits of each other ("similar"). Similar groups
+// are joined transitively; each reports the largest distance merged into it.
+export const findDuplicateGroups = (photos, threshold) => {
+  const groups = [];
+  const grouped = new Set();
+
+  const byContent = new Map();
+  for (const photo of photos) {
+    if (!photo.content_hash) continue;
+    const bucket = byContent.get(photo.content_hash) || [];
+    bucket.push(photo);
+    byContent.set(photo.content_hash, bucket);
+  }
+  for (const bucket of byContent.values()) {
+    if (bucket.length > 1) {
+      groups.push({ kind: "exact", distance: 0, photos: bucket });
+      // Keep one representative so exact copies still join a similar group.
+      bucket.slice(1).forEach((photo) => grouped.add(photo.id));
+    }
+  }
+
+  const candidates = photos
+    .filter((photo) => photo.perceptual_hash && !grouped.has(photo.id))
+    .map((photo) => ({ photo, bits: splitHash(photo.perceptual_hash) }));
+  const parent = candidates.map((_, index) => index);
+  const maxDistance = new Map();
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    for (let j = i + 1; j < candidates.length; j += 1) {
+      if (candidates[i].photo.content_hash && candidates[i].photo.content_hash === candidates[j].photo.content_hash) {
+        continue;
+      }
+      const distance = hammingDistance(candidates[i].bits, candidates[j].bits);
+      if (distance > threshold) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      const merged = Math.max(distance, maxDistance.get(rootI) || 0, maxDistance.get(rootJ) || 0);
+      parent[rootJ] = rootI;
+      maxDistance.set(rootI, merged);
+    }
+  }
+
+  const clusters = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = find(index);
+    const cluster = clusters.get(root) || [];
+    cluster.push(candidate.photo);
+    clusters.set(root, cluster);
+  });
+  for (const [root, cluster] of clusters) {
+    if (cluster.length > 1) {
+      groups.push({ kind: "similar", distance: maxDistance.get(root) || 0, photos: cluster });
+    }
+  }
+
+  return groups;
+};
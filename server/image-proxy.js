@@ -1,6 +1,7 @@
 import express from "express";
 import axios from "axios";
 import cors from "cors";
+import { createRateLimiter, parseTrustProxy } from "./rate-limit.js";
 
 const PORT = Number(process.env.PROXY_PORT || 4001);
 const PHOTO_SERVER_URL = process.env.PHOTO_SERVER_URL || "http://localhost:4000";
@@ -9,8 +10,32 @@ const APP_ORIGINS = (process.env.APP_ORIGINS || process.env.APP_ORIGIN || "http:
   .map((origin) => origin.trim())
   .filter(Boolean);
 const ALLOW_ALL_ORIGINS = APP_ORIGINS.includes("*");
+const AUTH_RATE_LIMIT = Number(process.env.AUTH_RATE_LIMIT ?? 30);
+const REGISTER_RATE_LIMIT = Number(process.env.REGISTER_RATE_LIMIT ?? 10);
+const UPLOAD_RATE_LIMIT = Number(process.env.UPLOAD_RATE_LIMIT ?? 600);
 
 const app = express();
+// Behind a tunnel every request arrives from loopback; trust its X-Forwarded-For instead.
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+// Password guesses (sign-in and share passwords) per IP, on top of the server's lockouts.
+const authRateLimit = createRateLimiter({
+  limit: AUTH_RATE_LIMIT,
+  windowMs: 1000 * 60,
+  message: "Too many sign-in attempts from this address. Try again in a minute.",
+});
+
+const registerRateLimit = createRateLimiter({
+  limit: REGISTER_RATE_LIMIT,
+  windowMs: 1000 * 60 * 60,
+  message: "Too many accounts created from this address. Try again later.",
+});
+
+const uploadRateLimit = createRateLimiter({
+  limit: UPLOAD_RATE_LIMIT,
+  windowMs: 1000 * 60,
+  message: "Too many upload requests. Slow down and try again shortly.",
+});
 
 app.use(
   cors({
@@ -35,15 +60,27 @@ const getForwardHeaders = (req) => {
   if (req.headers.authorization) {
     headers.authorization = req.headers.authorization;
   }
+  // Renditions are served as AVIF or WebP depending on what the browser accepts.
+  if (req.headers.accept) {
+    headers.accept = req.headers.accept;
+  }
+  // The session list shows which browser each sign-in came from.
+  if (req.headers["user-agent"]) {
+    headers["user-agent"] = req.headers["user-agent"];
+  }
+  // Per-IP sign-in lockouts on the photo server key on the original caller.
+  headers["x-forwarded-for"] = req.ip;
   return headers;
 };
 
 const forwardJson = async (req, res, method) => {
+  // Most DELETEs carry no body; account deletion sends the password in one.
+  const hasBody = method !== "GET" && (method !== "DELETE" || Number(req.headers["content-length"]) > 0);
   try {
     const response = await axios({
       method,
       url: `${PHOTO_SERVER_URL}${req.originalUrl}`,
-      data: method === "GET" || method === "DELETE" ? undefined : req,
+      data: hasBody ? req : undefined,
       headers: getForwardHeaders(req),
       maxBodyLength: Infinity,
       maxContentLength: Infinity,
@@ -53,6 +90,9 @@ const forwardJson = async (req, res, method) => {
     if (response.headers["content-type"]) {
       res.setHeader("Content-Type", response.headers["content-type"]);
     }
+    if (response.headers["retry-after"]) {
+      res.setHeader("Retry-After", response.headers["retry-after"]);
+    }
     res.status(response.status).send(response.data);
   } catch (error) {
     console.error(`Proxy error [${method} ${req.originalUrl}]`, error.message);
@@ -60,11 +100,17 @@ const forwardJson = async (req, res, method) => {
   }
 };
 
-const forwardDownload = async (req, res) => {
+const forwardDownload = async (req, res, method = "GET") => {
   try {
-    const response = await axios.get(`${PHOTO_SERVER_URL}${req.originalUrl}`, {
+    const response = await axios({
+      method,
+      url: `${PHOTO_SERVER_URL}${req.originalUrl}`,
+      data: method === "GET" ? undefined : req,
       responseType: "stream",
       headers: getForwardHeaders(req),
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      decompress: false,
       validateStatus: () => true,
     });
 
@@ -88,7 +134,16 @@ const forwardDownload = async (req, res) => {
       "Content-Disposition",
       response.headers["content-disposition"] || `inline; filename="photo-${req.params.id}"`
     );
+    if (response.headers["content-length"]) {
+      res.setHeader("Content-Length", response.headers["content-length"]);
+    }
 
+    // Archives can be gigabytes: stream chunk by chunk and stop upstream if the client leaves.
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        response.data.destroy();
+      }
+    });
     response.data.pipe(res);
   } catch (error) {
     console.error(`Proxy error [GET ${req.originalUrl}]`, error.message);
@@ -96,24 +151,102 @@ const forwardDownload = async (req, res) => {
   }
 };
 
+// Headers that let players seek: the browser asks for byte ranges of a video and the server
+// answers 206 with the slice, so both directions pass through untouched.
+const RANGE_REQUEST_HEADERS = ["range", "if-range"];
+const ASSET_RESPONSE_HEADERS = [
+  "content-type",
+  "content-length",
+  "content-range",
+  "accept-ranges",
+  "etag",
+  "last-modified",
+  "vary",
+];
+
 const forwardAsset = async (req, res) => {
+  const upstream = new AbortController();
+  // A player that seeks drops its open request; stop reading the rest of the file.
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      upstream.abort();
+    }
+  });
   try {
+    const headers = getForwardHeaders(req);
+    for (const name of RANGE_REQUEST_HEADERS) {
+      if (req.headers[name]) {
+        headers[name] = req.headers[name];
+      }
+    }
     const response = await axios.get(`${PHOTO_SERVER_URL}${req.originalUrl}`, {
       responseType: "stream",
-      headers: getForwardHeaders(req),
+      headers,
+      decompress: false,
+      signal: upstream.signal,
       validateStatus: () => true,
     });
 
+    if (response.status === 416) {
+      response.data.destroy();
+      res.status(416).setHeader("Content-Range", response.headers["content-range"] || "bytes */*");
+      res.end();
+      return;
+    }
     if (response.status >= 400) {
+      response.data.destroy();
       res.status(response.status).json({ error: "File not found" });
       return;
     }
 
-    if (response.headers["content-type"]) {
-      res.setHeader("Content-Type", response.headers["content-type"]);
+    res.status(response.status);
+    for (const name of ASSET_RESPONSE_HEADERS) {
+      if (response.headers[name]) {
+        res.setHeader(name, response.headers[name]);
+      }
+    }
+    response.data.on("error", () => res.end());
+    response.data.pipe(res);
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      return;
+    }
+    console.error(`Proxy error [GET ${req.originalUrl}]`, error.message);
+    res.status(503).json({ error: "Database server is down" });
+  }
+};
+
+// Server-Sent Events are relayed chunk by chunk as they arrive. The stream has no timeout;
+// it ends when the browser or the photo server hangs up.
+const forwardEventStream = async (req, res) => {
+  const upstream = new AbortController();
+  res.on("close", () => upstream.abort());
+  try {
+    const headers = getForwardHeaders(req);
+    if (req.headers["last-event-id"]) {
+      headers["last-event-id"] = req.headers["last-event-id"];
     }
+    const response = await axios.get(`${PHOTO_SERVER_URL}${req.originalUrl}`, {
+      responseType: "stream",
+      headers,
+      decompress: false,
+      signal: upstream.signal,
+      validateStatus: () => true,
+    });
+
+    res.status(response.status);
+    res.setHeader("Content-Type", response.headers["content-type"] || "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+    response.data.on("error", () => res.end());
     response.data.pipe(res);
   } catch (error) {
+    if (upstream.signal.aborted) {
+      return;
+    }
     console.error(`Proxy error [GET ${req.originalUrl}]`, error.message);
     res.status(503).json({ error: "Database server is down" });
   }
@@ -123,18 +256,146 @@ app.get("/api/photos", async (req, res) => {
   await forwardJson(req, res, "GET");
 });
 
-app.post("/api/photos", async (req, res) => {
+app.post("/api/photos", uploadRateLimit, async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.get("/api/uploads", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.post("/api/uploads", uploadRateLimit, async (req, res) => {
   await forwardJson(req, res, "POST");
 });
 
+app.get("/api/uploads/:id", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.put("/api/uploads/:id/chunks/:index", uploadRateLimit, async (req, res) => {
+  await forwardJson(req, res, "PUT");
+});
+
+app.post("/api/uploads/:id/complete", uploadRateLimit, async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/uploads/:id", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.get("/api/photos/search", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.get("/api/photos/geo", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.get("/api/photos/duplicates", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.get("/api/photos/:id", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.patch("/api/photos/:id", async (req, res) => {
+  await forwardJson(req, res, "PATCH");
+});
+
 app.delete("/api/photos/:id", async (req, res) => {
   await forwardJson(req, res, "DELETE");
 });
 
+app.post("/api/photos/batch-delete", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/photos/batch-restore", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/photos/:id/restore", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/photos/:id/edits", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/photos/:id/edits", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.get("/api/trash", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.delete("/api/trash", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.delete("/api/trash/:id", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.get("/api/events", async (req, res) => {
+  await forwardEventStream(req, res);
+});
+
+app.get("/api/jobs", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.get("/api/tags", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.get("/api/albums", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.post("/api/albums", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.patch("/api/albums/:id", async (req, res) => {
+  await forwardJson(req, res, "PATCH");
+});
+
+app.delete("/api/albums/:id", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.post("/api/albums/:id/photos", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/albums/:id/photos/remove", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/albums/:id/photos/:photoId", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
 app.get("/api/photos/:id/download", async (req, res) => {
   await forwardDownload(req, res);
 });
 
+app.post("/api/photos/export", async (req, res) => {
+  await forwardDownload(req, res, "POST");
+});
+
+app.get("/api/export", async (req, res) => {
+  await forwardDownload(req, res);
+});
+
+app.post("/api/export", async (req, res) => {
+  await forwardDownload(req, res, "POST");
+});
+
 // Backward-compatible image endpoint
 app.get("/api/images/:id", async (req, res) => {
   try {
@@ -167,15 +428,52 @@ app.get("/api/images/:id", async (req, res) => {
   }
 });
 
+app.get("/api/shares", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.post("/api/shares", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/shares/:token", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+// Public share routes: visitors have no Authorization header, only the share token.
+app.get("/api/public/shares/:token", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.post("/api/public/shares/:token/access", authRateLimit, async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.get("/api/public/shares/:token/photos/:photoId/download", async (req, res) => {
+  await forwardDownload(req, res);
+});
+
+app.get("/api/public/shares/:token/photos/:photoId/:variant", async (req, res) => {
+  await forwardAsset(req, res);
+});
+
 app.get("/uploads/:filename", async (req, res) => {
   await forwardAsset(req, res);
 });
 
-app.post("/api/auth/login", async (req, res) => {
+app.get("/renditions/:name", async (req, res) => {
+  await forwardAsset(req, res);
+});
+
+app.post("/api/auth/login", authRateLimit, async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/login/2fa", authRateLimit, async (req, res) => {
   await forwardJson(req, res, "POST");
 });
 
-app.post("/api/auth/register", async (req, res) => {
+app.post("/api/auth/register", registerRateLimit, async (req, res) => {
   await forwardJson(req, res, "POST");
 });
 
@@ -183,6 +481,66 @@ app.get("/api/auth/me", async (req, res) => {
   await forwardJson(req, res, "GET");
 });
 
+app.post("/api/auth/refresh", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.get("/api/auth/sessions", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.delete("/api/auth/sessions/:id", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.post("/api/auth/2fa/setup", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/2fa/enable", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/2fa/disable", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/2fa/recovery-codes", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/password", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.post("/api/auth/username", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/auth/account", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
+app.get("/api/admin/users", async (req, res) => {
+  await forwardJson(req, res, "GET");
+});
+
+app.patch("/api/admin/users/:id", async (req, res) => {
+  await forwardJson(req, res, "PATCH");
+});
+
+app.post("/api/admin/users/:id/password", async (req, res) => {
+  await forwardJson(req, res, "POST");
+});
+
+app.delete("/api/admin/users/:id", async (req, res) => {
+  await forwardJson(req, res, "DELETE");
+});
+
 app.get("/api/health", async (_req, res) => {
   try {
     const upstream = await axios.get(`${PHOTO_SERVER_URL}/api/health`, {
@@ -1,12 +1,24 @@
+import archiver from "archiver";
 import cors from "cors";
 import express from "express";
 import fs from "node:fs";
 import path from "node:path";
-import { createHmac, randomBytes, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
+import { createHash, createHmac, randomBytes, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
 import { fileURLToPath } from "node:url";
 import multer from "multer";
 import Database from "better-sqlite3";
+import exifr from "exifr";
 import sharp from "sharp";
+import { differenceHashFromPixels, findDuplicateGroups } from "./duplicates.js";
+import { createJobQueue } from "./jobs.js";
+import { findLivePair, livePartnerPattern } from "./live-photos.js";
+import { createLockout } from "./lockout.js";
+import { createLoginNameCheck } from "./login-names.js";
+import { assertQuotaAllows } from "./quota.js";
+import { createRateLimiter, parseTrustProxy } from "./rate-limit.js";
+import { purgeExpiredTrash } from "./trash.js";
+import { createRecoveryCodes, generateTotpSecret, totpUri, verifySecondFactor, verifyTotp } from "./totp.js";
+import { isVideoFile, readVideoMetadata, videoMimeType, writeVideoPoster, writeVideoWithoutMetadata } from "./video.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,8 +31,38 @@ const APP_ORIGINS = (process.env.APP_ORIGINS || process.env.APP_ORIGIN || "http:
 const ALLOW_ALL_ORIGINS = APP_ORIGINS.includes("*");
 const AUTH_SECRET = process.env.AUTH_SECRET || "dev-local-auth-secret-change-me";
 const TOKEN_TTL_MS = Number(process.env.TOKEN_TTL_MS || 1000 * 60 * 60 * 24 * 7);
+const ACCESS_TOKEN_TTL_MS = Number(process.env.ACCESS_TOKEN_TTL_MS || 1000 * 60 * 15);
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+const MEDIA_URL_TTL_MS = Number(process.env.MEDIA_URL_TTL_MS || 1000 * 60 * 60);
+const MEDIA_URL_STEP_MS = Math.max(1000, Math.floor(MEDIA_URL_TTL_MS / 4));
 const DEFAULT_USER_ID = process.env.DEFAULT_USER_ID || "admin";
 const DEFAULT_USER_PASSWORD = process.env.DEFAULT_USER_PASSWORD || "admin123";
+const TRASH_RETENTION_MS = Number(process.env.TRASH_RETENTION_MS || 1000 * 60 * 60 * 24 * 30);
+const TRASH_SWEEP_INTERVAL_MS = Number(process.env.TRASH_SWEEP_INTERVAL_MS || 1000 * 60 * 60);
+const UPLOAD_CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE || 5 * 1024 * 1024);
+const UPLOAD_SESSION_TTL_MS = Number(process.env.UPLOAD_SESSION_TTL_MS || 1000 * 60 * 60 * 24);
+const PHOTO_PAGE_MAX = 1000;
+const DUPLICATE_POLICIES = ["skip", "keep-both", "replace"];
+const SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD || 10);
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOGIN_MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20);
+const LOGIN_LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS || 30 * 1000);
+const LOGIN_LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS || 1000 * 60 * 60);
+const LOGIN_ATTEMPT_WINDOW_MS = 1000 * 60 * 15;
+const GENERIC_AUTH_ERRORS = process.env.GENERIC_AUTH_ERRORS === "true";
+const REGISTER_RATE_LIMIT = Number(process.env.REGISTER_RATE_LIMIT ?? 10);
+const UPLOAD_RATE_LIMIT = Number(process.env.UPLOAD_RATE_LIMIT ?? 600);
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Photo Library";
+const TWO_FACTOR_CHALLENGE_TTL_MS = 1000 * 60 * 5;
+const RECOVERY_CODE_COUNT = 10;
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 2));
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 5);
+const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 5 * 1000);
+const JOB_POLL_INTERVAL_MS = 5 * 1000;
+const JOB_LIST_MAX = 500;
+const EVENT_REPLAY_MAX = 200;
+const EVENT_KEEPALIVE_MS = 25 * 1000;
+const EVENT_RETRY_MS = 3 * 1000;
 
 const dataDir = path.join(__dirname, "data");
 const usersDir = path.join(dataDir, "users");
@@ -31,6 +73,8 @@ fs.mkdirSync(dataDir, { recursive: true });
 fs.mkdirSync(usersDir, { recursive: true });
 
 const app = express();
+// The proxy forwards the caller's address so per-IP limits see the real client.
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
 
 app.use(
   cors({
@@ -41,8 +85,8 @@ app.use(
       }
       callback(new Error(`CORS blocked for origin: ${origin}`));
     },
-    allowedHeaders: ["Content-Type", "Authorization"],
-    methods: ["GET", "POST", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Last-Event-ID"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   })
 );
 app.use(express.json());
@@ -76,6 +120,20 @@ const safeCompareHex = (leftHex, rightHex) => {
   return timingSafeEqual(left, right);
 };
 
+// Adds whichever of `columns` the table lacks and returns their names, so callers can run
+// one-off data migrations for the columns that were just created.
+const ensureColumns = (db, table, columns) => {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name));
+  const added = [];
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      added.push(name);
+    }
+  }
+  return added;
+};
+
 const usersDb = new Database(usersDbPath);
 usersDb.exec(`
   CREATE TABLE IF NOT EXISTS users (
@@ -86,33 +144,143 @@ usersDb.exec(`
     created_at INTEGER NOT NULL
   )
 `);
+const addedUserColumns = ensureColumns(usersDb, "users", {
+  is_admin: "INTEGER NOT NULL DEFAULT 0",
+  disabled_at: "INTEGER",
+  quota_bytes: "INTEGER",
+  // Two-factor sign-in: the confirmed secret, one waiting for its first code during
+  // setup, the last time step used (so a code works once) and hashed recovery codes.
+  totp_secret: "TEXT",
+  totp_pending_secret: "TEXT",
+  totp_last_step: "INTEGER",
+  totp_recovery_hashes: "TEXT",
+});
+
+// One row per signed-in device. Access tokens name their session, so deleting
+// the row signs that device out on its next request.
+usersDb.exec(`
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_hash TEXT NOT NULL,
+    previous_refresh_hash TEXT,
+    rotated_at INTEGER,
+    user_agent TEXT,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  )
+`);
+usersDb.exec("CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id, last_used_at)");
+
+// Shares live next to the users so a public link can be resolved without
+// knowing whose library it points into.
+usersDb.exec(`
+  CREATE TABLE IF NOT EXISTS shares (
+    token TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER,
+    password_salt TEXT,
+    password_hash TEXT,
+    allow_download INTEGER NOT NULL DEFAULT 0
+  )
+`);
+usersDb.exec("CREATE INDEX IF NOT EXISTS idx_shares_user ON shares (user_id, created_at)");
+
+const USER_COLUMNS = `
+  id, username, password_salt, password_hash, created_at, is_admin, disabled_at, quota_bytes,
+  totp_secret, totp_pending_secret, totp_last_step, totp_recovery_hashes
+`;
 
 const countUsers = usersDb.prepare("SELECT COUNT(*) AS count FROM users");
+// Disabled admins cannot sign in, so only active ones count towards keeping one around.
+const countAdminsStmt = usersDb.prepare(
+  "SELECT COUNT(*) AS count FROM users WHERE is_admin = 1 AND disabled_at IS NULL",
+);
 const findUserByLoginStmt = usersDb.prepare(`
-  SELECT id, username, password_salt, password_hash, created_at
+  SELECT ${USER_COLUMNS}
   FROM users
   WHERE lower(username) = lower(?) OR lower(id) = lower(?)
 `);
 const findUserByIdStmt = usersDb.prepare(`
-  SELECT id, username, password_salt, password_hash, created_at
+  SELECT ${USER_COLUMNS}
   FROM users
   WHERE id = ?
 `);
-const findUserByUsernameStmt = usersDb.prepare(`
-  SELECT id, username, password_salt, password_hash, created_at
-  FROM users
-  WHERE lower(username) = lower(?)
-`);
 const insertUserStmt = usersDb.prepare(`
   INSERT INTO users (id, username, password_salt, password_hash, created_at)
   VALUES (@id, @username, @password_salt, @password_hash, @created_at)
 `);
 const listUsersStmt = usersDb.prepare(`
-  SELECT id, username, password_salt, password_hash, created_at
+  SELECT ${USER_COLUMNS}
   FROM users
   ORDER BY created_at ASC
 `);
 
+const updateUserPasswordStmt = usersDb.prepare(`
+  UPDATE users SET password_salt = @password_salt, password_hash = @password_hash WHERE id = @id
+`);
+const updateUsernameStmt = usersDb.prepare("UPDATE users SET username = ? WHERE id = ?");
+const deleteUserStmt = usersDb.prepare("DELETE FROM users WHERE id = ?");
+const updateUserAdminStmt = usersDb.prepare("UPDATE users SET is_admin = ? WHERE id = ?");
+const updateUserDisabledStmt = usersDb.prepare("UPDATE users SET disabled_at = ? WHERE id = ?");
+const updateUserQuotaStmt = usersDb.prepare("UPDATE users SET quota_bytes = ? WHERE id = ?");
+const updateUserTotpStmt = usersDb.prepare(`
+  UPDATE users
+  SET totp_secret = @totp_secret,
+      totp_pending_secret = @totp_pending_secret,
+      totp_last_step = @totp_last_step,
+      totp_recovery_hashes = @totp_recovery_hashes
+  WHERE id = @id
+`);
+const updateUserTotpPendingStmt = usersDb.prepare("UPDATE users SET totp_pending_secret = ? WHERE id = ?");
+const updateUserTotpLastStepStmt = usersDb.prepare("UPDATE users SET totp_last_step = ? WHERE id = ?");
+const updateUserRecoveryHashesStmt = usersDb.prepare("UPDATE users SET totp_recovery_hashes = ? WHERE id = ?");
+
+const insertSessionStmt = usersDb.prepare(`
+  INSERT INTO sessions (id, user_id, refresh_hash, user_agent, created_at, last_used_at, expires_at)
+  VALUES (@id, @user_id, @refresh_hash, @user_agent, @created_at, @last_used_at, @expires_at)
+`);
+const findSessionStmt = usersDb.prepare("SELECT * FROM sessions WHERE id = ? AND expires_at > ?");
+const rotateSessionStmt = usersDb.prepare(`
+  UPDATE sessions
+  SET previous_refresh_hash = refresh_hash,
+      refresh_hash = @refresh_hash,
+      rotated_at = @now,
+      last_used_at = @now,
+      expires_at = @expires_at
+  WHERE id = @id AND refresh_hash = @previous_hash
+`);
+const listSessionsForUserStmt = usersDb.prepare(`
+  SELECT id, user_agent, created_at, last_used_at, expires_at
+  FROM sessions
+  WHERE user_id = ? AND expires_at > ?
+  ORDER BY last_used_at DESC
+`);
+const deleteSessionStmt = usersDb.prepare("DELETE FROM sessions WHERE id = ? AND user_id = ?");
+const deleteExpiredSessionsStmt = usersDb.prepare("DELETE FROM sessions WHERE expires_at <= ?");
+const deleteOtherSessionsStmt = usersDb.prepare("DELETE FROM sessions WHERE user_id = ? AND id != ?");
+const deleteSessionsForUserStmt = usersDb.prepare("DELETE FROM sessions WHERE user_id = ?");
+
+const insertShareStmt = usersDb.prepare(`
+  INSERT INTO shares (token, user_id, kind, target_id, created_at, expires_at, password_salt, password_hash, allow_download)
+  VALUES (@token, @user_id, @kind, @target_id, @created_at, @expires_at, @password_salt, @password_hash, @allow_download)
+`);
+const findShareStmt = usersDb.prepare("SELECT * FROM shares WHERE token = ?");
+const listSharesForUserStmt = usersDb.prepare(`
+  SELECT *
+  FROM shares
+  WHERE user_id = @user_id
+    AND (@kind IS NULL OR (kind = @kind AND target_id = @target_id))
+  ORDER BY created_at DESC
+`);
+const deleteShareStmt = usersDb.prepare("DELETE FROM shares WHERE token = ? AND user_id = ?");
+const deleteSharesForTargetStmt = usersDb.prepare("DELETE FROM shares WHERE user_id = ? AND kind = ? AND target_id = ?");
+const deleteSharesForUserStmt = usersDb.prepare("DELETE FROM shares WHERE user_id = ?");
+
 const normalizeUserId = (value) =>
   value
     .trim()
@@ -163,21 +331,30 @@ const ensureDefaultUser = () => {
     return;
   }
   const { saltHex, hashHex } = hashPassword(DEFAULT_USER_PASSWORD);
+  const id = normalizeUserId(DEFAULT_USER_ID);
   insertUserStmt.run({
-    id: normalizeUserId(DEFAULT_USER_ID),
+    id,
     username: DEFAULT_USER_ID,
     password_salt: saltHex,
     password_hash: hashHex,
     created_at: Date.now(),
   });
+  updateUserAdminStmt.run(1, id);
   console.log(`Created default user '${DEFAULT_USER_ID}'. Change DEFAULT_USER_PASSWORD in your env.`);
 };
 
+// Installs from before roles existed: the default user becomes the first admin, once, as
+// part of adding the column. After that, admins are only granted through the admin API.
+if (addedUserColumns.includes("is_admin")) {
+  updateUserAdminStmt.run(1, normalizeUserId(DEFAULT_USER_ID));
+}
+
 const findUserByLogin = (login) => findUserByLoginStmt.get(login, login);
+const isLoginNameTaken = createLoginNameCheck(usersDb);
 
-const issueToken = (userId) => {
-  const expiresAt = Date.now() + TOKEN_TTL_MS;
-  const payload = `${userId}.${expiresAt}.${randomUUID()}`;
+const issueToken = (userId, sessionId) => {
+  const expiresAt = Date.now() + ACCESS_TOKEN_TTL_MS;
+  const payload = `${userId}.${expiresAt}.${sessionId}`;
   const payloadB64 = bufferToBase64Url(payload);
   const signatureB64 = bufferToBase64Url(signValue(payload));
   return `${payloadB64}.${signatureB64}`;
@@ -197,48 +374,205 @@ const verifyToken = (token) => {
   if (receivedSig.length !== expectedSig.length || !timingSafeEqual(receivedSig, expectedSig)) {
     return null;
   }
-  const [userId, expiresAtRaw] = payload.split(".");
+  const [userId, expiresAtRaw, sessionId] = payload.split(".");
   const expiresAt = Number(expiresAtRaw);
   if (!userId || !Number.isFinite(expiresAt) || Date.now() > expiresAt) {
     return null;
   }
-  return { userId, expiresAt };
+  // The signature alone cannot be revoked; the session row can.
+  const session = sessionId ? findSessionStmt.get(sessionId, Date.now()) : null;
+  if (!session || session.user_id !== userId) {
+    return null;
+  }
+  return { userId, sessionId, expiresAt };
+};
+
+const hashRefreshSecret = (secret) => createHash("sha256").update(secret).digest("hex");
+
+// Refresh tokens are `<session id>.<secret>`; only a hash of the secret is stored.
+const createRefreshToken = (sessionId) => {
+  const secret = bufferToBase64Url(randomBytes(32));
+  return { refreshToken: `${sessionId}.${secret}`, refreshHash: hashRefreshSecret(secret) };
+};
+
+const startSession = (req, userId) => {
+  const now = Date.now();
+  const id = randomUUID();
+  const { refreshToken, refreshHash } = createRefreshToken(id);
+  insertSessionStmt.run({
+    id,
+    user_id: userId,
+    refresh_hash: refreshHash,
+    user_agent: typeof req.headers["user-agent"] === "string" ? req.headers["user-agent"].slice(0, 300) : null,
+    created_at: now,
+    last_used_at: now,
+    expires_at: now + TOKEN_TTL_MS,
+  });
+  return { token: issueToken(userId, id), refreshToken };
+};
+
+const authError = (message, code, statusCode = 401) => Object.assign(new Error(message), { statusCode, code });
+
+// Swaps a refresh token for a new access and refresh token pair. Replaying an
+// already rotated token means it leaked, so the whole session is revoked; only
+// a replay within a few seconds is treated as two tabs refreshing at once.
+const rotateSession = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  const session = sessionId && secret ? findSessionStmt.get(sessionId, Date.now()) : null;
+  if (!session) {
+    throw authError("Session expired. Please log in again.", "SESSION_EXPIRED");
+  }
+
+  const presentedHash = hashRefreshSecret(secret);
+  if (!safeCompareHex(presentedHash, session.refresh_hash)) {
+    const isRecentRotation =
+      session.previous_refresh_hash &&
+      safeCompareHex(presentedHash, session.previous_refresh_hash) &&
+      Date.now() - session.rotated_at < REFRESH_REUSE_GRACE_MS;
+    if (isRecentRotation) {
+      throw authError("Session was refreshed elsewhere", "REFRESH_RACED", 409);
+    }
+    deleteSessionStmt.run(session.id, session.user_id);
+    throw authError("Session expired. Please log in again.", "SESSION_REVOKED");
+  }
+
+  const now = Date.now();
+  const next = createRefreshToken(session.id);
+  const result = rotateSessionStmt.run({
+    id: session.id,
+    refresh_hash: next.refreshHash,
+    previous_hash: session.refresh_hash,
+    now,
+    expires_at: now + TOKEN_TTL_MS,
+  });
+  if (!result.changes) {
+    throw authError("Session was refreshed elsewhere", "REFRESH_RACED", 409);
+  }
+  return { token: issueToken(session.user_id, session.id), refreshToken: next.refreshToken };
 };
 
-const extractToken = (req) => {
+// Archive exports are plain browser navigations that cannot set an Authorization
+// header; only those routes also accept the session token inline.
+const extractToken = (req, { allowInline = false } = {}) => {
   const authHeader = req.headers.authorization;
   if (authHeader?.startsWith("Bearer ")) {
     return authHeader.slice("Bearer ".length).trim();
   }
-  if (typeof req.query.auth === "string" && req.query.auth.trim()) {
-    return req.query.auth.trim();
+  if (!allowInline) {
+    return null;
+  }
+  // Form posts only: a token in a query string ends up in history, Referer headers and logs.
+  const inline = req.body?.auth;
+  if (typeof inline === "string" && inline.trim()) {
+    return inline.trim();
   }
   return null;
 };
 
-const requireAuth = (req, res, next) => {
-  const token = extractToken(req);
+const authenticate = (options) => (req, res, next) => {
+  const token = extractToken(req, options);
   const parsed = verifyToken(token);
   if (!parsed) {
     res.status(401).json({ error: "Unauthorized" });
     return;
   }
   req.authUserId = parsed.userId;
-  req.authToken = token;
+  req.authSessionId = parsed.sessionId;
+  req.authExpiresAt = parsed.expiresAt;
+  next();
+};
+
+const requireAuth = authenticate();
+const requireAuthOrInlineToken = authenticate({ allowInline: true });
+
+const mediaSignature = (userId, resource, expiresAt) => signValue(`media.${userId}.${resource}.${expiresAt}`);
+
+const verifyMediaSignature = (req, resource) => {
+  const { uid, exp, sig } = req.query;
+  const expiresAt = Number(exp);
+  if (typeof uid !== "string" || typeof sig !== "string" || !Number.isFinite(expiresAt) || Date.now() > expiresAt) {
+    return null;
+  }
+  const received = base64UrlToBuffer(sig);
+  const expected = mediaSignature(uid, resource, expiresAt);
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return null;
+  }
+  const user = findUserByIdStmt.get(uid);
+  return user && !user.disabled_at ? uid : null;
+};
+
+// Accepts either a signed media URL for exactly this resource or a normal Authorization header.
+const requireMediaAccess = (resourceFor) => (req, res, next) => {
+  if (req.query.sig === undefined) {
+    requireAuth(req, res, next);
+    return;
+  }
+  const userId = verifyMediaSignature(req, resourceFor(req));
+  if (!userId) {
+    res.status(401).json({ error: "Media link expired or invalid" });
+    return;
+  }
+  req.authUserId = userId;
   next();
 };
 
 const storesByUserId = new Map();
 
+const PHOTO_COLUMNS = `
+  id, name, filename, mime_type, size, created_at,
+  taken_at, camera_make, camera_model, lens_model,
+  exposure_time, f_number, iso, focal_length, width, height,
+  deleted_at, content_hash, perceptual_hash,
+  edits, edited_filename, edited_at, edited_width, edited_height,
+  caption, tags, latitude, longitude, favorite, hide_location,
+  duration_ms, live_filename, live_size
+`;
+
+// Full-text index over the searchable photo columns. It is an external-content FTS5 table,
+// so it stores only the index and the triggers below keep it in step with `photos`.
+const SEARCH_COLUMNS = ["name", "caption", "tags", "camera_make", "camera_model", "lens_model"];
+
+const createPhotoSearchIndex = (db) => {
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'photo_search'").get();
+  const columns = SEARCH_COLUMNS.join(", ");
+  const newValues = SEARCH_COLUMNS.map((column) => `new.${column}`).join(", ");
+  const oldValues = SEARCH_COLUMNS.map((column) => `old.${column}`).join(", ");
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS photo_search USING fts5(
+      ${columns},
+      content = 'photos',
+      content_rowid = 'rowid',
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER IF NOT EXISTS photo_search_insert AFTER INSERT ON photos BEGIN
+      INSERT INTO photo_search (rowid, ${columns}) VALUES (new.rowid, ${newValues});
+    END;
+    CREATE TRIGGER IF NOT EXISTS photo_search_delete AFTER DELETE ON photos BEGIN
+      INSERT INTO photo_search (photo_search, rowid, ${columns}) VALUES ('delete', old.rowid, ${oldValues});
+    END;
+    CREATE TRIGGER IF NOT EXISTS photo_search_update AFTER UPDATE OF ${columns} ON photos BEGIN
+      INSERT INTO photo_search (photo_search, rowid, ${columns}) VALUES ('delete', old.rowid, ${oldValues});
+      INSERT INTO photo_search (rowid, ${columns}) VALUES (new.rowid, ${newValues});
+    END;
+  `);
+  if (!exists) {
+    db.exec("INSERT INTO photo_search (photo_search) VALUES ('rebuild')");
+  }
+};
+
 const createStoreForUser = (userId) => {
   const safeUserId = userId.replace(/[^a-zA-Z0-9._-]/g, "_");
   const userDir = path.join(usersDir, safeUserId);
   const uploadsDir = path.join(userDir, "uploads");
+  const incomingDir = path.join(userDir, "incoming");
   const dbPath = path.join(userDir, "photos.db");
 
   fs.mkdirSync(uploadsDir, { recursive: true });
+  fs.mkdirSync(incomingDir, { recursive: true });
 
   const db = new Database(dbPath);
+  db.pragma("foreign_keys = ON");
   db.exec(`
     CREATE TABLE IF NOT EXISTS photos (
       id TEXT PRIMARY KEY,
@@ -249,37 +583,350 @@ const createStoreForUser = (userId) => {
       created_at INTEGER NOT NULL
     )
   `);
+  ensureColumns(db, "photos", {
+    taken_at: "INTEGER",
+    camera_make: "TEXT",
+    camera_model: "TEXT",
+    lens_model: "TEXT",
+    exposure_time: "REAL",
+    f_number: "REAL",
+    iso: "INTEGER",
+    focal_length: "REAL",
+    width: "INTEGER",
+    height: "INTEGER",
+    deleted_at: "INTEGER",
+    content_hash: "TEXT",
+    perceptual_hash: "TEXT",
+    edits: "TEXT",
+    edited_filename: "TEXT",
+    edited_at: "INTEGER",
+    edited_width: "INTEGER",
+    edited_height: "INTEGER",
+    caption: "TEXT",
+    // JSON copy of the photo's rows in `photo_tags`, written alongside them, so the search
+    // index (which reads from this table) covers tags.
+    tags: "TEXT",
+    latitude: "REAL",
+    longitude: "REAL",
+    // 0 until the file has been read for GPS tags, so older photos are backfilled once.
+    location_checked: "INTEGER NOT NULL DEFAULT 0",
+    favorite: "INTEGER NOT NULL DEFAULT 0",
+    // 1 to serve share visitors a copy of the file without its GPS tags.
+    hide_location: "INTEGER NOT NULL DEFAULT 0",
+    // Videos only; NULL for photos.
+    duration_ms: "INTEGER",
+    // The clip of a Live Photo, paired with this still by the "live" job.
+    live_filename: "TEXT",
+    live_size: "INTEGER",
+  });
+  db.exec("CREATE INDEX IF NOT EXISTS idx_photos_timeline ON photos (COALESCE(taken_at, created_at))");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_photos_timeline_page ON photos (COALESCE(taken_at, created_at), id)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_photos_content_hash ON photos (content_hash)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_photos_location ON photos (latitude, longitude) WHERE latitude IS NOT NULL");
+  createPhotoSearchIndex(db);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS albums (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS album_photos (
+      album_id TEXT NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
+      photo_id TEXT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+      added_at INTEGER NOT NULL,
+      PRIMARY KEY (album_id, photo_id)
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_album_photos_photo ON album_photos (photo_id)");
+  const hasTagTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'photo_tags'").get();
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS photo_tags (
+      photo_id TEXT NOT NULL REFERENCES photos(id) ON DELETE CASCADE,
+      tag TEXT NOT NULL COLLATE NOCASE,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (photo_id, tag)
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_photo_tags_tag ON photo_tags (tag)");
+  if (!hasTagTable) {
+    // Tags used to live only in the JSON column.
+    db.exec(`
+      INSERT OR IGNORE INTO photo_tags (photo_id, tag, position)
+      SELECT photos.id, tag.value, tag.key
+      FROM photos, json_each(photos.tags) AS tag
+      WHERE json_valid(photos.tags)
+    `);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_sessions (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      chunk_size INTEGER NOT NULL,
+      fingerprint TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS upload_chunks (
+      session_id TEXT NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+      chunk_index INTEGER NOT NULL,
+      PRIMARY KEY (session_id, chunk_index)
+    )
+  `);
 
   return {
+    db,
+    userId,
     uploadsDir,
+    userDir,
+    incomingDir,
     dbPath,
     insertPhoto: db.prepare(`
-      INSERT INTO photos (id, name, filename, mime_type, size, created_at)
-      VALUES (@id, @name, @filename, @mime_type, @size, @created_at)
+      INSERT INTO photos (
+        id, name, filename, mime_type, size, created_at,
+        taken_at, camera_make, camera_model, lens_model,
+        exposure_time, f_number, iso, focal_length, width, height,
+        latitude, longitude, location_checked, duration_ms,
+        content_hash, perceptual_hash
+      )
+      VALUES (
+        @id, @name, @filename, @mime_type, @size, @created_at,
+        @taken_at, @camera_make, @camera_model, @lens_model,
+        @exposure_time, @f_number, @iso, @focal_length, @width, @height,
+        @latitude, @longitude, 1, @duration_ms,
+        @content_hash, @perceptual_hash
+      )
     `),
     listPhotos: db.prepare(`
-      SELECT id, name, filename, mime_type, size, created_at
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE deleted_at IS NULL
+      ORDER BY COALESCE(taken_at, created_at) DESC, created_at DESC
+    `),
+    listPhotosInAlbum: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE id IN (SELECT photo_id FROM album_photos WHERE album_id = ?)
+        AND deleted_at IS NULL
+      ORDER BY COALESCE(taken_at, created_at) DESC, created_at DESC
+    `),
+    // Keyset pages: the cursor is the (sort key, id) of the last photo already sent.
+    listPhotosPage: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}, COALESCE(taken_at, created_at) AS sort_key
       FROM photos
-      ORDER BY created_at DESC
+      WHERE deleted_at IS NULL
+        AND (@cursor_key IS NULL OR (COALESCE(taken_at, created_at), id) < (@cursor_key, @cursor_id))
+      ORDER BY COALESCE(taken_at, created_at) DESC, id DESC
+      LIMIT @limit
+    `),
+    listAlbumPhotosPage: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}, COALESCE(taken_at, created_at) AS sort_key
+      FROM photos
+      WHERE id IN (SELECT photo_id FROM album_photos WHERE album_id = @album_id)
+        AND deleted_at IS NULL
+        AND (@cursor_key IS NULL OR (COALESCE(taken_at, created_at), id) < (@cursor_key, @cursor_id))
+      ORDER BY COALESCE(taken_at, created_at) DESC, id DESC
+      LIMIT @limit
+    `),
+    countPhotos: db.prepare(`
+      SELECT COUNT(*) AS count
+      FROM photos
+      WHERE deleted_at IS NULL
+    `),
+    // Uploaded originals and Live Photo clips only; thumbnails, renditions, posters and edited
+    // renders are regenerated at will and not charged to the quota. Files shared by "keep-both"
+    // duplicates count once; trashed photos still take up disk.
+    storageUsed: db.prepare(`
+      SELECT
+        (SELECT COALESCE(SUM(size), 0) FROM (SELECT MAX(size) AS size FROM photos GROUP BY filename)) +
+        (SELECT COALESCE(SUM(size), 0) FROM (
+          SELECT MAX(live_size) AS size FROM photos WHERE live_filename IS NOT NULL GROUP BY live_filename
+        )) AS bytes
+    `),
+    pendingUploadBytes: db.prepare(`
+      SELECT COALESCE(SUM(size), 0) AS bytes
+      FROM upload_sessions
+    `),
+    countAlbumPhotos: db.prepare(`
+      SELECT COUNT(*) AS count
+      FROM photos
+      WHERE id IN (SELECT photo_id FROM album_photos WHERE album_id = ?)
+        AND deleted_at IS NULL
     `),
     getPhoto: db.prepare(`
-      SELECT id, name, filename, mime_type, size, created_at
+      SELECT ${PHOTO_COLUMNS}
       FROM photos
       WHERE id = ?
     `),
     listPhotoFiles: db.prepare(`
-      SELECT filename
+      SELECT id, filename, edited_filename
       FROM photos
     `),
     listPhotosForConversion: db.prepare(`
-      SELECT id, name, filename, mime_type, size, created_at
+      SELECT ${PHOTO_COLUMNS}
       FROM photos
       WHERE lower(filename) LIKE '%.heic' OR lower(filename) LIKE '%.heif'
     `),
+    listPhotosMissingMetadata: db.prepare(`
+      SELECT id, filename
+      FROM photos
+      WHERE width IS NULL OR location_checked = 0
+    `),
+    updatePhotoMetadata: db.prepare(`
+      UPDATE photos
+      SET taken_at = @taken_at,
+          camera_make = @camera_make,
+          camera_model = @camera_model,
+          lens_model = @lens_model,
+          exposure_time = @exposure_time,
+          f_number = @f_number,
+          iso = @iso,
+          focal_length = @focal_length,
+          width = @width,
+          height = @height,
+          latitude = @latitude,
+          longitude = @longitude,
+          duration_ms = @duration_ms,
+          location_checked = 1
+      WHERE id = @id
+    `),
+    updatePhotoDetails: db.prepare(`
+      UPDATE photos
+      SET name = @name,
+          caption = @caption,
+          favorite = @favorite,
+          hide_location = @hide_location,
+          tags = @tags
+      WHERE id = @id
+    `),
+    deletePhotoTags: db.prepare(`
+      DELETE FROM photo_tags
+      WHERE photo_id = ?
+    `),
+    insertPhotoTag: db.prepare(`
+      INSERT INTO photo_tags (photo_id, tag, position)
+      VALUES (@photo_id, @tag, @position)
+    `),
+    // `tag` compares without case, so tags differing only in case are counted together.
+    listTagCounts: db.prepare(`
+      SELECT MIN(photo_tags.tag) AS tag, COUNT(*) AS count
+      FROM photo_tags
+      JOIN photos ON photos.id = photo_tags.photo_id
+      WHERE photos.deleted_at IS NULL
+      GROUP BY photo_tags.tag
+      ORDER BY count DESC, tag
+    `),
+    listTrashedPhotos: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `),
+    trashPhoto: db.prepare(`
+      UPDATE photos
+      SET deleted_at = ?
+      WHERE id = ? AND deleted_at IS NULL
+    `),
+    restorePhoto: db.prepare(`
+      UPDATE photos
+      SET deleted_at = NULL
+      WHERE id = ? AND deleted_at IS NOT NULL
+    `),
     deletePhoto: db.prepare(`
       DELETE FROM photos
       WHERE id = ?
     `),
+    // A file may be a photo's own, or the clip of a Live Photo.
+    countPhotosUsingFile: db.prepare(`
+      SELECT COUNT(*) AS count
+      FROM photos
+      WHERE filename = @filename OR live_filename = @filename
+    `),
+    // Same base name, any extension: "IMG_0001.%" finds the HEIC and MOV of a Live Photo.
+    listLivePartners: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE name LIKE @pattern ESCAPE '\\' AND id != @id AND deleted_at IS NULL
+    `),
+    setLiveVideo: db.prepare(`
+      UPDATE photos
+      SET live_filename = @live_filename,
+          live_size = @live_size
+      WHERE id = @id
+    `),
+    findPhotoByContentHash: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE content_hash = ? AND deleted_at IS NULL
+      ORDER BY created_at ASC
+      LIMIT 1
+    `),
+    updatePhotoEdits: db.prepare(`
+      UPDATE photos
+      SET edits = @edits,
+          edited_filename = @edited_filename,
+          edited_at = @edited_at,
+          edited_width = @edited_width,
+          edited_height = @edited_height
+      WHERE id = @id
+    `),
+    listContentCopies: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE content_hash = @content_hash AND id != @id
+    `),
+    // Everything read from the file itself, as against the record's own name, caption and state.
+    updatePhotoContent: db.prepare(`
+      UPDATE photos
+      SET filename = @filename,
+          mime_type = @mime_type,
+          size = @size,
+          taken_at = @taken_at,
+          camera_make = @camera_make,
+          camera_model = @camera_model,
+          lens_model = @lens_model,
+          exposure_time = @exposure_time,
+          f_number = @f_number,
+          iso = @iso,
+          focal_length = @focal_length,
+          width = @width,
+          height = @height,
+          latitude = @latitude,
+          longitude = @longitude,
+          duration_ms = @duration_ms,
+          perceptual_hash = @perceptual_hash
+      WHERE id = @id
+    `),
+    renameDuplicatePhoto: db.prepare(`
+      UPDATE photos
+      SET name = @name,
+          created_at = @created_at
+      WHERE id = @id
+    `),
+    // Videos have no perceptual hash; their frames are not compared.
+    listPhotosMissingHashes: db.prepare(`
+      SELECT id, filename, content_hash, perceptual_hash
+      FROM photos
+      WHERE content_hash IS NULL OR (perceptual_hash IS NULL AND mime_type NOT LIKE 'video/%')
+    `),
+    updatePhotoHashes: db.prepare(`
+      UPDATE photos
+      SET content_hash = COALESCE(@content_hash, content_hash),
+          perceptual_hash = COALESCE(@perceptual_hash, perceptual_hash)
+      WHERE id = @id
+    `),
+    listPhotosWithHashes: db.prepare(`
+      SELECT ${PHOTO_COLUMNS}
+      FROM photos
+      WHERE deleted_at IS NULL AND (content_hash IS NOT NULL OR perceptual_hash IS NOT NULL)
+      ORDER BY COALESCE(taken_at, created_at) DESC
+    `),
     updatePhotoAfterConversion: db.prepare(`
       UPDATE photos
       SET name = @name,
@@ -288,6 +935,113 @@ const createStoreForUser = (userId) => {
           size = @size
       WHERE id = @id
     `),
+    listAlbums: db.prepare(`
+      SELECT a.id, a.name, a.created_at, a.updated_at,
+             COUNT(ap.photo_id) AS photo_count,
+             (
+               SELECT COALESCE(p.edited_filename, p.filename)
+               FROM album_photos cover
+               JOIN photos p ON p.id = cover.photo_id
+               WHERE cover.album_id = a.id AND p.deleted_at IS NULL
+               ORDER BY COALESCE(p.taken_at, p.created_at) DESC
+               LIMIT 1
+             ) AS cover_filename
+      FROM albums a
+      LEFT JOIN album_photos ap
+        ON ap.album_id = a.id
+       AND ap.photo_id IN (SELECT id FROM photos WHERE deleted_at IS NULL)
+      GROUP BY a.id
+      ORDER BY lower(a.name) ASC
+    `),
+    getAlbum: db.prepare(`
+      SELECT id, name, created_at, updated_at
+      FROM albums
+      WHERE id = ?
+    `),
+    findAlbumByName: db.prepare(`
+      SELECT id
+      FROM albums
+      WHERE lower(name) = lower(?)
+    `),
+    insertAlbum: db.prepare(`
+      INSERT INTO albums (id, name, created_at, updated_at)
+      VALUES (@id, @name, @created_at, @updated_at)
+    `),
+    renameAlbum: db.prepare(`
+      UPDATE albums
+      SET name = @name,
+          updated_at = @updated_at
+      WHERE id = @id
+    `),
+    touchAlbum: db.prepare(`
+      UPDATE albums
+      SET updated_at = ?
+      WHERE id = ?
+    `),
+    deleteAlbum: db.prepare(`
+      DELETE FROM albums
+      WHERE id = ?
+    `),
+    addPhotoToAlbum: db.prepare(`
+      INSERT OR IGNORE INTO album_photos (album_id, photo_id, added_at)
+      VALUES (?, ?, ?)
+    `),
+    removePhotoFromAlbum: db.prepare(`
+      DELETE FROM album_photos
+      WHERE album_id = ? AND photo_id = ?
+    `),
+    listAlbumIdsForPhoto: db.prepare(`
+      SELECT album_id
+      FROM album_photos
+      WHERE photo_id = ?
+    `),
+    listUploadSessions: db.prepare(`
+      SELECT
+        s.id, s.name, s.mime_type, s.size, s.chunk_size, s.fingerprint, s.created_at, s.updated_at,
+        (SELECT COUNT(*) FROM upload_chunks c WHERE c.session_id = s.id) AS received_count
+      FROM upload_sessions s
+      ORDER BY s.created_at ASC
+    `),
+    getUploadSession: db.prepare(`
+      SELECT id, name, mime_type, size, chunk_size, fingerprint, created_at, updated_at
+      FROM upload_sessions
+      WHERE id = ?
+    `),
+    findUploadSessionByFingerprint: db.prepare(`
+      SELECT id, name, mime_type, size, chunk_size, fingerprint, created_at, updated_at
+      FROM upload_sessions
+      WHERE fingerprint = ? AND size = ?
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `),
+    listStaleUploadSessions: db.prepare(`
+      SELECT id
+      FROM upload_sessions
+      WHERE updated_at <= ?
+    `),
+    insertUploadSession: db.prepare(`
+      INSERT INTO upload_sessions (id, name, mime_type, size, chunk_size, fingerprint, created_at, updated_at)
+      VALUES (@id, @name, @mime_type, @size, @chunk_size, @fingerprint, @created_at, @updated_at)
+    `),
+    touchUploadSession: db.prepare(`
+      UPDATE upload_sessions
+      SET updated_at = ?
+      WHERE id = ?
+    `),
+    deleteUploadSession: db.prepare(`
+      DELETE FROM upload_sessions
+      WHERE id = ?
+    `),
+    listUploadChunks: db.prepare(`
+      SELECT chunk_index
+      FROM upload_chunks
+      WHERE session_id = ?
+      ORDER BY chunk_index ASC
+    `),
+    markUploadChunk: db.prepare(`
+      INSERT OR IGNORE INTO upload_chunks (session_id, chunk_index)
+      VALUES (?, ?)
+    `),
   };
 };
 
@@ -298,6 +1052,24 @@ const getUserStore = (userId) => {
   return storesByUserId.get(userId);
 };
 
+const createStoredFilename = (originalName) => {
+  const uniquePrefix = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  const extension = path.extname(originalName || "") || "";
+  return `${uniquePrefix}${extension}`;
+};
+
+const isAllowedMedia = (originalName, mimeType = "") =>
+  mimeType.startsWith("image/") ||
+  /\.(png|jpe?g|webp|gif|bmp|svg|heic|heif|avif)$/i.test(originalName || "") ||
+  isVideoFile(originalName, mimeType);
+
+// Browsers often send videos (and anything dropped from some file managers) untyped.
+const storedMimeType = (originalName, mimeType) =>
+  (mimeType && mimeType !== "application/octet-stream" ? mimeType : videoMimeType(originalName)) ||
+  "application/octet-stream";
+
+const isVideoPhoto = (photo) => isVideoFile(photo.filename, photo.mime_type);
+
 const storage = multer.diskStorage({
   destination: (req, _file, cb) => {
     try {
@@ -308,21 +1080,15 @@ const storage = multer.diskStorage({
     }
   },
   filename: (_req, file, cb) => {
-    const uniquePrefix = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
-    const extension = path.extname(file.originalname) || "";
-    cb(null, `${uniquePrefix}${extension}`);
+    cb(null, createStoredFilename(file.originalname));
   },
 });
 
 const upload = multer({
   storage,
   fileFilter: (_req, file, cb) => {
-    const byMime = file.mimetype.startsWith("image/");
-    const byExtension = /\.(png|jpe?g|webp|gif|bmp|svg|heic|heif|avif)$/i.test(
-      file.originalname || ""
-    );
-    if (!byMime && !byExtension) {
-      cb(new Error("Only image files are allowed"));
+    if (!isAllowedMedia(file.originalname, file.mimetype)) {
+      cb(new Error("Only image and video files are allowed"));
       return;
     }
     cb(null, true);
@@ -337,6 +1103,12 @@ const thumbnailFilenameFromOriginal = (filename) => {
 const thumbnailPathFromOriginal = (uploadsDir, filename) =>
   path.join(uploadsDir, thumbnailFilenameFromOriginal(filename));
 
+// A video's thumbnail and renditions are made from this frame, named after the video.
+const posterPathFromVideo = (uploadsDir, filename) => path.join(uploadsDir, `poster-${path.parse(filename).name}.jpg`);
+
+// The copy of a video served to share visitors when its location is hidden.
+const strippedVideoPath = (uploadsDir, filename) => path.join(uploadsDir, `noloc-${filename}`);
+
 const isHeicLike = (filename, mimeType = "") =>
   /\.(heic|heif)$/i.test(filename || "") || /image\/hei(c|f)/i.test(mimeType || "");
 
@@ -359,8 +1131,7 @@ const convertImageToJpeg = async (sourcePath, targetPath) => {
     .toFile(targetPath);
 };
 
-const ensureThumbnail = async (uploadsDir, filename) => {
-  const sourcePath = path.join(uploadsDir, filename);
+const ensureThumbnail = async (uploadsDir, filename, sourcePath = path.join(uploadsDir, filename)) => {
   const thumbnailPath = thumbnailPathFromOriginal(uploadsDir, filename);
 
   await sharp(sourcePath)
@@ -375,96 +1146,940 @@ const ensureThumbnail = async (uploadsDir, filename) => {
     .toFile(thumbnailPath);
 };
 
-const backfillThumbnails = async (store) => {
-  for (const row of store.listPhotoFiles.all()) {
-    const thumbnailPath = thumbnailPathFromOriginal(store.uploadsDir, row.filename);
-    if (fs.existsSync(thumbnailPath)) {
-      continue;
-    }
-    try {
-      await ensureThumbnail(store.uploadsDir, row.filename);
-    } catch (error) {
-      console.warn(`Failed thumbnail backfill for ${row.filename}: ${error.message}`);
+// Responsive renditions of each displayed file, one per width and format. The grid and the
+// viewer choose a width from the list in the photo response; /renditions/ picks the format.
+const RENDITION_WIDTHS = [256, 512, 1024, 2048];
+const RENDITION_FORMATS = [
+  { extension: ".avif", mimeType: "image/avif", encode: (image) => image.avif({ quality: 50, effort: 2 }) },
+  { extension: ".webp", mimeType: "image/webp", encode: (image) => image.webp({ quality: 75 }) },
+];
+
+// Named without the format; the route adds whichever extension the browser can show.
+const renditionName = (filename, width) => `r${width}-${path.parse(filename).name}`;
+
+const renditionPath = (uploadsDir, filename, width, format) =>
+  path.join(uploadsDir, `${renditionName(filename, width)}${format.extension}`);
+
+const ensureRenditions = async (uploadsDir, filename, sourcePath = path.join(uploadsDir, filename)) => {
+  // Resizing would keep only the first frame of an animated GIF, so those are shown as-is.
+  if (/\.gif$/i.test(filename)) {
+    return;
+  }
+  const source = sharp(sourcePath).rotate();
+  const info = await source.metadata();
+  const sourceWidth = ((info.orientation || 1) >= 5 ? info.height : info.width) || 0;
+  // Widths the original cannot fill add nothing over it. The smallest is always written, so
+  // every photo has one and the startup backfill can tell which photos are done.
+  const widths = RENDITION_WIDTHS.filter((width, index) => index === 0 || width < sourceWidth);
+  for (const width of widths) {
+    for (const format of RENDITION_FORMATS) {
+      await format
+        .encode(source.clone().resize({ width, withoutEnlargement: true }))
+        .toFile(renditionPath(uploadsDir, filename, width, format));
     }
   }
 };
 
-const convertStoredHeicToJpeg = async (store, photo) => {
-  const oldFilename = photo.filename;
-  const oldPath = path.join(store.uploadsDir, oldFilename);
-  if (!fs.existsSync(oldPath)) {
-    return null;
+const removeRenditions = (uploadsDir, filename) => {
+  for (const width of RENDITION_WIDTHS) {
+    for (const format of RENDITION_FORMATS) {
+      fs.rmSync(renditionPath(uploadsDir, filename, width, format), { force: true });
+    }
   }
+};
 
-  const newFilename = replaceFileExtension(oldFilename, ".jpg");
-  const newPath = path.join(store.uploadsDir, newFilename);
+const MAX_EDIT_OPERATIONS = 20;
+const ROTATE_DEGREES = [90, 180, 270];
+const FLIP_AXES = ["horizontal", "vertical"];
+const ADJUSTMENTS = ["brightness", "contrast", "saturation"];
+const MAX_ADJUSTMENT = 2;
 
-  await convertImageToJpeg(oldPath, newPath);
+const editError = (message) => Object.assign(new Error(message), { statusCode: 400 });
 
-  const oldThumbnailPath = thumbnailPathFromOriginal(store.uploadsDir, oldFilename);
-  if (fs.existsSync(oldThumbnailPath)) {
-    fs.unlinkSync(oldThumbnailPath);
+const readFraction = (value, label) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw editError(`${label} must be a number between 0 and 1`);
   }
-  fs.unlinkSync(oldPath);
+  return number;
+};
 
-  try {
-    await ensureThumbnail(store.uploadsDir, newFilename);
-  } catch (error) {
-    console.warn(`Thumbnail generation skipped for converted file ${newFilename}: ${error.message}`);
+// Validates an edit stack and returns it in canonical form. Crop rectangles are
+// fractions of the image as it looks after the operations before them, so the
+// same stack applies to any resolution of the original.
+const readEditStack = (value) => {
+  if (!Array.isArray(value)) {
+    throw editError("edits must be an array");
   }
-
-  const updatedSize = fs.statSync(newPath).size;
-  const nextName = replaceDisplayExtension(photo.name, ".jpg");
-
-  store.updatePhotoAfterConversion.run({
-    id: photo.id,
-    name: nextName,
-    filename: newFilename,
-    mime_type: "image/jpeg",
-    size: updatedSize,
+  if (value.length > MAX_EDIT_OPERATIONS) {
+    throw editError(`At most ${MAX_EDIT_OPERATIONS} edits are allowed`);
+  }
+  return value.map((operation, index) => {
+    const label = `edits[${index}]`;
+    switch (operation?.type) {
+      case "rotate": {
+        const degrees = ((Number(operation.degrees) % 360) + 360) % 360;
+        if (!ROTATE_DEGREES.includes(degrees)) {
+          throw editError(`${label}.degrees must be a multiple of 90`);
+        }
+        return { type: "rotate", degrees };
+      }
+      case "flip":
+        if (!FLIP_AXES.includes(operation.axis)) {
+          throw editError(`${label}.axis must be one of: ${FLIP_AXES.join(", ")}`);
+        }
+        return { type: "flip", axis: operation.axis };
+      case "crop": {
+        const crop = {
+          type: "crop",
+          x: readFraction(operation.x, `${label}.x`),
+          y: readFraction(operation.y, `${label}.y`),
+          width: readFraction(operation.width, `${label}.width`),
+          height: readFraction(operation.height, `${label}.height`),
+        };
+        if (crop.width === 0 || crop.height === 0 || crop.x + crop.width > 1.000001 || crop.y + crop.height > 1.000001) {
+          throw editError(`${label} must be a non-empty rectangle inside the image`);
+        }
+        return crop;
+      }
+      case "adjust": {
+        const adjust = { type: "adjust" };
+        for (const key of ADJUSTMENTS) {
+          const number = operation[key] === undefined ? 1 : Number(operation[key]);
+          if (!Number.isFinite(number) || number < 0 || number > MAX_ADJUSTMENT) {
+            throw editError(`${label}.${key} must be a number between 0 and ${MAX_ADJUSTMENT}`);
+          }
+          adjust[key] = number;
+        }
+        return adjust;
+      }
+      default:
+        throw editError(`${label}.type must be one of: rotate, flip, crop, adjust`);
+    }
   });
+};
 
-  return { oldFilename, newFilename };
+const parsePhotoTags = (value) => {
+  try {
+    const tags = value ? JSON.parse(value) : [];
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
 };
 
-const migrateHeicPhotosToJpeg = async (store, userId) => {
-  const rows = store.listPhotosForConversion.all();
-  for (const row of rows) {
-    try {
-      const converted = await convertStoredHeicToJpeg(store, row);
-      if (converted) {
-        console.log(`Converted ${userId}: ${converted.oldFilename} -> ${converted.newFilename}`);
-      }
-    } catch (error) {
-      console.warn(`Failed HEIC conversion for ${userId}/${row.filename}: ${error.message}`);
-    }
+const parseEditStack = (value) => {
+  try {
+    return value ? JSON.parse(value) : [];
+  } catch {
+    return [];
   }
 };
 
-const withAuthQuery = (pathValue, authToken) => {
-  if (!authToken) {
-    return pathValue;
+const applyEditOperation = (image, operation, { width, height }) => {
+  switch (operation.type) {
+    case "rotate":
+      return image.rotate(operation.degrees);
+    case "flip":
+      return operation.axis === "horizontal" ? image.flop() : image.flip();
+    case "crop": {
+      const left = Math.min(width - 1, Math.round(operation.x * width));
+      const top = Math.min(height - 1, Math.round(operation.y * height));
+      return image.extract({
+        left,
+        top,
+        width: Math.max(1, Math.min(width - left, Math.round(operation.width * width))),
+        height: Math.max(1, Math.min(height - top, Math.round(operation.height * height))),
+      });
+    }
+    case "adjust":
+      // Contrast pivots around mid-grey so it does not also shift brightness.
+      return image
+        .modulate({ brightness: operation.brightness, saturation: operation.saturation })
+        .linear(operation.contrast, 128 * (1 - operation.contrast));
+    default:
+      return image;
   }
-  const separator = pathValue.includes("?") ? "&" : "?";
-  return `${pathValue}${separator}auth=${encodeURIComponent(authToken)}`;
 };
 
-const photoToResponse = (store, photo, authToken) => {
-  const baseThumbnail = fs.existsSync(thumbnailPathFromOriginal(store.uploadsDir, photo.filename))
-    ? `/uploads/${thumbnailFilenameFromOriginal(photo.filename)}`
-    : `/uploads/${photo.filename}`;
+// Renders the edit stack onto the untouched original. sharp applies a single
+// pipeline's operations in its own fixed order, so each edit round-trips
+// through a raw buffer to keep the stack's order.
+const renderEditedPhoto = async (sourcePath, targetPath, edits) => {
+  let current = await sharp(sourcePath)
+    .rotate()
+    .flatten({ background: "#ffffff" })
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (const operation of edits) {
+    const { width, height, channels } = current.info;
+    current = await applyEditOperation(sharp(current.data, { raw: { width, height, channels } }), operation, current.info)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
 
-  return {
-    id: photo.id,
-    name: photo.name,
-    url: withAuthQuery(`/uploads/${photo.filename}`, authToken),
-    thumbnailUrl: withAuthQuery(baseThumbnail, authToken),
-    addedAt: photo.created_at,
-    downloadUrl: withAuthQuery(`/api/photos/${photo.id}/download`, authToken),
-  };
+  const { width, height, channels } = current.info;
+  await sharp(current.data, { raw: { width, height, channels } })
+    .jpeg({ quality: 92, mozjpeg: true })
+    .toFile(targetPath);
+  return { width, height };
 };
 
-app.post("/api/auth/login", (req, res) => {
+const EXIF_TAGS = [
+  "DateTimeOriginal",
+  "CreateDate",
+  "OffsetTimeOriginal",
+  "Make",
+  "Model",
+  "LensModel",
+  "ExposureTime",
+  "FNumber",
+  "ISO",
+  "FocalLength",
+  "GPSLatitude",
+  "GPSLatitudeRef",
+  "GPSLongitude",
+  "GPSLongitudeRef",
+];
+
+const EMPTY_METADATA = {
+  taken_at: null,
+  camera_make: null,
+  camera_model: null,
+  lens_model: null,
+  exposure_time: null,
+  f_number: null,
+  iso: null,
+  focal_length: null,
+  width: null,
+  height: null,
+  latitude: null,
+  longitude: null,
+  duration_ms: null,
+};
+
+// The columns a "keep-both" copy shares with the record whose file it links to.
+const photoContentFields = (photo) => ({
+  filename: photo.filename,
+  mime_type: photo.mime_type,
+  size: photo.size,
+  ...Object.fromEntries(Object.keys(EMPTY_METADATA).map((key) => [key, photo[key]])),
+  perceptual_hash: photo.perceptual_hash,
+});
+
+const toCoordinate = (value, limit) => (Number.isFinite(value) && Math.abs(value) <= limit ? value : null);
+
+// EXIF dates are wall-clock strings ("2021:07:04 10:11:12"); without an offset
+// tag they are read in the server's local time zone.
+const parseExifDate = (value, offset) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.getTime();
+  }
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(String(value || ""));
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  if (year === "0000") {
+    return null;
+  }
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  const zone = typeof offset === "string" && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : "";
+  const timestamp = new Date(`${iso}${zone}`).getTime();
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+const toFiniteNumber = (value) => {
+  const number = Array.isArray(value) ? Number(value[0]) : Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+const toTrimmedText = (value) => {
+  const text = typeof value === "string" ? value.replace(/\0/g, "").trim() : "";
+  return text || null;
+};
+
+const readPhotoMetadata = async (filePath) => {
+  const metadata = { ...EMPTY_METADATA };
+
+  try {
+    const info = await sharp(filePath).metadata();
+    // Orientations 5-8 are rotated by 90 degrees, so the displayed size is swapped.
+    const swapped = (info.orientation || 1) >= 5;
+    metadata.width = (swapped ? info.height : info.width) || null;
+    metadata.height = (swapped ? info.width : info.height) || null;
+  } catch {
+    // sharp may lack a decoder for this format; EXIF can still be read below.
+  }
+
+  try {
+    const tags = await exifr.parse(filePath, { pick: EXIF_TAGS, reviveValues: false });
+    if (tags) {
+      metadata.taken_at = parseExifDate(tags.DateTimeOriginal || tags.CreateDate, tags.OffsetTimeOriginal);
+      metadata.camera_make = toTrimmedText(tags.Make);
+      metadata.camera_model = toTrimmedText(tags.Model);
+      metadata.lens_model = toTrimmedText(tags.LensModel);
+      metadata.exposure_time = toFiniteNumber(tags.ExposureTime);
+      metadata.f_number = toFiniteNumber(tags.FNumber);
+      metadata.iso = toFiniteNumber(tags.ISO);
+      metadata.focal_length = toFiniteNumber(tags.FocalLength);
+      // exifr combines the GPS degrees and N/S/E/W references into signed decimals.
+      const latitude = toCoordinate(tags.latitude, 90);
+      const longitude = toCoordinate(tags.longitude, 180);
+      if (latitude !== null && longitude !== null) {
+        metadata.latitude = latitude;
+        metadata.longitude = longitude;
+      }
+    }
+  } catch {
+    // Files without an EXIF block are common (screenshots, PNGs).
+  }
+
+  // Mark the row as processed even when no dimensions could be read.
+  metadata.width = metadata.width ?? 0;
+  metadata.height = metadata.height ?? 0;
+  return metadata;
+};
+
+const readVideoFileMetadata = async (filePath) => {
+  const video = await readVideoMetadata(filePath);
+  return {
+    ...EMPTY_METADATA,
+    taken_at: video?.takenAt ?? null,
+    camera_make: video?.make ?? null,
+    camera_model: video?.model ?? null,
+    width: video?.width ?? 0,
+    height: video?.height ?? 0,
+    latitude: video?.location?.latitude ?? null,
+    longitude: video?.location?.longitude ?? null,
+    duration_ms: video?.durationMs ?? null,
+  };
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+
+// dHash (see ./duplicates.js) over a 9x8 greyscale thumbnail.
+const computeDifferenceHash = async (filePath) => {
+  const pixels = await sharp(filePath)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  return differenceHashFromPixels(pixels);
+};
+
+const tryDifferenceHash = async (filePath) => {
+  try {
+    return await computeDifferenceHash(filePath);
+  } catch {
+    return null;
+  }
+};
+
+const convertStoredHeicToJpeg = async (store, photo) => {
+  const oldFilename = photo.filename;
+  const oldPath = path.join(store.uploadsDir, oldFilename);
+  if (!fs.existsSync(oldPath)) {
+    return null;
+  }
+
+  const newFilename = replaceFileExtension(oldFilename, ".jpg");
+  const newPath = path.join(store.uploadsDir, newFilename);
+
+  await convertImageToJpeg(oldPath, newPath);
+
+  const oldThumbnailPath = thumbnailPathFromOriginal(store.uploadsDir, oldFilename);
+  if (fs.existsSync(oldThumbnailPath)) {
+    fs.unlinkSync(oldThumbnailPath);
+  }
+  removeRenditions(store.uploadsDir, oldFilename);
+  fs.unlinkSync(oldPath);
+
+  const updatedSize = fs.statSync(newPath).size;
+  const nextName = replaceDisplayExtension(photo.name, ".jpg");
+
+  store.updatePhotoAfterConversion.run({
+    id: photo.id,
+    name: nextName,
+    filename: newFilename,
+    mime_type: "image/jpeg",
+    size: updatedSize,
+  });
+
+  return { oldFilename, newFilename };
+};
+
+// Live updates for open tabs and devices, pushed over /api/events. Each user keeps the last
+// few events so a stream that reconnects with Last-Event-ID gets what it missed. Event ids
+// are `<boot>-<sequence>`, so an id from before a restart is recognised as unresumable.
+const eventBoot = Date.now().toString(36);
+let eventSequence = 0;
+const eventStreams = new Map();
+const recentEvents = new Map();
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${eventBoot}-${event.seq}\nevent: ${event.type}\ndata: ${event.data}\n\n`);
+};
+
+const publishEvent = (userId, type, payload) => {
+  eventSequence += 1;
+  const event = { seq: eventSequence, type, data: JSON.stringify(payload) };
+  const log = recentEvents.get(userId) || { events: [], droppedThrough: 0 };
+  log.events.push(event);
+  if (log.events.length > EVENT_REPLAY_MAX) {
+    log.droppedThrough = log.events.shift().seq;
+  }
+  recentEvents.set(userId, log);
+  for (const res of eventStreams.get(userId) || []) {
+    writeEvent(res, event);
+  }
+};
+
+// `photo.added`, `photo.updated` and `photo.processed` carry the photo as the API returns it;
+// `photo.deleted` (moved to the trash or purged) carries only its id.
+const publishPhotoEvent = (store, type, photoId) => {
+  if (type === "photo.deleted") {
+    publishEvent(store.userId, type, { id: photoId });
+    return;
+  }
+  const photo = store.getPhoto.get(photoId);
+  if (photo && !photo.deleted_at) {
+    publishEvent(store.userId, type, { photo: photoToResponse(store, photo) });
+  }
+};
+
+const closeEventStreams = (userId) => {
+  for (const res of eventStreams.get(userId) || []) {
+    res.end();
+  }
+  eventStreams.delete(userId);
+  recentEvents.delete(userId);
+};
+
+// A Live Photo arrives as a still (HEIC or JPEG) and a short clip (MOV) with the same base
+// name. Once both have their metadata, the clip is folded into the still's row and its own
+// row removed, so the pair is one item. Whichever half finishes second makes the pair.
+const pairLivePhoto = (store, photo) => {
+  const pair = findLivePair(photo, store.listLivePartners.all({ pattern: livePartnerPattern(photo), id: photo.id }));
+  if (!pair) {
+    return;
+  }
+
+  const { still, video } = pair;
+  const now = Date.now();
+  store.db.transaction(() => {
+    for (const row of store.listAlbumIdsForPhoto.all(video.id)) {
+      store.addPhotoToAlbum.run(row.album_id, still.id, now);
+    }
+    store.deletePhoto.run(video.id);
+    // "keep-both" copies of the clip still show these.
+    if (Number(store.countPhotosUsingFile.get({ filename: video.filename }).count) === 0) {
+      removePreviewFiles(store.uploadsDir, video.filename);
+    }
+    store.setLiveVideo.run({ id: still.id, live_filename: video.filename, live_size: video.size });
+  })();
+  deleteSharesForTargetStmt.run(store.userId, "photo", video.id);
+  jobQueue.deleteForPhoto(store.userId, video.id);
+  publishPhotoEvent(store, "photo.deleted", video.id);
+  publishPhotoEvent(store, "photo.updated", still.id);
+};
+
+// Work for one photo, run from the job queue. Each handler reads the photo as it is when
+// the job starts and must be safe to run again after a failure part-way through.
+const JOB_HANDLERS = {
+  metadata: async (store, photo) => {
+    const filePath = path.join(store.uploadsDir, photo.filename);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${photo.filename}`);
+    }
+    const metadata = isVideoPhoto(photo) ? await readVideoFileMetadata(filePath) : await readPhotoMetadata(filePath);
+    store.updatePhotoMetadata.run({ id: photo.id, ...metadata });
+  },
+  convert: async (store, photo) => {
+    if (isHeicLike(photo.filename, photo.mime_type) && !(await convertStoredHeicToJpeg(store, photo))) {
+      throw new Error(`File not found: ${photo.filename}`);
+    }
+  },
+  hashes: async (store, photo) => {
+    const filePath = path.join(store.uploadsDir, photo.filename);
+    store.updatePhotoHashes.run({
+      id: photo.id,
+      content_hash: photo.content_hash ? null : await hashFile(filePath),
+      perceptual_hash: photo.perceptual_hash || isVideoPhoto(photo) ? null : await tryDifferenceHash(filePath),
+    });
+  },
+  // The grid thumbnail and the responsive renditions of whichever file is displayed.
+  thumbnails: async (store, photo) => {
+    const filename = displayFilename(photo);
+    if (isVideoPhoto(photo)) {
+      const posterPath = posterPathFromVideo(store.uploadsDir, filename);
+      await writeVideoPoster(path.join(store.uploadsDir, filename), posterPath, {
+        durationMs: photo.duration_ms,
+        width: photo.width,
+        height: photo.height,
+      });
+      await ensureThumbnail(store.uploadsDir, filename, posterPath);
+      await ensureRenditions(store.uploadsDir, filename, posterPath);
+      // Folded into a Live Photo while this ran; the still is shown instead.
+      if (!store.getPhoto.get(photo.id)) {
+        removePreviewFiles(store.uploadsDir, filename);
+      }
+      return;
+    }
+    await ensureThumbnail(store.uploadsDir, filename);
+    await ensureRenditions(store.uploadsDir, filename);
+  },
+  live: async (store, photo) => {
+    pairLivePhoto(store, photo);
+  },
+};
+
+// EXIF is read before conversion, which does not carry the tags over. Pairing needs the
+// capture dates and clip length, so it runs once metadata is in.
+const UPLOAD_JOBS = ["metadata", "convert", "live", "hashes", "thumbnails"];
+
+// Queues whatever earlier versions, crashes or failed jobs left undone in a library.
+const enqueueBackfillJobs = (store) => {
+  const pending = new Map();
+  const add = (photoId, kind) => pending.set(photoId, [...(pending.get(photoId) || []), kind]);
+  for (const row of store.listPhotosMissingMetadata.all()) {
+    add(row.id, "metadata");
+  }
+  for (const row of store.listPhotosForConversion.all()) {
+    add(row.id, "convert");
+  }
+  for (const row of store.listPhotosMissingHashes.all()) {
+    add(row.id, "hashes");
+  }
+  for (const row of store.listPhotoFiles.all()) {
+    const filename = displayFilename(row);
+    if (
+      !fs.existsSync(thumbnailPathFromOriginal(store.uploadsDir, filename)) ||
+      !fs.existsSync(renditionPath(store.uploadsDir, filename, RENDITION_WIDTHS[0], RENDITION_FORMATS[1]))
+    ) {
+      add(row.id, "thumbnails");
+    }
+  }
+  // Queue each photo's jobs in upload order, whatever order the checks above found them in.
+  for (const [photoId, kinds] of pending) {
+    jobQueue.enqueue(store.userId, photoId, UPLOAD_JOBS.filter((kind) => kinds.includes(kind)));
+  }
+  return pending.size;
+};
+
+// "keep-both" copies made while a photo was still processing took its file as it was then;
+// conversion may since have replaced that file, and metadata and hashes were not yet read.
+const updateContentCopies = (store, photo) => {
+  if (!photo?.content_hash) {
+    return;
+  }
+  for (const copy of store.listContentCopies.all({ content_hash: photo.content_hash, id: photo.id })) {
+    // Same bytes stored separately (from before uploads were hashed) stay that copy's own.
+    if (copy.filename !== photo.filename && fs.existsSync(path.join(store.uploadsDir, copy.filename))) {
+      continue;
+    }
+    store.updatePhotoContent.run({ id: copy.id, ...photoContentFields(photo) });
+    publishPhotoEvent(store, "photo.updated", copy.id);
+  }
+};
+
+// Tells open tabs once the last job for a photo has finished, successfully or not.
+const publishIfProcessed = (job) => {
+  if (!jobQueue.hasPending(job.user_id, job.photo_id) && findUserByIdStmt.get(job.user_id)) {
+    const store = getUserStore(job.user_id);
+    updateContentCopies(store, store.getPhoto.get(job.photo_id));
+    publishPhotoEvent(store, "photo.processed", job.photo_id);
+  }
+};
+
+const jobQueue = createJobQueue(usersDb, {
+  handle: async (job) => {
+    // The account may have been deleted while the job waited; opening its store would recreate it.
+    const store = findUserByIdStmt.get(job.user_id) ? getUserStore(job.user_id) : null;
+    const photo = store?.getPhoto.get(job.photo_id);
+    if (photo) {
+      await JOB_HANDLERS[job.kind](store, photo);
+    }
+  },
+  onSettled: publishIfProcessed,
+  concurrency: JOB_CONCURRENCY,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  retryBaseMs: JOB_RETRY_BASE_MS,
+});
+
+const jobToResponse = (job) => ({
+  id: job.id,
+  kind: job.kind,
+  photoId: job.photo_id,
+  status: job.status,
+  attempts: job.attempts,
+  runAt: job.run_at,
+  error: job.last_error ?? null,
+  createdAt: job.created_at,
+});
+
+// Everything generated from a file: thumbnail, renditions, and a video's poster and location-free copy.
+const removePreviewFiles = (uploadsDir, filename) => {
+  fs.rmSync(thumbnailPathFromOriginal(uploadsDir, filename), { force: true });
+  fs.rmSync(posterPathFromVideo(uploadsDir, filename), { force: true });
+  fs.rmSync(strippedVideoPath(uploadsDir, filename), { force: true });
+  removeRenditions(uploadsDir, filename);
+};
+
+const removePhotoFiles = (store, photo) => {
+  const filePath = path.join(store.uploadsDir, photo.filename);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+  removePreviewFiles(store.uploadsDir, photo.filename);
+};
+
+const removeEditedFiles = (store, photo) => {
+  if (!photo.edited_filename) {
+    return;
+  }
+  fs.rmSync(path.join(store.uploadsDir, photo.edited_filename), { force: true });
+  fs.rmSync(thumbnailPathFromOriginal(store.uploadsDir, photo.edited_filename), { force: true });
+  removeRenditions(store.uploadsDir, photo.edited_filename);
+};
+
+const purgePhoto = (store, photo) => {
+  store.deletePhoto.run(photo.id);
+  deleteSharesForTargetStmt.run(store.userId, "photo", photo.id);
+  jobQueue.deleteForPhoto(store.userId, photo.id);
+  publishPhotoEvent(store, "photo.deleted", photo.id);
+  // Edited renders belong to one row only, unlike a shared original.
+  removeEditedFiles(store, photo);
+  // Duplicates kept with "keep-both" share one file on disk.
+  if (Number(store.countPhotosUsingFile.get({ filename: photo.filename }).count) === 0) {
+    removePhotoFiles(store, photo);
+  }
+  if (photo.live_filename && Number(store.countPhotosUsingFile.get({ filename: photo.live_filename }).count) === 0) {
+    fs.rmSync(path.join(store.uploadsDir, photo.live_filename), { force: true });
+  }
+};
+
+const sweepTrash = () => {
+  for (const user of listUsersStmt.all()) {
+    try {
+      const store = getUserStore(user.id);
+      const { purged, failures } = purgeExpiredTrash(store.db, {
+        retentionMs: TRASH_RETENTION_MS,
+        purge: (photo) => purgePhoto(store, photo),
+      });
+      for (const { photo, error } of failures) {
+        console.warn(`Failed to purge ${user.id}/${photo.filename}: ${error.message}`);
+      }
+      if (purged) {
+        console.log(`Purged ${purged} expired photo(s) from trash for ${user.id}`);
+      }
+    } catch (error) {
+      console.warn(`Trash sweep failed for ${user.id}: ${error.message}`);
+    }
+  }
+};
+
+// Media URLs carry their own short-lived signature instead of the session token,
+// so a copied <img src> only ever grants that one file for a little while.
+const signMediaUrl = (pathValue, userId, resource) => {
+  // Expiries snap to a fixed step so repeated listings return identical URLs and
+  // the browser cache keeps serving images it already has.
+  const expiresAt = Math.ceil((Date.now() + MEDIA_URL_TTL_MS) / MEDIA_URL_STEP_MS) * MEDIA_URL_STEP_MS;
+  const params = new URLSearchParams({
+    uid: userId,
+    exp: String(expiresAt),
+    sig: bufferToBase64Url(mediaSignature(userId, resource, expiresAt)),
+  });
+  const separator = pathValue.includes("?") ? "&" : "?";
+  return `${pathValue}${separator}${params}`;
+};
+
+const signUploadUrl = (userId, filename) => signMediaUrl(`/uploads/${filename}`, userId, filename);
+
+// The file shown for a photo: its latest edit render, or the untouched original.
+const displayFilename = (photo) => photo.edited_filename || photo.filename;
+
+// Edited renders are always JPEG, whatever the original was.
+const displayName = (photo) => (photo.edited_filename ? replaceDisplayExtension(photo.name, ".jpg") : photo.name);
+
+// Null for a video whose poster is not written yet: the clip itself is no use in an <img>.
+const signThumbnailUrl = (store, photo) => {
+  const filename = displayFilename(photo);
+  if (fs.existsSync(thumbnailPathFromOriginal(store.uploadsDir, filename))) {
+    return signUploadUrl(store.userId, thumbnailFilenameFromOriginal(filename));
+  }
+  return isVideoPhoto(photo) ? null : signUploadUrl(store.userId, filename);
+};
+
+// Only the widths written for this file, smallest first. A photo narrower than the smallest
+// width still has that rendition, at the photo's own width.
+const signRenditionUrls = (store, photo) => {
+  const filename = displayFilename(photo);
+  const photoWidth = photo.edited_width || photo.width || Infinity;
+  return RENDITION_WIDTHS.filter((width) =>
+    fs.existsSync(renditionPath(store.uploadsDir, filename, width, RENDITION_FORMATS[1]))
+  ).map((width) => {
+    const name = renditionName(filename, width);
+    return {
+      width: Math.min(width, photoWidth),
+      url: signMediaUrl(`/renditions/${name}`, store.userId, `rendition/${name}`),
+    };
+  });
+};
+
+const photoToResponse = (store, photo) => {
+  const filename = displayFilename(photo);
+
+  return {
+    id: photo.id,
+    name: photo.name,
+    url: signUploadUrl(store.userId, filename),
+    thumbnailUrl: signThumbnailUrl(store, photo),
+    renditions: signRenditionUrls(store, photo),
+    processing: jobQueue.hasPending(store.userId, photo.id),
+    mediaType: isVideoPhoto(photo) ? "video" : "image",
+    durationMs: photo.duration_ms ?? null,
+    liveVideoUrl: photo.live_filename ? signUploadUrl(store.userId, photo.live_filename) : null,
+    addedAt: photo.created_at,
+    size: photo.size ?? null,
+    takenAt: photo.taken_at ?? null,
+    width: photo.edited_width || photo.width || null,
+    height: photo.edited_height || photo.height || null,
+    camera:
+      photo.camera_make || photo.camera_model || photo.lens_model
+        ? {
+            make: photo.camera_make ?? null,
+            model: photo.camera_model ?? null,
+            lens: photo.lens_model ?? null,
+            exposureTime: photo.exposure_time ?? null,
+            fNumber: photo.f_number ?? null,
+            iso: photo.iso ?? null,
+            focalLength: photo.focal_length ?? null,
+          }
+        : null,
+    caption: photo.caption ?? null,
+    tags: parsePhotoTags(photo.tags),
+    favorite: Boolean(photo.favorite),
+    location:
+      photo.latitude !== null && photo.latitude !== undefined
+        ? { latitude: photo.latitude, longitude: photo.longitude }
+        : null,
+    hideLocation: Boolean(photo.hide_location),
+    downloadUrl: signMediaUrl(`/api/photos/${photo.id}/download`, store.userId, `download/${photo.id}`),
+    albumIds: store.listAlbumIdsForPhoto.all(photo.id).map((row) => row.album_id),
+    ...(photo.edited_filename
+      ? {
+          edits: parseEditStack(photo.edits),
+          editedAt: photo.edited_at,
+          originalUrl: signUploadUrl(store.userId, photo.filename),
+        }
+      : {}),
+    ...(photo.deleted_at
+      ? { deletedAt: photo.deleted_at, purgeAt: photo.deleted_at + TRASH_RETENTION_MS }
+      : {}),
+  };
+};
+
+const albumToResponse = (store, album) => {
+  let coverUrl = null;
+  if (album.cover_filename) {
+    if (fs.existsSync(thumbnailPathFromOriginal(store.uploadsDir, album.cover_filename))) {
+      coverUrl = signUploadUrl(store.userId, thumbnailFilenameFromOriginal(album.cover_filename));
+    } else if (!isVideoFile(album.cover_filename)) {
+      // As in signThumbnailUrl, a video waiting for its poster gets no cover yet.
+      coverUrl = signUploadUrl(store.userId, album.cover_filename);
+    }
+  }
+
+  return {
+    id: album.id,
+    name: album.name,
+    photoCount: Number(album.photo_count) || 0,
+    coverUrl,
+    createdAt: album.created_at,
+    updatedAt: album.updated_at,
+  };
+};
+
+const readAlbumName = (body) => (typeof body?.name === "string" ? body.name.trim() : "");
+
+const uniqueArchiveName = (name, usedNames) => {
+  const safeName = String(name || "photo").replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim() || "photo";
+  const extension = path.extname(safeName);
+  const stem = safeName.slice(0, safeName.length - extension.length);
+  let candidate = safeName;
+  let counter = 2;
+  // Archive tools treat names case-insensitively on most desktop filesystems.
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${stem} (${counter})${extension}`;
+    counter += 1;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+};
+
+const streamPhotoArchive = (req, res, store, photos, { includeManifest, archiveName }) => {
+  const archive = archiver("zip", { store: true });
+  const usedNames = new Set(includeManifest ? ["manifest.json"] : []);
+  const manifest = [];
+
+  archive.on("warning", (error) => {
+    console.warn(`Export warning for ${req.authUserId}: ${error.message}`);
+  });
+  archive.on("error", (error) => {
+    console.error(`Export failed for ${req.authUserId}: ${error.message}`);
+    res.destroy(error);
+  });
+  res.on("close", () => {
+    // The client went away mid-download; stop reading files for it.
+    if (!res.writableFinished) {
+      archive.abort();
+    }
+  });
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${archiveName}"`);
+  archive.pipe(res);
+
+  for (const photo of photos) {
+    const filePath = path.join(store.uploadsDir, displayFilename(photo));
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    const entryName = uniqueArchiveName(displayName(photo), usedNames);
+    const date = new Date(photo.taken_at || photo.created_at);
+    archive.file(filePath, { name: entryName, date });
+    // A Live Photo's clip goes next to its still under the same name, as the camera saved it.
+    const livePath = photo.live_filename ? path.join(store.uploadsDir, photo.live_filename) : null;
+    const liveEntryName =
+      livePath && fs.existsSync(livePath)
+        ? uniqueArchiveName(replaceDisplayExtension(entryName, path.extname(photo.live_filename)), usedNames)
+        : null;
+    if (liveEntryName) {
+      archive.file(livePath, { name: liveEntryName, date });
+    }
+    if (includeManifest) {
+      const { url, thumbnailUrl, renditions, processing, downloadUrl, originalUrl, liveVideoUrl, ...metadata } =
+        photoToResponse(store, photo);
+      manifest.push({
+        ...metadata,
+        file: entryName,
+        ...(liveEntryName ? { liveFile: liveEntryName } : {}),
+        size: photo.size,
+        mimeType: photo.edited_filename ? "image/jpeg" : photo.mime_type,
+      });
+    }
+  }
+
+  if (includeManifest) {
+    archive.append(JSON.stringify({ exportedAt: Date.now(), photos: manifest }, null, 2), {
+      name: "manifest.json",
+    });
+  }
+  archive.finalize();
+};
+
+const isTruthyFlag = (value) => value === true || value === "1" || value === "true" || value === "on";
+
+const readPhotoIds = (body) => {
+  // HTML form posts send a single field as a plain string.
+  const raw = typeof body?.photoIds === "string" ? [body.photoIds] : body?.photoIds;
+  return Array.isArray(raw) ? [...new Set(raw.filter((id) => typeof id === "string" && id.trim()))] : [];
+};
+
+const userToResponse = (user) => ({
+  id: user.id,
+  username: user.username,
+  storageFolder: `users/${user.id}`,
+  isAdmin: Boolean(user.is_admin),
+  twoFactorEnabled: Boolean(user.totp_secret),
+});
+
+// Register and rename share these rules so every login ID stays valid and unique.
+const loginIdError = (loginId) => (loginId.length < 3 ? "loginId must be at least 3 characters" : null);
+const passwordError = (password) => (password.length < 6 ? "password must be at least 6 characters" : null);
+const USERNAME_TAKEN = { code: "USER_EXISTS", error: "Username already exists. Please choose a unique username." };
+
+const checkPassword = (user, password) => safeCompareHex(hashPassword(password, user.password_salt).hashHex, user.password_hash);
+
+// Challenge tokens are `<userId>.<expiresAt>` signed under their own prefix, so they can
+// never pass for an access token.
+const issueTwoFactorChallenge = (userId) => {
+  const payload = `${userId}.${Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS}`;
+  return `${bufferToBase64Url(payload)}.${bufferToBase64Url(signValue(`2fa.${payload}`))}`;
+};
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const [payloadB64, signatureB64] = challengeToken.split(".");
+  if (!payloadB64 || !signatureB64) {
+    return null;
+  }
+  const payload = base64UrlToBuffer(payloadB64).toString("utf8");
+  const receivedSig = base64UrlToBuffer(signatureB64);
+  const expectedSig = signValue(`2fa.${payload}`);
+  if (receivedSig.length !== expectedSig.length || !timingSafeEqual(receivedSig, expectedSig)) {
+    return null;
+  }
+  const separator = payload.lastIndexOf(".");
+  const expiresAt = Number(payload.slice(separator + 1));
+  return separator > 0 && Date.now() <= expiresAt ? payload.slice(0, separator) : null;
+};
+
+// Accepts a current authenticator code or an unused recovery code, which is then spent.
+const checkSecondFactor = (user, rawCode, now = Date.now()) => {
+  const spent = verifySecondFactor(
+    {
+      secret: user.totp_secret,
+      lastStep: user.totp_last_step,
+      recoveryHashes: JSON.parse(user.totp_recovery_hashes || "[]"),
+    },
+    rawCode,
+    now,
+  );
+  if (!spent) {
+    return false;
+  }
+  if (spent.recoveryHashes) {
+    updateUserRecoveryHashesStmt.run(JSON.stringify(spent.recoveryHashes), user.id);
+  } else {
+    updateUserTotpLastStepStmt.run(spent.lastStep, user.id);
+  }
+  return true;
+};
+
+// Failed sign-ins per IP and per account, and share password guesses per IP and per share.
+const loginLockout = createLockout({
+  lockoutMs: LOGIN_LOCKOUT_MS,
+  maxLockoutMs: LOGIN_LOCKOUT_MAX_MS,
+  windowMs: LOGIN_ATTEMPT_WINDOW_MS,
+});
+const SIGN_IN_LOCKED_OUT = "Too many failed sign-in attempts. Try again later.";
+const UNKNOWN_USER_SALT = randomBytes(16).toString("hex");
+
+const registerRateLimit = createRateLimiter({
+  limit: REGISTER_RATE_LIMIT,
+  windowMs: 1000 * 60 * 60,
+  message: "Too many accounts created from this address. Try again later.",
+});
+
+const uploadRateLimit = createRateLimiter({
+  limit: UPLOAD_RATE_LIMIT,
+  windowMs: 1000 * 60,
+  keyFor: (req) => req.authUserId,
+  message: "Too many upload requests. Slow down and try again shortly.",
+});
+
+app.post("/api/auth/login", (req, res) => {
   const loginId = typeof req.body?.loginId === "string" ? req.body.loginId.trim() : "";
   const password = typeof req.body?.password === "string" ? req.body.password : "";
   if (!loginId || !password) {
@@ -472,221 +2087,1914 @@ app.post("/api/auth/login", (req, res) => {
     return;
   }
 
-  ensureDefaultUser();
-  const user = findUserByLogin(loginId);
-  if (!user) {
-    res.status(404).json({ code: "USER_NOT_FOUND", error: "User not found. Please create a new account." });
+  ensureDefaultUser();
+  const user = findUserByLogin(loginId);
+  const now = Date.now();
+  const ipKey = `ip:${req.ip}`;
+  // Counted per account, so its id and username share one budget; unknown login IDs are
+  // counted as typed.
+  const accountKey = user ? `account:${user.id}` : `login:${loginId.toLowerCase()}`;
+  if (loginLockout.rejectLockedOut(res, [ipKey, accountKey], now, SIGN_IN_LOCKED_OUT)) {
+    return;
+  }
+  const rejectLogin = (status, body) => {
+    loginLockout.recordFailure(ipKey, LOGIN_MAX_ATTEMPTS_PER_IP, now);
+    loginLockout.recordFailure(accountKey, LOGIN_MAX_ATTEMPTS, now);
+    if (GENERIC_AUTH_ERRORS) {
+      res.status(401).json({ code: "INVALID_CREDENTIALS", error: "Incorrect login ID or password." });
+      return;
+    }
+    res.status(status).json(body);
+  };
+
+  if (!user) {
+    // Hash anyway so response times do not reveal which login IDs exist.
+    hashPassword(password, UNKNOWN_USER_SALT);
+    rejectLogin(404, { code: "USER_NOT_FOUND", error: "User not found. Please create a new account." });
+    return;
+  }
+
+  if (!checkPassword(user, password)) {
+    rejectLogin(401, { code: "INVALID_PASSWORD", error: "Incorrect password." });
+    return;
+  }
+  // The IP's count is left to expire with its window: a caller holding one valid account
+  // must not be able to reset it between guesses at others.
+  loginLockout.reset(accountKey);
+  if (user.disabled_at) {
+    res.status(403).json({ code: "ACCOUNT_DISABLED", error: "This account has been disabled. Contact your administrator." });
+    return;
+  }
+
+  if (user.totp_secret) {
+    res.json({ twoFactorRequired: true, challengeToken: issueTwoFactorChallenge(user.id) });
+    return;
+  }
+
+  const { token, refreshToken } = startSession(req, user.id);
+  getUserStore(user.id);
+  res.json({ token, refreshToken, user: userToResponse(user) });
+});
+
+// Second sign-in step for accounts with two-factor on: the challenge proves the password
+// was right, the code proves the authenticator app or a recovery code is at hand.
+app.post("/api/auth/login/2fa", (req, res) => {
+  const userId = verifyTwoFactorChallenge(typeof req.body?.challengeToken === "string" ? req.body.challengeToken : "");
+  const code = typeof req.body?.code === "string" ? req.body.code : "";
+  if (!userId) {
+    res.status(401).json({ code: "CHALLENGE_EXPIRED", error: "Sign-in timed out. Enter your password again." });
+    return;
+  }
+
+  const now = Date.now();
+  const ipKey = `ip:${req.ip}`;
+  const accountKey = `totp:${userId}`;
+  if (loginLockout.rejectLockedOut(res, [ipKey, accountKey], now, SIGN_IN_LOCKED_OUT)) {
+    return;
+  }
+
+  const user = findUserByIdStmt.get(userId);
+  if (!user || user.disabled_at || !user.totp_secret) {
+    res.status(401).json({ code: "CHALLENGE_EXPIRED", error: "Sign-in timed out. Enter your password again." });
+    return;
+  }
+  if (!checkSecondFactor(user, code, now)) {
+    loginLockout.recordFailure(ipKey, LOGIN_MAX_ATTEMPTS_PER_IP, now);
+    loginLockout.recordFailure(accountKey, LOGIN_MAX_ATTEMPTS, now);
+    res.status(401).json({ code: "INVALID_CODE", error: "That code is not valid." });
+    return;
+  }
+  loginLockout.reset(accountKey);
+
+  const { token, refreshToken } = startSession(req, user.id);
+  getUserStore(user.id);
+  res.json({ token, refreshToken, user: userToResponse(findUserByIdStmt.get(user.id)) });
+});
+
+app.post("/api/auth/register", registerRateLimit, (req, res) => {
+  const loginId = typeof req.body?.loginId === "string" ? req.body.loginId.trim() : "";
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+
+  if (!loginId || !password) {
+    res.status(400).json({ error: "loginId and password are required" });
+    return;
+  }
+  const invalid = loginIdError(loginId) ?? passwordError(password);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return;
+  }
+  if (isLoginNameTaken(loginId)) {
+    res.status(409).json(USERNAME_TAKEN);
+    return;
+  }
+
+  const baseId = normalizeUserId(loginId);
+  let userId = baseId;
+  let suffix = 2;
+  // A generated id must not collide with another account's username either.
+  while (isLoginNameTaken(userId)) {
+    userId = `${baseId}-${suffix}`;
+    suffix += 1;
+  }
+
+  const { saltHex, hashHex } = hashPassword(password);
+  insertUserStmt.run({
+    id: userId,
+    username: loginId,
+    password_salt: saltHex,
+    password_hash: hashHex,
+    created_at: Date.now(),
+  });
+
+  getUserStore(userId);
+  res.status(201).json({
+    message: "Account created successfully. Please sign in.",
+    user: {
+      id: userId,
+      username: loginId,
+      storageFolder: `users/${userId}`,
+    },
+  });
+});
+
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  ensureDefaultUser();
+  const user = findUserByIdStmt.get(req.authUserId);
+  if (!user) {
+    res.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+  res.json({ user: userToResponse(user) });
+});
+
+// Removes the user row, everything that points at it, and the whole storage folder.
+const deleteUserAccount = (userId) => {
+  const store = getUserStore(userId);
+  usersDb.transaction(() => {
+    deleteSessionsForUserStmt.run(userId);
+    deleteSharesForUserStmt.run(userId);
+    jobQueue.deleteForUser(userId);
+    deleteUserStmt.run(userId);
+  })();
+  storesByUserId.delete(userId);
+  closeEventStreams(userId);
+  store.db.close();
+  fs.rmSync(store.userDir, { recursive: true, force: true });
+  console.log(`Deleted account ${userId} and its data`);
+};
+
+// Account changes that can lock a user out all ask for the current password again.
+const requireCurrentPassword = (req, res) => {
+  const user = findUserByIdStmt.get(req.authUserId);
+  const password = typeof req.body?.currentPassword === "string" ? req.body.currentPassword : "";
+  if (!user) {
+    res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+  if (!password || !checkPassword(user, password)) {
+    res.status(403).json({ code: "INVALID_PASSWORD", error: "Current password is incorrect." });
+    return null;
+  }
+  return user;
+};
+
+// Setup stores a pending secret; two-factor only turns on once a code from it checks out.
+app.post("/api/auth/2fa/setup", requireAuth, (req, res) => {
+  const user = requireCurrentPassword(req, res);
+  if (!user) {
+    return;
+  }
+  if (user.totp_secret) {
+    res.status(409).json({ error: "Two-factor authentication is already on." });
+    return;
+  }
+  const secret = generateTotpSecret();
+  updateUserTotpPendingStmt.run(secret, user.id);
+  res.json({ secret, otpauthUri: totpUri({ secret, issuer: TOTP_ISSUER, accountName: user.username }) });
+});
+
+app.post("/api/auth/2fa/enable", requireAuth, (req, res) => {
+  const user = findUserByIdStmt.get(req.authUserId);
+  const code = typeof req.body?.code === "string" ? req.body.code.trim() : "";
+  if (!user?.totp_pending_secret) {
+    res.status(400).json({ error: "Start two-factor setup first." });
+    return;
+  }
+  const step = verifyTotp(user.totp_pending_secret, code);
+  if (step === null) {
+    res.status(400).json({ code: "INVALID_CODE", error: "That code is not valid. Check the time on your device." });
+    return;
+  }
+  const { codes, hashes } = createRecoveryCodes(RECOVERY_CODE_COUNT);
+  updateUserTotpStmt.run({
+    id: user.id,
+    totp_secret: user.totp_pending_secret,
+    totp_pending_secret: null,
+    totp_last_step: step,
+    totp_recovery_hashes: JSON.stringify(hashes),
+  });
+  res.json({ recoveryCodes: codes, user: userToResponse(findUserByIdStmt.get(user.id)) });
+});
+
+app.post("/api/auth/2fa/disable", requireAuth, (req, res) => {
+  const user = requireCurrentPassword(req, res);
+  if (!user) {
+    return;
+  }
+  if (!user.totp_secret) {
+    res.status(400).json({ error: "Two-factor authentication is not on." });
+    return;
+  }
+  if (!checkSecondFactor(user, typeof req.body?.code === "string" ? req.body.code : "")) {
+    res.status(403).json({ code: "INVALID_CODE", error: "That code is not valid." });
+    return;
+  }
+  updateUserTotpStmt.run({
+    id: user.id,
+    totp_secret: null,
+    totp_pending_secret: null,
+    totp_last_step: null,
+    totp_recovery_hashes: null,
+  });
+  res.json({ user: userToResponse(findUserByIdStmt.get(user.id)) });
+});
+
+// Replaces every recovery code, so a printed sheet that went missing stops working.
+app.post("/api/auth/2fa/recovery-codes", requireAuth, (req, res) => {
+  const user = requireCurrentPassword(req, res);
+  if (!user) {
+    return;
+  }
+  if (!user.totp_secret) {
+    res.status(400).json({ error: "Two-factor authentication is not on." });
+    return;
+  }
+  const { codes, hashes } = createRecoveryCodes(RECOVERY_CODE_COUNT);
+  updateUserRecoveryHashesStmt.run(JSON.stringify(hashes), user.id);
+  res.json({ recoveryCodes: codes });
+});
+
+app.post("/api/auth/password", requireAuth, (req, res) => {
+  const user = requireCurrentPassword(req, res);
+  if (!user) {
+    return;
+  }
+  const newPassword = typeof req.body?.newPassword === "string" ? req.body.newPassword : "";
+  const invalid = passwordError(newPassword);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return;
+  }
+  const { saltHex, hashHex } = hashPassword(newPassword);
+  updateUserPasswordStmt.run({ id: user.id, password_salt: saltHex, password_hash: hashHex });
+  // Whoever knew the old password is signed out everywhere except here.
+  deleteOtherSessionsStmt.run(user.id, req.authSessionId);
+  res.status(204).send();
+});
+
+app.post("/api/auth/username", requireAuth, (req, res) => {
+  const username = typeof req.body?.username === "string" ? req.body.username.trim() : "";
+  const invalid = loginIdError(username);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return;
+  }
+  if (isLoginNameTaken(username, req.authUserId)) {
+    res.status(409).json(USERNAME_TAKEN);
+    return;
+  }
+  // The user id, and with it the storage folder, stays the same.
+  updateUsernameStmt.run(username, req.authUserId);
+  res.json({ user: userToResponse(findUserByIdStmt.get(req.authUserId)) });
+});
+
+app.delete("/api/auth/account", requireAuth, (req, res) => {
+  const user = requireCurrentPassword(req, res);
+  if (!user) {
+    return;
+  }
+  if (user.is_admin && Number(countAdminsStmt.get().count) <= 1) {
+    res.status(409).json({ code: "LAST_ADMIN", error: "Make another user an admin before deleting this account." });
+    return;
+  }
+  deleteUserAccount(user.id);
+  res.status(204).send();
+});
+
+app.post("/api/auth/refresh", (req, res) => {
+  try {
+    res.json(rotateSession(req.body?.refreshToken));
+  } catch (error) {
+    res.status(error.statusCode || 401).json({ code: error.code, error: error.message });
+  }
+});
+
+app.post("/api/auth/logout", requireAuth, (req, res) => {
+  deleteSessionStmt.run(req.authSessionId, req.authUserId);
+  res.status(204).send();
+});
+
+app.get("/api/auth/sessions", requireAuth, (req, res) => {
+  const sessions = listSessionsForUserStmt.all(req.authUserId, Date.now()).map((session) => ({
+    id: session.id,
+    userAgent: session.user_agent ?? null,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    current: session.id === req.authSessionId,
+  }));
+  res.json({ sessions });
+});
+
+app.delete("/api/auth/sessions/:id", requireAuth, (req, res) => {
+  const result = deleteSessionStmt.run(req.params.id, req.authUserId);
+  if (result.changes === 0) {
+    res.status(404).json({ error: "Session not found" });
+    return;
+  }
+  res.status(204).send();
+});
+
+const requireAdmin = (req, res, next) => {
+  requireAuth(req, res, () => {
+    if (!findUserByIdStmt.get(req.authUserId)?.is_admin) {
+      res.status(403).json({ error: "Admin access required" });
+      return;
+    }
+    next();
+  });
+};
+
+const adminUserToResponse = (user) => {
+  const store = getUserStore(user.id);
+  return {
+    ...userToResponse(user),
+    createdAt: user.created_at,
+    disabledAt: user.disabled_at ?? null,
+    quotaBytes: user.quota_bytes ?? null,
+    photoCount: Number(store.countPhotos.get().count),
+    bytesUsed: Number(store.storageUsed.get().bytes),
+  };
+};
+
+// Resolves the :id user for an admin route, refusing changes that would lock the admin out.
+const findManagedUser = (req, res, { allowSelf = true } = {}) => {
+  const user = findUserByIdStmt.get(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (!allowSelf && user.id === req.authUserId) {
+    res.status(400).json({ error: "Use account settings to change your own account" });
+    return null;
+  }
+  return user;
+};
+
+app.get("/api/admin/users", requireAdmin, (_req, res) => {
+  res.json({ users: listUsersStmt.all().map(adminUserToResponse) });
+});
+
+app.patch("/api/admin/users/:id", requireAdmin, (req, res) => {
+  const { disabled, isAdmin, quotaBytes } = req.body ?? {};
+  const changesOwnAccess = disabled !== undefined || isAdmin !== undefined;
+  const user = findManagedUser(req, res, { allowSelf: !changesOwnAccess });
+  if (!user) {
+    return;
+  }
+  if (disabled !== undefined && typeof disabled !== "boolean") {
+    res.status(400).json({ error: "disabled must be true or false" });
+    return;
+  }
+  if (isAdmin !== undefined && typeof isAdmin !== "boolean") {
+    res.status(400).json({ error: "isAdmin must be true or false" });
+    return;
+  }
+  if (quotaBytes !== undefined && quotaBytes !== null && !(Number.isSafeInteger(quotaBytes) && quotaBytes > 0)) {
+    res.status(400).json({ error: "quotaBytes must be a positive integer or null" });
+    return;
+  }
+  const removesActiveAdmin = user.is_admin && !user.disabled_at && (disabled === true || isAdmin === false);
+  if (removesActiveAdmin && Number(countAdminsStmt.get().count) <= 1) {
+    res.status(409).json({ code: "LAST_ADMIN", error: "At least one active admin is required." });
+    return;
+  }
+
+  usersDb.transaction(() => {
+    if (disabled !== undefined) {
+      updateUserDisabledStmt.run(disabled ? user.disabled_at ?? Date.now() : null, user.id);
+      if (disabled) {
+        // Signs the user out everywhere right away.
+        deleteSessionsForUserStmt.run(user.id);
+      }
+    }
+    if (isAdmin !== undefined) {
+      updateUserAdminStmt.run(isAdmin ? 1 : 0, user.id);
+    }
+    if (quotaBytes !== undefined) {
+      updateUserQuotaStmt.run(quotaBytes, user.id);
+    }
+  })();
+  res.json({ user: adminUserToResponse(findUserByIdStmt.get(user.id)) });
+});
+
+app.post("/api/admin/users/:id/password", requireAdmin, (req, res) => {
+  const user = findManagedUser(req, res);
+  if (!user) {
+    return;
+  }
+  const newPassword = typeof req.body?.newPassword === "string" ? req.body.newPassword : "";
+  const invalid = passwordError(newPassword);
+  if (invalid) {
+    res.status(400).json({ error: invalid });
+    return;
+  }
+  const { saltHex, hashHex } = hashPassword(newPassword);
+  updateUserPasswordStmt.run({ id: user.id, password_salt: saltHex, password_hash: hashHex });
+  // A reset is how a locked-out user gets back in, so it lifts the lockout too.
+  loginLockout.reset(`account:${user.id}`);
+  if (user.id === req.authUserId) {
+    deleteOtherSessionsStmt.run(user.id, req.authSessionId);
+  } else {
+    deleteSessionsForUserStmt.run(user.id);
+  }
+  res.status(204).send();
+});
+
+app.delete("/api/admin/users/:id", requireAdmin, (req, res) => {
+  const user = findManagedUser(req, res, { allowSelf: false });
+  if (!user) {
+    return;
+  }
+  deleteUserAccount(user.id);
+  res.status(204).send();
+});
+
+app.get("/api/health", (_req, res) => {
+  res.json({ ok: true });
+});
+
+// Stores one file that already sits in the uploads folder (from multer or a finished
+// chunked session) and applies the duplicate policy. `file` mirrors multer's shape.
+const ingestUploadedFile = async (store, file, duplicatePolicy, now) => {
+  const id = randomUUID();
+  const uploadedPath = path.join(store.uploadsDir, file.filename);
+  const contentHash = await hashFile(uploadedPath);
+  const existing = store.findPhotoByContentHash.get(contentHash);
+
+  if (existing && duplicatePolicy !== "keep-both") {
+    fs.unlinkSync(uploadedPath);
+    if (duplicatePolicy === "skip") {
+      return { skipped: { name: file.originalname, existingId: existing.id, reason: "duplicate" } };
+    }
+    // "replace": the bytes are identical, so only the record takes the new name and upload time.
+    store.renameDuplicatePhoto.run({ id: existing.id, name: file.originalname, created_at: now });
+    publishPhotoEvent(store, "photo.updated", existing.id);
+    return {
+      photo: photoToResponse(store, store.getPhoto.get(existing.id)),
+      replaced: { name: file.originalname, id: existing.id },
+    };
+  }
+
+  if (existing) {
+    // "keep-both": a second record linked to the file already on disk.
+    fs.unlinkSync(uploadedPath);
+    // Favorite, trash and the rest stay the original's; if it is still processing, the copy
+    // is brought up to date when its last job finishes.
+    store.insertPhoto.run({
+      id,
+      name: file.originalname,
+      created_at: now,
+      ...photoContentFields(existing),
+      content_hash: contentHash,
+    });
+    publishPhotoEvent(store, "photo.added", id);
+    return { photo: photoToResponse(store, store.getPhoto.get(id)) };
+  }
+
+  // Conversion, metadata, hashes and thumbnails are left to the job queue so the upload
+  // returns as soon as the file is stored; the photo reports `processing` until they finish.
+  store.insertPhoto.run({
+    id,
+    name: file.originalname,
+    filename: file.filename,
+    mime_type: storedMimeType(file.originalname, file.mimetype),
+    size: file.size,
+    created_at: now,
+    ...EMPTY_METADATA,
+    content_hash: contentHash,
+    perceptual_hash: null,
+  });
+  jobQueue.enqueue(store.userId, id, UPLOAD_JOBS);
+  publishPhotoEvent(store, "photo.added", id);
+  return { photo: photoToResponse(store, store.getPhoto.get(id)) };
+};
+
+// Throws a 413 when `incomingBytes` more would take the user past their quota.
+// Unfinished chunked uploads count too, so parallel sessions cannot slip past it.
+const assertWithinQuota = (store, incomingBytes) => {
+  const quotaBytes = findUserByIdStmt.get(store.userId)?.quota_bytes;
+  if (!quotaBytes) {
+    return;
+  }
+  const usedBytes = Number(store.storageUsed.get().bytes) + Number(store.pendingUploadBytes.get().bytes);
+  assertQuotaAllows({ quotaBytes, usedBytes }, incomingBytes);
+};
+
+const readDuplicatePolicy = (value) => {
+  const policy = String(value || "skip");
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw Object.assign(new Error(`duplicates must be one of: ${DUPLICATE_POLICIES.join(", ")}`), {
+      statusCode: 400,
+    });
+  }
+  return policy;
+};
+
+const uploadSessionPath = (store, sessionId) => path.join(store.incomingDir, `${sessionId}.part`);
+
+const removeUploadSession = (store, sessionId) => {
+  store.deleteUploadSession.run(sessionId);
+  fs.rmSync(uploadSessionPath(store, sessionId), { force: true });
+};
+
+const uploadSessionToResponse = (store, session) => {
+  const totalChunks = Math.max(1, Math.ceil(session.size / session.chunk_size));
+  const receivedChunks = store.listUploadChunks.all(session.id).map((row) => row.chunk_index);
+  return {
+    id: session.id,
+    name: session.name,
+    mimeType: session.mime_type,
+    size: session.size,
+    chunkSize: session.chunk_size,
+    totalChunks,
+    receivedChunks,
+    receivedBytes: receivedChunks.reduce(
+      (sum, index) => sum + Math.min(session.chunk_size, session.size - index * session.chunk_size),
+      0
+    ),
+    fingerprint: session.fingerprint,
+    createdAt: session.created_at,
+    updatedAt: session.updated_at,
+  };
+};
+
+const encodePhotoCursor = (sortKey, id) => Buffer.from(JSON.stringify([sortKey, id])).toString("base64url");
+
+const decodePhotoCursor = (value) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+    if (Array.isArray(decoded) && Number.isFinite(decoded[0]) && typeof decoded[1] === "string") {
+      return decoded;
+    }
+  } catch {
+    // fall through to the invalid cursor error
+  }
+  return null;
+};
+
+const readPhotoPage = (query) => {
+  const hasLimit = query.limit !== undefined && query.limit !== "";
+  const hasCursor = typeof query.cursor === "string" && query.cursor !== "";
+  const limit = hasLimit ? Number(query.limit) : hasCursor ? 200 : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > PHOTO_PAGE_MAX)) {
+    return { error: `limit must be an integer between 1 and ${PHOTO_PAGE_MAX}` };
+  }
+  const cursor = hasCursor ? decodePhotoCursor(query.cursor) : null;
+  if (hasCursor && !cursor) {
+    return { error: "Invalid cursor" };
+  }
+  return { limit, cursor };
+};
+
+const sweepStaleUploads = () => {
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_MS;
+  for (const user of listUsersStmt.all()) {
+    try {
+      const store = getUserStore(user.id);
+      for (const session of store.listStaleUploadSessions.all(cutoff)) {
+        removeUploadSession(store, session.id);
+      }
+    } catch (error) {
+      console.warn(`Upload session sweep failed for ${user.id}: ${error.message}`);
+    }
+  }
+};
+
+app.get("/api/photos", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const albumId = typeof req.query.album === "string" ? req.query.album.trim() : "";
+  if (albumId && !store.getAlbum.get(albumId)) {
+    res.status(404).json({ error: "Album not found" });
+    return;
+  }
+  const page = readPhotoPage(req.query);
+  if (page.error) {
+    res.status(400).json({ error: page.error });
+    return;
+  }
+  // Without `limit` the whole list is returned, as before pagination existed.
+  const params = {
+    album_id: albumId,
+    cursor_key: page.cursor ? page.cursor[0] : null,
+    cursor_id: page.cursor ? page.cursor[1] : null,
+    limit: page.limit ? page.limit + 1 : -1,
+  };
+  const rows = albumId ? store.listAlbumPhotosPage.all(params) : store.listPhotosPage.all(params);
+  const hasMore = Boolean(page.limit) && rows.length > page.limit;
+  const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+  const total = albumId ? store.countAlbumPhotos.get(albumId).count : store.countPhotos.get().count;
+  res.json({
+    user: {
+      id: req.authUserId,
+      storageFolder: `users/${req.authUserId}`,
+    },
+    album: albumId || null,
+    photos: pageRows.map((photo) => photoToResponse(store, photo)),
+    nextCursor: hasMore ? encodePhotoCursor(last.sort_key, last.id) : null,
+    total: Number(total),
+  });
+});
+
+app.post("/api/photos", requireAuth, uploadRateLimit, upload.array("photos"), async (req, res, next) => {
+  try {
+    const store = getUserStore(req.authUserId);
+    const files = req.files || [];
+    const now = Date.now();
+    const created = [];
+    const skipped = [];
+    const replaced = [];
+    let requestedPolicy;
+    try {
+      requestedPolicy = readDuplicatePolicy(req.body?.duplicates || req.query.duplicates);
+      assertWithinQuota(store, files.reduce((total, file) => total + file.size, 0));
+    } catch (error) {
+      for (const file of files) {
+        fs.rmSync(path.join(store.uploadsDir, file.filename), { force: true });
+      }
+      throw error;
+    }
+
+    for (const file of files) {
+      const result = await ingestUploadedFile(store, file, requestedPolicy, now);
+      if (result.skipped) {
+        skipped.push(result.skipped);
+        continue;
+      }
+      if (result.replaced) {
+        replaced.push(result.replaced);
+      }
+      created.push(result.photo);
+    }
+
+    res.status(201).json({
+      user: {
+        id: req.authUserId,
+        storageFolder: `users/${req.authUserId}`,
+      },
+      photos: created,
+      skipped,
+      replaced,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post("/api/uploads", requireAuth, uploadRateLimit, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
+  const size = Number(req.body?.size);
+  const mimeType = typeof req.body?.mimeType === "string" ? req.body.mimeType : "";
+  const fingerprint = typeof req.body?.fingerprint === "string" && req.body.fingerprint ? req.body.fingerprint : null;
+  if (!name || !Number.isSafeInteger(size) || size <= 0) {
+    res.status(400).json({ error: "name and a positive size are required" });
+    return;
+  }
+  if (!isAllowedMedia(name, mimeType)) {
+    res.status(400).json({ error: "Only image and video files are allowed" });
+    return;
+  }
+
+  // Re-selecting the same file after a reload resumes its unfinished session.
+  const resumable = fingerprint ? store.findUploadSessionByFingerprint.get(fingerprint, size) : null;
+  if (resumable && fs.existsSync(uploadSessionPath(store, resumable.id))) {
+    res.json(uploadSessionToResponse(store, resumable));
+    return;
+  }
+
+  assertWithinQuota(store, size);
+
+  const now = Date.now();
+  const session = {
+    id: randomUUID(),
+    name,
+    mime_type: storedMimeType(name, mimeType),
+    size,
+    chunk_size: UPLOAD_CHUNK_SIZE,
+    fingerprint,
+    created_at: now,
+    updated_at: now,
+  };
+  fs.closeSync(fs.openSync(uploadSessionPath(store, session.id), "w"));
+  store.insertUploadSession.run(session);
+  res.status(201).json(uploadSessionToResponse(store, session));
+});
+
+app.get("/api/uploads", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  res.json({
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    sessions: store.listUploadSessions.all().map((session) => uploadSessionToResponse(store, session)),
+  });
+});
+
+app.get("/api/uploads/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const session = store.getUploadSession.get(req.params.id);
+  if (!session) {
+    res.status(404).json({ error: "Upload session not found" });
+    return;
+  }
+  res.json(uploadSessionToResponse(store, session));
+});
+
+app.put(
+  "/api/uploads/:id/chunks/:index",
+  requireAuth,
+  uploadRateLimit,
+  express.raw({ type: "application/octet-stream", limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res, next) => {
+    try {
+      const store = getUserStore(req.authUserId);
+      const session = store.getUploadSession.get(req.params.id);
+      if (!session) {
+        res.status(404).json({ error: "Upload session not found" });
+        return;
+      }
+      const index = Number(req.params.index);
+      const totalChunks = Math.max(1, Math.ceil(session.size / session.chunk_size));
+      if (!Number.isInteger(index) || index < 0 || index >= totalChunks) {
+        res.status(400).json({ error: `Chunk index must be between 0 and ${totalChunks - 1}` });
+        return;
+      }
+      const offset = index * session.chunk_size;
+      const expectedLength = Math.min(session.chunk_size, session.size - offset);
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (chunk.length !== expectedLength) {
+        res.status(400).json({ error: `Chunk ${index} must be ${expectedLength} bytes, got ${chunk.length}` });
+        return;
+      }
+
+      const handle = await fs.promises.open(uploadSessionPath(store, session.id), "r+");
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+      // The session may have been cancelled while the chunk was being written.
+      if (!store.getUploadSession.get(session.id)) {
+        res.status(404).json({ error: "Upload session not found" });
+        return;
+      }
+      store.markUploadChunk.run(session.id, index);
+      store.touchUploadSession.run(Date.now(), session.id);
+      res.json(uploadSessionToResponse(store, session));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post("/api/uploads/:id/complete", requireAuth, uploadRateLimit, async (req, res, next) => {
+  try {
+    const store = getUserStore(req.authUserId);
+    const duplicatePolicy = readDuplicatePolicy(req.body?.duplicates || req.query.duplicates);
+    const session = store.getUploadSession.get(req.params.id);
+    if (!session) {
+      res.status(404).json({ error: "Upload session not found" });
+      return;
+    }
+    const status = uploadSessionToResponse(store, session);
+    const received = new Set(status.receivedChunks);
+    const missingChunks = [];
+    for (let index = 0; index < status.totalChunks; index += 1) {
+      if (!received.has(index)) missingChunks.push(index);
+    }
+    if (missingChunks.length) {
+      res.status(409).json({ error: "Upload is incomplete", missingChunks });
+      return;
+    }
+
+    // Move the assembled file into the library before any await so a second
+    // finalize request for the same session finds nothing to do.
+    const filename = createStoredFilename(session.name);
+    fs.renameSync(uploadSessionPath(store, session.id), path.join(store.uploadsDir, filename));
+    store.deleteUploadSession.run(session.id);
+
+    const result = await ingestUploadedFile(
+      store,
+      { filename, originalname: session.name, mimetype: session.mime_type, size: session.size },
+      duplicatePolicy,
+      Date.now()
+    );
+    res.status(201).json({
+      user: {
+        id: req.authUserId,
+        storageFolder: `users/${req.authUserId}`,
+      },
+      photos: result.photo ? [result.photo] : [],
+      skipped: result.skipped ? [result.skipped] : [],
+      replaced: result.replaced ? [result.replaced] : [],
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/uploads/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  if (!store.getUploadSession.get(req.params.id)) {
+    res.status(404).json({ error: "Upload session not found" });
+    return;
+  }
+  removeUploadSession(store, req.params.id);
+  res.status(204).send();
+});
+
+// Server-Sent Events with the user's library changes. A reconnect sending Last-Event-ID gets
+// the events it missed, or `reset` when they are gone and the client has to reload instead.
+app.get("/api/events", requireAuth, (req, res) => {
+  const userId = req.authUserId;
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+  const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+  if (typeof lastEventId === "string" && lastEventId) {
+    const [boot, sequence] = lastEventId.split("-");
+    const lastSeq = Number(sequence);
+    const log = recentEvents.get(userId) || { events: [], droppedThrough: 0 };
+    if (boot !== eventBoot || !Number.isInteger(lastSeq) || lastSeq < log.droppedThrough) {
+      res.write(`id: ${eventBoot}-${eventSequence}\nevent: reset\ndata: {}\n\n`);
+    } else {
+      log.events.filter((event) => event.seq > lastSeq).forEach((event) => writeEvent(res, event));
+    }
+  }
+  // Tells a new stream where it starts, so its first reconnect can resume from here.
+  res.write(`id: ${eventBoot}-${eventSequence}\nevent: ready\ndata: {}\n\n`);
+
+  const streams = eventStreams.get(userId) || new Set();
+  streams.add(res);
+  eventStreams.set(userId, streams);
+  const keepalive = setInterval(() => res.write(": keepalive\n\n"), EVENT_KEEPALIVE_MS);
+  // The access token is only checked when the stream opens. Ending the stream when it expires
+  // makes the client reconnect with a fresh one, so a signed-out session stops receiving events.
+  const expiry = setTimeout(() => res.end(), Math.max(0, req.authExpiresAt - Date.now()));
+  req.on("close", () => {
+    clearInterval(keepalive);
+    clearTimeout(expiry);
+    streams.delete(res);
+    if (!streams.size) {
+      eventStreams.delete(userId);
+    }
+  });
+});
+
+// Processing status for the signed-in user's library. `photoIds` (comma-separated) limits
+// the list to those photos, so the grid can ask about the placeholders it is showing.
+app.get("/api/jobs", requireAuth, (req, res) => {
+  const photoIds =
+    typeof req.query.photoIds === "string"
+      ? req.query.photoIds.split(",").map((id) => id.trim()).filter(Boolean)
+      : null;
+  const counts = { queued: 0, running: 0, failed: 0 };
+  for (const row of jobQueue.countByStatus(req.authUserId)) {
+    counts[row.status] = Number(row.count);
+  }
+  const jobs = jobQueue.list({ userId: req.authUserId, photoIds, limit: JOB_LIST_MAX });
+  res.json({ counts, jobs: jobs.map(jobToResponse) });
+});
+
+// Every word must match, as a prefix so "sun" finds "sunset". Words are quoted so FTS5
+// operators in user input are searched for literally instead of parsed.
+const toFtsQuery = (text) => (text.match(/[\p{L}\p{N}]+/gu) || []).map((word) => `"${word}"*`).join(" ");
+
+const DISPLAY_WIDTH = "COALESCE(NULLIF(edited_width, 0), width)";
+const DISPLAY_HEIGHT = "COALESCE(NULLIF(edited_height, 0), height)";
+const ORIENTATION_CONDITIONS = {
+  landscape: `${DISPLAY_WIDTH} > ${DISPLAY_HEIGHT}`,
+  portrait: `${DISPLAY_WIDTH} < ${DISPLAY_HEIGHT}`,
+  square: `${DISPLAY_WIDTH} = ${DISPLAY_HEIGHT} AND width > 0`,
+};
+
+// Turns the search query string into SQL conditions. Every filter is optional; dates are
+// epoch milliseconds matched against the capture date (or upload date without EXIF).
+const readPhotoSearch = (store, query) => {
+  const conditions = ["deleted_at IS NULL"];
+  const params = {};
+  const text = typeof query.q === "string" ? toFtsQuery(query.q) : "";
+  if (text) {
+    conditions.push("rowid IN (SELECT rowid FROM photo_search WHERE photo_search MATCH @match)");
+    params.match = text;
+  }
+
+  const numberFilters = [
+    ["from", "COALESCE(taken_at, created_at) >= @from"],
+    ["to", "COALESCE(taken_at, created_at) <= @to"],
+    ["minSize", "size >= @minSize"],
+    ["maxSize", "size <= @maxSize"],
+  ];
+  for (const [name, condition] of numberFilters) {
+    if (query[name] === undefined || query[name] === "") {
+      continue;
+    }
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    conditions.push(condition);
+    params[name] = value;
+  }
+
+  if (typeof query.type === "string" && query.type) {
+    const types = query.type.toLowerCase().split(",").map((type) => (type.trim() === "jpg" ? "jpeg" : type.trim()));
+    if (!types.every((type) => /^[a-z0-9.+-]+$/.test(type))) {
+      return { error: "type must be a comma-separated list of image or video types such as jpeg,png,mp4" };
+    }
+    conditions.push(
+      "mime_type IN (SELECT 'image/' || value FROM json_each(@types) UNION SELECT 'video/' || value FROM json_each(@types))"
+    );
+    params.types = JSON.stringify(types);
+  }
+
+  if (query.orientation !== undefined && query.orientation !== "") {
+    const condition = ORIENTATION_CONDITIONS[query.orientation];
+    if (!condition) {
+      return { error: "orientation must be landscape, portrait or square" };
+    }
+    conditions.push(condition);
+  }
+
+  if (query.hasLocation !== undefined && query.hasLocation !== "") {
+    if (query.hasLocation !== "true" && query.hasLocation !== "false") {
+      return { error: "hasLocation must be true or false" };
+    }
+    conditions.push(query.hasLocation === "true" ? "latitude IS NOT NULL" : "latitude IS NULL");
+  }
+
+  if (query.favorite !== undefined && query.favorite !== "") {
+    if (query.favorite !== "true" && query.favorite !== "false") {
+      return { error: "favorite must be true or false" };
+    }
+    conditions.push(query.favorite === "true" ? "favorite = 1" : "favorite = 0");
+  }
+
+  const albumId = typeof query.album === "string" ? query.album.trim() : "";
+  if (albumId) {
+    if (!store.getAlbum.get(albumId)) {
+      return { error: "Album not found", status: 404 };
+    }
+    conditions.push("id IN (SELECT photo_id FROM album_photos WHERE album_id = @album_id)");
+    params.album_id = albumId;
+  }
+
+  return { where: conditions.join(" AND "), params };
+};
+
+app.get("/api/photos/search", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const search = readPhotoSearch(store, req.query);
+  if (search.error) {
+    res.status(search.status || 400).json({ error: search.error });
+    return;
+  }
+  const page = readPhotoPage({ ...req.query, limit: req.query.limit || "200" });
+  if (page.error) {
+    res.status(400).json({ error: page.error });
+    return;
+  }
+
+  const rows = store.db
+    .prepare(`
+      SELECT ${PHOTO_COLUMNS}, COALESCE(taken_at, created_at) AS sort_key
+      FROM photos
+      WHERE ${search.where}
+        AND (@cursor_key IS NULL OR (COALESCE(taken_at, created_at), id) < (@cursor_key, @cursor_id))
+      ORDER BY COALESCE(taken_at, created_at) DESC, id DESC
+      LIMIT @limit
+    `)
+    .all({
+      ...search.params,
+      cursor_key: page.cursor ? page.cursor[0] : null,
+      cursor_id: page.cursor ? page.cursor[1] : null,
+      limit: page.limit + 1,
+    });
+  const hasMore = rows.length > page.limit;
+  const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+  const total = store.db.prepare(`SELECT COUNT(*) AS count FROM photos WHERE ${search.where}`).get(search.params).count;
+  res.json({
+    photos: pageRows.map((photo) => photoToResponse(store, photo)),
+    nextCursor: hasMore ? encodePhotoCursor(last.sort_key, last.id) : null,
+    total: Number(total),
+  });
+});
+
+// Geotagged photos are grouped on a grid of square cells, about a quarter of a 256px map tile
+// at the requested zoom, so the response stays small however many photos are in view.
+const GEO_CELLS_PER_TILE = 4;
+const GEO_MAX_ZOOM = 22;
+
+const readGeoBounds = (query) => {
+  const bounds = {};
+  for (const [name, limit] of [["west", 180], ["south", 90], ["east", 180], ["north", 90]]) {
+    const value = Number(query[name]);
+    if (query[name] === undefined || query[name] === "" || !Number.isFinite(value) || Math.abs(value) > limit) {
+      return { error: `${name} must be a number between -${limit} and ${limit}` };
+    }
+    bounds[name] = value;
+  }
+  if (bounds.south > bounds.north) {
+    return { error: "south must not be greater than north" };
+  }
+  const zoom = Number(query.zoom ?? 0);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > GEO_MAX_ZOOM) {
+    return { error: `zoom must be an integer between 0 and ${GEO_MAX_ZOOM}` };
+  }
+  return { bounds, zoom };
+};
+
+app.get("/api/photos/geo", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const geo = readGeoBounds(req.query);
+  if (geo.error) {
+    res.status(400).json({ error: geo.error });
+    return;
+  }
+  const { bounds, zoom } = geo;
+  // A box whose west edge is east of its east edge crosses the antimeridian.
+  const longitudeCondition =
+    bounds.west <= bounds.east ? "longitude BETWEEN @west AND @east" : "(longitude >= @west OR longitude <= @east)";
+  // The bare id and filename columns come from the newest photo in each cell, next to MAX().
+  const clusters = store.db
+    .prepare(`
+      SELECT CAST((longitude + 180) / @cell AS INTEGER) AS cell_x,
+             CAST((latitude + 90) / @cell AS INTEGER) AS cell_y,
+             COUNT(*) AS count,
+             AVG(latitude) AS latitude, AVG(longitude) AS longitude,
+             MIN(latitude) AS south, MAX(latitude) AS north,
+             MIN(longitude) AS west, MAX(longitude) AS east,
+             MAX(COALESCE(taken_at, created_at)) AS sort_key,
+             id, name, filename, edited_filename
+      FROM photos
+      WHERE deleted_at IS NULL
+        AND latitude BETWEEN @south AND @north
+        AND ${longitudeCondition}
+      GROUP BY cell_x, cell_y
+    `)
+    .all({ ...bounds, cell: 360 / 2 ** zoom / GEO_CELLS_PER_TILE });
+  res.json({
+    zoom,
+    total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+    clusters: clusters.map((cluster) => ({
+      latitude: cluster.latitude,
+      longitude: cluster.longitude,
+      count: cluster.count,
+      bounds: { west: cluster.west, south: cluster.south, east: cluster.east, north: cluster.north },
+      photo: { id: cluster.id, name: cluster.name, thumbnailUrl: signThumbnailUrl(store, cluster) },
+    })),
+  });
+});
+
+app.get("/api/photos/duplicates", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const requested = Number(req.query.threshold);
+  const threshold = Number.isFinite(requested) ? Math.max(0, Math.min(32, Math.round(requested))) : SIMILARITY_THRESHOLD;
+  const groups = findDuplicateGroups(store.listPhotosWithHashes.all(), threshold).map((group) => ({
+    kind: group.kind,
+    distance: group.distance,
+    photos: group.photos.map((photo) => photoToResponse(store, photo)),
+  }));
+  res.json({ threshold, groups });
+});
+
+app.delete("/api/photos/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found" });
+    return;
+  }
+
+  // Files stay on disk until the photo is purged from the trash.
+  store.trashPhoto.run(Date.now(), photo.id);
+  publishPhotoEvent(store, "photo.deleted", photo.id);
+  res.status(204).send();
+});
+
+app.post("/api/photos/batch-delete", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photoIds = readPhotoIds(req.body);
+  if (!photoIds.length) {
+    res.status(400).json({ error: "photoIds must be a non-empty array" });
+    return;
+  }
+
+  const trashPhotos = store.db.transaction((ids) => {
+    const now = Date.now();
+    const trashed = [];
+    const missing = [];
+    for (const photoId of ids) {
+      if (store.trashPhoto.run(now, photoId).changes) {
+        trashed.push(photoId);
+      } else {
+        missing.push(photoId);
+      }
+    }
+    return { trashed, missing };
+  });
+
+  const result = trashPhotos(photoIds);
+  for (const photoId of result.trashed) {
+    publishPhotoEvent(store, "photo.deleted", photoId);
+  }
+  res.json(result);
+});
+
+app.post("/api/photos/batch-restore", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photoIds = readPhotoIds(req.body);
+  if (!photoIds.length) {
+    res.status(400).json({ error: "photoIds must be a non-empty array" });
+    return;
+  }
+
+  const restorePhotos = store.db.transaction((ids) => {
+    const restored = [];
+    const missing = [];
+    for (const photoId of ids) {
+      if (store.restorePhoto.run(photoId).changes) {
+        restored.push(photoId);
+      } else {
+        missing.push(photoId);
+      }
+    }
+    return { restored, missing };
+  });
+
+  const result = restorePhotos(photoIds);
+  for (const photoId of result.restored) {
+    publishPhotoEvent(store, "photo.added", photoId);
+  }
+  res.json(result);
+});
+
+app.post("/api/photos/:id/restore", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || !photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found in trash" });
+    return;
+  }
+
+  store.restorePhoto.run(photo.id);
+  publishPhotoEvent(store, "photo.added", photo.id);
+  res.json({ photo: photoToResponse(store, { ...photo, deleted_at: null }) });
+});
+
+app.get("/api/trash", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photos = store.listTrashedPhotos.all().map((photo) => photoToResponse(store, photo));
+  res.json({
+    retentionMs: TRASH_RETENTION_MS,
+    photos,
+  });
+});
+
+app.delete("/api/trash/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || !photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found in trash" });
+    return;
+  }
+
+  purgePhoto(store, photo);
+  res.status(204).send();
+});
+
+app.delete("/api/trash", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photos = store.listTrashedPhotos.all();
+  for (const photo of photos) {
+    purgePhoto(store, photo);
+  }
+  res.json({ purged: photos.length });
+});
+
+app.get("/api/photos/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found" });
+    return;
+  }
+  res.json({ photo: photoToResponse(store, photo) });
+});
+
+const MAX_CAPTION_LENGTH = 2000;
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+// Trims tags and drops empty and repeated ones (ignoring case), keeping the first spelling.
+const readPhotoTags = (value) => {
+  if (!Array.isArray(value) || !value.every((tag) => typeof tag === "string")) {
+    return { error: "tags must be an array of strings" };
+  }
+  const seen = new Set();
+  const tags = [];
+  for (const tag of value.map((candidate) => candidate.trim().replace(/\s+/g, " "))) {
+    if (tag && !seen.has(tag.toLowerCase())) {
+      seen.add(tag.toLowerCase());
+      tags.push(tag);
+    }
+  }
+  if (tags.length > MAX_TAGS || tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters are allowed` };
+  }
+  return { tags };
+};
+
+const MAX_PHOTO_NAME_LENGTH = 255;
+
+// A new name without an extension keeps the current one, so downloads still open in the
+// right application.
+const readPhotoName = (value, currentName) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return { error: "name must be a non-empty string" };
+  }
+  const name = value.trim();
+  if (/[\\/\x00-\x1f]/.test(name)) {
+    return { error: "name must not contain slashes or control characters" };
+  }
+  const withExtension = path.extname(name) ? name : `${name}${path.extname(currentName)}`;
+  if (withExtension.length > MAX_PHOTO_NAME_LENGTH) {
+    return { error: `name must be at most ${MAX_PHOTO_NAME_LENGTH} characters` };
+  }
+  return { name: withExtension };
+};
+
+const savePhotoDetails = (store, details, tags) => {
+  store.db.transaction(() => {
+    store.updatePhotoDetails.run(details);
+    if (tags) {
+      store.deletePhotoTags.run(details.id);
+      tags.forEach((tag, position) => store.insertPhotoTag.run({ photo_id: details.id, tag, position }));
+    }
+  })();
+};
+
+app.get("/api/tags", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  res.json({ tags: store.listTagCounts.all() });
+});
+
+app.patch("/api/photos/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found" });
+    return;
+  }
+  const { name, caption, tags, favorite, hideLocation } = req.body ?? {};
+  let nextName = photo.name;
+  if (name !== undefined) {
+    const parsed = readPhotoName(name, photo.name);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    nextName = parsed.name;
+  }
+  if (favorite !== undefined && typeof favorite !== "boolean") {
+    res.status(400).json({ error: "favorite must be true or false" });
+    return;
+  }
+  if (hideLocation !== undefined && typeof hideLocation !== "boolean") {
+    res.status(400).json({ error: "hideLocation must be true or false" });
+    return;
+  }
+  if (caption !== undefined && caption !== null && typeof caption !== "string") {
+    res.status(400).json({ error: "caption must be a string" });
+    return;
+  }
+  const nextCaption = caption === undefined ? photo.caption : caption?.trim() || null;
+  if (nextCaption && nextCaption.length > MAX_CAPTION_LENGTH) {
+    res.status(400).json({ error: `caption must be at most ${MAX_CAPTION_LENGTH} characters` });
+    return;
+  }
+  let nextTags = null;
+  if (tags !== undefined) {
+    const parsed = readPhotoTags(tags);
+    if (parsed.error) {
+      res.status(400).json({ error: parsed.error });
+      return;
+    }
+    nextTags = parsed.tags;
+  }
+  savePhotoDetails(
+    store,
+    {
+      id: photo.id,
+      name: nextName,
+      caption: nextCaption,
+      favorite: favorite === undefined ? photo.favorite : Number(favorite),
+      hide_location: hideLocation === undefined ? photo.hide_location : Number(hideLocation),
+      tags: nextTags ? (nextTags.length ? JSON.stringify(nextTags) : null) : photo.tags,
+    },
+    nextTags
+  );
+  publishPhotoEvent(store, "photo.updated", photo.id);
+  res.json({ photo: photoToResponse(store, store.getPhoto.get(photo.id)) });
+});
+
+app.post("/api/photos/:id/edits", requireAuth, async (req, res, next) => {
+  try {
+    const store = getUserStore(req.authUserId);
+    const photo = store.getPhoto.get(req.params.id);
+    if (!photo || photo.deleted_at) {
+      res.status(404).json({ error: "Photo not found" });
+      return;
+    }
+    if (isVideoPhoto(photo)) {
+      res.status(400).json({ error: "Videos cannot be edited" });
+      return;
+    }
+    const edits = readEditStack(req.body?.edits);
+
+    let editedFilename = null;
+    let size = { width: null, height: null };
+    if (edits.length) {
+      editedFilename = `edit-${replaceFileExtension(createStoredFilename(photo.name), ".jpg")}`;
+      size = await renderEditedPhoto(
+        path.join(store.uploadsDir, photo.filename),
+        path.join(store.uploadsDir, editedFilename),
+        edits
+      );
+    }
+
+    // Re-read after rendering: a concurrent save may have replaced the render
+    // this request is about to supersede.
+    const current = store.getPhoto.get(photo.id);
+    if (!current) {
+      removeEditedFiles(store, { edited_filename: editedFilename });
+      res.status(404).json({ error: "Photo not found" });
+      return;
+    }
+    store.updatePhotoEdits.run({
+      id: photo.id,
+      edits: edits.length ? JSON.stringify(edits) : null,
+      edited_filename: editedFilename,
+      edited_at: edits.length ? Date.now() : null,
+      edited_width: size.width,
+      edited_height: size.height,
+    });
+    removeEditedFiles(store, current);
+    if (editedFilename) {
+      jobQueue.enqueue(store.userId, photo.id, ["thumbnails"]);
+    }
+    publishPhotoEvent(store, "photo.updated", photo.id);
+    res.json({ photo: photoToResponse(store, store.getPhoto.get(photo.id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete("/api/photos/:id/edits", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo || photo.deleted_at) {
+    res.status(404).json({ error: "Photo not found" });
+    return;
+  }
+  store.updatePhotoEdits.run({
+    id: photo.id,
+    edits: null,
+    edited_filename: null,
+    edited_at: null,
+    edited_width: null,
+    edited_height: null,
+  });
+  removeEditedFiles(store, photo);
+  publishPhotoEvent(store, "photo.updated", photo.id);
+  res.json({ photo: photoToResponse(store, store.getPhoto.get(photo.id)) });
+});
+
+app.get("/api/photos/:id/download", requireMediaAccess((req) => `download/${req.params.id}`), (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const photo = store.getPhoto.get(req.params.id);
+  if (!photo) {
+    res.status(404).json({ error: "Photo not found" });
     return;
   }
 
-  const computed = hashPassword(password, user.password_salt);
-  if (!safeCompareHex(computed.hashHex, user.password_hash)) {
-    res.status(401).json({ code: "INVALID_PASSWORD", error: "Incorrect password." });
+  const wantsOriginal = isTruthyFlag(req.query.original);
+  const filePath = path.join(store.uploadsDir, wantsOriginal ? photo.filename : displayFilename(photo));
+  if (!fs.existsSync(filePath)) {
+    res.status(404).json({ error: "File missing on disk" });
     return;
   }
 
-  const token = issueToken(user.id);
-  getUserStore(user.id);
-  res.json({
-    token,
-    user: {
-      id: user.id,
-      username: user.username,
-      storageFolder: `users/${user.id}`,
-    },
-  });
+  res.download(filePath, wantsOriginal ? photo.name : displayName(photo));
 });
 
-app.post("/api/auth/register", (req, res) => {
-  const loginId = typeof req.body?.loginId === "string" ? req.body.loginId.trim() : "";
-  const password = typeof req.body?.password === "string" ? req.body.password : "";
+app.get("/api/albums", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const albums = store.listAlbums.all().map((album) => albumToResponse(store, album));
+  res.json({ albums });
+});
 
-  if (!loginId || !password) {
-    res.status(400).json({ error: "loginId and password are required" });
+app.post("/api/albums", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const name = readAlbumName(req.body);
+  if (!name) {
+    res.status(400).json({ error: "Album name is required" });
+    return;
+  }
+  if (name.length > 120) {
+    res.status(400).json({ error: "Album name must be at most 120 characters" });
+    return;
+  }
+  if (store.findAlbumByName.get(name)) {
+    res.status(409).json({ code: "ALBUM_EXISTS", error: "An album with this name already exists." });
+    return;
+  }
+
+  const now = Date.now();
+  const id = randomUUID();
+  store.insertAlbum.run({ id, name, created_at: now, updated_at: now });
+  res.status(201).json({
+    album: albumToResponse(store, { id, name, created_at: now, updated_at: now, photo_count: 0 }),
+  });
+});
+
+app.patch("/api/albums/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const album = store.getAlbum.get(req.params.id);
+  if (!album) {
+    res.status(404).json({ error: "Album not found" });
     return;
   }
-  if (loginId.length < 3) {
-    res.status(400).json({ error: "loginId must be at least 3 characters" });
+  const name = readAlbumName(req.body);
+  if (!name) {
+    res.status(400).json({ error: "Album name is required" });
     return;
   }
-  if (password.length < 6) {
-    res.status(400).json({ error: "password must be at least 6 characters" });
+  if (name.length > 120) {
+    res.status(400).json({ error: "Album name must be at most 120 characters" });
     return;
   }
-  if (findUserByUsernameStmt.get(loginId)) {
-    res.status(409).json({ code: "USER_EXISTS", error: "Username already exists. Please choose a unique username." });
+  const existing = store.findAlbumByName.get(name);
+  if (existing && existing.id !== album.id) {
+    res.status(409).json({ code: "ALBUM_EXISTS", error: "An album with this name already exists." });
     return;
   }
 
-  const baseId = normalizeUserId(loginId);
-  let userId = baseId;
-  let suffix = 2;
-  while (findUserByIdStmt.get(userId)) {
-    userId = `${baseId}-${suffix}`;
-    suffix += 1;
+  store.renameAlbum.run({ id: album.id, name, updated_at: Date.now() });
+  const updated = store.listAlbums.all().find((row) => row.id === album.id);
+  res.json({ album: albumToResponse(store, updated) });
+});
+
+app.delete("/api/albums/:id", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  if (!store.getAlbum.get(req.params.id)) {
+    res.status(404).json({ error: "Album not found" });
+    return;
+  }
+  // Photos stay in the library; only the album and its links are removed.
+  const memberIds = store.listPhotosInAlbum.all(req.params.id).map((photo) => photo.id);
+  store.deleteAlbum.run(req.params.id);
+  deleteSharesForTargetStmt.run(req.authUserId, "album", req.params.id);
+  for (const photoId of memberIds) {
+    publishPhotoEvent(store, "photo.updated", photoId);
   }
+  res.status(204).send();
+});
 
-  const { saltHex, hashHex } = hashPassword(password);
-  insertUserStmt.run({
-    id: userId,
-    username: loginId,
-    password_salt: saltHex,
-    password_hash: hashHex,
-    created_at: Date.now(),
-  });
+app.post("/api/albums/:id/photos", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const album = store.getAlbum.get(req.params.id);
+  if (!album) {
+    res.status(404).json({ error: "Album not found" });
+    return;
+  }
+  const photoIds = readPhotoIds(req.body);
+  if (!photoIds.length) {
+    res.status(400).json({ error: "photoIds must be a non-empty array" });
+    return;
+  }
 
-  getUserStore(userId);
-  res.status(201).json({
-    message: "Account created successfully. Please sign in.",
-    user: {
-      id: userId,
-      username: loginId,
-      storageFolder: `users/${userId}`,
-    },
+  const now = Date.now();
+  const addPhotos = store.db.transaction((ids) => {
+    const addedIds = [];
+    for (const photoId of ids) {
+      const photo = store.getPhoto.get(photoId);
+      if (!photo || photo.deleted_at) {
+        continue;
+      }
+      if (store.addPhotoToAlbum.run(album.id, photoId, now).changes) {
+        addedIds.push(photoId);
+      }
+    }
+    store.touchAlbum.run(now, album.id);
+    return addedIds;
   });
+
+  const addedIds = addPhotos(photoIds);
+  for (const photoId of addedIds) {
+    publishPhotoEvent(store, "photo.updated", photoId);
+  }
+  const updated = store.listAlbums.all().find((row) => row.id === album.id);
+  res.json({ added: addedIds.length, album: albumToResponse(store, updated) });
 });
 
-app.get("/api/auth/me", requireAuth, (req, res) => {
-  ensureDefaultUser();
-  const user = findUserByIdStmt.get(req.authUserId);
-  if (!user) {
-    res.status(401).json({ error: "Unauthorized" });
+app.post("/api/albums/:id/photos/remove", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const album = store.getAlbum.get(req.params.id);
+  if (!album) {
+    res.status(404).json({ error: "Album not found" });
     return;
   }
-  res.json({
-    user: {
-      id: user.id,
-      username: user.username,
-      storageFolder: `users/${user.id}`,
-    },
+  const photoIds = readPhotoIds(req.body);
+  if (!photoIds.length) {
+    res.status(400).json({ error: "photoIds must be a non-empty array" });
+    return;
+  }
+
+  const removePhotos = store.db.transaction((ids) => {
+    const removedIds = ids.filter((photoId) => store.removePhotoFromAlbum.run(album.id, photoId).changes);
+    store.touchAlbum.run(Date.now(), album.id);
+    return removedIds;
   });
-});
 
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true });
+  const removedIds = removePhotos(photoIds);
+  for (const photoId of removedIds) {
+    publishPhotoEvent(store, "photo.updated", photoId);
+  }
+  const updated = store.listAlbums.all().find((row) => row.id === album.id);
+  res.json({ removed: removedIds.length, album: albumToResponse(store, updated) });
 });
 
-app.get("/api/photos", requireAuth, (req, res) => {
+app.delete("/api/albums/:id/photos/:photoId", requireAuth, (req, res) => {
   const store = getUserStore(req.authUserId);
-  const photos = store.listPhotos.all().map((photo) => photoToResponse(store, photo, req.authToken));
-  res.json({
-    user: {
-      id: req.authUserId,
-      storageFolder: `users/${req.authUserId}`,
-    },
-    photos,
-  });
+  const album = store.getAlbum.get(req.params.id);
+  if (!album) {
+    res.status(404).json({ error: "Album not found" });
+    return;
+  }
+  const result = store.removePhotoFromAlbum.run(album.id, req.params.photoId);
+  if (!result.changes) {
+    res.status(404).json({ error: "Photo is not in this album" });
+    return;
+  }
+  store.touchAlbum.run(Date.now(), album.id);
+  publishPhotoEvent(store, "photo.updated", req.params.photoId);
+  res.status(204).send();
 });
 
-app.post("/api/photos", requireAuth, upload.array("photos"), async (req, res, next) => {
-  try {
+app.post(
+  "/api/photos/export",
+  express.urlencoded({ extended: false }),
+  requireAuthOrInlineToken,
+  (req, res) => {
     const store = getUserStore(req.authUserId);
-    const files = req.files || [];
-    const now = Date.now();
-    const created = [];
+    const photoIds = readPhotoIds(req.body);
+    if (!photoIds.length) {
+      res.status(400).json({ error: "photoIds must be a non-empty array" });
+      return;
+    }
+    const photos = photoIds
+      .map((photoId) => store.getPhoto.get(photoId))
+      .filter((photo) => photo && !photo.deleted_at);
+    if (!photos.length) {
+      res.status(404).json({ error: "No photos found to export" });
+      return;
+    }
 
-    for (const file of files) {
-      const id = randomUUID();
-      let storedFilename = file.filename;
-      let storedMimeType = file.mimetype;
-      let storedSize = file.size;
-      let storedName = file.originalname;
-
-      if (isHeicLike(file.originalname, file.mimetype)) {
-        const sourcePath = path.join(store.uploadsDir, file.filename);
-        const convertedFilename = replaceFileExtension(file.filename, ".jpg");
-        const convertedPath = path.join(store.uploadsDir, convertedFilename);
-        try {
-          await convertImageToJpeg(sourcePath, convertedPath);
-          fs.unlinkSync(sourcePath);
-          storedFilename = convertedFilename;
-          storedMimeType = "image/jpeg";
-          storedSize = fs.statSync(convertedPath).size;
-          storedName = replaceDisplayExtension(file.originalname, ".jpg");
-        } catch (error) {
-          if (fs.existsSync(sourcePath)) {
-            fs.unlinkSync(sourcePath);
-          }
-          throw new Error(
-            `HEIC conversion failed for '${file.originalname}'. Install HEIF/HEIC support on this server.`
-          );
-        }
-      }
+    streamPhotoArchive(req, res, store, photos, {
+      includeManifest: isTruthyFlag(req.body?.manifest),
+      archiveName: `photos-${new Date().toISOString().slice(0, 10)}.zip`,
+    });
+  }
+);
 
-      store.insertPhoto.run({
-        id,
-        name: storedName,
-        filename: storedFilename,
-        mime_type: storedMimeType,
-        size: storedSize,
-        created_at: now,
-      });
-      try {
-        await ensureThumbnail(store.uploadsDir, storedFilename);
-      } catch (error) {
-        // Keep upload successful even if thumbnail generation is unsupported.
-        console.warn(`Thumbnail generation skipped for ${file.filename}: ${error.message}`);
-      }
-      created.push(
-        photoToResponse(store, {
-          id,
-          name: storedName,
-          filename: storedFilename,
-          created_at: now,
-        }, req.authToken)
-      );
+const exportLibrary = (req, res) => {
+  const store = getUserStore(req.authUserId);
+  streamPhotoArchive(req, res, store, store.listPhotos.all(), {
+    includeManifest: isTruthyFlag(req.body?.manifest ?? req.query.manifest),
+    archiveName: `${req.authUserId}-library-${new Date().toISOString().slice(0, 10)}.zip`,
+  });
+};
+
+// The app posts a form, as for selected photos; API clients can GET with an Authorization header.
+app.get("/api/export", requireAuth, exportLibrary);
+app.post("/api/export", express.urlencoded({ extended: false }), requireAuthOrInlineToken, exportLibrary);
+
+const shareError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+const readShareInput = (store, body) => {
+  const photoId = typeof body?.photoId === "string" ? body.photoId.trim() : "";
+  const albumId = typeof body?.albumId === "string" ? body.albumId.trim() : "";
+  if (Boolean(photoId) === Boolean(albumId)) {
+    throw shareError("Provide either photoId or albumId");
+  }
+  if (photoId) {
+    const photo = store.getPhoto.get(photoId);
+    if (!photo || photo.deleted_at) {
+      throw shareError("Photo not found", 404);
     }
+  } else if (!store.getAlbum.get(albumId)) {
+    throw shareError("Album not found", 404);
+  }
 
-    res.status(201).json({
-      user: {
-        id: req.authUserId,
-        storageFolder: `users/${req.authUserId}`,
-      },
-      photos: created,
-    });
-  } catch (error) {
-    next(error);
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    expiresAt = Number(body.expiresAt);
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+      throw shareError("expiresAt must be a timestamp in the future");
+    }
+  }
+
+  const password = typeof body.password === "string" ? body.password : "";
+  return {
+    kind: photoId ? "photo" : "album",
+    target_id: photoId || albumId,
+    expires_at: expiresAt,
+    password,
+    allow_download: isTruthyFlag(body.allowDownload) ? 1 : 0,
+  };
+};
+
+// Returns the shared photo or album row, or null once the target is gone.
+const getShareTarget = (store, share) => {
+  if (share.kind === "album") {
+    return store.getAlbum.get(share.target_id) ?? null;
+  }
+  const photo = store.getPhoto.get(share.target_id);
+  return photo && !photo.deleted_at ? photo : null;
+};
+
+const shareToResponse = (store, share) => {
+  const target = getShareTarget(store, share);
+  return {
+    token: share.token,
+    kind: share.kind,
+    targetId: share.target_id,
+    targetName: target?.name ?? null,
+    path: `/s/${share.token}`,
+    createdAt: share.created_at,
+    expiresAt: share.expires_at ?? null,
+    expired: Boolean(share.expires_at && share.expires_at <= Date.now()),
+    hasPassword: Boolean(share.password_hash),
+    allowDownload: Boolean(share.allow_download),
+  };
+};
+
+// Proof that a visitor typed the share password. It is tied to the password
+// hash, so changing the password or revoking the share invalidates it.
+const createShareAccess = (share) => bufferToBase64Url(signValue(`share.${share.token}.${share.password_hash}`));
+
+const hasShareAccess = (share, access) => {
+  if (!share.password_hash) {
+    return true;
+  }
+  if (typeof access !== "string" || !access) {
+    return false;
+  }
+  const received = base64UrlToBuffer(access);
+  const expected = signValue(`share.${share.token}.${share.password_hash}`);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+// Resolves a public share request, or answers it with the reason it cannot be served.
+const resolvePublicShare = (req, res, { checkAccess = true } = {}) => {
+  const share = findShareStmt.get(req.params.token);
+  const owner = share && findUserByIdStmt.get(share.user_id);
+  const store = owner && !owner.disabled_at ? getUserStore(share.user_id) : null;
+  const target = store && getShareTarget(store, share);
+  if (!target) {
+    res.status(404).json({ error: "Share not found" });
+    return null;
+  }
+  if (share.expires_at && share.expires_at <= Date.now()) {
+    res.status(410).json({ error: "This share link has expired" });
+    return null;
+  }
+  if (checkAccess && !hasShareAccess(share, req.query.access)) {
+    res.status(401).json({ error: "Password required", passwordRequired: true });
+    return null;
   }
+  return { share, store, target };
+};
+
+const listSharedPhotos = (store, share) =>
+  share.kind === "album" ? store.listPhotosInAlbum.all(share.target_id) : [store.getPhoto.get(share.target_id)];
+
+const sharedPhotoToResponse = (store, share, photo, access) => {
+  const basePath = `/api/public/shares/${share.token}/photos/${photo.id}`;
+  const query = access ? `?access=${encodeURIComponent(access)}` : "";
+  const filename = displayFilename(photo);
+  return {
+    id: photo.id,
+    name: displayName(photo),
+    url: `${basePath}/image${query}`,
+    thumbnailUrl: fs.existsSync(thumbnailPathFromOriginal(store.uploadsDir, filename))
+      ? `${basePath}/thumbnail${query}`
+      : isVideoPhoto(photo)
+        ? null
+        : `${basePath}/image${query}`,
+    downloadUrl: share.allow_download ? `${basePath}/download${query}` : null,
+    mediaType: isVideoPhoto(photo) ? "video" : "image",
+    durationMs: photo.duration_ms ?? null,
+    addedAt: photo.created_at,
+    takenAt: photo.taken_at ?? null,
+    width: photo.edited_width || photo.width || null,
+    height: photo.edited_height || photo.height || null,
+  };
+};
+
+app.post("/api/shares", requireAuth, (req, res) => {
+  const store = getUserStore(req.authUserId);
+  const input = readShareInput(store, req.body);
+  const { saltHex, hashHex } = input.password ? hashPassword(input.password) : {};
+  const share = {
+    token: bufferToBase64Url(randomBytes(18)),
+    user_id: req.authUserId,
+    kind: input.kind,
+    target_id: input.target_id,
+    created_at: Date.now(),
+    expires_at: input.expires_at,
+    password_salt: saltHex ?? null,
+    password_hash: hashHex ?? null,
+    allow_download: input.allow_download,
+  };
+  insertShareStmt.run(share);
+  res.status(201).json({ share: shareToResponse(store, share) });
 });
 
-app.delete("/api/photos/:id", requireAuth, (req, res) => {
+app.get("/api/shares", requireAuth, (req, res) => {
   const store = getUserStore(req.authUserId);
-  const photo = store.getPhoto.get(req.params.id);
-  if (!photo) {
-    res.status(404).json({ error: "Photo not found" });
+  const photoId = typeof req.query.photoId === "string" ? req.query.photoId : "";
+  const albumId = typeof req.query.albumId === "string" ? req.query.albumId : "";
+  const shares = listSharesForUserStmt.all({
+    user_id: req.authUserId,
+    kind: photoId ? "photo" : albumId ? "album" : null,
+    target_id: photoId || albumId || null,
+  });
+  res.json({ shares: shares.map((share) => shareToResponse(store, share)) });
+});
+
+app.delete("/api/shares/:token", requireAuth, (req, res) => {
+  const result = deleteShareStmt.run(req.params.token, req.authUserId);
+  if (result.changes === 0) {
+    res.status(404).json({ error: "Share not found" });
     return;
   }
+  res.status(204).send();
+});
 
-  const filePath = path.join(store.uploadsDir, photo.filename);
-  const thumbnailPath = thumbnailPathFromOriginal(store.uploadsDir, photo.filename);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+app.get("/api/public/shares/:token", (req, res) => {
+  const resolved = resolvePublicShare(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { share, store, target } = resolved;
+  const access = share.password_hash ? req.query.access : null;
+  res.json({
+    share: {
+      kind: share.kind,
+      name: share.kind === "album" ? target.name : displayName(target),
+      createdAt: share.created_at,
+      expiresAt: share.expires_at ?? null,
+      allowDownload: Boolean(share.allow_download),
+    },
+    photos: listSharedPhotos(store, share).map((photo) => sharedPhotoToResponse(store, share, photo, access)),
+  });
+});
+
+app.post("/api/public/shares/:token/access", (req, res) => {
+  const resolved = resolvePublicShare(req, res, { checkAccess: false });
+  if (!resolved) {
+    return;
   }
-  if (fs.existsSync(thumbnailPath)) {
-    fs.unlinkSync(thumbnailPath);
+  const { share } = resolved;
+  // Share passwords get the same lockouts as sign-in, counted apart from it.
+  const now = Date.now();
+  const ipKey = `share-ip:${req.ip}`;
+  const shareKey = `share:${share.token}`;
+  if (
+    share.password_hash &&
+    loginLockout.rejectLockedOut(res, [ipKey, shareKey], now, "Too many incorrect passwords. Try again later.")
+  ) {
+    return;
   }
-  store.deletePhoto.run(req.params.id);
-  res.status(204).send();
+  const password = typeof req.body?.password === "string" ? req.body.password : "";
+  if (share.password_hash && !safeCompareHex(hashPassword(password, share.password_salt).hashHex, share.password_hash)) {
+    loginLockout.recordFailure(ipKey, LOGIN_MAX_ATTEMPTS_PER_IP, now);
+    loginLockout.recordFailure(shareKey, LOGIN_MAX_ATTEMPTS, now);
+    res.status(401).json({ error: "Incorrect password", passwordRequired: true });
+    return;
+  }
+  loginLockout.reset(shareKey);
+  res.json({ access: share.password_hash ? createShareAccess(share) : null });
 });
 
-app.get("/api/photos/:id/download", requireAuth, (req, res) => {
-  const store = getUserStore(req.authUserId);
-  const photo = store.getPhoto.get(req.params.id);
-  if (!photo) {
+// Videos are copied stream for stream without their metadata. Players fetch a video in
+// many Range requests, so the copy is kept next to the original and reused.
+const sendVideoWithoutLocation = async (res, store, filePath, photo, asDownload) => {
+  const strippedPath = strippedVideoPath(store.uploadsDir, photo.filename);
+  if (!fs.existsSync(strippedPath)) {
+    const tempPath = path.join(store.incomingDir, `strip-${randomUUID()}${path.extname(photo.filename)}`);
+    try {
+      if (!(await writeVideoWithoutMetadata(filePath, tempPath))) {
+        res.status(503).json({ error: "This server cannot remove the location from videos" });
+        return;
+      }
+      fs.renameSync(tempPath, strippedPath);
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+  if (asDownload) {
+    res.download(strippedPath, displayName(photo));
+    return;
+  }
+  res.sendFile(strippedPath);
+};
+
+// Re-encodes the original: sharp writes no EXIF unless asked to, which drops the GPS tags
+// along with the rest. The orientation tag goes too, so the pixels are rotated first.
+const sendWithoutLocation = async (res, filePath, photo, asDownload) => {
+  const image = sharp(filePath).rotate();
+  const buffer = await (photo.mime_type === "image/jpeg" ? image.jpeg({ quality: 92, mozjpeg: true }) : image).toBuffer();
+  res.type(photo.mime_type);
+  if (asDownload) {
+    res.attachment(displayName(photo));
+  }
+  res.send(buffer);
+};
+
+app.get("/api/public/shares/:token/photos/:photoId/:variant", (req, res, next) => {
+  const resolved = resolvePublicShare(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { share, store } = resolved;
+  const { variant } = req.params;
+  const photo = listSharedPhotos(store, share).find((candidate) => candidate.id === req.params.photoId);
+  if (!photo || !["image", "thumbnail", "download"].includes(variant)) {
     res.status(404).json({ error: "Photo not found" });
     return;
   }
+  if (variant === "download" && !share.allow_download) {
+    res.status(403).json({ error: "Downloads are disabled for this share" });
+    return;
+  }
 
-  const filePath = path.join(store.uploadsDir, photo.filename);
+  const filename = displayFilename(photo);
+  const filePath =
+    variant === "thumbnail"
+      ? thumbnailPathFromOriginal(store.uploadsDir, filename)
+      : path.join(store.uploadsDir, filename);
   if (!fs.existsSync(filePath)) {
-    res.status(404).json({ error: "File missing on disk" });
+    res.status(404).json({ error: "File not found" });
     return;
   }
-
-  res.download(filePath, photo.name);
+  // Thumbnails and edit renders are written without metadata, so only originals need stripping.
+  if (photo.hide_location && variant !== "thumbnail" && isVideoPhoto(photo)) {
+    sendVideoWithoutLocation(res, store, filePath, photo, variant === "download").catch(next);
+    return;
+  }
+  if (photo.hide_location && variant !== "thumbnail" && !photo.edited_filename && photo.mime_type !== "image/gif") {
+    sendWithoutLocation(res, filePath, photo, variant === "download").catch(next);
+    return;
+  }
+  if (variant === "download") {
+    res.download(filePath, displayName(photo));
+    return;
+  }
+  res.sendFile(filePath);
 });
 
-app.get("/uploads/:filename", requireAuth, (req, res) => {
+app.get("/uploads/:filename", requireMediaAccess((req) => path.basename(req.params.filename)), (req, res) => {
   const store = getUserStore(req.authUserId);
   const filename = path.basename(req.params.filename);
   const filePath = path.join(store.uploadsDir, filename);
@@ -697,6 +4005,30 @@ app.get("/uploads/:filename", requireAuth, (req, res) => {
   res.sendFile(filePath);
 });
 
+// One URL per width; the format follows the Accept header, so responses vary on it.
+app.get(
+  "/renditions/:name",
+  requireMediaAccess((req) => `rendition/${path.basename(req.params.name)}`),
+  (req, res) => {
+    const store = getUserStore(req.authUserId);
+    const name = path.basename(req.params.name);
+    const accept = req.get("accept") || "";
+    // Browsers that can decode AVIF say so by name; a bare */* is not taken as a yes.
+    const format = RENDITION_FORMATS.find(
+      (candidate) =>
+        (candidate === RENDITION_FORMATS[RENDITION_FORMATS.length - 1] || accept.includes(candidate.mimeType)) &&
+        fs.existsSync(path.join(store.uploadsDir, `${name}${candidate.extension}`))
+    );
+    res.vary("Accept");
+    if (!/^r\d+-/.test(name) || !format) {
+      res.status(404).json({ error: "File not found" });
+      return;
+    }
+    res.type(format.mimeType);
+    res.sendFile(path.join(store.uploadsDir, `${name}${format.extension}`));
+  }
+);
+
 app.use((error, _req, res, _next) => {
   console.error(error);
   const status = error?.statusCode || error?.status || 400;
@@ -705,15 +4037,29 @@ app.use((error, _req, res, _next) => {
 
 app.listen(PORT, () => {
   ensureDefaultUser();
+  jobQueue.requeueRunning();
   const users = listUsersStmt.all();
   for (const user of users) {
-    const store = getUserStore(user.id);
-    migrateHeicPhotosToJpeg(store, user.id)
-      .then(() => backfillThumbnails(store))
-      .catch((error) => {
-        console.warn(`Startup media migration failed for ${user.id}: ${error.message}`);
-      });
+    try {
+      const queued = enqueueBackfillJobs(getUserStore(user.id));
+      if (queued) {
+        console.log(`Queued processing for ${queued} photo(s) of ${user.id}`);
+      }
+    } catch (error) {
+      console.warn(`Startup media backfill failed for ${user.id}: ${error.message}`);
+    }
   }
+  jobQueue.pump();
+  setInterval(jobQueue.pump, JOB_POLL_INTERVAL_MS).unref();
+  sweepTrash();
+  sweepStaleUploads();
+  deleteExpiredSessionsStmt.run(Date.now());
+  setInterval(() => {
+    sweepTrash();
+    sweepStaleUploads();
+    deleteExpiredSessionsStmt.run(Date.now());
+    loginLockout.sweep(Date.now());
+  }, TRASH_SWEEP_INTERVAL_MS).unref();
   console.log(`Local photo server running on http://localhost:${PORT}`);
   console.log(`Users path: ${usersDir}`);
   console.log(`Default login id: ${DEFAULT_USER_ID}`);
@@ -0,0 +1,162 @@
+// Image processing queue for every library, kept in SQLite so work survives a restart. A job
+// is queued, running or failed; finished jobs are deleted. Jobs for one photo run in the
+// order they were queued. A job that throws is retried with exponential backoff and marked
+// failed after `maxAttempts` tries.
+//
+// `handle(job)` does the work; `onSettled(job)` runs once a job has finished or failed for good.
+export const createJobQueue = (db, { handle, onSettled = () => {}, concurrency, maxAttempts, retryBaseMs }) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id TEXT NOT NULL,
+      photo_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      run_at INTEGER NOT NULL,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+  db.exec("CREATE INDEX IF NOT EXISTS idx_jobs_runnable ON jobs (status, run_at)");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_jobs_photo ON jobs (user_id, photo_id)");
+  // A waiting job reads the photo when it starts, so queueing the same work twice adds nothing.
+  db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_queued ON jobs (user_id, photo_id, kind) WHERE status = 'queued'");
+
+  const insertJobStmt = db.prepare(`
+    INSERT OR IGNORE INTO jobs (user_id, photo_id, kind, run_at, created_at, updated_at)
+    VALUES (@user_id, @photo_id, @kind, @now, @now, @now)
+  `);
+  const deleteFailedJobStmt = db.prepare(
+    "DELETE FROM jobs WHERE user_id = @user_id AND photo_id = @photo_id AND kind = @kind AND status = 'failed'"
+  );
+  // The oldest due job whose photo has no earlier job still waiting or running.
+  const findNextJobStmt = db.prepare(`
+    SELECT *
+    FROM jobs AS job
+    WHERE job.status = 'queued'
+      AND job.run_at <= ?
+      AND NOT EXISTS (
+        SELECT 1
+        FROM jobs AS prior
+        WHERE prior.user_id = job.user_id
+          AND prior.photo_id = job.photo_id
+          AND prior.id < job.id
+          AND prior.status IN ('queued', 'running')
+      )
+    ORDER BY job.id
+    LIMIT 1
+  `);
+  const startJobStmt = db.prepare(
+    "UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = ? WHERE id = ?"
+  );
+  // OR REPLACE: if the same work was queued again meanwhile, the retry takes its place.
+  const retryJobStmt = db.prepare(`
+    UPDATE OR REPLACE jobs
+    SET status = 'queued', run_at = @run_at, last_error = @last_error, updated_at = @now
+    WHERE id = @id
+  `);
+  const failJobStmt = db.prepare(
+    "UPDATE jobs SET status = 'failed', last_error = @last_error, updated_at = @now WHERE id = @id"
+  );
+  const deleteJobStmt = db.prepare("DELETE FROM jobs WHERE id = ?");
+  const requeueRunningJobsStmt = db.prepare("UPDATE OR REPLACE jobs SET status = 'queued' WHERE status = 'running'");
+  const listJobsForUserStmt = db.prepare(`
+    SELECT *
+    FROM jobs
+    WHERE user_id = @user_id
+      AND (@photo_ids IS NULL OR photo_id IN (SELECT value FROM json_each(@photo_ids)))
+    ORDER BY id
+    LIMIT @limit
+  `);
+  const countJobsForUserStmt = db.prepare(`
+    SELECT status, COUNT(*) AS count
+    FROM jobs
+    WHERE user_id = ?
+    GROUP BY status
+  `);
+  const hasPendingJobsStmt = db.prepare(`
+    SELECT 1
+    FROM jobs
+    WHERE user_id = ? AND photo_id = ? AND status IN ('queued', 'running')
+    LIMIT 1
+  `);
+  const deleteJobsForPhotoStmt = db.prepare("DELETE FROM jobs WHERE user_id = ? AND photo_id = ?");
+  const deleteJobsForUserStmt = db.prepare("DELETE FROM jobs WHERE user_id = ?");
+
+  let runningJobCount = 0;
+
+  const runJob = async (job) => {
+    try {
+      await handle(job);
+      deleteJobStmt.run(job.id);
+      onSettled(job);
+    } catch (error) {
+      const now = Date.now();
+      if (job.attempts >= maxAttempts) {
+        console.warn(`Job ${job.kind} failed for ${job.user_id}/${job.photo_id}: ${error.message}`);
+        failJobStmt.run({ id: job.id, last_error: error.message, now });
+        onSettled(job);
+        return;
+      }
+      // Exponential backoff: 5s, 10s, 20s, ... with the default base.
+      const delay = retryBaseMs * 2 ** (job.attempts - 1);
+      retryJobStmt.run({ id: job.id, run_at: now + delay, last_error: error.message, now });
+      setTimeout(pump, delay).unref();
+    }
+  };
+
+  // Claims the next due job and runs it. Returns a promise that settles once the job has
+  // finished, been put back for a retry or failed, or null when nothing is due.
+  const runNext = () => {
+    const now = Date.now();
+    const job = findNextJobStmt.get(now);
+    if (!job) {
+      return null;
+    }
+    startJobStmt.run(now, job.id);
+    return runJob({ ...job, attempts: job.attempts + 1 });
+  };
+
+  // Starts due jobs until the pool is full. Called when jobs are queued, when one finishes,
+  // and on a timer for retries whose backoff has passed.
+  const pump = () => {
+    while (runningJobCount < concurrency) {
+      const running = runNext();
+      if (!running) {
+        return;
+      }
+      runningJobCount += 1;
+      running.finally(() => {
+        runningJobCount -= 1;
+        pump();
+      });
+    }
+  };
+
+  const enqueue = (userId, photoId, kinds) => {
+    db.transaction(() => {
+      for (const kind of kinds) {
+        const job = { user_id: userId, photo_id: photoId, kind, now: Date.now() };
+        deleteFailedJobStmt.run(job);
+        insertJobStmt.run(job);
+      }
+    })();
+    setImmediate(pump);
+  };
+
+  return {
+    enqueue,
+    pump,
+    runNext,
+    hasPending: (userId, photoId) => Boolean(hasPendingJobsStmt.get(userId, photoId)),
+    countByStatus: (userId) => countJobsForUserStmt.all(userId),
+    list: ({ userId, photoIds, limit }) =>
+      listJobsForUserStmt.all({ user_id: userId, photo_ids: photoIds ? JSON.stringify(photoIds) : null, limit }),
+    // Jobs cut off by a restart start over.
+    requeueRunning: () => requeueRunningJobsStmt.run(),
+    deleteForPhoto: (userId, photoId) => deleteJobsForPhotoStmt.run(userId, photoId),
+    deleteForUser: (userId) => deleteJobsForUserStmt.run(userId),
+  };
+};
@@ -0,0 +1,49 @@
+import path from "node:path";
+import { isVideoFile } from "./video.js";
+
+// Matching the two halves of a Live Photo: a still and a short clip uploaded under the same
+// base name.
+
+// A Live Photo's clip is about three seconds; longer videos with the same name stay separate.
+const LIVE_PHOTO_MAX_MS = 5 * 1000;
+const LIVE_PHOTO_MAX_SKEW_MS = 10 * 1000;
+
+const isVideoPhoto = (photo) => isVideoFile(photo.filename, photo.mime_type);
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// LIKE pattern (escaped with a backslash) for rows that may be `photo`'s other half: the same
+// base name with any extension.
+export const livePartnerPattern = (photo) => `${escapeLikePattern(path.parse(photo.name).name)}.%`;
+
+// Picks the other half of a Live Photo among `candidates`, returning `{ still, video }`, or
+// null while there is none yet. A candidate still waiting for its metadata does not count.
+export const findLivePair = (photo, candidates) => {
+  if (photo.deleted_at || photo.live_filename) {
+    return null;
+  }
+  const baseName = path.parse(photo.name).name.toLowerCase();
+  const pairOf = (partner) =>
+    isVideoPhoto(photo) ? { still: partner, video: photo } : { still: photo, video: partner };
+  for (const candidate of candidates) {
+    if (
+      candidate.id === photo.id ||
+      path.parse(candidate.name).name.toLowerCase() !== baseName ||
+      candidate.width === null ||
+      isVideoPhoto(candidate) === isVideoPhoto(photo)
+    ) {
+      continue;
+    }
+    const { still, video } = pairOf(candidate);
+    if (
+      !still.live_filename &&
+      video.duration_ms !== null &&
+      video.duration_ms <= LIVE_PHOTO_MAX_MS &&
+      (still.taken_at === null ||
+        video.taken_at === null ||
+        Math.abs(still.taken_at - video.taken_at) <= LIVE_PHOTO_MAX_SKEW_MS)
+    ) {
+      return { still, video };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,45 @@
+// Failed attempts counted per key: an IP, an account or a share. Past a key's limit each
+// further failure doubles its lockout, from `lockoutMs` up to `maxLockoutMs`; the count
+// starts over after `windowMs` without failures or lockout. Callers pass `now` so the
+// server and the tests share one clock.
+export const createLockout = ({ lockoutMs, maxLockoutMs, windowMs }) => {
+  const failures = new Map();
+
+  const isExpired = (entry, now) => now - Math.max(entry.lastFailureAt, entry.lockedUntil) >= windowMs;
+
+  // Milliseconds until the last of `keys` is let in again; 0 when none is locked out.
+  const remainingMs = (keys, now) =>
+    Math.max(0, ...keys.map((key) => (failures.get(key)?.lockedUntil ?? 0) - now));
+
+  const recordFailure = (key, limit, now) => {
+    const entry = failures.get(key);
+    const count = entry && !isExpired(entry, now) ? entry.count + 1 : 1;
+    const lockedUntil = count >= limit ? now + Math.min(maxLockoutMs, lockoutMs * 2 ** (count - limit)) : 0;
+    failures.set(key, { count, lastFailureAt: now, lockedUntil });
+  };
+
+  const reset = (key) => {
+    failures.delete(key);
+  };
+
+  const sweep = (now) => {
+    for (const [key, entry] of failures) {
+      if (isExpired(entry, now)) {
+        failures.delete(key);
+      }
+    }
+  };
+
+  // Answers 429 with `Retry-After` and returns true when any of `keys` is locked out.
+  const rejectLockedOut = (res, keys, now, error) => {
+    const retryAfterMs = remainingMs(keys, now);
+    if (retryAfterMs <= 0) {
+      return false;
+    }
+    res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ code: "TOO_MANY_ATTEMPTS", error, retryAfterMs });
+    return true;
+  };
+
+  return { remainingMs, recordFailure, reset, sweep, rejectLockedOut };
+};
@@ -0,0 +1,9 @@
+// Sign-in resolves a login ID against user ids and usernames alike, ignoring case, so a
+// username is only free when no other account answers to it in either column.
+
+// Returns `isTaken(name, exceptUserId)`, true when an account other than `exceptUserId`
+// already has `name` as its id or username.
+export const createLoginNameCheck = (db) => {
+  const ownersStmt = db.prepare("SELECT id FROM users WHERE lower(id) = lower(@name) OR lower(username) = lower(@name)");
+  return (name, exceptUserId = null) => ownersStmt.all({ name }).some((row) => row.id !== exceptUserId);
+};
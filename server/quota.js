@@ -0,0 +1,27 @@
+// Per-user storage quotas, counted in bytes of uploaded originals.
+
+export const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+// Throws a 413 when `incomingBytes` more would take `usedBytes` past `quotaBytes`. Filling
+// the quota exactly is allowed; no quota means no limit.
+export const assertQuotaAllows = ({ quotaBytes, usedBytes }, incomingBytes) => {
+  if (!quotaBytes || usedBytes + incomingBytes <= quotaBytes) {
+    return;
+  }
+  throw Object.assign(
+    new Error(
+      `Storage quota exceeded: uploaded originals use ${formatBytes(usedBytes)} of ${formatBytes(quotaBytes)}, ` +
+        `this upload needs ${formatBytes(incomingBytes)} more.`
+    ),
+    { statusCode: 413 }
+  );
+};
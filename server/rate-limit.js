@@ -0,0 +1,48 @@
+// Shared by the photo server and the proxy, which both face the network.
+
+// TRUST_PROXY follows Express's "trust proxy" setting: a hop count, true/false, or a list of
+// addresses. The default trusts loopback only, which covers the local proxy and a local tunnel.
+export const parseTrustProxy = (value = "loopback") => {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Fixed-window request counter. Returns Express middleware that answers 429 with
+// `Retry-After` once `limit` requests with the same key arrive within `windowMs`.
+// A limit of 0 turns the limiter off.
+export const createRateLimiter = ({ limit, windowMs, keyFor = (req) => req.ip, message }) => {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (!limit) {
+      next();
+      return;
+    }
+    const now = Date.now();
+    const key = keyFor(req);
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    if (entry.count > limit) {
+      const retryAfterMs = entry.resetAt - now;
+      res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      res.status(429).json({ code: "RATE_LIMITED", error: message, retryAfterMs });
+      return;
+    }
+    next();
+  };
+};
@@ -0,0 +1,110 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// RFC 6238 time-based one-time passwords with the parameters every authenticator app
+// defaults to: HMAC-SHA1, 6 digits, 30 second steps.
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+export const TOTP_STEP_MS = 30 * 1000;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+export const totpForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+// Returns the time step the code belongs to, or null. One step of clock drift is allowed
+// either way; callers store the step to refuse a code that was already used.
+export const verifyTotp = (secret, code, now = Date.now()) => {
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+  const current = Math.floor(now / TOTP_STEP_MS);
+  for (const step of [current, current - 1, current + 1]) {
+    if (totpForStep(secret, step) === code) {
+      return step;
+    }
+  }
+  return null;
+};
+
+export const totpUri = ({ secret, issuer, accountName }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(TOTP_DIGITS), period: "30" });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const hashRecoveryCode = (code) => createHash("sha256").update(code).digest("hex");
+
+// Recovery codes look like `a1b2c-3d4e5`; only their hashes are stored.
+export const createRecoveryCodes = (count) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Accepts a current authenticator code or an unused recovery code. Returns null, or what
+// the caller must store so the code cannot be used again: `{ lastStep }` after a TOTP code,
+// `{ recoveryHashes }` without the spent code after a recovery code.
+export const verifySecondFactor = ({ secret, lastStep, recoveryHashes }, rawCode, now = Date.now()) => {
+  const code = rawCode.trim().toLowerCase().replace(/\s+/g, "");
+  const step = verifyTotp(secret, code, now);
+  if (step !== null) {
+    return lastStep !== null && step <= lastStep ? null : { lastStep: step };
+  }
+
+  const recoveryCode = code.replace(/[^0-9a-f]/g, "").replace(/^(.{5})(.{5})$/, "$1-$2");
+  const codeHash = Buffer.from(hashRecoveryCode(recoveryCode), "hex");
+  const index = recoveryHashes.findIndex((hash) => {
+    const stored = Buffer.from(hash, "hex");
+    return stored.length === codeHash.length && timingSafeEqual(stored, codeHash);
+  });
+  if (index === -1) {
+    return null;
+  }
+  return { recoveryHashes: recoveryHashes.filter((_, i) => i !== index) };
+};
@@ -0,0 +1,19 @@
+// Trashed photos are kept for a retention period, then purged for good by a periodic sweep.
+
+// Purges every photo trashed at least `retentionMs` before `now` from a library database.
+// `purge(photo)` removes one photo's rows and files; a photo it throws for stays in the
+// trash for the next sweep. Returns how many were purged and what failed.
+export const purgeExpiredTrash = (db, { retentionMs, purge, now = Date.now() }) => {
+  const expired = db
+    .prepare("SELECT id, filename, live_filename FROM photos WHERE deleted_at IS NOT NULL AND deleted_at <= ?")
+    .all(now - retentionMs);
+  const failures = [];
+  for (const photo of expired) {
+    try {
+      purge(photo);
+    } catch (error) {
+      failures.push({ photo, error });
+    }
+  }
+  return { purged: expired.length - failures.length, failures };
+};
@@ -0,0 +1,307 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+
+// Video support. Frames and remuxes come from the locally installed ffmpeg/ffprobe; nothing is
+// sent to a remote service. Without them, duration, size, date and location are still read
+// from MP4/QuickTime headers here, and the poster is a plain placeholder.
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const TOOL_TIMEOUT_MS = 2 * 60 * 1000;
+// The moov box holds every header read below; anything larger is not a phone or camera clip.
+const MOOV_MAX_BYTES = 32 * 1024 * 1024;
+// QuickTime timestamps count seconds from 1904-01-01 UTC.
+const QUICKTIME_EPOCH_MS = Date.UTC(1904, 0, 1);
+
+const VIDEO_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/x-m4v",
+  ".mov": "video/quicktime",
+  ".webm": "video/webm",
+  ".mkv": "video/x-matroska",
+  ".3gp": "video/3gpp",
+};
+
+export const videoMimeType = (filename) => VIDEO_TYPES[path.extname(filename || "").toLowerCase()] ?? null;
+
+export const isVideoFile = (filename, mimeType = "") =>
+  (mimeType || "").startsWith("video/") || videoMimeType(filename) !== null;
+
+const missingTools = new Set();
+
+// Resolves with stdout, or null when the tool is not installed (warned about once).
+const runTool = (command, args) =>
+  new Promise((resolve, reject) => {
+    if (missingTools.has(command)) {
+      resolve(null);
+      return;
+    }
+    execFile(command, args, { timeout: TOOL_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error?.code === "ENOENT") {
+        missingTools.add(command);
+        console.warn(`${command} not found; set FFMPEG_PATH/FFPROBE_PATH for video frames and metadata`);
+        resolve(null);
+        return;
+      }
+      if (error) {
+        reject(new Error(`${path.basename(command)} failed: ${String(stderr).trim().split("\n").pop() || error.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+
+// ISO 6709 as phones write it: "+37.3349-122.0090+010.000/".
+const parseIso6709 = (value) => {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)/.exec(String(value || ""));
+  if (!match) {
+    return null;
+  }
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  return Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 ? { latitude, longitude } : null;
+};
+
+const parseVideoDate = (value) => {
+  // "2021-07-04T10:11:12+0200" has no colon in the offset, which Date does not accept.
+  const text = String(value || "").replace(/([+-]\d{2})(\d{2})$/, "$1:$2");
+  const timestamp = new Date(text).getTime();
+  return Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null;
+};
+
+const toText = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+const readWithFfprobe = async (filePath) => {
+  const output = await runTool(FFPROBE_PATH, [
+    "-v", "error",
+    "-print_format", "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+  if (output === null) {
+    return null;
+  }
+  const probe = JSON.parse(output);
+  const stream = (probe.streams || []).find((candidate) => candidate.codec_type === "video");
+  const tags = probe.format?.tags || {};
+  const rotation = Number(
+    stream?.tags?.rotate ?? stream?.side_data_list?.find((data) => data.rotation !== undefined)?.rotation ?? 0
+  );
+  const swapped = Math.abs(rotation) % 180 === 90;
+  const duration = Number(probe.format?.duration ?? stream?.duration);
+  return {
+    durationMs: Number.isFinite(duration) ? Math.round(duration * 1000) : null,
+    width: (swapped ? stream?.height : stream?.width) || null,
+    height: (swapped ? stream?.width : stream?.height) || null,
+    takenAt: parseVideoDate(tags["com.apple.quicktime.creationdate"]) ?? parseVideoDate(tags.creation_time),
+    location: parseIso6709(tags["com.apple.quicktime.location.ISO6709"] ?? tags.location),
+    make: toText(tags["com.apple.quicktime.make"] ?? tags.make),
+    model: toText(tags["com.apple.quicktime.model"] ?? tags.model),
+  };
+};
+
+const readBoxes = (buffer, start, end, visit) => {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) {
+      return;
+    }
+    visit(type, offset + header, offset + size);
+    offset += size;
+  }
+};
+
+// Finds the top-level moov box without reading the media data around it.
+const readMoovBox = (filePath) => {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+      fs.readSync(fd, header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize) {
+        return null;
+      }
+      if (header.toString("latin1", 4, 8) === "moov") {
+        if (size > MOOV_MAX_BYTES) {
+          return null;
+        }
+        const moov = Buffer.alloc(size - headerSize);
+        fs.readSync(fd, moov, 0, moov.length, offset + headerSize);
+        return moov;
+      }
+      offset += size;
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+// Apple's keys/ilst metadata: ilst entries are numbered by their position in keys.
+const readQuickTimeKeys = (moov, start, end, into) => {
+  // QuickTime's meta box has no version field; the ISO one does.
+  const offset = moov.toString("latin1", start + 4, start + 8) === "hdlr" ? start : start + 4;
+  const keys = [];
+  readBoxes(moov, offset, end, (type, boxStart, boxEnd) => {
+    if (type === "keys") {
+      let entry = boxStart + 8;
+      while (entry + 8 <= boxEnd) {
+        const size = moov.readUInt32BE(entry);
+        if (size < 8) break;
+        keys.push(moov.toString("utf8", entry + 8, entry + size));
+        entry += size;
+      }
+    } else if (type === "ilst") {
+      readBoxes(moov, boxStart, boxEnd, (index, itemStart, itemEnd) => {
+        const key = keys[Buffer.from(index, "latin1").readUInt32BE(0) - 1];
+        readBoxes(moov, itemStart, itemEnd, (dataType, dataStart, dataEnd) => {
+          if (key && dataType === "data") {
+            into[key] = moov.toString("utf8", dataStart + 8, dataEnd);
+          }
+        });
+      });
+    }
+  });
+};
+
+const readWithBoxParser = (filePath) => {
+  const moov = readMoovBox(filePath);
+  if (!moov) {
+    return null;
+  }
+  const result = { durationMs: null, width: null, height: null, takenAt: null, location: null, make: null, model: null };
+  const tags = {};
+  readBoxes(moov, 0, moov.length, (type, start, end) => {
+    if (type === "mvhd") {
+      const version = moov[start];
+      const created = version === 1 ? Number(moov.readBigUInt64BE(start + 4)) : moov.readUInt32BE(start + 4);
+      const timescale = moov.readUInt32BE(start + (version === 1 ? 20 : 12));
+      const duration = version === 1 ? Number(moov.readBigUInt64BE(start + 24)) : moov.readUInt32BE(start + 16);
+      result.durationMs = timescale ? Math.round((duration / timescale) * 1000) : null;
+      result.takenAt = created ? QUICKTIME_EPOCH_MS + created * 1000 : null;
+    } else if (type === "trak") {
+      readBoxes(moov, start, end, (child, childStart) => {
+        if (child !== "tkhd" || result.width) return;
+        const matrix = childStart + (moov[childStart] === 1 ? 52 : 40);
+        const width = moov.readUInt32BE(matrix + 36) / 65536;
+        const height = moov.readUInt32BE(matrix + 40) / 65536;
+        // Audio tracks have no size. A zero in the matrix's first cell means a quarter turn.
+        if (width && height) {
+          const swapped = moov.readInt32BE(matrix) === 0;
+          result.width = Math.round(swapped ? height : width);
+          result.height = Math.round(swapped ? width : height);
+        }
+      });
+    } else if (type === "udta") {
+      readBoxes(moov, start, end, (child, childStart, childEnd) => {
+        if (child === "©xyz") tags.location = moov.toString("latin1", childStart + 4, childEnd);
+      });
+    } else if (type === "meta") {
+      readQuickTimeKeys(moov, start, end, tags);
+    }
+  });
+  result.takenAt = parseVideoDate(tags["com.apple.quicktime.creationdate"]) ?? result.takenAt;
+  result.location = parseIso6709(tags["com.apple.quicktime.location.ISO6709"] ?? tags.location);
+  result.make = toText(tags["com.apple.quicktime.make"]);
+  result.model = toText(tags["com.apple.quicktime.model"]);
+  return result;
+};
+
+/**
+ * Duration, displayed size, capture date, location and camera of a video. ffprobe reads
+ * every container; without it only MP4 and QuickTime headers are understood.
+ */
+export const readVideoMetadata = async (filePath) => {
+  try {
+    const probed = await readWithFfprobe(filePath);
+    if (probed) {
+      return probed;
+    }
+  } catch (error) {
+    console.warn(`ffprobe could not read ${path.basename(filePath)}: ${error.message}`);
+  }
+  try {
+    return readWithBoxParser(filePath);
+  } catch {
+    // A truncated or unusual file; the photo is still listed, just without details.
+    return null;
+  }
+};
+
+const writePlaceholderPoster = async (posterPath, width, height) => {
+  const scale = Math.min(1, 1280 / Math.max(width || 640, height || 360));
+  const w = Math.max(64, Math.round((width || 640) * scale));
+  const h = Math.max(64, Math.round((height || 360) * scale));
+  const size = Math.min(w, h) / 4;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">
+    <rect width="100%" height="100%" fill="#1f2937"/>
+    <circle cx="${w / 2}" cy="${h / 2}" r="${size}" fill="#ffffff" fill-opacity="0.15"/>
+    <path d="M${w / 2 - size / 3} ${h / 2 - size / 2}L${w / 2 + size / 2} ${h / 2}L${w / 2 - size / 3} ${h / 2 + size / 2}Z" fill="#ffffff" fill-opacity="0.8"/>
+  </svg>`;
+  await sharp(Buffer.from(svg)).jpeg({ quality: 80 }).toFile(posterPath);
+};
+
+/**
+ * Writes a JPEG poster frame for the video, taken a second in (or halfway through shorter
+ * clips) so it is past any fade from black. Falls back to a placeholder when ffmpeg is
+ * missing or cannot decode the file, so every video still gets a thumbnail.
+ */
+export const writeVideoPoster = async (videoPath, posterPath, { durationMs, width, height } = {}) => {
+  const seconds = durationMs ? Math.min(1, durationMs / 2000) : 0;
+  try {
+    const output = await runTool(FFMPEG_PATH, [
+      "-v", "error",
+      "-y",
+      "-ss", seconds.toFixed(3),
+      "-i", videoPath,
+      "-frames:v", "1",
+      "-q:v", "3",
+      posterPath,
+    ]);
+    if (output !== null && fs.existsSync(posterPath)) {
+      return "frame";
+    }
+  } catch (error) {
+    console.warn(`No poster frame for ${path.basename(videoPath)}: ${error.message}`);
+  }
+  await writePlaceholderPoster(posterPath, width, height);
+  return "placeholder";
+};
+
+/**
+ * Copies the video's streams into `targetPath` without its metadata, which holds the GPS
+ * location. Returns false when ffmpeg is not installed.
+ */
+export const writeVideoWithoutMetadata = async (sourcePath, targetPath) => {
+  const output = await runTool(FFMPEG_PATH, [
+    "-v", "error",
+    "-y",
+    "-i", sourcePath,
+    "-map", "0",
+    "-map_metadata", "-1",
+    "-c", "copy",
+    targetPath,
+  ]);
+  return output !== null;
+};
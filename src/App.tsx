@@ -5,6 +5,7 @@ import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Index from "./pages/Index";
 import NotFound from "./pages/NotFound";
+import SharedGallery from "./pages/SharedGallery";
 
 const queryClient = new QueryClient();
 
@@ -16,6 +17,11 @@ const App = () => (
       <BrowserRouter basename={import.meta.env.BASE_URL}>
         <Routes>
           <Route path="/" element={<Index />} />
+          <Route path="/photo/:photoId" element={<Index />} />
+          <Route path="/account" element={<Index />} />
+          <Route path="/admin" element={<Index />} />
+          <Route path="/map" element={<Index />} />
+          <Route path="/s/:token" element={<SharedGallery />} />
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from "react";
+import { ArrowLeft, Loader2, MonitorSmartphone } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import TwoFactorSettings from "@/components/TwoFactorSettings";
+import { AuthUser, TwoFactorSetup } from "@/hooks/usePhotoLibrary";
+
+interface AccountSettingsProps {
+  user: AuthUser | null;
+  onBack: () => void;
+  onShowSessions: () => void;
+  changeUsername: (username: string) => Promise<void>;
+  changePassword: (currentPassword: string, newPassword: string) => Promise<void>;
+  deleteAccount: (currentPassword: string) => Promise<void>;
+  startTwoFactorSetup: (currentPassword: string) => Promise<TwoFactorSetup>;
+  enableTwoFactor: (code: string) => Promise<string[]>;
+  disableTwoFactor: (currentPassword: string, code: string) => Promise<void>;
+  regenerateRecoveryCodes: (currentPassword: string) => Promise<string[]>;
+}
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof Error ? err.message : fallback);
+
+const AccountSettings: React.FC<AccountSettingsProps> = ({
+  user,
+  onBack,
+  onShowSessions,
+  changeUsername,
+  changePassword,
+  deleteAccount,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+}) => {
+  const [username, setUsername] = useState(user?.username ?? "");
+  const [usernameError, setUsernameError] = useState<string | null>(null);
+  const [isSavingUsername, setIsSavingUsername] = useState(false);
+
+  // The signed-in user loads after the page on a direct visit.
+  useEffect(() => {
+    setUsername(user?.username ?? "");
+  }, [user?.username]);
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [passwordError, setPasswordError] = useState<string | null>(null);
+  const [isSavingPassword, setIsSavingPassword] = useState(false);
+
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteError, setDeleteError] = useState<string | null>(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  const handleUsername = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const next = username.trim();
+    if (!next || next === user?.username) return;
+    setIsSavingUsername(true);
+    try {
+      await changeUsername(next);
+      setUsernameError(null);
+      toast(`You now sign in as "${next}"`);
+    } catch (err) {
+      setUsernameError(errorMessage(err, "Failed to change username."));
+    } finally {
+      setIsSavingUsername(false);
+    }
+  };
+
+  const handlePassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setPasswordError("New passwords do not match.");
+      return;
+    }
+    setIsSavingPassword(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      setPasswordError(null);
+      toast("Password changed. Other devices have been signed out.");
+    } catch (err) {
+      setPasswordError(errorMessage(err, "Failed to change password."));
+    } finally {
+      setIsSavingPassword(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    try {
+      // On success the session is cleared and the landing page replaces this one.
+      await deleteAccount(deletePassword);
+    } catch (err) {
+      setDeleteError(errorMessage(err, "Failed to delete account."));
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col bg-background">
+      <header className="sticky top-0 z-30 border-b bg-background/80 backdrop-blur-md">
+        <div className="mx-auto flex max-w-2xl items-center gap-2 px-4 py-3">
+          <Button variant="ghost" size="icon" title="Back to library" onClick={onBack}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <h1 className="text-xl font-bold tracking-tight text-foreground">Account settings</h1>
+        </div>
+      </header>
+
+      <main className="mx-auto w-full max-w-2xl space-y-4 px-4 py-6">
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Username</CardTitle>
+            <CardDescription>
+              The login ID you sign in with. Your photos stay in <span className="font-mono">{user?.storageFolder}</span>.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleUsername} className="flex gap-2">
+              <Input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" />
+              <Button type="submit" disabled={isSavingUsername || !username.trim() || username.trim() === user?.username}>
+                {isSavingUsername && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save
+              </Button>
+            </form>
+            {usernameError && <p className="mt-2 text-sm text-destructive">{usernameError}</p>}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Password</CardTitle>
+            <CardDescription>Changing it signs out every other device.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handlePassword} className="space-y-3">
+              <div className="space-y-1.5">
+                <Label htmlFor="current-password">Current password</Label>
+                <Input
+                  id="current-password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                />
+              </div>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div className="space-y-1.5">
+                  <Label htmlFor="new-password">New password</Label>
+                  <Input
+                    id="new-password"
+                    type="password"
+                    autoComplete="new-password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                  />
+                </div>
+                <div className="space-y-1.5">
+                  <Label htmlFor="confirm-password">Confirm new password</Label>
+                  <Input
+                    id="confirm-password"
+                    type="password"
+                    autoComplete="new-password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                  />
+                </div>
+              </div>
+              {passwordError && <p className="text-sm text-destructive">{passwordError}</p>}
+              <Button type="submit" disabled={isSavingPassword || !currentPassword || !newPassword}>
+                {isSavingPassword && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Change password
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <TwoFactorSettings
+          user={user}
+          startTwoFactorSetup={startTwoFactorSetup}
+          enableTwoFactor={enableTwoFactor}
+          disableTwoFactor={disableTwoFactor}
+          regenerateRecoveryCodes={regenerateRecoveryCodes}
+        />
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Devices</CardTitle>
+            <CardDescription>See where you are signed in and sign out browsers you no longer use.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button variant="outline" onClick={onShowSessions}>
+              <MonitorSmartphone className="mr-2 h-4 w-4" />
+              Signed-in devices
+            </Button>
+          </CardContent>
+        </Card>
+
+        <Card className="border-destructive/40">
+          <CardHeader>
+            <CardTitle className="text-base text-destructive">Delete account</CardTitle>
+            <CardDescription>
+              Permanently deletes your account, every photo and album, and all share links. This cannot be undone.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <Button variant="destructive" onClick={() => setIsConfirmingDelete(true)}>
+              Delete account
+            </Button>
+          </CardContent>
+        </Card>
+      </main>
+
+      <AlertDialog
+        open={isConfirmingDelete}
+        onOpenChange={(open) => {
+          setIsConfirmingDelete(open);
+          if (!open) {
+            setDeletePassword("");
+            setDeleteError(null);
+          }
+        }}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete your account?</AlertDialogTitle>
+            <AlertDialogDescription>
+              All of your photos and albums will be removed from this server. Enter your password to confirm.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <Input
+            type="password"
+            autoComplete="current-password"
+            placeholder="Password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+          />
+          {deleteError && <p className="text-sm text-destructive">{deleteError}</p>}
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isDeleting}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+              disabled={isDeleting || !deletePassword}
+              onClick={(e) => {
+                // Keep the dialog open until the server answers.
+                e.preventDefault();
+                handleDelete();
+              }}
+            >
+              {isDeleting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Delete everything
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default AccountSettings;
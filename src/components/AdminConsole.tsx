@@ -0,0 +1,306 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { format } from "date-fns";
+import { ArrowLeft, Loader2, MoreHorizontal } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { AdminUser, AdminUserPatch, AuthUser } from "@/hooks/usePhotoLibrary";
+
+interface AdminConsoleProps {
+  currentUser: AuthUser | null;
+  onBack: () => void;
+  fetchAdminUsers: () => Promise<AdminUser[]>;
+  updateAdminUser: (id: string, patch: AdminUserPatch) => Promise<AdminUser>;
+  resetUserPassword: (id: string, newPassword: string) => Promise<void>;
+  deleteUser: (id: string) => Promise<void>;
+}
+
+type PendingAction = { kind: "quota" | "password" | "delete"; user: AdminUser };
+
+const MB = 1024 * 1024;
+
+const formatBytes = (bytes: number) =>
+  bytes >= 1024 * MB ? `${(bytes / (1024 * MB)).toFixed(1)} GB` : `${(bytes / MB).toFixed(1)} MB`;
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof Error ? err.message : fallback);
+
+const AdminConsole: React.FC<AdminConsoleProps> = ({
+  currentUser,
+  onBack,
+  fetchAdminUsers,
+  updateAdminUser,
+  resetUserPassword,
+  deleteUser,
+}) => {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [pending, setPending] = useState<PendingAction | null>(null);
+  const [inputValue, setInputValue] = useState("");
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setUsers(await fetchAdminUsers());
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to load users."));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchAdminUsers]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceUser = (next: AdminUser) =>
+    setUsers((prev) => prev.map((candidate) => (candidate.id === next.id ? next : candidate)));
+
+  const handleUpdate = async (user: AdminUser, patch: AdminUserPatch) => {
+    try {
+      replaceUser(await updateAdminUser(user.id, patch));
+    } catch (err) {
+      toast(errorMessage(err, "Failed to update user."));
+    }
+  };
+
+  const openAction = (kind: PendingAction["kind"], user: AdminUser) => {
+    setPending({ kind, user });
+    setInputValue(kind === "quota" && user.quotaBytes ? String(Math.round(user.quotaBytes / MB)) : "");
+    setActionError(null);
+  };
+
+  const closeAction = () => {
+    setPending(null);
+    setInputValue("");
+    setActionError(null);
+  };
+
+  const handleConfirm = async () => {
+    if (!pending) return;
+    const { kind, user } = pending;
+    setIsSaving(true);
+    try {
+      if (kind === "quota") {
+        const megabytes = inputValue.trim() ? Number(inputValue) : null;
+        if (megabytes !== null && !(Number.isFinite(megabytes) && megabytes > 0)) {
+          setActionError("Enter a positive number of megabytes, or leave empty for no limit.");
+          return;
+        }
+        replaceUser(await updateAdminUser(user.id, { quotaBytes: megabytes === null ? null : Math.round(megabytes * MB) }));
+      } else if (kind === "password") {
+        await resetUserPassword(user.id, inputValue);
+        toast(`Password reset for "${user.username}". Their devices have been signed out.`);
+      } else {
+        await deleteUser(user.id);
+        setUsers((prev) => prev.filter((candidate) => candidate.id !== user.id));
+        toast(`Deleted "${user.username}"`);
+      }
+      closeAction();
+    } catch (err) {
+      setActionError(errorMessage(err, "Something went wrong."));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col bg-background">
+      <header className="sticky top-0 z-30 border-b bg-background/80 backdrop-blur-md">
+        <div className="mx-auto flex max-w-5xl items-center gap-2 px-4 py-3">
+          <Button variant="ghost" size="icon" title="Back to library" onClick={onBack}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <h1 className="text-xl font-bold tracking-tight text-foreground">Users</h1>
+        </div>
+      </header>
+
+      <main className="mx-auto w-full max-w-5xl px-4 py-6">
+        {error && <p className="mb-4 text-sm text-destructive">{error}</p>}
+
+        {isLoading && !users.length ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Username</TableHead>
+                <TableHead>Created</TableHead>
+                <TableHead className="text-right">Photos</TableHead>
+                <TableHead className="text-right" title="Uploaded originals, without thumbnails or edited copies">
+                  Storage
+                </TableHead>
+                <TableHead className="w-10" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <TableRow key={user.id} className={user.disabledAt ? "text-muted-foreground" : undefined}>
+                    <TableCell>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{user.username}</span>
+                        {user.isAdmin && <Badge variant="secondary">Admin</Badge>}
+                        {user.disabledAt && <Badge variant="outline">Disabled</Badge>}
+                        {isSelf && <span className="text-xs text-muted-foreground">(you)</span>}
+                      </div>
+                    </TableCell>
+                    <TableCell>{format(user.createdAt, "PP")}</TableCell>
+                    <TableCell className="text-right tabular-nums">{user.photoCount}</TableCell>
+                    <TableCell className="text-right tabular-nums">
+                      {formatBytes(user.bytesUsed)}
+                      {user.quotaBytes !== null && (
+                        <span className="text-muted-foreground"> / {formatBytes(user.quotaBytes)}</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="icon" className="h-8 w-8" title="Manage user">
+                            <MoreHorizontal className="h-4 w-4" />
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end">
+                          <DropdownMenuItem onSelect={() => openAction("quota", user)}>Set storage quota</DropdownMenuItem>
+                          <DropdownMenuItem onSelect={() => openAction("password", user)}>Reset password</DropdownMenuItem>
+                          {!isSelf && (
+                            <>
+                              <DropdownMenuItem onSelect={() => handleUpdate(user, { isAdmin: !user.isAdmin })}>
+                                {user.isAdmin ? "Remove admin role" : "Make admin"}
+                              </DropdownMenuItem>
+                              <DropdownMenuItem onSelect={() => handleUpdate(user, { disabled: !user.disabledAt })}>
+                                {user.disabledAt ? "Enable account" : "Disable account"}
+                              </DropdownMenuItem>
+                              <DropdownMenuSeparator />
+                              <DropdownMenuItem
+                                className="text-destructive focus:text-destructive"
+                                onSelect={() => openAction("delete", user)}
+                              >
+                                Delete user
+                              </DropdownMenuItem>
+                            </>
+                          )}
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </main>
+
+      <Dialog open={pending?.kind === "quota" || pending?.kind === "password"} onOpenChange={(open) => !open && closeAction()}>
+        <DialogContent className="sm:max-w-sm">
+          <DialogHeader>
+            <DialogTitle>{pending?.kind === "quota" ? "Storage quota" : "Reset password"}</DialogTitle>
+            <DialogDescription>
+              {pending?.kind === "quota"
+                ? `Uploads for "${pending?.user.username}" are refused once their originals reach this size; thumbnails and edited copies are not counted. Leave empty for no limit.`
+                : `Sets a new password for "${pending?.user.username}" and signs them out everywhere.`}
+            </DialogDescription>
+          </DialogHeader>
+          <form
+            className="space-y-3"
+            onSubmit={(e) => {
+              e.preventDefault();
+              handleConfirm();
+            }}
+          >
+            {pending?.kind === "quota" ? (
+              <div className="flex items-center gap-2">
+                <Input
+                  type="number"
+                  min={1}
+                  placeholder="No limit"
+                  value={inputValue}
+                  onChange={(e) => setInputValue(e.target.value)}
+                />
+                <span className="text-sm text-muted-foreground">MB</span>
+              </div>
+            ) : (
+              <Input
+                type="password"
+                autoComplete="new-password"
+                placeholder="New password"
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+              />
+            )}
+            {actionError && <p className="text-sm text-destructive">{actionError}</p>}
+            <DialogFooter>
+              <Button type="submit" disabled={isSaving || (pending?.kind === "password" && !inputValue)}>
+                {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <AlertDialog open={pending?.kind === "delete"} onOpenChange={(open) => !open && closeAction()}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete "{pending?.user.username}"?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Their account, every photo and album, and all share links are removed from this server. This cannot be
+              undone.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          {actionError && <p className="text-sm text-destructive">{actionError}</p>}
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isSaving}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+              disabled={isSaving}
+              onClick={(e) => {
+                // Keep the dialog open until the server answers.
+                e.preventDefault();
+                handleConfirm();
+              }}
+            >
+              {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Delete user
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default AdminConsole;
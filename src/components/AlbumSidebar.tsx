@@ -0,0 +1,271 @@
+import React, { useState } from "react";
+import { Check, FolderOpen, Heart, Images, Pencil, Plus, Share2, Trash, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Album } from "@/hooks/usePhotoLibrary";
+import { cn } from "@/lib/utils";
+
+interface AlbumSidebarProps {
+  albums: Album[];
+  activeAlbumId: string | null;
+  isTrashActive: boolean;
+  isFavoritesActive: boolean;
+  trashCount: number;
+  onSelect: (albumId: string | null) => void;
+  onSelectFavorites: () => void;
+  onSelectTrash: () => void;
+  onCreate: (name: string) => Promise<unknown>;
+  onRename: (albumId: string, name: string) => Promise<void>;
+  onDelete: (albumId: string) => Promise<void>;
+  onShare: (album: Album) => void;
+}
+
+const AlbumSidebar: React.FC<AlbumSidebarProps> = ({
+  albums,
+  activeAlbumId,
+  isTrashActive,
+  isFavoritesActive,
+  trashCount,
+  onSelect,
+  onSelectFavorites,
+  onSelectTrash,
+  onCreate,
+  onRename,
+  onDelete,
+  onShare,
+}) => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editingName, setEditingName] = useState("");
+  const [pendingDelete, setPendingDelete] = useState<Album | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) {
+      setError("Album name is required.");
+      return;
+    }
+    try {
+      await onCreate(name);
+      setNewName("");
+      setIsCreating(false);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to create album.");
+    }
+  };
+
+  const handleRename = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!editingId) return;
+    const name = editingName.trim();
+    if (!name) {
+      setError("Album name is required.");
+      return;
+    }
+    try {
+      await onRename(editingId, name);
+      setEditingId(null);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to rename album.");
+    }
+  };
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    try {
+      await onDelete(pendingDelete.id);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to delete album.");
+    } finally {
+      setPendingDelete(null);
+    }
+  };
+
+  const itemClass = (active: boolean) =>
+    cn(
+      "flex w-full items-center gap-2 rounded-md px-2.5 py-1.5 text-left text-sm transition-colors",
+      active
+        ? "bg-primary text-primary-foreground shadow-sm"
+        : "text-muted-foreground hover:bg-accent hover:text-accent-foreground"
+    );
+
+  return (
+    <>
+      {/* Mobile switcher */}
+      <div className="flex gap-1.5 overflow-x-auto px-2 pb-2 md:hidden">
+        <button
+          className={cn(itemClass(activeAlbumId === null && !isTrashActive && !isFavoritesActive), "w-auto shrink-0")}
+          onClick={() => onSelect(null)}
+        >
+          All photos
+        </button>
+        <button className={cn(itemClass(isFavoritesActive), "w-auto shrink-0")} onClick={onSelectFavorites}>
+          Favorites
+        </button>
+        {albums.map((album) => (
+          <button
+            key={album.id}
+            className={cn(itemClass(activeAlbumId === album.id && !isTrashActive), "w-auto shrink-0")}
+            onClick={() => onSelect(album.id)}
+          >
+            {album.name}
+          </button>
+        ))}
+        <button className={cn(itemClass(isTrashActive), "w-auto shrink-0")} onClick={onSelectTrash}>
+          Trash
+        </button>
+      </div>
+
+      {/* Desktop sidebar */}
+      <aside className="sticky top-[61px] hidden h-[calc(100vh-61px)] w-56 shrink-0 flex-col gap-1 overflow-y-auto border-r px-2 py-4 md:flex">
+        <button
+          className={itemClass(activeAlbumId === null && !isTrashActive && !isFavoritesActive)}
+          onClick={() => onSelect(null)}
+        >
+          <Images className="h-4 w-4" />
+          All photos
+        </button>
+        <button className={itemClass(isFavoritesActive)} onClick={onSelectFavorites}>
+          <Heart className="h-4 w-4" />
+          Favorites
+        </button>
+
+        <div className="mt-4 flex items-center justify-between px-2.5">
+          <span className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">Albums</span>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-6 w-6"
+            onClick={() => {
+              setIsCreating((value) => !value);
+              setError(null);
+            }}
+          >
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+
+        {isCreating && (
+          <form onSubmit={handleCreate} className="flex items-center gap-1 px-1">
+            <Input
+              autoFocus
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New album"
+              className="h-8 text-sm"
+            />
+            <Button type="submit" variant="ghost" size="icon" className="h-8 w-8 shrink-0">
+              <Check className="h-4 w-4" />
+            </Button>
+          </form>
+        )}
+
+        {albums.length === 0 && !isCreating && (
+          <p className="px-2.5 py-1 text-xs text-muted-foreground/70">No albums yet</p>
+        )}
+
+        {albums.map((album) =>
+          editingId === album.id ? (
+            <form key={album.id} onSubmit={handleRename} className="flex items-center gap-1 px-1">
+              <Input
+                autoFocus
+                value={editingName}
+                onChange={(e) => setEditingName(e.target.value)}
+                className="h-8 text-sm"
+              />
+              <Button type="submit" variant="ghost" size="icon" className="h-8 w-8 shrink-0">
+                <Check className="h-4 w-4" />
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 shrink-0"
+                onClick={() => setEditingId(null)}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </form>
+          ) : (
+            <div key={album.id} className="group flex items-center">
+              <button
+                className={itemClass(activeAlbumId === album.id && !isTrashActive)}
+                onClick={() => onSelect(album.id)}
+              >
+                <FolderOpen className="h-4 w-4 shrink-0" />
+                <span className="flex-1 truncate">{album.name}</span>
+                <span className="text-xs opacity-70">{album.photoCount}</span>
+              </button>
+              <div className="hidden shrink-0 group-hover:flex">
+                <Button variant="ghost" size="icon" className="h-7 w-7" title="Share" onClick={() => onShare(album)}>
+                  <Share2 className="h-3.5 w-3.5" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7"
+                  onClick={() => {
+                    setEditingId(album.id);
+                    setEditingName(album.name);
+                    setError(null);
+                  }}
+                >
+                  <Pencil className="h-3.5 w-3.5" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 hover:text-destructive"
+                  onClick={() => setPendingDelete(album)}
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </Button>
+              </div>
+            </div>
+          )
+        )}
+
+        {error && <p className="px-2.5 pt-1 text-xs text-destructive">{error}</p>}
+
+        <button className={cn(itemClass(isTrashActive), "mt-auto")} onClick={onSelectTrash}>
+          <Trash className="h-4 w-4" />
+          <span className="flex-1">Trash</span>
+          {trashCount > 0 && <span className="text-xs opacity-70">{trashCount}</span>}
+        </button>
+      </aside>
+
+      <AlertDialog open={pendingDelete !== null} onOpenChange={(open) => !open && setPendingDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete album "{pendingDelete?.name}"?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The album is removed, but its photos stay in your library.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={confirmDelete}>Delete album</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  );
+};
+
+export default AlbumSidebar;
@@ -0,0 +1,181 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Copy, Image as ImageIcon, Loader2, RefreshCw, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import { Slider } from "@/components/ui/slider";
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet";
+import { isMediaUrlExpired } from "@/lib/mediaUrls";
+import { DuplicateGroup, DuplicatePolicy, Photo } from "@/hooks/usePhotoLibrary";
+
+interface DuplicatesPanelProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  policy: DuplicatePolicy;
+  onPolicyChange: (policy: DuplicatePolicy) => void;
+  fetchDuplicates: (threshold?: number) => Promise<DuplicateGroup[]>;
+  onTrash: (photo: Photo) => Promise<boolean>;
+}
+
+const POLICY_OPTIONS: { value: DuplicatePolicy; label: string; hint: string }[] = [
+  { value: "skip", label: "Skip", hint: "Ignore files already in the library" },
+  { value: "keep-both", label: "Keep both", hint: "Add another entry sharing the same file" },
+  { value: "replace", label: "Replace", hint: "Update the existing photo's name and upload date" },
+];
+
+const DEFAULT_THRESHOLD = 10;
+
+const formatSize = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const DuplicatesPanel: React.FC<DuplicatesPanelProps> = ({
+  open,
+  onOpenChange,
+  policy,
+  onPolicyChange,
+  fetchDuplicates,
+  onTrash,
+}) => {
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+  const [draftThreshold, setDraftThreshold] = useState(DEFAULT_THRESHOLD);
+  const [groups, setGroups] = useState<DuplicateGroup[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setGroups(await fetchDuplicates(threshold));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load duplicates.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchDuplicates, threshold]);
+
+  useEffect(() => {
+    if (open) {
+      load();
+    }
+  }, [open, load]);
+
+  const trash = async (photo: Photo) => {
+    try {
+      if (await onTrash(photo)) {
+        setGroups((prev) =>
+          prev
+            .map((group) => ({ ...group, photos: group.photos.filter((candidate) => candidate.id !== photo.id) }))
+            .filter((group) => group.photos.length > 1)
+        );
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to move photo to trash.");
+    }
+  };
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="flex w-full flex-col gap-4 overflow-y-auto sm:max-w-lg">
+        <SheetHeader>
+          <SheetTitle>Duplicates</SheetTitle>
+          <SheetDescription>
+            Exact copies share identical bytes. Similar photos look alike after resizing or recompression.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="space-y-2">
+          <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">When uploading a duplicate</p>
+          <RadioGroup value={policy} onValueChange={(value) => onPolicyChange(value as DuplicatePolicy)}>
+            {POLICY_OPTIONS.map((option) => (
+              <div key={option.value} className="flex items-start gap-2">
+                <RadioGroupItem value={option.value} id={`duplicate-policy-${option.value}`} className="mt-0.5" />
+                <Label htmlFor={`duplicate-policy-${option.value}`} className="font-normal">
+                  <span className="font-medium">{option.label}</span>
+                  <span className="block text-xs text-muted-foreground">{option.hint}</span>
+                </Label>
+              </div>
+            ))}
+          </RadioGroup>
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+              Similarity tolerance · {draftThreshold}
+            </p>
+            <Button variant="ghost" size="sm" onClick={load} disabled={isLoading}>
+              {isLoading ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+            </Button>
+          </div>
+          <Slider
+            min={0}
+            max={20}
+            step={1}
+            value={[draftThreshold]}
+            onValueChange={([value]) => setDraftThreshold(value)}
+            onValueCommit={([value]) => setThreshold(value)}
+          />
+        </div>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {!isLoading && groups.length === 0 && !error && (
+          <div className="flex flex-col items-center gap-2 py-12 text-center text-muted-foreground">
+            <Copy className="h-10 w-10 opacity-50" />
+            <p className="text-sm">No duplicates found</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {groups.map((group) => (
+            <div key={group.photos.map((photo) => photo.id).join(":")} className="rounded-lg border p-2">
+              <p className="mb-2 px-1 text-xs font-medium text-muted-foreground">
+                {group.kind === "exact" ? "Exact copies" : `Similar (distance ${group.distance})`} · {group.photos.length}{" "}
+                photos
+              </p>
+              <div className="grid grid-cols-3 gap-1.5">
+                {group.photos.map((photo) => (
+                  <div key={photo.id} className="group relative aspect-square overflow-hidden rounded-md bg-muted">
+                    {photo.thumbnailUrl ? (
+                      <img
+                        src={photo.thumbnailUrl}
+                        alt={photo.name}
+                        className="h-full w-full object-cover"
+                        loading="lazy"
+                        onError={() => {
+                          // The groups are loaded here, not in the library, so expired links are re-fetched here too.
+                          if (!isLoading && isMediaUrlExpired(photo.thumbnailUrl)) load();
+                        }}
+                      />
+                    ) : (
+                      <ImageIcon className="m-auto h-8 w-8 text-muted-foreground/70" />
+                    )}
+                    <div className="absolute inset-x-0 bottom-0 flex items-end justify-between gap-1 bg-gradient-to-t from-black/70 to-transparent p-1.5">
+                      <span className="min-w-0 text-[10px] leading-tight text-white">
+                        <span className="block truncate">{photo.name}</span>
+                        {photo.width && photo.height ? `${photo.width}×${photo.height} · ` : ""}
+                        {formatSize(photo.size)}
+                      </span>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        className="h-7 w-7 shrink-0 text-white hover:bg-destructive/80 hover:text-white"
+                        title="Move to trash"
+                        onClick={() => trash(photo)}
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default DuplicatesPanel;
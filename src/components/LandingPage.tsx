@@ -2,7 +2,9 @@ import React, { useState, useEffect, useCallback, useRef } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Cloud, ArrowRight } from "lucide-react";
-import { AuthActionError } from "@/hooks/usePhotoLibrary";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import { AuthActionError, TwoFactorChallenge } from "@/hooks/usePhotoLibrary";
+import { formatLockoutRemaining } from "@/lib/authLockout";
 import { cn } from "@/lib/utils";
 
 const SLIDES = [
@@ -12,7 +14,8 @@ const SLIDES = [
 ];
 
 interface LandingPageProps {
-  login: (loginId: string, password: string) => Promise<void>;
+  login: (loginId: string, password: string) => Promise<TwoFactorChallenge | null>;
+  verifyTwoFactorLogin: (challengeToken: string, code: string) => Promise<void>;
   register: (loginId: string, password: string) => Promise<void>;
   authError: string | null;
   authNotice: string | null;
@@ -20,6 +23,7 @@ interface LandingPageProps {
 
 const LandingPage: React.FC<LandingPageProps> = ({
   login,
+  verifyTwoFactorLogin,
   register,
   authError,
   authNotice,
@@ -35,6 +39,11 @@ const LandingPage: React.FC<LandingPageProps> = ({
   const [formError, setFormError] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
   const [shaking, setShaking] = useState(false);
+  const [lockedUntil, setLockedUntil] = useState<number | null>(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const loginIdRef = useRef<HTMLInputElement>(null);
   const passwordRef = useRef<HTMLInputElement>(null);
@@ -51,6 +60,20 @@ const LandingPage: React.FC<LandingPageProps> = ({
     return () => clearInterval(interval);
   }, []);
 
+  // Counts the sign-in lockout down once a second until it lifts.
+  useEffect(() => {
+    if (lockedUntil === null) return;
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(null);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+  const isLockedOut = lockedUntil !== null && lockedUntil > now;
+
   const triggerShake = useCallback(() => {
     setShaking(true);
     setTimeout(() => setShaking(false), 600);
@@ -60,8 +83,20 @@ const LandingPage: React.FC<LandingPageProps> = ({
     setLoginId("");
     setPassword("");
     setConfirmPassword("");
+    setChallengeToken(null);
+    setCode("");
+    setUseRecoveryCode(false);
   }, []);
 
+  const startLockout = (error: unknown) => {
+    if (error instanceof AuthActionError && error.code === "TOO_MANY_ATTEMPTS" && error.retryAfterMs) {
+      setNow(Date.now());
+      setLockedUntil(Date.now() + error.retryAfterMs);
+      return true;
+    }
+    return false;
+  };
+
   const handleSignIn = async (e: React.FormEvent) => {
     e.preventDefault();
     setFormError(null);
@@ -73,14 +108,20 @@ const LandingPage: React.FC<LandingPageProps> = ({
     }
     setLoading(true);
     try {
-      await login(id, password);
+      const challenge = await login(id, password);
+      if (challenge) {
+        resetForm();
+        setChallengeToken(challenge.challengeToken);
+      }
     } catch (error) {
       const authCode =
         error instanceof AuthActionError ? error.code : "";
       const msg =
         error instanceof Error ? error.message : "Authentication failed.";
 
-      if (authCode === "USER_NOT_FOUND") {
+      if (startLockout(error)) {
+        // The countdown replaces the error message.
+      } else if (authCode === "USER_NOT_FOUND") {
         setFormError("User not found. Create a new account.");
         setShowRegister(true);
         setShowSignIn(false);
@@ -98,6 +139,27 @@ const LandingPage: React.FC<LandingPageProps> = ({
     }
   };
 
+  const handleTwoFactor = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken || !code.trim()) return;
+    setFormError(null);
+    setLoading(true);
+    try {
+      await verifyTwoFactorLogin(challengeToken, code);
+    } catch (error) {
+      if (!startLockout(error)) {
+        setFormError(error instanceof Error ? error.message : "That code is not valid.");
+      }
+      if (error instanceof AuthActionError && error.code === "CHALLENGE_EXPIRED") {
+        setChallengeToken(null);
+      }
+      setCode("");
+      triggerShake();
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleRegister = async (e: React.FormEvent) => {
     e.preventDefault();
     setFormError(null);
@@ -248,7 +310,79 @@ const LandingPage: React.FC<LandingPageProps> = ({
         </div>
 
         {/* Sign-in dropdown (small overlay from top-right) */}
-        {showSignIn && (
+        {showSignIn && challengeToken && (
+          <div className="absolute right-6 top-4 z-40 w-80 animate-fade-in">
+            <form
+              onSubmit={handleTwoFactor}
+              className={cn(
+                "rounded-2xl border border-primary-foreground/10 p-5 space-y-3 backdrop-blur-xl",
+                shaking && "animate-shake"
+              )}
+              style={{ background: "var(--gradient-card)", boxShadow: "var(--shadow-glow)" }}
+            >
+              <h2 className="text-lg font-semibold text-foreground">Two-factor sign-in</h2>
+              <p className="text-sm text-muted-foreground">
+                {useRecoveryCode
+                  ? "Enter one of the recovery codes you saved. Each code works once."
+                  : "Enter the 6-digit code from your authenticator app."}
+              </p>
+              {useRecoveryCode ? (
+                <Input
+                  autoFocus
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="xxxxx-xxxxx"
+                  autoComplete="one-time-code"
+                  className="border-primary/20 font-mono focus-visible:ring-primary"
+                />
+              ) : (
+                <InputOTP
+                  autoFocus
+                  maxLength={6}
+                  value={code}
+                  onChange={setCode}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  containerClassName="justify-center"
+                >
+                  <InputOTPGroup>
+                    {Array.from({ length: 6 }, (_, index) => (
+                      <InputOTPSlot key={index} index={index} />
+                    ))}
+                  </InputOTPGroup>
+                </InputOTP>
+              )}
+              {isLockedOut ? (
+                <p className="text-sm text-destructive">
+                  Too many failed attempts. Try again in {formatLockoutRemaining(lockedUntil - now)}.
+                </p>
+              ) : (
+                formError && <p className="text-sm text-destructive">{formError}</p>
+              )}
+              <Button
+                className="w-full bg-primary text-primary-foreground hover:bg-primary/90"
+                type="submit"
+                disabled={loading || isLockedOut || (useRecoveryCode ? !code.trim() : code.length < 6)}
+              >
+                {loading ? "Verifying..." : "Verify"}
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                className="w-full text-sm text-muted-foreground hover:text-foreground"
+                onClick={() => {
+                  setUseRecoveryCode((value) => !value);
+                  setCode("");
+                  setFormError(null);
+                }}
+              >
+                {useRecoveryCode ? "Use authenticator app instead" : "Use a recovery code"}
+              </Button>
+            </form>
+          </div>
+        )}
+
+        {showSignIn && !challengeToken && (
           <div className="absolute right-6 top-4 z-40 w-80 animate-fade-in">
             <form
               onSubmit={handleSignIn}
@@ -282,13 +416,21 @@ const LandingPage: React.FC<LandingPageProps> = ({
                   className="border-primary/20 focus-visible:ring-primary"
                 />
               </div>
-              {formError && (
-                <p className="text-sm text-destructive">{formError}</p>
+              {isLockedOut ? (
+                <p className="text-sm text-destructive">
+                  Too many failed attempts. Try again in {formatLockoutRemaining(lockedUntil - now)}.
+                </p>
+              ) : (
+                formError && <p className="text-sm text-destructive">{formError}</p>
               )}
-              {authNotice && !formError && (
+              {authNotice && !formError && !isLockedOut && (
                 <p className="text-sm text-secondary">{authNotice}</p>
               )}
-              <Button className="w-full bg-primary text-primary-foreground hover:bg-primary/90" type="submit" disabled={loading}>
+              <Button
+                className="w-full bg-primary text-primary-foreground hover:bg-primary/90"
+                type="submit"
+                disabled={loading || isLockedOut}
+              >
                 {loading ? "Signing in..." : "Sign In"}
               </Button>
               <Button
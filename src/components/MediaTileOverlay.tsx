@@ -0,0 +1,79 @@
+import React from "react";
+import { Play } from "lucide-react";
+import { Photo } from "@/hooks/usePhotoLibrary";
+import { formatDuration } from "@/lib/mediaFiles";
+import { cn } from "@/lib/utils";
+
+interface MediaTileOverlayProps {
+  photo: Photo;
+  /** The Live Photo's clip is playing over the still. */
+  isPlayingLive: boolean;
+  onLiveStart: () => void;
+  onLiveStop: () => void;
+  onMediaError: (url: string) => void;
+}
+
+/**
+ * Badges a grid tile as a video (with its length) or a Live Photo, and plays a Live Photo's
+ * clip over the still while `isPlayingLive`. The tile starts that on hover; on touch screens
+ * the LIVE badge is held down, since a long press on the tile itself selects it.
+ */
+const MediaTileOverlay: React.FC<MediaTileOverlayProps> = ({
+  photo,
+  isPlayingLive,
+  onLiveStart,
+  onLiveStop,
+  onMediaError,
+}) => {
+  if (photo.mediaType === "video") {
+    return (
+      <span className="pointer-events-none absolute right-1.5 top-1.5 flex items-center gap-0.5 rounded bg-black/50 px-1 py-0.5 text-[11px] font-medium text-white">
+        <Play className="h-3 w-3 fill-white" />
+        {photo.durationMs ? formatDuration(photo.durationMs) : null}
+      </span>
+    );
+  }
+  if (!photo.liveVideoUrl) {
+    return null;
+  }
+  const liveVideoUrl = photo.liveVideoUrl;
+  return (
+    <>
+      {isPlayingLive && (
+        <video
+          src={liveVideoUrl}
+          className="pointer-events-none absolute inset-0 h-full w-full object-cover"
+          autoPlay
+          muted
+          playsInline
+          onEnded={onLiveStop}
+          onError={() => {
+            onMediaError(liveVideoUrl);
+            onLiveStop();
+          }}
+        />
+      )}
+      <span
+        className={cn(
+          "absolute right-1.5 top-1.5 z-10 select-none rounded bg-black/50 px-1 py-0.5 text-[10px] font-semibold tracking-wider text-white",
+          isPlayingLive && "bg-white/80 text-black"
+        )}
+        onTouchStart={(e) => {
+          e.stopPropagation();
+          onLiveStart();
+        }}
+        onTouchEnd={(e) => {
+          e.stopPropagation();
+          onLiveStop();
+        }}
+        onTouchCancel={onLiveStop}
+        onClick={(e) => e.stopPropagation()}
+        onContextMenu={(e) => e.preventDefault()}
+      >
+        LIVE
+      </span>
+    </>
+  );
+};
+
+export default MediaTileOverlay;
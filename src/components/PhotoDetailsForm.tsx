@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from "react";
+import { Loader2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Photo, PhotoDetails, TagCount } from "@/hooks/usePhotoLibrary";
+
+interface PhotoDetailsFormProps {
+  photo: Photo;
+  knownTags: TagCount[];
+  onSave: (photo: Photo, details: PhotoDetails) => Promise<void>;
+}
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+const MAX_CAPTION_LENGTH = 2000;
+const MAX_NAME_LENGTH = 255;
+
+const sameTags = (a: string[], b: string[]) => a.length === b.length && a.every((tag, index) => tag === b[index]);
+
+const fieldClass =
+  "w-full rounded-md border border-white/15 bg-white/5 px-2 py-1.5 text-sm text-white placeholder:text-white/30 focus:border-white/40 focus:outline-none";
+
+// Name, caption and tags editor for the viewer's info panel. All three are part of the search index.
+const PhotoDetailsForm: React.FC<PhotoDetailsFormProps> = ({ photo, knownTags, onSave }) => {
+  const [name, setName] = useState(photo.name);
+  const [caption, setCaption] = useState(photo.caption ?? "");
+  const [tags, setTags] = useState<string[]>(photo.tags ?? []);
+  const [tagInput, setTagInput] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const suggestionsId = `tag-suggestions-${photo.id}`;
+  const suggestions = knownTags.filter(({ tag }) => !tags.some((item) => item.toLowerCase() === tag.toLowerCase()));
+  const isRenamed = name.trim() !== "" && name.trim() !== photo.name;
+  const isDirty = isRenamed || caption.trim() !== (photo.caption ?? "") || !sameTags(tags, photo.tags ?? []);
+
+  // The server may add the file extension back, so show the name it saved.
+  useEffect(() => {
+    setName(photo.name);
+  }, [photo.name]);
+
+  const addTag = (value: string) => {
+    const tag = value.trim().slice(0, MAX_TAG_LENGTH);
+    setTagInput("");
+    if (!tag || tags.length >= MAX_TAGS || tags.some((item) => item.toLowerCase() === tag.toLowerCase())) return;
+    setTags([...tags, tag]);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await onSave(photo, {
+        ...(isRenamed ? { name: name.trim() } : {}),
+        caption: caption.trim(),
+        tags,
+      });
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to save photo details.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-6 space-y-3 border-t border-white/10 pt-4">
+      <label className="block space-y-1">
+        <span className="text-xs uppercase tracking-wide text-white/50">Name</span>
+        <input value={name} maxLength={MAX_NAME_LENGTH} className={fieldClass} onChange={(e) => setName(e.target.value)} />
+      </label>
+      <label className="block space-y-1">
+        <span className="text-xs uppercase tracking-wide text-white/50">Caption</span>
+        <textarea
+          value={caption}
+          maxLength={MAX_CAPTION_LENGTH}
+          rows={3}
+          placeholder="Add a caption"
+          className={`${fieldClass} resize-none`}
+          onChange={(e) => setCaption(e.target.value)}
+        />
+      </label>
+      <div className="space-y-1">
+        <span className="text-xs uppercase tracking-wide text-white/50">Tags</span>
+        {tags.length > 0 && (
+          <ul className="flex flex-wrap gap-1">
+            {tags.map((tag) => (
+              <li key={tag} className="flex items-center gap-0.5 rounded-full bg-white/15 py-0.5 pl-2 pr-1 text-xs text-white">
+                {tag}
+                <button
+                  type="button"
+                  className="rounded-full p-0.5 hover:bg-white/20"
+                  title={`Remove ${tag}`}
+                  onClick={() => setTags(tags.filter((item) => item !== tag))}
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <input
+          value={tagInput}
+          placeholder={tags.length >= MAX_TAGS ? "Tag limit reached" : "Add a tag and press Enter"}
+          disabled={tags.length >= MAX_TAGS}
+          list={suggestionsId}
+          className={fieldClass}
+          onChange={(e) => setTagInput(e.target.value)}
+          onBlur={() => addTag(tagInput)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" || e.key === ",") {
+              e.preventDefault();
+              addTag(tagInput);
+            } else if (e.key === "Backspace" && !tagInput && tags.length) {
+              setTags(tags.slice(0, -1));
+            }
+          }}
+        />
+        <datalist id={suggestionsId}>
+          {suggestions.map(({ tag, count }) => (
+            <option key={tag} value={tag}>
+              {count} photo{count !== 1 && "s"}
+            </option>
+          ))}
+        </datalist>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+      {isDirty && (
+        <Button type="submit" size="sm" variant="secondary" disabled={isSaving}>
+          {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Save details
+        </Button>
+      )}
+    </form>
+  );
+};
+
+export default PhotoDetailsForm;
@@ -0,0 +1,325 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Check,
+  Crop,
+  FlipHorizontal2,
+  FlipVertical2,
+  Loader2,
+  RotateCcw,
+  RotateCw,
+  Undo2,
+  X,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Slider } from "@/components/ui/slider";
+import { Photo } from "@/hooks/usePhotoLibrary";
+import {
+  applyEditOperation,
+  CropHandle,
+  CropRect,
+  cssFilterForAdjustments,
+  DEFAULT_EDIT_STATE,
+  dragCrop,
+  EditOperation,
+  EditState,
+  editStateToOperations,
+  FULL_CROP,
+  MAX_ADJUSTMENT,
+  operationsToEditState,
+} from "@/lib/photoEdits";
+import { cn } from "@/lib/utils";
+
+interface PhotoEditorProps {
+  photo: Photo;
+  onSave: (edits: EditOperation[]) => Promise<void>;
+  onClose: () => void;
+}
+
+// Longest side of the preview canvas; the server renders the full-size result.
+const PREVIEW_SIZE = 2048;
+
+const ADJUSTMENT_SLIDERS: { key: "brightness" | "contrast" | "saturation"; label: string }[] = [
+  { key: "brightness", label: "Brightness" },
+  { key: "contrast", label: "Contrast" },
+  { key: "saturation", label: "Saturation" },
+];
+
+const CORNER_HANDLES: { handle: CropHandle; className: string }[] = [
+  { handle: "nw", className: "-left-1.5 -top-1.5 cursor-nwse-resize" },
+  { handle: "ne", className: "-right-1.5 -top-1.5 cursor-nesw-resize" },
+  { handle: "sw", className: "-bottom-1.5 -left-1.5 cursor-nesw-resize" },
+  { handle: "se", className: "-bottom-1.5 -right-1.5 cursor-nwse-resize" },
+];
+
+const PhotoEditor: React.FC<PhotoEditorProps> = ({ photo, onSave, onClose }) => {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const cropAreaRef = useRef<HTMLDivElement>(null);
+  const [image, setImage] = useState<HTMLImageElement | null>(null);
+  const [state, setState] = useState<EditState>(() => operationsToEditState(photo.edits));
+  const [isCropping, setIsCropping] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const drag = useRef<{ handle: CropHandle; startX: number; startY: number; start: CropRect } | null>(null);
+
+  // Edits always start again from the untouched original.
+  const sourceUrl = photo.originalUrl ?? photo.url;
+
+  useEffect(() => {
+    let cancelled = false;
+    const next = new Image();
+    next.onload = () => {
+      if (!cancelled) setImage(next);
+    };
+    next.onerror = () => {
+      if (!cancelled) setError("Could not load the original photo.");
+    };
+    next.src = sourceUrl;
+    return () => {
+      cancelled = true;
+    };
+  }, [sourceUrl]);
+
+  // Draws the rotated and flipped original, then shows only the crop unless it is being adjusted.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image) return;
+    const scale = Math.min(1, PREVIEW_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+    const width = image.naturalWidth * scale;
+    const height = image.naturalHeight * scale;
+    const turned = state.rotation % 180 !== 0;
+    const full = document.createElement("canvas");
+    full.width = Math.round(turned ? height : width);
+    full.height = Math.round(turned ? width : height);
+    const fullContext = full.getContext("2d");
+    if (!fullContext) return;
+    fullContext.translate(full.width / 2, full.height / 2);
+    fullContext.scale(state.flipHorizontal ? -1 : 1, state.flipVertical ? -1 : 1);
+    fullContext.rotate((state.rotation * Math.PI) / 180);
+    fullContext.drawImage(image, -width / 2, -height / 2, width, height);
+
+    const crop = isCropping ? FULL_CROP : state.crop ?? FULL_CROP;
+    canvas.width = Math.max(1, Math.round(crop.width * full.width));
+    canvas.height = Math.max(1, Math.round(crop.height * full.height));
+    canvas
+      .getContext("2d")
+      ?.drawImage(
+        full,
+        crop.x * full.width,
+        crop.y * full.height,
+        crop.width * full.width,
+        crop.height * full.height,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+      );
+  }, [image, isCropping, state.crop, state.flipHorizontal, state.flipVertical, state.rotation]);
+
+  const apply = useCallback((operation: EditOperation) => {
+    setState((current) => applyEditOperation(current, operation));
+  }, []);
+
+  const save = useCallback(
+    async (edits: EditOperation[]) => {
+      setIsSaving(true);
+      try {
+        await onSave(edits);
+        onClose();
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Failed to save edits.");
+        setIsSaving(false);
+      }
+    },
+    [onClose, onSave]
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      if (isCropping) {
+        setIsCropping(false);
+      } else {
+        onClose();
+      }
+    };
+    // Capture so the lightbox underneath does not also close.
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [isCropping, onClose]);
+
+  const handleCropPointerDown = (e: React.PointerEvent, handle: CropHandle) => {
+    e.stopPropagation();
+    (e.currentTarget as HTMLElement).setPointerCapture(e.pointerId);
+    drag.current = { handle, startX: e.clientX, startY: e.clientY, start: state.crop ?? FULL_CROP };
+  };
+
+  const handleCropPointerMove = (e: React.PointerEvent) => {
+    const area = cropAreaRef.current;
+    const current = drag.current;
+    if (!area || !current) return;
+    const bounds = area.getBoundingClientRect();
+    const crop = dragCrop(
+      current.start,
+      current.handle,
+      (e.clientX - current.startX) / bounds.width,
+      (e.clientY - current.startY) / bounds.height
+    );
+    setState((previous) => ({ ...previous, crop }));
+  };
+
+  const handleCropPointerUp = () => {
+    drag.current = null;
+  };
+
+  const crop = state.crop ?? FULL_CROP;
+  const hasChanges = JSON.stringify(editStateToOperations(state)) !== JSON.stringify(photo.edits ?? []);
+  const iconButton = "h-10 w-10 text-white hover:bg-white/20 hover:text-white";
+
+  return (
+    <div className="fixed inset-0 z-[60] flex flex-col bg-black" role="dialog" aria-label={`Edit ${photo.name}`}>
+      <div className="flex items-center gap-1 p-3">
+        <Button variant="ghost" size="icon" className={iconButton} title="Cancel (Esc)" onClick={onClose}>
+          <X className="h-5 w-5" />
+        </Button>
+        <span className="min-w-0 flex-1 truncate px-2 text-sm text-white/80">Edit · {photo.name}</span>
+        {photo.edits?.length ? (
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-10 text-white hover:bg-white/20 hover:text-white"
+            disabled={isSaving}
+            onClick={() => save([])}
+          >
+            <Undo2 className="mr-2 h-4 w-4" />
+            Revert to original
+          </Button>
+        ) : null}
+        <Button size="sm" className="h-10" disabled={isSaving || !hasChanges} onClick={() => save(editStateToOperations(state))}>
+          {isSaving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Check className="mr-2 h-4 w-4" />}
+          Save
+        </Button>
+      </div>
+
+      <div className="flex min-h-0 flex-1 items-center justify-center p-4">
+        {!image && !error && <Loader2 className="h-8 w-8 animate-spin text-white/70" />}
+        <div ref={cropAreaRef} className={cn("relative touch-none select-none", !image && "hidden")}>
+          <canvas
+            ref={canvasRef}
+            className="block max-h-[calc(100vh-16rem)] max-w-[calc(100vw-2rem)]"
+            style={{ filter: cssFilterForAdjustments(state) }}
+          />
+          {isCropping && (
+            <div className="absolute inset-0 overflow-hidden">
+              <div
+                className="absolute cursor-move border-2 border-white shadow-[0_0_0_9999px_rgba(0,0,0,0.55)]"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                }}
+                onPointerDown={(e) => handleCropPointerDown(e, "move")}
+                onPointerMove={handleCropPointerMove}
+                onPointerUp={handleCropPointerUp}
+                onPointerCancel={handleCropPointerUp}
+              >
+                {CORNER_HANDLES.map(({ handle, className }) => (
+                  <span
+                    key={handle}
+                    className={cn("absolute h-3 w-3 rounded-sm border border-black/40 bg-white", className)}
+                    onPointerDown={(e) => handleCropPointerDown(e, handle)}
+                    onPointerMove={handleCropPointerMove}
+                    onPointerUp={handleCropPointerUp}
+                    onPointerCancel={handleCropPointerUp}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="px-4 text-center text-sm text-destructive">{error}</p>}
+
+      <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-3 p-4">
+        <div className="flex items-center gap-1">
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title="Rotate left"
+            onClick={() => apply({ type: "rotate", degrees: 270 })}
+          >
+            <RotateCcw className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title="Rotate right"
+            onClick={() => apply({ type: "rotate", degrees: 90 })}
+          >
+            <RotateCw className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title="Flip horizontally"
+            onClick={() => apply({ type: "flip", axis: "horizontal" })}
+          >
+            <FlipHorizontal2 className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title="Flip vertically"
+            onClick={() => apply({ type: "flip", axis: "vertical" })}
+          >
+            <FlipVertical2 className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={cn(iconButton, isCropping && "bg-white/20")}
+            title="Crop"
+            onClick={() => setIsCropping((value) => !value)}
+          >
+            <Crop className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-10 text-white hover:bg-white/20 hover:text-white"
+            onClick={() => {
+              setState(DEFAULT_EDIT_STATE);
+              setIsCropping(false);
+            }}
+          >
+            Reset
+          </Button>
+        </div>
+
+        {ADJUSTMENT_SLIDERS.map(({ key, label }) => (
+          <label key={key} className="flex w-48 flex-col gap-2 text-xs text-white/70">
+            <span className="flex justify-between">
+              {label}
+              <span>{Math.round(state[key] * 100)}%</span>
+            </span>
+            <Slider
+              min={0}
+              max={MAX_ADJUSTMENT}
+              step={0.05}
+              value={[state[key]]}
+              onValueChange={([value]) => setState((current) => ({ ...current, [key]: value }))}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoEditor;
@@ -1,36 +1,528 @@
 import React, { useRef, useCallback, useState } from "react";
-import { Download, Trash2, Upload, Image as ImageIcon, X, User } from "lucide-react";
+import {
+  Download,
+  Trash2,
+  Upload,
+  Image as ImageIcon,
+  User,
+  FolderPlus,
+  FolderMinus,
+  CheckCircle2,
+  Circle,
+  CheckSquare,
+  Archive,
+  Copy,
+  UserCog,
+  ShieldCheck,
+  Heart,
+  MapPin,
+  Loader2,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { usePhotoLibrary, Photo } from "@/hooks/usePhotoLibrary";
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { usePhotoLibrary, Photo, PhotoDetails, TagCount } from "@/hooks/usePhotoLibrary";
 import { usePinchGrid, SIZE_PRESETS } from "@/hooks/usePinchGrid";
+import { rectFromPoints, rectsIntersect, SelectionRect, usePhotoSelection } from "@/hooks/usePhotoSelection";
 import { cn } from "@/lib/utils";
+import { granularityForColumns, groupPhotosByDate } from "@/lib/photoTimeline";
+import { EditOperation } from "@/lib/photoEdits";
+import { isFavoritesView, PhotoSearch, readPhotoSearch, writePhotoSearch } from "@/lib/photoSearch";
+import { coverWidth, pickRendition } from "@/lib/renditions";
 import LandingPage from "@/components/LandingPage";
+import AlbumSidebar from "@/components/AlbumSidebar";
+import TrashView from "@/components/TrashView";
+import SelectionToolbar from "@/components/SelectionToolbar";
+import DuplicatesPanel from "@/components/DuplicatesPanel";
+import UploadQueuePanel from "@/components/UploadQueuePanel";
+import VirtualPhotoGrid from "@/components/VirtualPhotoGrid";
+import PhotoLightbox from "@/components/PhotoLightbox";
+import MediaTileOverlay from "@/components/MediaTileOverlay";
+import PhotoSearchBar from "@/components/PhotoSearchBar";
+import ShareDialog, { ShareSubject } from "@/components/ShareDialog";
+import SessionsDialog from "@/components/SessionsDialog";
+import AccountSettings from "@/components/AccountSettings";
+import AdminConsole from "@/components/AdminConsole";
+import PhotoMap from "@/components/PhotoMap";
+import { useLocation, useMatch, useNavigate, useParams } from "react-router-dom";
+import { toast } from "sonner";
 
 const PhotoLibrary: React.FC = () => {
   const {
     photos,
+    photoTotal,
+    hasMorePhotos,
+    isLoadingMorePhotos,
+    loadMorePhotos,
+    fetchPhoto,
+    refreshExpiredMedia,
     addPhotos,
     removePhoto,
     downloadPhoto,
     isDatabaseDown,
+    offlineChangeCount,
     refreshPhotos,
+    albums,
+    activeAlbumId,
+    setActiveAlbumId,
+    photoSearch,
+    setPhotoSearch,
+    createAlbum,
+    renameAlbum,
+    deleteAlbum,
+    addPhotosToAlbum,
+    removePhotoFromAlbum,
+    removePhotosFromAlbum,
+    removePhotos,
+    restorePhotos,
+    exportPhotos,
+    exportLibrary,
+    trashedPhotos,
+    trashRetentionMs,
+    restorePhoto,
+    deletePhotoForever,
+    emptyTrash,
+    duplicatePolicy,
+    setDuplicatePolicy,
+    fetchDuplicates,
+    saveEdits,
+    revertEdits,
+    updatePhoto,
+    fetchTags,
+    fetchGeoClusters,
+    fetchShares,
+    createShare,
+    revokeShare,
+    uploads,
+    retryUpload,
+    cancelUpload,
+    clearFinishedUploads,
     isAuthenticated,
     authUser,
     authError,
     authErrorCode,
     authNotice,
     login,
+    verifyTwoFactorLogin,
     register,
     logout,
+    changePassword,
+    changeUsername,
+    deleteAccount,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    fetchSessions,
+    revokeSession,
+    fetchAdminUsers,
+    updateAdminUser,
+    resetUserPassword,
+    deleteUser,
   } = usePhotoLibrary();
   const { columns, presetIndex, currentPreset, setPresetByIndex, onPinch } = usePinchGrid(1);
   const fileInputRef = useRef<HTMLInputElement>(null);
   const gridRef = useRef<HTMLDivElement>(null);
-  const [viewingPhoto, setViewingPhoto] = useState<Photo | null>(null);
+  const { photoId } = useParams<{ photoId: string }>();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const isAccountPage = Boolean(useMatch("/account"));
+  const isAdminPage = Boolean(useMatch("/admin"));
+  const isMapPage = Boolean(useMatch("/map"));
+  // The search lives in the query string so it can be bookmarked and survives opening a photo.
+  const urlSearch = React.useMemo(() => readPhotoSearch(new URLSearchParams(location.search)), [location.search]);
+  const isShowingFavorites = isFavoritesView(urlSearch);
+  const [deepLinkedPhoto, setDeepLinkedPhoto] = useState<Photo | null>(null);
+  const viewingPhoto = React.useMemo(
+    () => (photoId ? photos.find((photo) => photo.id === photoId) ?? (deepLinkedPhoto?.id === photoId ? deepLinkedPhoto : null) : null),
+    [deepLinkedPhoto, photoId, photos]
+  );
   const [showSizeIndicator, setShowSizeIndicator] = useState(false);
   const indicatorTimeout = useRef<ReturnType<typeof setTimeout>>();
   const [failedPreviewIds, setFailedPreviewIds] = useState<Set<string>>(new Set());
+  const [playingLiveId, setPlayingLiveId] = useState<string | null>(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [shareSubject, setShareSubject] = useState<ShareSubject | null>(null);
+  const [showSessions, setShowSessions] = useState(false);
+  const [knownTags, setKnownTags] = useState<TagCount[]>([]);
+  const activeAlbum = albums.find((album) => album.id === activeAlbumId) ?? null;
+  const timelineGroups = React.useMemo(
+    () => groupPhotosByDate(photos, granularityForColumns(columns)),
+    [photos, columns]
+  );
+  const orderedIds = React.useMemo(() => photos.map((photo) => photo.id), [photos]);
+  const selection = usePhotoSelection(orderedIds);
+  const {
+    isSelecting,
+    selectedIds,
+    toggle: toggleSelected,
+    selectRange,
+    replaceSelection,
+    stopSelecting,
+  } = selection;
+  const longPressTimer = useRef<ReturnType<typeof setTimeout>>();
+  const suppressNextClick = useRef(false);
+  const dragStart = useRef<{ x: number; y: number; base: Set<string> } | null>(null);
+  const [dragRect, setDragRect] = useState<SelectionRect | null>(null);
+
+  const toggleAlbumMembership = useCallback(
+    (photo: Photo, albumId: string, checked: boolean) => {
+      const action = checked
+        ? addPhotosToAlbum(albumId, [photo.id])
+        : removePhotoFromAlbum(albumId, photo.id);
+      action.catch((error) => {
+        console.error(error);
+      });
+    },
+    [addPhotosToAlbum, removePhotoFromAlbum]
+  );
+
+  React.useEffect(() => {
+    setPhotoSearch(urlSearch);
+    // A search names its own album, so the sidebar goes back to the whole library.
+    if (urlSearch) setActiveAlbumId(null);
+  }, [setActiveAlbumId, setPhotoSearch, urlSearch]);
+
+  const updateSearch = useCallback(
+    (search: PhotoSearch | null) => {
+      stopSelecting();
+      setShowTrash(false);
+      // Typing refines the current search in place rather than adding a history entry per keystroke.
+      navigate({ pathname: "/", search: writePhotoSearch(search).toString() }, { replace: Boolean(location.search) });
+    },
+    [location.search, navigate, stopSelecting]
+  );
+
+  const selectAlbum = useCallback(
+    (albumId: string | null) => {
+      stopSelecting();
+      setShowTrash(false);
+      setActiveAlbumId(albumId);
+      if (location.search) navigate({ pathname: "/", search: "" });
+    },
+    [location.search, navigate, setActiveAlbumId, stopSelecting]
+  );
+
+  // The viewer lives at /photo/:id so it can be bookmarked; the back button closes it.
+  const openPhoto = useCallback(
+    (photo: Photo) => {
+      navigate(
+        { pathname: `/photo/${encodeURIComponent(photo.id)}`, search: location.search },
+        { state: { fromLibrary: true } }
+      );
+    },
+    [location.search, navigate]
+  );
+
+  const showPhoto = useCallback(
+    (photo: Photo) => {
+      navigate(
+        { pathname: `/photo/${encodeURIComponent(photo.id)}`, search: location.search },
+        { replace: true, state: location.state }
+      );
+    },
+    [location.search, location.state, navigate]
+  );
+
+  const closeViewer = useCallback(() => {
+    if ((location.state as { fromLibrary?: boolean } | null)?.fromLibrary) {
+      navigate(-1);
+    } else {
+      navigate({ pathname: "/", search: location.search }, { replace: true });
+    }
+  }, [location.search, location.state, navigate]);
+
+  const loadMore = useCallback(() => {
+    loadMorePhotos().catch((error) => {
+      console.error(error);
+    });
+  }, [loadMorePhotos]);
+
+  React.useEffect(() => {
+    if (!photoId || !isAuthenticated || photos.some((photo) => photo.id === photoId)) return;
+    let cancelled = false;
+    fetchPhoto(photoId)
+      .then((photo) => {
+        if (!cancelled) setDeepLinkedPhoto(photo);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        toast.error("That photo could not be found.");
+        navigate({ pathname: "/", search: location.search }, { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchPhoto, isAuthenticated, location.search, navigate, photoId, photos]);
+
+  const handleTileClick = useCallback(
+    (e: React.MouseEvent, photo: Photo) => {
+      if (suppressNextClick.current) {
+        suppressNextClick.current = false;
+        return;
+      }
+      if (e.shiftKey) {
+        selectRange(photo.id);
+        return;
+      }
+      if (isSelecting || e.metaKey || e.ctrlKey) {
+        toggleSelected(photo.id);
+        return;
+      }
+      openPhoto(photo);
+    },
+    [isSelecting, openPhoto, selectRange, toggleSelected]
+  );
+
+  const cancelLongPress = useCallback(() => {
+    clearTimeout(longPressTimer.current);
+  }, []);
+
+  const handleTileTouchStart = useCallback(
+    (e: React.TouchEvent, photo: Photo) => {
+      suppressNextClick.current = false;
+      if (e.touches.length !== 1) {
+        cancelLongPress();
+        return;
+      }
+      longPressTimer.current = setTimeout(() => {
+        // The tap that ends the long press should not toggle the photo back.
+        suppressNextClick.current = true;
+        toggleSelected(photo.id);
+        navigator.vibrate?.(30);
+      }, 500);
+    },
+    [cancelLongPress, toggleSelected]
+  );
+
+  const tileIdsInRect = useCallback((rect: SelectionRect) => {
+    const ids: string[] = [];
+    gridRef.current?.querySelectorAll<HTMLElement>("[data-photo-id]").forEach((element) => {
+      const bounds = element.getBoundingClientRect();
+      if (rectsIntersect(rect, bounds)) {
+        ids.push(element.dataset.photoId as string);
+      }
+    });
+    return ids;
+  }, []);
+
+  const handlePointerDown = useCallback(
+    (e: React.PointerEvent) => {
+      if (!isSelecting || e.pointerType !== "mouse" || e.button !== 0) return;
+      if ((e.target as HTMLElement).closest("button, a, input")) return;
+      const additive = e.shiftKey || e.metaKey || e.ctrlKey;
+      dragStart.current = { x: e.clientX, y: e.clientY, base: additive ? new Set(selectedIds) : new Set() };
+    },
+    [isSelecting, selectedIds]
+  );
+
+  React.useEffect(() => {
+    if (!isSelecting) return;
+
+    const handleMove = (e: PointerEvent) => {
+      const start = dragStart.current;
+      if (!start) return;
+      if (!dragRect && Math.hypot(e.clientX - start.x, e.clientY - start.y) < 6) return;
+      e.preventDefault();
+      const rect = rectFromPoints(start.x, start.y, e.clientX, e.clientY);
+      setDragRect(rect);
+      replaceSelection([...start.base, ...tileIdsInRect(rect)]);
+    };
+
+    const handleUp = () => {
+      if (dragStart.current && dragRect) {
+        suppressNextClick.current = true;
+        // Reset on the next tick in case the drag ended outside any tile.
+        setTimeout(() => {
+          suppressNextClick.current = false;
+        }, 0);
+      }
+      dragStart.current = null;
+      setDragRect(null);
+    };
+
+    window.addEventListener("pointermove", handleMove);
+    window.addEventListener("pointerup", handleUp);
+    return () => {
+      window.removeEventListener("pointermove", handleMove);
+      window.removeEventListener("pointerup", handleUp);
+    };
+  }, [dragRect, isSelecting, replaceSelection, tileIdsInRect]);
+
+  React.useEffect(() => {
+    if (!isSelecting) return;
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === "Escape") {
+        stopSelecting();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isSelecting, stopSelecting]);
+
+  const selectedPhotos = React.useMemo(
+    () => photos.filter((photo) => selectedIds.has(photo.id)),
+    [photos, selectedIds]
+  );
+
+  const runBulkAction = useCallback(async (action: () => Promise<unknown>, failureMessage: string) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(error);
+      toast.error(error instanceof Error ? error.message : failureMessage);
+    }
+  }, []);
+
+  const deleteSelected = useCallback(async () => {
+    const ids = selectedPhotos.map((photo) => photo.id);
+    await runBulkAction(async () => {
+      const trashed = await removePhotos(ids);
+      stopSelecting();
+      toast(`Moved ${trashed.length} photo${trashed.length !== 1 ? "s" : ""} to the trash`, {
+        action: {
+          label: "Undo",
+          onClick: () => {
+            runBulkAction(() => restorePhotos(trashed), "Failed to restore photos");
+          },
+        },
+      });
+    }, "Failed to delete photos");
+  }, [removePhotos, restorePhotos, runBulkAction, selectedPhotos, stopSelecting]);
+
+  const moveToTrash = useCallback(
+    async (photo: Photo) => {
+      const moved = await removePhoto(photo.id);
+      if (!moved) {
+        toast.error(`Could not move "${photo.name}" to the trash.`);
+        return false;
+      }
+      toast(`Moved "${photo.name}" to the trash`, {
+        action: {
+          label: "Undo",
+          onClick: () => {
+            restorePhoto(photo.id).catch((error) => {
+              console.error(error);
+            });
+          },
+        },
+      });
+      return true;
+    },
+    [removePhoto, restorePhoto]
+  );
+
+  const trashViewingPhoto = useCallback(
+    (photo: Photo) => {
+      const index = photos.findIndex((candidate) => candidate.id === photo.id);
+      const neighbour = photos[index + 1] ?? photos[index - 1];
+      if (neighbour) {
+        showPhoto(neighbour);
+      } else {
+        closeViewer();
+      }
+      moveToTrash(photo);
+    },
+    [closeViewer, moveToTrash, photos, showPhoto]
+  );
+
+  // Signed image URLs expire; a failed load on one of them re-issues the URLs instead of giving up.
+  const handleMediaError = useCallback(
+    (url: string) => {
+      if (!refreshExpiredMedia(url)) return false;
+      if (deepLinkedPhoto && photoId === deepLinkedPhoto.id) {
+        fetchPhoto(deepLinkedPhoto.id)
+          .then((photo) => setDeepLinkedPhoto((current) => (current?.id === photo.id ? photo : current)))
+          .catch((error) => {
+            console.error(error);
+          });
+      }
+      return true;
+    },
+    [deepLinkedPhoto, fetchPhoto, photoId, refreshExpiredMedia]
+  );
+
+  const handleDownload = useCallback(
+    (photo: Photo) => {
+      downloadPhoto(photo).catch(() => {
+        toast.error(`Could not download "${photo.name}".`);
+      });
+    },
+    [downloadPhoto]
+  );
+
+  const saveViewingEdits = useCallback(
+    async (photo: Photo, edits: EditOperation[]) => {
+      const apply = (next: EditOperation[]) => (next.length ? saveEdits(photo.id, next) : revertEdits(photo.id));
+      const updated = await apply(edits);
+      // A deep-linked photo is not part of the loaded list, so refreshing photos does not update it.
+      setDeepLinkedPhoto((current) => (current?.id === updated.id ? updated : current));
+      const previous = photo.edits ?? [];
+      toast(edits.length ? `Saved edits to "${photo.name}"` : `Reverted "${photo.name}" to the original`, {
+        action: {
+          label: "Undo",
+          onClick: () => {
+            apply(previous)
+              .then((restored) => setDeepLinkedPhoto((current) => (current?.id === restored.id ? restored : current)))
+              .catch((error) => {
+                console.error(error);
+              });
+          },
+        },
+      });
+    },
+    [revertEdits, saveEdits]
+  );
+
+  const refreshKnownTags = useCallback(() => {
+    fetchTags()
+      .then(setKnownTags)
+      .catch((error) => {
+        console.error(error);
+      });
+  }, [fetchTags]);
+
+  const isViewerOpen = Boolean(viewingPhoto);
+  React.useEffect(() => {
+    if (isViewerOpen) refreshKnownTags();
+  }, [isViewerOpen, refreshKnownTags]);
+
+  const saveViewingDetails = useCallback(
+    async (photo: Photo, details: PhotoDetails) => {
+      const updated = await updatePhoto(photo.id, details);
+      // A deep-linked photo is not part of the loaded list, so the optimistic update misses it.
+      setDeepLinkedPhoto((current) => (current?.id === updated.id ? updated : current));
+      if (details.tags) refreshKnownTags();
+    },
+    [refreshKnownTags, updatePhoto]
+  );
+
+  const toggleFavorite = useCallback(
+    (photo: Photo) => {
+      saveViewingDetails(photo, { favorite: !photo.favorite }).catch((error) => {
+        toast.error(error instanceof Error ? error.message : "Failed to update favorite");
+      });
+    },
+    [saveViewingDetails]
+  );
+
+  const toggleHideLocation = useCallback(
+    (photo: Photo) => {
+      saveViewingDetails(photo, { hideLocation: !photo.hideLocation }).catch((error) => {
+        toast.error(error instanceof Error ? error.message : "Failed to update location sharing");
+      });
+    },
+    [saveViewingDetails]
+  );
 
   const flashIndicator = useCallback(() => {
     setShowSizeIndicator(true);
@@ -107,10 +599,161 @@ const PhotoLibrary: React.FC = () => {
     [addPhotos]
   );
 
+  const renderTile = (photo: Photo, tileSize: number) => {
+    // Column width times the screen's pixel density; the thumbnail is the fallback for photos without renditions.
+    const previewUrl =
+      pickRendition(photo.renditions, coverWidth(tileSize, photo.width, photo.height), window.devicePixelRatio)?.url ??
+      photo.thumbnailUrl;
+    return (
+      <div
+        key={photo.id}
+        data-photo-id={photo.id}
+        className={cn(
+          "group relative aspect-square cursor-pointer overflow-hidden rounded-md bg-muted transition-shadow",
+          selectedIds.has(photo.id) && "ring-4 ring-primary ring-offset-1 ring-offset-background"
+        )}
+        onClick={(e) => handleTileClick(e, photo)}
+        onTouchStart={(e) => handleTileTouchStart(e, photo)}
+        onTouchMove={cancelLongPress}
+        onTouchEnd={cancelLongPress}
+        onMouseEnter={photo.liveVideoUrl ? () => setPlayingLiveId(photo.id) : undefined}
+        onMouseLeave={photo.liveVideoUrl ? () => setPlayingLiveId(null) : undefined}
+        onContextMenu={(e) => {
+          if (isSelecting) e.preventDefault();
+        }}
+      >
+        {photo.processing ? (
+          <div className="flex h-full w-full flex-col items-center justify-center gap-2 bg-muted p-3 text-center">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground/70" />
+            <p className="text-[11px] text-muted-foreground/80">Processing…</p>
+          </div>
+        ) : previewUrl && !failedPreviewIds.has(photo.id) ? (
+          <img
+            src={previewUrl}
+            alt={photo.name}
+            className="h-full w-full object-cover"
+            loading="lazy"
+            onError={() => {
+              if (handleMediaError(previewUrl)) return;
+              setFailedPreviewIds((prev) => {
+                const next = new Set(prev);
+                next.add(photo.id);
+                return next;
+              });
+            }}
+          />
+        ) : (
+          <div className="flex h-full w-full flex-col items-center justify-center gap-2 bg-muted p-3 text-center">
+            <ImageIcon className="h-8 w-8 text-muted-foreground/70" />
+            <p className="line-clamp-2 text-xs text-muted-foreground">{photo.name}</p>
+            <p className="text-[11px] text-muted-foreground/80">Preview not supported here</p>
+          </div>
+        )}
+        {!photo.processing && (
+          <MediaTileOverlay
+            photo={photo}
+            isPlayingLive={playingLiveId === photo.id && !isSelecting}
+            onLiveStart={() => setPlayingLiveId(photo.id)}
+            onLiveStop={() => setPlayingLiveId((current) => (current === photo.id ? null : current))}
+            onMediaError={handleMediaError}
+          />
+        )}
+        {photo.favorite && !isSelecting && (
+          <Heart className="pointer-events-none absolute left-1.5 top-1.5 h-4 w-4 fill-white text-white drop-shadow" />
+        )}
+        {isSelecting && (
+          <div className="pointer-events-none absolute left-1.5 top-1.5 rounded-full bg-black/30 text-white">
+            {selectedIds.has(photo.id) ? (
+              <CheckCircle2 className="h-6 w-6 fill-primary" />
+            ) : (
+              <Circle className="h-6 w-6" />
+            )}
+          </div>
+        )}
+        <div
+          className={cn(
+            "absolute inset-0 flex items-end justify-end gap-1 bg-gradient-to-t from-black/50 to-transparent p-2 opacity-0 transition-opacity group-hover:opacity-100 has-[[data-state=open]]:opacity-100",
+            isSelecting && "hidden"
+          )}
+        >
+          {activeAlbumId ? (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8 text-white hover:bg-white/20 hover:text-white"
+              title="Remove from album"
+              onClick={(e) => {
+                e.stopPropagation();
+                toggleAlbumMembership(photo, activeAlbumId, false);
+              }}
+            >
+              <FolderMinus className="h-4 w-4" />
+            </Button>
+          ) : (
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-white hover:bg-white/20 hover:text-white"
+                  title="Add to album"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <FolderPlus className="h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end" onClick={(e) => e.stopPropagation()}>
+                <DropdownMenuLabel>Albums</DropdownMenuLabel>
+                <DropdownMenuSeparator />
+                {albums.length === 0 ? (
+                  <p className="px-2 py-1.5 text-xs text-muted-foreground">Create an album first</p>
+                ) : (
+                  albums.map((album) => (
+                    <DropdownMenuCheckboxItem
+                      key={album.id}
+                      checked={photo.albumIds?.includes(album.id) ?? false}
+                      onCheckedChange={(checked) => toggleAlbumMembership(photo, album.id, checked === true)}
+                      onSelect={(e) => e.preventDefault()}
+                    >
+                      {album.name}
+                    </DropdownMenuCheckboxItem>
+                  ))
+                )}
+              </DropdownMenuContent>
+            </DropdownMenu>
+          )}
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 text-white hover:bg-white/20 hover:text-white"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleDownload(photo);
+            }}
+          >
+            <Download className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 text-white hover:bg-destructive/80 hover:text-white"
+            onClick={(e) => {
+              e.stopPropagation();
+              moveToTrash(photo);
+            }}
+          >
+            <Trash2 className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    );
+  };
+
   if (!isAuthenticated) {
     return (
       <LandingPage
         login={login}
+        verifyTwoFactorLogin={verifyTwoFactorLogin}
         register={register}
         authError={authError}
         authNotice={authNotice}
@@ -118,6 +761,62 @@ const PhotoLibrary: React.FC = () => {
     );
   }
 
+  const sessionsDialog = (
+    <SessionsDialog
+      open={showSessions}
+      onOpenChange={setShowSessions}
+      fetchSessions={fetchSessions}
+      revokeSession={revokeSession}
+      onSignedOut={logout}
+    />
+  );
+
+  if (isAccountPage) {
+    return (
+      <>
+        <AccountSettings
+          user={authUser}
+          onBack={() => navigate("/")}
+          onShowSessions={() => setShowSessions(true)}
+          changeUsername={changeUsername}
+          changePassword={changePassword}
+          startTwoFactorSetup={startTwoFactorSetup}
+          enableTwoFactor={enableTwoFactor}
+          disableTwoFactor={disableTwoFactor}
+          regenerateRecoveryCodes={regenerateRecoveryCodes}
+          deleteAccount={async (currentPassword) => {
+            await deleteAccount(currentPassword);
+            navigate("/", { replace: true });
+          }}
+        />
+        {sessionsDialog}
+      </>
+    );
+  }
+
+  if (isAdminPage && authUser?.isAdmin) {
+    return (
+      <AdminConsole
+        currentUser={authUser}
+        onBack={() => navigate("/")}
+        fetchAdminUsers={fetchAdminUsers}
+        updateAdminUser={updateAdminUser}
+        resetUserPassword={resetUserPassword}
+        deleteUser={deleteUser}
+      />
+    );
+  }
+
+  if (isMapPage) {
+    return (
+      <PhotoMap
+        onBack={() => navigate("/")}
+        onOpenPhoto={(id) => navigate(`/photo/${encodeURIComponent(id)}`, { state: { fromLibrary: true } })}
+        fetchGeoClusters={fetchGeoClusters}
+      />
+    );
+  }
+
   return (
     <div className="flex min-h-screen flex-col bg-background">
       <header className="sticky top-0 z-30 border-b bg-background/80 backdrop-blur-md">
@@ -149,15 +848,54 @@ const PhotoLibrary: React.FC = () => {
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept="image/*,video/*"
               multiple
               className="hidden"
               onChange={handleFileChange}
             />
+            {!showTrash && (
+              <Button
+                variant={isSelecting ? "secondary" : "outline"}
+                size="sm"
+                onClick={isSelecting ? stopSelecting : selection.startSelecting}
+              >
+                <CheckSquare className="mr-1 h-4 w-4" />
+                {isSelecting ? "Cancel" : "Select"}
+              </Button>
+            )}
+            <DropdownMenu>
+              <DropdownMenuTrigger asChild>
+                <Button variant="outline" size="sm" title="Export library">
+                  <Archive className="h-4 w-4" />
+                </Button>
+              </DropdownMenuTrigger>
+              <DropdownMenuContent align="end">
+                <DropdownMenuLabel>Export library</DropdownMenuLabel>
+                <DropdownMenuSeparator />
+                <DropdownMenuItem onSelect={() => exportLibrary()}>Download all as ZIP</DropdownMenuItem>
+                <DropdownMenuItem onSelect={() => exportLibrary({ includeManifest: true })}>
+                  Download all with metadata manifest
+                </DropdownMenuItem>
+              </DropdownMenuContent>
+            </DropdownMenu>
+            <Button variant="outline" size="sm" title="Map" onClick={() => navigate("/map")}>
+              <MapPin className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" title="Find duplicates" onClick={() => setShowDuplicates(true)}>
+              <Copy className="h-4 w-4" />
+            </Button>
             <Button onClick={() => fileInputRef.current?.click()} size="sm">
               <Upload className="mr-1 h-4 w-4" />
               Upload
             </Button>
+            {authUser?.isAdmin && (
+              <Button variant="outline" size="sm" title="Manage users" onClick={() => navigate("/admin")}>
+                <ShieldCheck className="h-4 w-4" />
+              </Button>
+            )}
+            <Button variant="outline" size="sm" title="Account settings" onClick={() => navigate("/account")}>
+              <UserCog className="h-4 w-4" />
+            </Button>
             <Button variant="outline" size="sm" onClick={logout}>
               Logout
             </Button>
@@ -174,151 +912,235 @@ const PhotoLibrary: React.FC = () => {
         {currentPreset.label} · {columns} columns
       </div>
 
-      <main
-        ref={gridRef}
-        className="flex-1 px-2 py-4"
-        onDrop={handleDrop}
-        onDragOver={(e) => e.preventDefault()}
-        onTouchStart={handleTouchStart}
-        onTouchMove={handleTouchMove}
-        onTouchEnd={handleTouchEnd}
-        onWheel={handleWheel}
-      >
-        {authNotice && (
-          <div className="mx-auto mb-4 max-w-7xl rounded-lg border border-primary/30 bg-primary/5 px-4 py-3 text-sm text-primary">{/* success notice */}
-            {authNotice}
-          </div>
-        )}
-        {isDatabaseDown && (
-          <div className="mx-auto mb-4 flex max-w-7xl items-center justify-between rounded-lg border border-destructive/40 bg-destructive/10 px-4 py-3 text-sm text-destructive">
-            <span>Database server is down. Start your local proxy/database service.</span>
-            <Button
-              variant="outline"
-              size="sm"
-              onClick={() => {
-                refreshPhotos().catch((error) => {
-                  console.error(error);
-                });
-              }}
-            >
-              Retry
-            </Button>
-          </div>
-        )}
-        {photos.length === 0 ? (
-          <div
-            className="mx-auto flex max-w-md flex-col items-center justify-center gap-4 rounded-2xl border-2 border-dashed border-muted-foreground/25 px-8 py-24 text-center"
-            onClick={() => fileInputRef.current?.click()}
-            role="button"
-            tabIndex={0}
-          >
-            <Upload className="h-12 w-12 text-muted-foreground/50" />
-            <p className="text-lg font-medium text-muted-foreground">Drop photos here or click to upload</p>
-            <p className="text-sm text-muted-foreground/60">Pinch or Ctrl+Scroll to change grid size</p>
-          </div>
-        ) : (
-          <div
-            className="mx-auto max-w-7xl gap-1.5 transition-all duration-200"
-            style={{
-              display: "grid",
-              gridTemplateColumns: `repeat(${columns}, 1fr)`,
-            }}
-          >
-            {photos.map((photo) => (
-              <div
-                key={photo.id}
-                className="group relative aspect-square cursor-pointer overflow-hidden rounded-md bg-muted transition-shadow"
-                onClick={() => setViewingPhoto(photo)}
+      <div className="flex flex-1 flex-col md:flex-row">
+        <AlbumSidebar
+          albums={albums}
+          activeAlbumId={activeAlbumId}
+          isTrashActive={showTrash}
+          isFavoritesActive={isShowingFavorites && !showTrash}
+          onSelectFavorites={() => updateSearch({ favorite: true })}
+          trashCount={trashedPhotos.length}
+          onSelect={selectAlbum}
+          onSelectTrash={() => {
+            stopSelecting();
+            setShowTrash(true);
+          }}
+          onCreate={createAlbum}
+          onRename={renameAlbum}
+          onDelete={deleteAlbum}
+          onShare={(album) => setShareSubject({ target: { albumId: album.id }, name: album.name })}
+        />
+
+        <main
+          ref={gridRef}
+          className={cn("min-w-0 flex-1 px-2 py-4", isSelecting && "select-none pb-32")}
+          onPointerDown={handlePointerDown}
+          onDrop={handleDrop}
+          onDragOver={(e) => e.preventDefault()}
+          onTouchStart={handleTouchStart}
+          onTouchMove={handleTouchMove}
+          onTouchEnd={handleTouchEnd}
+          onWheel={handleWheel}
+        >
+          {authNotice && (
+            <div className="mx-auto mb-4 max-w-7xl rounded-lg border border-primary/30 bg-primary/5 px-4 py-3 text-sm text-primary">{/* success notice */}
+              {authNotice}
+            </div>
+          )}
+          {isDatabaseDown && (
+            <div className="mx-auto mb-4 flex max-w-7xl items-center justify-between rounded-lg border border-destructive/40 bg-destructive/10 px-4 py-3 text-sm text-destructive">
+              <span>
+                Database server is down. Saved photos stay browsable, and uploads and deletes sync once it is back.
+                {offlineChangeCount > 0 && ` ${offlineChangeCount} change${offlineChangeCount !== 1 ? "s" : ""} waiting.`}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => {
+                  refreshPhotos().catch((error) => {
+                    console.error(error);
+                  });
+                }}
               >
-                {!failedPreviewIds.has(photo.id) ? (
-                  <img
-                    src={photo.thumbnailUrl}
-                    alt={photo.name}
-                    className="h-full w-full object-cover"
-                    loading="lazy"
-                    onError={() => {
-                      setFailedPreviewIds((prev) => {
-                        const next = new Set(prev);
-                        next.add(photo.id);
-                        return next;
-                      });
-                    }}
-                  />
-                ) : (
-                  <div className="flex h-full w-full flex-col items-center justify-center gap-2 bg-muted p-3 text-center">
-                    <ImageIcon className="h-8 w-8 text-muted-foreground/70" />
-                    <p className="line-clamp-2 text-xs text-muted-foreground">{photo.name}</p>
-                    <p className="text-[11px] text-muted-foreground/80">Preview not supported here</p>
-                  </div>
-                )}
-                <div className="absolute inset-0 flex items-end justify-end gap-1 bg-gradient-to-t from-black/50 to-transparent p-2 opacity-0 transition-opacity group-hover:opacity-100">
-                  <Button
-                    variant="ghost"
-                    size="icon"
-                    className="h-8 w-8 text-white hover:bg-white/20 hover:text-white"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      downloadPhoto(photo);
-                    }}
-                  >
-                    <Download className="h-4 w-4" />
-                  </Button>
-                  <Button
-                    variant="ghost"
-                    size="icon"
-                    className="h-8 w-8 text-white hover:bg-destructive/80 hover:text-white"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      removePhoto(photo.id);
-                    }}
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </Button>
+                Retry
+              </Button>
+            </div>
+          )}
+          {showTrash ? (
+            <TrashView
+              photos={trashedPhotos}
+              columns={columns}
+              retentionMs={trashRetentionMs}
+              onRestore={restorePhoto}
+              onDeleteForever={deletePhotoForever}
+              onEmpty={emptyTrash}
+              onImageError={handleMediaError}
+            />
+          ) : (
+            <>
+              <PhotoSearchBar
+                search={urlSearch}
+                albums={albums}
+                activeAlbumId={activeAlbumId}
+                onChange={updateSearch}
+              />
+              {urlSearch && (
+                <div className="mx-auto mb-3 flex max-w-7xl items-baseline gap-2 px-1">
+                  <h2 className="text-lg font-semibold text-foreground">
+                    {isShowingFavorites ? "Favorites" : "Search results"}
+                  </h2>
+                  <span className="text-xs text-muted-foreground">
+                    {photoTotal} photo{photoTotal !== 1 && "s"}
+                  </span>
                 </div>
-              </div>
-            ))}
-          </div>
-        )}
-      </main>
+              )}
+              {activeAlbum && !urlSearch && (
+                <div className="mx-auto mb-3 flex max-w-7xl items-baseline gap-2 px-1">
+                  <h2 className="text-lg font-semibold text-foreground">{activeAlbum.name}</h2>
+                  <span className="text-xs text-muted-foreground">
+                    {activeAlbum.photoCount} photo{activeAlbum.photoCount !== 1 && "s"}
+                  </span>
+                </div>
+              )}
+              {photos.length === 0 && photoSearch ? (
+                <p className="mx-auto max-w-md py-24 text-center text-sm text-muted-foreground">
+                  {isShowingFavorites
+                    ? "No favorites yet. Tap the heart on a photo to add it here."
+                    : "No photos match this search."}
+                </p>
+              ) : photos.length === 0 ? (
+                <div
+                  className="mx-auto flex max-w-md flex-col items-center justify-center gap-4 rounded-2xl border-2 border-dashed border-muted-foreground/25 px-8 py-24 text-center"
+                  onClick={() => fileInputRef.current?.click()}
+                  role="button"
+                  tabIndex={0}
+                >
+                  <Upload className="h-12 w-12 text-muted-foreground/50" />
+                  <p className="text-lg font-medium text-muted-foreground">
+                    {activeAlbum ? `Drop photos or videos here to add them to ${activeAlbum.name}` : "Drop photos or videos here or click to upload"}
+                  </p>
+                  <p className="text-sm text-muted-foreground/60">Pinch or Ctrl+Scroll to change grid size</p>
+                </div>
+              ) : (
+                <VirtualPhotoGrid
+                  groups={timelineGroups}
+                  columns={columns}
+                  renderTile={renderTile}
+                  hasMore={hasMorePhotos}
+                  isLoadingMore={isLoadingMorePhotos}
+                  onLoadMore={loadMore}
+                />
+              )}
+            </>
+          )}
+        </main>
+      </div>
 
-      {viewingPhoto && (
+      {dragRect && (
         <div
-          className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm"
-          onClick={() => setViewingPhoto(null)}
-        >
-          <div className="absolute right-4 top-4 flex gap-2">
-            <Button
-              variant="ghost"
-              size="icon"
-              className="h-10 w-10 text-white hover:bg-white/20 hover:text-white"
-              onClick={(e) => {
-                e.stopPropagation();
-                downloadPhoto(viewingPhoto);
-              }}
-            >
-              <Download className="h-5 w-5" />
-            </Button>
-            <Button
-              variant="ghost"
-              size="icon"
-              className="h-10 w-10 text-white hover:bg-white/20 hover:text-white"
-              onClick={() => setViewingPhoto(null)}
-            >
-              <X className="h-5 w-5" />
-            </Button>
-          </div>
-          <img
-            src={viewingPhoto.url}
-            alt={viewingPhoto.name}
-            className="max-h-[90vh] max-w-[90vw] rounded-lg object-contain shadow-2xl"
-            onClick={(e) => e.stopPropagation()}
-          />
-          <p className="absolute bottom-6 text-sm text-white/70">{viewingPhoto.name}</p>
-        </div>
+          className="pointer-events-none fixed z-40 rounded-sm border border-primary bg-primary/15"
+          style={{
+            left: dragRect.left,
+            top: dragRect.top,
+            width: dragRect.right - dragRect.left,
+            height: dragRect.bottom - dragRect.top,
+          }}
+        />
       )}
 
+      {isSelecting && !showTrash && (
+        <SelectionToolbar
+          selectedCount={selectedPhotos.length}
+          totalCount={photos.length}
+          albums={albums}
+          activeAlbumId={activeAlbumId}
+          onSelectAll={selection.selectAll}
+          onClear={selection.clearSelection}
+          onDone={stopSelecting}
+          onDownload={(includeManifest) => {
+            if (selectedPhotos.length === 1 && !includeManifest) {
+              handleDownload(selectedPhotos[0]);
+              return;
+            }
+            exportPhotos(
+              selectedPhotos.map((photo) => photo.id),
+              { includeManifest }
+            );
+          }}
+          onAddToAlbum={(albumId) => {
+            runBulkAction(
+              () => addPhotosToAlbum(albumId, selectedPhotos.map((photo) => photo.id)),
+              "Failed to add photos to album"
+            );
+          }}
+          onRemoveFromAlbum={() => {
+            if (!activeAlbumId) return;
+            runBulkAction(
+              () => removePhotosFromAlbum(activeAlbumId, selectedPhotos.map((photo) => photo.id)),
+              "Failed to remove photos from album"
+            );
+          }}
+          onDelete={() => {
+            deleteSelected();
+          }}
+        />
+      )}
+
+      {viewingPhoto && (
+        <PhotoLightbox
+          photo={viewingPhoto}
+          photos={photos}
+          hasMore={hasMorePhotos}
+          onLoadMore={loadMore}
+          onNavigate={showPhoto}
+          onClose={closeViewer}
+          onDownload={handleDownload}
+          onDelete={trashViewingPhoto}
+          onImageError={handleMediaError}
+          onSaveEdits={saveViewingEdits}
+          onSaveDetails={saveViewingDetails}
+          onToggleFavorite={toggleFavorite}
+          onToggleHideLocation={toggleHideLocation}
+          knownTags={knownTags}
+          onShare={(photo) => setShareSubject({ target: { photoId: photo.id }, name: photo.name })}
+        />
+      )}
+
+      <ShareDialog
+        subject={shareSubject}
+        onOpenChange={(open) => {
+          if (!open) setShareSubject(null);
+        }}
+        fetchShares={fetchShares}
+        createShare={createShare}
+        revokeShare={revokeShare}
+      />
+
+      {sessionsDialog}
+
+      <UploadQueuePanel
+        uploads={uploads}
+        raised={isSelecting && !showTrash}
+        onRetry={retryUpload}
+        onCancel={(id) => {
+          cancelUpload(id).catch((error) => {
+            console.error(error);
+          });
+        }}
+        onClearFinished={clearFinishedUploads}
+      />
+
+      <DuplicatesPanel
+        open={showDuplicates}
+        onOpenChange={setShowDuplicates}
+        policy={duplicatePolicy}
+        onPolicyChange={setDuplicatePolicy}
+        fetchDuplicates={fetchDuplicates}
+        onTrash={moveToTrash}
+      />
+
       <footer className="border-t bg-background/80 px-4 py-2 text-center text-xs text-muted-foreground backdrop-blur-md">
-        {photos.length} photo{photos.length !== 1 && "s"} · View: {currentPreset.label} ({columns} col) · Pinch or
+        {photoTotal} photo{photoTotal !== 1 && "s"} · View: {currentPreset.label} ({columns} col) · Pinch or
         Ctrl+Scroll to resize
       </footer>
     </div>
@@ -0,0 +1,663 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Download,
+  Heart,
+  Info,
+  Pause,
+  Play,
+  Share2,
+  SlidersHorizontal,
+  Trash2,
+  X,
+  ZoomIn,
+  ZoomOut,
+} from "lucide-react";
+import { format } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import PhotoEditor from "@/components/PhotoEditor";
+import PhotoDetailsForm from "@/components/PhotoDetailsForm";
+import { Photo, PhotoDetails, TagCount } from "@/hooks/usePhotoLibrary";
+import { EditOperation } from "@/lib/photoEdits";
+import { formatDuration } from "@/lib/mediaFiles";
+import { pickRendition } from "@/lib/renditions";
+import { cn } from "@/lib/utils";
+import { clampPan, IDENTITY_TRANSFORM, MAX_ZOOM, ViewerTransform, zoomAt } from "@/lib/viewerTransform";
+
+interface PhotoLightboxProps {
+  photo: Photo;
+  photos: Photo[];
+  hasMore: boolean;
+  onLoadMore: () => void;
+  onNavigate: (photo: Photo) => void;
+  onClose: () => void;
+  onDownload: (photo: Photo) => void;
+  onDelete: (photo: Photo) => void;
+  onSaveEdits: (photo: Photo, edits: EditOperation[]) => Promise<void>;
+  onSaveDetails: (photo: Photo, details: PhotoDetails) => Promise<void>;
+  onToggleFavorite: (photo: Photo) => void;
+  onToggleHideLocation: (photo: Photo) => void;
+  knownTags: TagCount[];
+  onShare: (photo: Photo) => void;
+  onImageError: (url: string) => void;
+}
+
+const SLIDESHOW_INTERVALS = [3000, 5000, 10000];
+const SWIPE_THRESHOLD = 60;
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_ZOOM = 2.5;
+const LIVE_PRESS_MS = 400;
+
+type Gesture =
+  | { kind: "swipe"; startX: number; startY: number }
+  | { kind: "pan"; startX: number; startY: number; start: ViewerTransform }
+  | { kind: "pinch"; distance: number; mid: { x: number; y: number }; start: ViewerTransform };
+
+const formatExposure = (seconds: number) => (seconds >= 1 ? `${seconds}s` : `1/${Math.round(1 / seconds)}s`);
+
+const formatBytes = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// The rendition that fills the screen; a contained photo is never wider than the window.
+const screenImageUrl = (photo: Photo) =>
+  pickRendition(photo.renditions, window.innerWidth, window.devicePixelRatio)?.url ?? photo.url;
+
+const PhotoLightbox: React.FC<PhotoLightboxProps> = ({
+  photo,
+  photos,
+  hasMore,
+  onLoadMore,
+  onNavigate,
+  onClose,
+  onDownload,
+  onDelete,
+  onSaveEdits,
+  onSaveDetails,
+  onToggleFavorite,
+  onToggleHideLocation,
+  knownTags,
+  onShare,
+  onImageError,
+}) => {
+  const stageRef = useRef<HTMLDivElement>(null);
+  const imageRef = useRef<HTMLImageElement>(null);
+  const [transform, setTransform] = useState<ViewerTransform>(IDENTITY_TRANSFORM);
+  const [swipeOffset, setSwipeOffset] = useState(0);
+  const [showInfo, setShowInfo] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [isPlayingLive, setIsPlayingLive] = useState(false);
+  const [slideshowInterval, setSlideshowInterval] = useState(SLIDESHOW_INTERVALS[1]);
+  const pointers = useRef(new Map<number, { x: number; y: number }>());
+  const gesture = useRef<Gesture | null>(null);
+  const lastTap = useRef<{ time: number; x: number; y: number } | null>(null);
+  const moved = useRef(false);
+  const livePressTimer = useRef<ReturnType<typeof setTimeout>>();
+
+  const index = photos.findIndex((candidate) => candidate.id === photo.id);
+  const previous = index > 0 ? photos[index - 1] : null;
+  const next = index !== -1 && index < photos.length - 1 ? photos[index + 1] : null;
+  const isZoomed = transform.scale > 1;
+  // Videos play with the browser's own controls; zoom and edits are for stills.
+  const isVideo = photo.mediaType === "video";
+  // Zooming in needs the detail only the original has. A video's renditions are its poster frame.
+  const imageUrl = isZoomed && !isVideo ? photo.url : screenImageUrl(photo);
+
+  useEffect(() => {
+    setTransform(IDENTITY_TRANSFORM);
+    setSwipeOffset(0);
+    setIsPlayingLive(false);
+  }, [photo.id]);
+
+  // Warm the cache so stepping through photos does not flash an empty frame.
+  useEffect(() => {
+    [previous, next].forEach((neighbour) => {
+      if (neighbour) {
+        const image = new Image();
+        image.src = screenImageUrl(neighbour);
+      }
+    });
+  }, [previous, next]);
+
+  useEffect(() => {
+    if (hasMore && index !== -1 && index >= photos.length - 3) {
+      onLoadMore();
+    }
+  }, [hasMore, index, onLoadMore, photos.length]);
+
+  const goPrevious = useCallback(() => {
+    if (previous) onNavigate(previous);
+  }, [onNavigate, previous]);
+
+  const goNext = useCallback(() => {
+    if (next) onNavigate(next);
+  }, [next, onNavigate]);
+
+  const advanceSlideshow = useCallback(() => {
+    if (next) {
+      onNavigate(next);
+    } else if (!hasMore && photos.length > 1) {
+      onNavigate(photos[0]);
+    } else if (!hasMore) {
+      setIsPlaying(false);
+    }
+  }, [hasMore, next, onNavigate, photos]);
+
+  // A video moves the slideshow on when it ends instead.
+  useEffect(() => {
+    if (!isPlaying || isVideo) return;
+    const timer = setTimeout(advanceSlideshow, slideshowInterval);
+    return () => clearTimeout(timer);
+  }, [advanceSlideshow, isPlaying, isVideo, photo.id, slideshowInterval]);
+
+  const measure = useCallback(() => {
+    const stage = stageRef.current;
+    const image = imageRef.current;
+    return {
+      viewport: { width: stage?.clientWidth ?? 0, height: stage?.clientHeight ?? 0 },
+      content: { width: image?.clientWidth ?? 0, height: image?.clientHeight ?? 0 },
+    };
+  }, []);
+
+  const applyTransform = useCallback(
+    (nextTransform: ViewerTransform) => {
+      if (nextTransform.scale <= 1.01) {
+        setTransform(IDENTITY_TRANSFORM);
+        return;
+      }
+      const { content, viewport } = measure();
+      setTransform(clampPan(nextTransform, content, viewport));
+    },
+    [measure]
+  );
+
+  // Offsets from the stage centre, the origin the transform is expressed in.
+  const toStagePoint = useCallback((clientX: number, clientY: number) => {
+    const bounds = stageRef.current?.getBoundingClientRect();
+    if (!bounds) return { x: 0, y: 0 };
+    return { x: clientX - bounds.left - bounds.width / 2, y: clientY - bounds.top - bounds.height / 2 };
+  }, []);
+
+  const zoomBy = useCallback(
+    (factor: number, origin = { x: 0, y: 0 }) => {
+      if (isVideo) return;
+      setIsPlaying(false);
+      setTransform((current) => {
+        const zoomed = zoomAt(current, factor, origin);
+        if (zoomed.scale <= 1.01) return IDENTITY_TRANSFORM;
+        const { content, viewport } = measure();
+        return clampPan(zoomed, content, viewport);
+      });
+    },
+    [isVideo, measure]
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (isEditing || (e.target as HTMLElement).closest("input, textarea, select, [role='menu'], [role='dialog'][data-state='open']")) return;
+      switch (e.key) {
+        case "ArrowLeft":
+          goPrevious();
+          break;
+        case "ArrowRight":
+          goNext();
+          break;
+        case "Escape":
+          if (isZoomed) {
+            setTransform(IDENTITY_TRANSFORM);
+          } else {
+            onClose();
+          }
+          break;
+        case "+":
+        case "=":
+          zoomBy(1.5);
+          break;
+        case "-":
+          zoomBy(1 / 1.5);
+          break;
+        case "0":
+          setTransform(IDENTITY_TRANSFORM);
+          break;
+        case " ":
+          // Left to a focused video's own controls.
+          if (isVideo) return;
+          e.preventDefault();
+          setIsPlaying((value) => !value);
+          break;
+        case "i":
+          setShowInfo((value) => !value);
+          break;
+        case "e":
+          if (isVideo) return;
+          setIsPlaying(false);
+          setIsEditing(true);
+          break;
+        case "f":
+          onToggleFavorite(photo);
+          break;
+        default:
+          return;
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [goNext, goPrevious, isEditing, isVideo, isZoomed, onClose, onToggleFavorite, photo, zoomBy]);
+
+  // React registers wheel listeners as passive, so zooming needs a native listener to stop page scroll.
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const handleWheel = (e: WheelEvent) => {
+      e.preventDefault();
+      zoomBy(Math.exp(-e.deltaY / 300), toStagePoint(e.clientX, e.clientY));
+    };
+    stage.addEventListener("wheel", handleWheel, { passive: false });
+    return () => stage.removeEventListener("wheel", handleWheel);
+  }, [toStagePoint, zoomBy]);
+
+  useEffect(() => {
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, []);
+
+  const startGesture = () => {
+    const points = [...pointers.current.values()];
+    if (points.length >= 2) {
+      const [a, b] = points;
+      gesture.current = {
+        kind: "pinch",
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        mid: toStagePoint((a.x + b.x) / 2, (a.y + b.y) / 2),
+        start: transform,
+      };
+    } else if (points.length === 1) {
+      const [point] = points;
+      gesture.current = isZoomed
+        ? { kind: "pan", startX: point.x, startY: point.y, start: transform }
+        : { kind: "swipe", startX: point.x, startY: point.y };
+    } else {
+      gesture.current = null;
+    }
+  };
+
+  const stopLive = () => {
+    clearTimeout(livePressTimer.current);
+    setIsPlayingLive(false);
+  };
+
+  const handlePointerDown = (e: React.PointerEvent) => {
+    // The video's own controls need their pointer events.
+    if ((e.target as HTMLElement).closest("button, video")) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.current.size === 1) {
+      moved.current = false;
+      // Pressing and holding a Live Photo plays its clip until released.
+      if (photo.liveVideoUrl && !isZoomed) {
+        livePressTimer.current = setTimeout(() => {
+          if (!moved.current) setIsPlayingLive(true);
+        }, LIVE_PRESS_MS);
+      }
+    } else {
+      stopLive();
+    }
+    startGesture();
+  };
+
+  const handlePointerMove = (e: React.PointerEvent) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const current = gesture.current;
+    if (!current) return;
+
+    if (current.kind === "pinch") {
+      const [a, b] = [...pointers.current.values()];
+      if (!b) return;
+      const mid = toStagePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+      const zoomed = zoomAt(current.start, Math.hypot(a.x - b.x, a.y - b.y) / current.distance, current.mid);
+      moved.current = true;
+      applyTransform({ ...zoomed, x: zoomed.x + mid.x - current.mid.x, y: zoomed.y + mid.y - current.mid.y });
+      return;
+    }
+
+    const dx = e.clientX - current.startX;
+    const dy = e.clientY - current.startY;
+    if (Math.hypot(dx, dy) > 8) {
+      moved.current = true;
+      clearTimeout(livePressTimer.current);
+    }
+    if (current.kind === "pan") {
+      applyTransform({ ...current.start, x: current.start.x + dx, y: current.start.y + dy });
+    } else if (Math.abs(dx) > Math.abs(dy)) {
+      setSwipeOffset(dx);
+    }
+  };
+
+  const handlePointerUp = (e: React.PointerEvent) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    const current = gesture.current;
+    pointers.current.delete(e.pointerId);
+    stopLive();
+
+    if (current?.kind === "swipe" && pointers.current.size === 0) {
+      const dx = e.clientX - current.startX;
+      const dy = e.clientY - current.startY;
+      setSwipeOffset(0);
+      if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) goNext();
+        else goPrevious();
+      } else if (dy > SWIPE_THRESHOLD * 2 && Math.abs(dy) > Math.abs(dx) && e.pointerType !== "mouse") {
+        onClose();
+      }
+    }
+
+    if (!moved.current && pointers.current.size === 0) {
+      const now = Date.now();
+      const tap = lastTap.current;
+      if (tap && now - tap.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - tap.x, e.clientY - tap.y) < 30) {
+        lastTap.current = null;
+        if (isZoomed) {
+          setTransform(IDENTITY_TRANSFORM);
+        } else {
+          zoomBy(DOUBLE_TAP_ZOOM, toStagePoint(e.clientX, e.clientY));
+        }
+      } else {
+        lastTap.current = { time: now, x: e.clientX, y: e.clientY };
+      }
+    }
+
+    startGesture();
+  };
+
+  const handleStageClick = (e: React.MouseEvent) => {
+    // A single click on the dark backdrop closes, as the old overlay did.
+    if (e.target === e.currentTarget && !moved.current && !isZoomed) {
+      onClose();
+    }
+  };
+
+  const camera = photo.camera;
+  const exposure = camera
+    ? [
+        camera.exposureTime ? formatExposure(camera.exposureTime) : null,
+        camera.fNumber ? `ƒ/${camera.fNumber}` : null,
+        camera.iso ? `ISO ${camera.iso}` : null,
+        camera.focalLength ? `${camera.focalLength} mm` : null,
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    : null;
+  const details: [string, string | null][] = [
+    ["Taken", photo.takenAt ? format(photo.takenAt, "PPpp") : "Unknown"],
+    ["Added", format(photo.addedAt, "PPpp")],
+    ["Dimensions", photo.width && photo.height ? `${photo.width} × ${photo.height}` : null],
+    ["Duration", photo.durationMs ? formatDuration(photo.durationMs) : null],
+    ["File size", photo.size ? formatBytes(photo.size) : null],
+    ["Edited", photo.editedAt ? format(photo.editedAt, "PPpp") : null],
+    ["Camera", camera ? [camera.make, camera.model].filter(Boolean).join(" ") : null],
+    ["Lens", camera?.lens ?? null],
+    ["Exposure", exposure],
+    ["Location", photo.location ? `${photo.location.latitude.toFixed(5)}, ${photo.location.longitude.toFixed(5)}` : null],
+  ];
+
+  const iconButton = "h-10 w-10 text-white hover:bg-white/20 hover:text-white";
+
+  return (
+    <div className="fixed inset-0 z-50 flex bg-black/90 backdrop-blur-sm" role="dialog" aria-label={photo.name}>
+      <div className="relative flex min-w-0 flex-1 flex-col">
+        <div className="absolute inset-x-0 top-0 z-10 flex items-center gap-1 bg-gradient-to-b from-black/60 to-transparent p-3">
+          <span className="min-w-0 flex-1 truncate px-2 text-sm text-white/80">
+            {index !== -1 && `${index + 1} / ${photos.length}${hasMore ? "+" : ""} · `}
+            {photo.name}
+          </span>
+          {photo.liveVideoUrl && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className={cn(
+                "h-10 px-2 text-xs font-semibold tracking-wider text-white hover:bg-white/20 hover:text-white",
+                isPlayingLive && "bg-white/20"
+              )}
+              title="Play Live Photo (hover, or press and hold the photo)"
+              onMouseEnter={() => setIsPlayingLive(true)}
+              onMouseLeave={() => setIsPlayingLive(false)}
+              onClick={() => setIsPlayingLive(true)}
+            >
+              LIVE
+            </Button>
+          )}
+          {!isVideo && (
+            <>
+              <Button variant="ghost" size="icon" className={iconButton} title="Zoom out (-)" onClick={() => zoomBy(1 / 1.5)}>
+                <ZoomOut className="h-5 w-5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                className={iconButton}
+                title="Zoom in (+)"
+                disabled={transform.scale >= MAX_ZOOM}
+                onClick={() => zoomBy(1.5)}
+              >
+                <ZoomIn className="h-5 w-5" />
+              </Button>
+            </>
+          )}
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title={isPlaying ? "Pause slideshow (space)" : "Start slideshow (space)"}
+            onClick={() => setIsPlaying((value) => !value)}
+          >
+            {isPlaying ? <Pause className="h-5 w-5" /> : <Play className="h-5 w-5" />}
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" className="h-10 px-2 text-xs text-white hover:bg-white/20 hover:text-white">
+                {slideshowInterval / 1000}s
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>Slideshow interval</DropdownMenuLabel>
+              <DropdownMenuSeparator />
+              <DropdownMenuRadioGroup
+                value={String(slideshowInterval)}
+                onValueChange={(value) => setSlideshowInterval(Number(value))}
+              >
+                {SLIDESHOW_INTERVALS.map((interval) => (
+                  <DropdownMenuRadioItem key={interval} value={String(interval)}>
+                    {interval / 1000} seconds
+                  </DropdownMenuRadioItem>
+                ))}
+              </DropdownMenuRadioGroup>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={iconButton}
+            title={photo.favorite ? "Remove from favorites (f)" : "Add to favorites (f)"}
+            aria-pressed={Boolean(photo.favorite)}
+            onClick={() => onToggleFavorite(photo)}
+          >
+            <Heart className={cn("h-5 w-5", photo.favorite && "fill-red-500 text-red-500")} />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className={cn(iconButton, showInfo && "bg-white/20")}
+            title="Info (i)"
+            onClick={() => setShowInfo((value) => !value)}
+          >
+            <Info className="h-5 w-5" />
+          </Button>
+          {!isVideo && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className={iconButton}
+              title="Edit (e)"
+              onClick={() => {
+                setIsPlaying(false);
+                setIsEditing(true);
+              }}
+            >
+              <SlidersHorizontal className="h-5 w-5" />
+            </Button>
+          )}
+          <Button variant="ghost" size="icon" className={iconButton} title="Share" onClick={() => onShare(photo)}>
+            <Share2 className="h-5 w-5" />
+          </Button>
+          <Button variant="ghost" size="icon" className={iconButton} title="Download" onClick={() => onDownload(photo)}>
+            <Download className="h-5 w-5" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-10 w-10 text-white hover:bg-destructive/80 hover:text-white"
+            title="Move to trash"
+            onClick={() => onDelete(photo)}
+          >
+            <Trash2 className="h-5 w-5" />
+          </Button>
+          <Button variant="ghost" size="icon" className={iconButton} title="Close (Esc)" onClick={onClose}>
+            <X className="h-5 w-5" />
+          </Button>
+        </div>
+
+        <div
+          ref={stageRef}
+          className={cn(
+            "relative flex flex-1 touch-none select-none items-center justify-center overflow-hidden",
+            isVideo ? "cursor-default" : isZoomed ? "cursor-grab active:cursor-grabbing" : "cursor-zoom-in"
+          )}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onClick={handleStageClick}
+        >
+          {isVideo ? (
+            <video
+              key={photo.id}
+              src={photo.url}
+              poster={imageUrl}
+              controls
+              autoPlay
+              playsInline
+              onError={() => onImageError(photo.url)}
+              onEnded={() => {
+                if (isPlaying) advanceSlideshow();
+              }}
+              className="max-h-[calc(100%-2rem)] max-w-[calc(100%-2rem)] rounded-lg bg-black shadow-2xl"
+            />
+          ) : (
+            <img
+              ref={imageRef}
+              key={photo.id}
+              src={imageUrl}
+              alt={photo.name}
+              draggable={false}
+              onError={() => onImageError(imageUrl)}
+              className={cn(
+                "max-h-[calc(100%-2rem)] max-w-[calc(100%-2rem)] rounded-lg object-contain shadow-2xl",
+                gesture.current === null && "transition-transform duration-150"
+              )}
+              style={{
+                transform: `translate(${transform.x + swipeOffset}px, ${transform.y}px) scale(${transform.scale})`,
+              }}
+            />
+          )}
+          {isPlayingLive && photo.liveVideoUrl && !isZoomed && (
+            // Laid over the still at its displayed size, so the clip takes its place without a jump.
+            <video
+              key={`${photo.id}-live`}
+              src={photo.liveVideoUrl}
+              autoPlay
+              playsInline
+              onEnded={() => setIsPlayingLive(false)}
+              onError={() => {
+                setIsPlayingLive(false);
+                if (photo.liveVideoUrl) onImageError(photo.liveVideoUrl);
+              }}
+              className="pointer-events-none absolute left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 rounded-lg object-cover"
+              style={{ width: imageRef.current?.clientWidth, height: imageRef.current?.clientHeight }}
+            />
+          )}
+          {previous && !isZoomed && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="absolute left-3 top-1/2 hidden h-12 w-12 -translate-y-1/2 rounded-full bg-black/30 text-white hover:bg-white/20 hover:text-white md:flex"
+              title="Previous (←)"
+              onClick={goPrevious}
+            >
+              <ChevronLeft className="h-6 w-6" />
+            </Button>
+          )}
+          {next && !isZoomed && (
+            <Button
+              variant="ghost"
+              size="icon"
+              className="absolute right-3 top-1/2 hidden h-12 w-12 -translate-y-1/2 rounded-full bg-black/30 text-white hover:bg-white/20 hover:text-white md:flex"
+              title="Next (→)"
+              onClick={goNext}
+            >
+              <ChevronRight className="h-6 w-6" />
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showInfo && (
+        <aside className="w-72 shrink-0 overflow-y-auto border-l border-white/10 bg-black/60 p-4 text-sm text-white/80">
+          <h2 className="mb-4 break-words text-base font-semibold text-white">{photo.name}</h2>
+          <dl className="space-y-3">
+            {details
+              .filter(([, value]) => value)
+              .map(([label, value]) => (
+                <div key={label}>
+                  <dt className="text-xs uppercase tracking-wide text-white/50">{label}</dt>
+                  <dd>{value}</dd>
+                </div>
+              ))}
+          </dl>
+          {photo.location && (
+            <label className="mt-3 flex items-center justify-between gap-3 text-xs text-white/70">
+              Remove location from shared copies
+              <Switch checked={Boolean(photo.hideLocation)} onCheckedChange={() => onToggleHideLocation(photo)} />
+            </label>
+          )}
+          <PhotoDetailsForm key={photo.id} photo={photo} knownTags={knownTags} onSave={onSaveDetails} />
+        </aside>
+      )}
+
+      {isEditing && (
+        <PhotoEditor
+          key={photo.id}
+          photo={photo}
+          onSave={(edits) => onSaveEdits(photo, edits)}
+          onClose={() => setIsEditing(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PhotoLightbox;
@@ -0,0 +1,298 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { ArrowLeft, Loader2, Maximize, Minus, Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { GeoCluster } from "@/hooks/usePhotoLibrary";
+import {
+  fitBounds,
+  GeoBounds,
+  MapSize,
+  MapViewport,
+  MAX_MAP_ZOOM,
+  panViewport,
+  pixelsPerDegree,
+  projectToScreen,
+  viewportBounds,
+  WORLD_VIEWPORT,
+  zoomViewportAt,
+} from "@/lib/mapViewport";
+
+interface PhotoMapProps {
+  onBack: () => void;
+  onOpenPhoto: (photoId: string) => void;
+  fetchGeoClusters: (
+    bounds: GeoBounds,
+    zoom: number,
+    signal?: AbortSignal
+  ) => Promise<{ clusters: GeoCluster[]; total: number }>;
+}
+
+const VIEW_STORAGE_KEY = "photo-map-view";
+const FETCH_DELAY_MS = 200;
+const MARKER_SIZE = 48;
+// Grid line spacing in degrees, finest first; the finest one at least 80px apart is drawn.
+const GRID_STEPS = [0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 30, 90];
+
+// The map is remembered for the tab, so closing a photo opened from it returns to the same place.
+const readStoredView = (): MapViewport => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(VIEW_STORAGE_KEY) || "null") as MapViewport | null;
+    return stored && [stored.latitude, stored.longitude, stored.zoom].every(Number.isFinite) ? stored : WORLD_VIEWPORT;
+  } catch {
+    return WORLD_VIEWPORT;
+  }
+};
+
+const gridLines = (from: number, to: number, step: number) => {
+  const lines: number[] = [];
+  for (let value = Math.ceil(from / step) * step; value <= to; value += step) {
+    lines.push(Number(value.toFixed(6)));
+  }
+  return lines;
+};
+
+const formatDegrees = (value: number, positive: string, negative: string) =>
+  value === 0 ? "0°" : `${Math.abs(value)}°${value > 0 ? positive : negative}`;
+
+type Pointer = { x: number; y: number };
+
+const PhotoMap: React.FC<PhotoMapProps> = ({ onBack, onOpenPhoto, fetchGeoClusters }) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [size, setSize] = useState<MapSize | null>(null);
+  const [view, setView] = useState<MapViewport>(readStoredView);
+  const [clusters, setClusters] = useState<GeoCluster[]>([]);
+  const [total, setTotal] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const pointers = useRef(new Map<number, Pointer>());
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    sessionStorage.setItem(VIEW_STORAGE_KEY, JSON.stringify(view));
+  }, [view]);
+
+  useEffect(() => {
+    if (!size) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setIsLoading(true);
+      fetchGeoClusters(viewportBounds(view, size), Math.round(view.zoom), controller.signal)
+        .then((result) => {
+          setClusters(result.clusters);
+          setTotal(result.total);
+          setError(null);
+        })
+        .catch((err) => {
+          if (controller.signal.aborted) return;
+          setError(err instanceof Error ? err.message : "Failed to load the map");
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setIsLoading(false);
+        });
+    }, FETCH_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [fetchGeoClusters, size, view]);
+
+  const toLocalPoint = useCallback((clientX: number, clientY: number) => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    return { x: clientX - (rect?.left ?? 0), y: clientY - (rect?.top ?? 0) };
+  }, []);
+
+  // React registers wheel listeners as passive, so zooming needs a native listener to stop page scroll.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !size) return;
+    const handleWheel = (e: WheelEvent) => {
+      e.preventDefault();
+      const point = toLocalPoint(e.clientX, e.clientY);
+      setView((current) => zoomViewportAt(current, size, -e.deltaY / 300, point.x, point.y));
+    };
+    container.addEventListener("wheel", handleWheel, { passive: false });
+    return () => container.removeEventListener("wheel", handleWheel);
+  }, [size, toLocalPoint]);
+
+  const handlePointerDown = (e: React.PointerEvent) => {
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e: React.PointerEvent) => {
+    const previous = pointers.current.get(e.pointerId);
+    if (!previous || !size) return;
+    const next = { x: e.clientX, y: e.clientY };
+    if (pointers.current.size === 2) {
+      // Pinch: zoom by the change in finger spacing around the point between them.
+      const [other] = [...pointers.current.entries()].filter(([id]) => id !== e.pointerId).map(([, point]) => point);
+      const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const after = Math.hypot(next.x - other.x, next.y - other.y);
+      const mid = toLocalPoint((next.x + other.x) / 2, (next.y + other.y) / 2);
+      if (before > 0 && after > 0) {
+        setView((current) => zoomViewportAt(current, size, Math.log2(after / before), mid.x, mid.y));
+      }
+    } else {
+      setView((current) => panViewport(current, next.x - previous.x, next.y - previous.y));
+    }
+    pointers.current.set(e.pointerId, next);
+  };
+
+  const handlePointerUp = (e: React.PointerEvent) => {
+    pointers.current.delete(e.pointerId);
+  };
+
+  const zoomBy = (delta: number) => {
+    if (!size) return;
+    setView((current) => zoomViewportAt(current, size, delta, size.width / 2, size.height / 2));
+  };
+
+  const openCluster = (cluster: GeoCluster) => {
+    if (!size) return;
+    // Photos taken at the same spot never split apart, so the deepest zoom opens the newest one.
+    if (cluster.count === 1 || view.zoom >= MAX_MAP_ZOOM) {
+      onOpenPhoto(cluster.photo.id);
+      return;
+    }
+    const next = fitBounds(cluster.bounds, size);
+    setView(next.zoom > view.zoom ? next : { ...next, zoom: Math.min(MAX_MAP_ZOOM, Math.floor(view.zoom) + 2) });
+  };
+
+  const renderGrid = () => {
+    if (!size) return null;
+    const bounds = viewportBounds(view, size);
+    const scale = pixelsPerDegree(view.zoom);
+    const step = GRID_STEPS.find((candidate) => candidate * scale >= 80) ?? GRID_STEPS[GRID_STEPS.length - 1];
+    const world = {
+      topLeft: projectToScreen(view, size, 90, -180),
+      bottomRight: projectToScreen(view, size, -90, 180),
+    };
+    return (
+      <svg className="pointer-events-none absolute inset-0 h-full w-full text-muted-foreground">
+        <rect
+          x={world.topLeft.x}
+          y={world.topLeft.y}
+          width={world.bottomRight.x - world.topLeft.x}
+          height={world.bottomRight.y - world.topLeft.y}
+          className="fill-muted/40 stroke-border"
+        />
+        {gridLines(bounds.west, bounds.east, step).map((longitude) => {
+          const { x } = projectToScreen(view, size, 0, longitude);
+          return (
+            <g key={`lon${longitude}`}>
+              <line x1={x} x2={x} y1={0} y2={size.height} className="stroke-border" strokeWidth={longitude === 0 ? 1.5 : 0.75} />
+              <text x={x + 4} y={size.height - 6} className="fill-current text-[10px]">
+                {formatDegrees(longitude, "E", "W")}
+              </text>
+            </g>
+          );
+        })}
+        {gridLines(bounds.south, bounds.north, step).map((latitude) => {
+          const { y } = projectToScreen(view, size, latitude, 0);
+          return (
+            <g key={`lat${latitude}`}>
+              <line x1={0} x2={size.width} y1={y} y2={y} className="stroke-border" strokeWidth={latitude === 0 ? 1.5 : 0.75} />
+              <text x={6} y={y - 4} className="fill-current text-[10px]">
+                {formatDegrees(latitude, "N", "S")}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    );
+  };
+
+  return (
+    <div className="flex h-screen flex-col bg-background">
+      <header className="border-b bg-background/80 backdrop-blur-md">
+        <div className="mx-auto flex max-w-7xl items-center gap-2 px-4 py-3">
+          <Button variant="ghost" size="icon" title="Back to library" onClick={onBack}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <h1 className="text-xl font-bold tracking-tight text-foreground">Map</h1>
+          {total !== null && (
+            <span className="text-xs text-muted-foreground">
+              {total} photo{total !== 1 && "s"} in view
+            </span>
+          )}
+          {isLoading && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+          {error && <span className="text-sm text-destructive">{error}</span>}
+        </div>
+      </header>
+
+      <div
+        ref={containerRef}
+        className="relative flex-1 cursor-grab touch-none select-none overflow-hidden active:cursor-grabbing"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onDoubleClick={(e) => {
+          if (!size) return;
+          const point = toLocalPoint(e.clientX, e.clientY);
+          setView((current) => zoomViewportAt(current, size, 1, point.x, point.y));
+        }}
+      >
+        {renderGrid()}
+        {size &&
+          clusters.map((cluster) => {
+            const { x, y } = projectToScreen(view, size, cluster.latitude, cluster.longitude);
+            return (
+              <button
+                key={`${cluster.photo.id}-${cluster.count}`}
+                type="button"
+                title={cluster.count === 1 ? cluster.photo.name : `${cluster.count} photos`}
+                className="absolute rounded-lg border-2 border-background bg-muted shadow-md transition-transform hover:z-10 hover:scale-110"
+                style={{ left: x - MARKER_SIZE / 2, top: y - MARKER_SIZE / 2, width: MARKER_SIZE, height: MARKER_SIZE }}
+                // Markers are clicked, not dragged; the map only pans from empty space.
+                onPointerDown={(e) => e.stopPropagation()}
+                onDoubleClick={(e) => e.stopPropagation()}
+                onClick={() => openCluster(cluster)}
+              >
+                {cluster.photo.thumbnailUrl && (
+                  <img
+                    src={cluster.photo.thumbnailUrl}
+                    alt={cluster.photo.name}
+                    draggable={false}
+                    className="h-full w-full rounded-md object-cover"
+                  />
+                )}
+                {cluster.count > 1 && (
+                  <span className="absolute -right-2 -top-2 min-w-[1.25rem] rounded-full bg-primary px-1.5 text-xs font-semibold text-primary-foreground">
+                    {cluster.count}
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        {!isLoading && total === 0 && (
+          <p className="pointer-events-none absolute inset-x-0 top-6 text-center text-sm text-muted-foreground">
+            No photos with a location here. Photos from phones and cameras with GPS appear on the map.
+          </p>
+        )}
+
+        <div className="absolute bottom-4 right-4 flex flex-col gap-1" onPointerDown={(e) => e.stopPropagation()}>
+          <Button variant="secondary" size="icon" title="Zoom in" onClick={() => zoomBy(1)}>
+            <Plus className="h-4 w-4" />
+          </Button>
+          <Button variant="secondary" size="icon" title="Zoom out" onClick={() => zoomBy(-1)}>
+            <Minus className="h-4 w-4" />
+          </Button>
+          <Button variant="secondary" size="icon" title="Whole world" onClick={() => setView(WORLD_VIEWPORT)}>
+            <Maximize className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoMap;
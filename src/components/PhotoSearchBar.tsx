@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Search, SlidersHorizontal, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import { Album } from "@/hooks/usePhotoLibrary";
+import { countSearchFilters, PhotoOrientation, PhotoSearch, SEARCH_FILE_TYPES } from "@/lib/photoSearch";
+
+interface PhotoSearchBarProps {
+  search: PhotoSearch | null;
+  albums: Album[];
+  activeAlbumId: string | null;
+  onChange: (search: PhotoSearch | null) => void;
+}
+
+const ANY = "any";
+const TYPING_DELAY_MS = 300;
+
+const readSize = (value: string) => {
+  if (value.trim() === "") return undefined;
+  const size = Number(value);
+  return Number.isFinite(size) && size >= 0 ? size : undefined;
+};
+
+const PhotoSearchBar: React.FC<PhotoSearchBarProps> = ({ search, albums, activeAlbumId, onChange }) => {
+  const [text, setText] = useState(search?.q ?? "");
+  const typingTimer = useRef<ReturnType<typeof setTimeout>>();
+  const latestSearch = useRef(search);
+  latestSearch.current = search;
+  const filterCount = countSearchFilters(search);
+
+  // Follow the URL when it changes from outside the box: back/forward, Clear, a bookmark.
+  useEffect(() => {
+    setText(search?.q ?? "");
+  }, [search?.q]);
+
+  useEffect(() => () => clearTimeout(typingTimer.current), []);
+
+  // Searching from inside an album starts out limited to that album.
+  const update = (patch: Partial<PhotoSearch>) => {
+    const base = latestSearch.current ?? (activeAlbumId ? { album: activeAlbumId } : {});
+    onChange({ ...base, ...patch });
+  };
+
+  const handleTextChange = (value: string) => {
+    setText(value);
+    clearTimeout(typingTimer.current);
+    typingTimer.current = setTimeout(() => update({ q: value.trim() || undefined }), TYPING_DELAY_MS);
+  };
+
+  const clear = () => {
+    clearTimeout(typingTimer.current);
+    setText("");
+    onChange(null);
+  };
+
+  return (
+    <div className="mx-auto mb-4 flex max-w-7xl items-center gap-2 px-1">
+      <div className="relative flex-1">
+        <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+        <Input
+          type="search"
+          value={text}
+          placeholder="Search names, captions, tags and cameras"
+          className="pl-9"
+          onChange={(e) => handleTextChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape") clear();
+          }}
+        />
+      </div>
+      <Popover>
+        <PopoverTrigger asChild>
+          <Button variant="outline" size="sm" className="h-10">
+            <SlidersHorizontal className="mr-1 h-4 w-4" />
+            Filters
+            {filterCount > 0 && (
+              <span className="ml-1.5 rounded-full bg-primary px-1.5 text-xs text-primary-foreground">{filterCount}</span>
+            )}
+          </Button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-80 space-y-4">
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1.5">
+              <Label htmlFor="search-from">Taken from</Label>
+              <Input
+                id="search-from"
+                type="date"
+                value={search?.from ?? ""}
+                onChange={(e) => update({ from: e.target.value || undefined })}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor="search-to">Taken until</Label>
+              <Input
+                id="search-to"
+                type="date"
+                value={search?.to ?? ""}
+                onChange={(e) => update({ to: e.target.value || undefined })}
+              />
+            </div>
+          </div>
+          <div className="space-y-1.5">
+            <Label>File type</Label>
+            <ToggleGroup
+              type="multiple"
+              size="sm"
+              variant="outline"
+              className="flex-wrap justify-start"
+              value={search?.types ?? []}
+              onValueChange={(types) => update({ types: types.length ? types : undefined })}
+            >
+              {SEARCH_FILE_TYPES.map((type) => (
+                <ToggleGroupItem key={type} value={type} className="h-7 px-2 text-xs uppercase">
+                  {type}
+                </ToggleGroupItem>
+              ))}
+            </ToggleGroup>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1.5">
+              <Label htmlFor="search-min-size">Min size (MB)</Label>
+              <Input
+                id="search-min-size"
+                type="number"
+                min={0}
+                step="any"
+                value={search?.minSizeMb ?? ""}
+                onChange={(e) => update({ minSizeMb: readSize(e.target.value) })}
+              />
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor="search-max-size">Max size (MB)</Label>
+              <Input
+                id="search-max-size"
+                type="number"
+                min={0}
+                step="any"
+                value={search?.maxSizeMb ?? ""}
+                onChange={(e) => update({ maxSizeMb: readSize(e.target.value) })}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div className="space-y-1.5">
+              <Label>Orientation</Label>
+              <Select
+                value={search?.orientation ?? ANY}
+                onValueChange={(value) =>
+                  update({ orientation: value === ANY ? undefined : (value as PhotoOrientation) })
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Any</SelectItem>
+                  <SelectItem value="landscape">Landscape</SelectItem>
+                  <SelectItem value="portrait">Portrait</SelectItem>
+                  <SelectItem value="square">Square</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1.5">
+              <Label>Location</Label>
+              <Select
+                value={search?.hasLocation === undefined ? ANY : search.hasLocation ? "yes" : "no"}
+                onValueChange={(value) => update({ hasLocation: value === ANY ? undefined : value === "yes" })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ANY}>Any</SelectItem>
+                  <SelectItem value="yes">Has location</SelectItem>
+                  <SelectItem value="no">No location</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+          <div className="space-y-1.5">
+            <Label>Album</Label>
+            <Select
+              value={search?.album ?? ANY}
+              onValueChange={(value) => update({ album: value === ANY ? undefined : value })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ANY}>All photos</SelectItem>
+                {albums.map((album) => (
+                  <SelectItem key={album.id} value={album.id}>
+                    {album.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="search-favorites">Favorites only</Label>
+            <Switch
+              id="search-favorites"
+              checked={Boolean(search?.favorite)}
+              onCheckedChange={(checked) => update({ favorite: checked || undefined })}
+            />
+          </div>
+        </PopoverContent>
+      </Popover>
+      {search && (
+        <Button variant="ghost" size="sm" className="h-10" title="Clear search" onClick={clear}>
+          <X className="h-4 w-4" />
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default PhotoSearchBar;
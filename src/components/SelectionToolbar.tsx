@@ -0,0 +1,120 @@
+import React from "react";
+import { CheckSquare, Download, FolderMinus, FolderPlus, Trash2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Album } from "@/hooks/usePhotoLibrary";
+
+interface SelectionToolbarProps {
+  selectedCount: number;
+  totalCount: number;
+  albums: Album[];
+  activeAlbumId: string | null;
+  onSelectAll: () => void;
+  onClear: () => void;
+  onDone: () => void;
+  onDownload: (includeManifest: boolean) => void;
+  onAddToAlbum: (albumId: string) => void;
+  onRemoveFromAlbum: () => void;
+  onDelete: () => void;
+}
+
+const SelectionToolbar: React.FC<SelectionToolbarProps> = ({
+  selectedCount,
+  totalCount,
+  albums,
+  activeAlbumId,
+  onSelectAll,
+  onClear,
+  onDone,
+  onDownload,
+  onAddToAlbum,
+  onRemoveFromAlbum,
+  onDelete,
+}) => {
+  const hasSelection = selectedCount > 0;
+
+  return (
+    <div className="fixed inset-x-2 bottom-12 z-40 mx-auto max-w-4xl rounded-xl border bg-background/95 shadow-lg backdrop-blur-md">
+      <div className="flex flex-wrap items-center gap-2 px-4 py-2">
+        <span className="text-sm font-medium text-foreground">
+          {selectedCount} selected
+        </span>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={selectedCount === totalCount ? onClear : onSelectAll}
+          disabled={totalCount === 0}
+        >
+          <CheckSquare className="mr-1 h-4 w-4" />
+          {selectedCount === totalCount && totalCount > 0 ? "Clear" : "Select all"}
+        </Button>
+        <div className="ml-auto flex flex-wrap items-center gap-1">
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" size="sm" disabled={!hasSelection}>
+                <Download className="mr-1 h-4 w-4" />
+                Download
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onSelect={() => onDownload(false)}>
+                {selectedCount > 1 ? "Download as ZIP" : "Download original"}
+              </DropdownMenuItem>
+              <DropdownMenuItem onSelect={() => onDownload(true)}>ZIP with metadata manifest</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" size="sm" disabled={!hasSelection}>
+                <FolderPlus className="mr-1 h-4 w-4" />
+                Add to album
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>Albums</DropdownMenuLabel>
+              <DropdownMenuSeparator />
+              {albums.length === 0 ? (
+                <p className="px-2 py-1.5 text-xs text-muted-foreground">Create an album first</p>
+              ) : (
+                albums.map((album) => (
+                  <DropdownMenuItem key={album.id} onSelect={() => onAddToAlbum(album.id)}>
+                    {album.name}
+                  </DropdownMenuItem>
+                ))
+              )}
+            </DropdownMenuContent>
+          </DropdownMenu>
+          {activeAlbumId && (
+            <Button variant="outline" size="sm" onClick={onRemoveFromAlbum} disabled={!hasSelection}>
+              <FolderMinus className="mr-1 h-4 w-4" />
+              Remove from album
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            className="text-destructive hover:text-destructive"
+            onClick={onDelete}
+            disabled={!hasSelection}
+          >
+            <Trash2 className="mr-1 h-4 w-4" />
+            Delete
+          </Button>
+          <Button variant="ghost" size="sm" onClick={onDone}>
+            <X className="mr-1 h-4 w-4" />
+            Done
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SelectionToolbar;
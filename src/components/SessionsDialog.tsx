@@ -0,0 +1,97 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { formatDistanceToNowStrict } from "date-fns";
+import { Loader2, LogOut, MonitorSmartphone } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { AuthSession } from "@/hooks/usePhotoLibrary";
+
+interface SessionsDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  fetchSessions: () => Promise<AuthSession[]>;
+  revokeSession: (id: string) => Promise<void>;
+  onSignedOut: () => void;
+}
+
+const SessionsDialog: React.FC<SessionsDialogProps> = ({ open, onOpenChange, fetchSessions, revokeSession, onSignedOut }) => {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setSessions(await fetchSessions());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load signed-in devices.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [fetchSessions]);
+
+  useEffect(() => {
+    if (open) {
+      load();
+    }
+  }, [open, load]);
+
+  const handleRevoke = async (session: AuthSession) => {
+    try {
+      await revokeSession(session.id);
+      if (session.current) {
+        onSignedOut();
+        return;
+      }
+      setSessions((prev) => prev.filter((candidate) => candidate.id !== session.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to sign out device.");
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Signed-in devices</DialogTitle>
+          <DialogDescription>Sign out any browser you no longer use. It loses access on its next request.</DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {isLoading && !sessions.length ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : (
+          <ul className="max-h-72 space-y-1.5 overflow-y-auto">
+            {sessions.map((session) => (
+              <li key={session.id} className="flex items-center gap-2 rounded-md border px-2.5 py-1.5">
+                <MonitorSmartphone className="h-4 w-4 shrink-0 text-muted-foreground" />
+                <div className="min-w-0 flex-1">
+                  <p className="truncate text-xs text-foreground" title={session.userAgent ?? undefined}>
+                    {session.userAgent || "Unknown device"}
+                  </p>
+                  <p className="text-[11px] text-muted-foreground">
+                    {session.current ? "This device" : `Active ${formatDistanceToNowStrict(session.lastUsedAt)} ago`}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 hover:text-destructive"
+                  title="Sign out"
+                  onClick={() => handleRevoke(session)}
+                >
+                  <LogOut className="h-3.5 w-3.5" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default SessionsDialog;
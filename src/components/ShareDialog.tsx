@@ -0,0 +1,196 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { format } from "date-fns";
+import { Copy, Link2, Loader2, Lock, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
+import { ShareLink, ShareOptions, ShareTarget } from "@/hooks/usePhotoLibrary";
+
+export interface ShareSubject {
+  target: ShareTarget;
+  name: string;
+}
+
+interface ShareDialogProps {
+  subject: ShareSubject | null;
+  onOpenChange: (open: boolean) => void;
+  fetchShares: (target?: ShareTarget) => Promise<ShareLink[]>;
+  createShare: (target: ShareTarget, options: ShareOptions) => Promise<ShareLink>;
+  revokeShare: (token: string) => Promise<void>;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_OPTIONS = [
+  { value: "never", label: "Never", ms: null },
+  { value: "1d", label: "1 day", ms: DAY_MS },
+  { value: "7d", label: "7 days", ms: 7 * DAY_MS },
+  { value: "30d", label: "30 days", ms: 30 * DAY_MS },
+];
+
+const shareUrl = (share: ShareLink) =>
+  `${window.location.origin}${import.meta.env.BASE_URL.replace(/\/$/, "")}${share.path}`;
+
+const copyShareUrl = async (share: ShareLink) => {
+  try {
+    await navigator.clipboard.writeText(shareUrl(share));
+    toast("Link copied to clipboard");
+  } catch {
+    toast.error("Could not copy the link.");
+  }
+};
+
+const ShareDialog: React.FC<ShareDialogProps> = ({ subject, onOpenChange, fetchShares, createShare, revokeShare }) => {
+  const [shares, setShares] = useState<ShareLink[]>([]);
+  const [expiry, setExpiry] = useState("never");
+  const [password, setPassword] = useState("");
+  const [allowDownload, setAllowDownload] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const target = subject?.target;
+
+  const load = useCallback(async () => {
+    if (!target) return;
+    try {
+      setShares(await fetchShares(target));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load share links.");
+    }
+  }, [fetchShares, target]);
+
+  useEffect(() => {
+    setShares([]);
+    setPassword("");
+    load();
+  }, [load]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!target) return;
+    const expiresIn = EXPIRY_OPTIONS.find((option) => option.value === expiry)?.ms ?? null;
+    setIsCreating(true);
+    try {
+      const share = await createShare(target, {
+        expiresAt: expiresIn ? Date.now() + expiresIn : null,
+        password: password || undefined,
+        allowDownload,
+      });
+      setShares((prev) => [share, ...prev]);
+      setPassword("");
+      setError(null);
+      await copyShareUrl(share);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to create share link.");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (share: ShareLink) => {
+    try {
+      await revokeShare(share.token);
+      setShares((prev) => prev.filter((candidate) => candidate.token !== share.token));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to revoke share link.");
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(subject)} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Share “{subject?.name}”</DialogTitle>
+          <DialogDescription>
+            Anyone with the link can view {target && "albumId" in target ? "this album" : "this photo"} without signing in.
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1.5">
+              <Label htmlFor="share-expiry">Expires</Label>
+              <Select value={expiry} onValueChange={setExpiry}>
+                <SelectTrigger id="share-expiry">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1.5">
+              <Label htmlFor="share-password">Password</Label>
+              <Input
+                id="share-password"
+                type="password"
+                autoComplete="new-password"
+                placeholder="Optional"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+          </div>
+          <div className="flex items-center justify-between">
+            <Label htmlFor="share-download" className="font-normal">
+              Allow downloads
+            </Label>
+            <Switch id="share-download" checked={allowDownload} onCheckedChange={setAllowDownload} />
+          </div>
+          <Button type="submit" className="w-full" disabled={isCreating}>
+            {isCreating ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Link2 className="mr-2 h-4 w-4" />}
+            Create link
+          </Button>
+        </form>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {shares.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">Active links</p>
+            <ul className="max-h-56 space-y-1.5 overflow-y-auto">
+              {shares.map((share) => (
+                <li key={share.token} className="flex items-center gap-2 rounded-md border px-2.5 py-1.5">
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate font-mono text-xs text-foreground">{shareUrl(share)}</p>
+                    <p className="flex items-center gap-1 text-[11px] text-muted-foreground">
+                      {share.hasPassword && <Lock className="h-3 w-3" />}
+                      {share.expired
+                        ? "Expired"
+                        : share.expiresAt
+                          ? `Expires ${format(share.expiresAt, "PP p")}`
+                          : "Never expires"}
+                      {share.allowDownload && " · downloads allowed"}
+                    </p>
+                  </div>
+                  <Button variant="ghost" size="icon" className="h-7 w-7" title="Copy link" onClick={() => copyShareUrl(share)}>
+                    <Copy className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 hover:text-destructive"
+                    title="Revoke"
+                    onClick={() => handleRevoke(share)}
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ShareDialog;
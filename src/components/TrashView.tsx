@@ -0,0 +1,166 @@
+import React, { useState } from "react";
+import { Image as ImageIcon, RotateCcw, Trash2 } from "lucide-react";
+import { formatDistanceToNowStrict } from "date-fns";
+import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Photo } from "@/hooks/usePhotoLibrary";
+
+interface TrashViewProps {
+  photos: Photo[];
+  columns: number;
+  retentionMs: number | null;
+  onRestore: (id: string) => Promise<void>;
+  onDeleteForever: (id: string) => Promise<void>;
+  onEmpty: () => Promise<void>;
+  onImageError: (url: string) => void;
+}
+
+type PendingAction = { kind: "one"; photo: Photo } | { kind: "all" } | null;
+
+const TrashView: React.FC<TrashViewProps> = ({
+  photos,
+  columns,
+  retentionMs,
+  onRestore,
+  onDeleteForever,
+  onEmpty,
+  onImageError,
+}) => {
+  const [pending, setPending] = useState<PendingAction>(null);
+  const [error, setError] = useState<string | null>(null);
+  const retentionDays = retentionMs ? Math.round(retentionMs / (1000 * 60 * 60 * 24)) : null;
+
+  const run = async (action: () => Promise<void>) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Request failed.");
+    }
+  };
+
+  const confirmPending = async () => {
+    if (!pending) return;
+    const current = pending;
+    setPending(null);
+    await run(() => (current.kind === "all" ? onEmpty() : onDeleteForever(current.photo.id)));
+  };
+
+  return (
+    <div className="mx-auto max-w-7xl">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2 px-1">
+        <div>
+          <h2 className="text-lg font-semibold text-foreground">Trash</h2>
+          <p className="text-xs text-muted-foreground">
+            {retentionDays !== null
+              ? `Photos are permanently deleted ${retentionDays} day${retentionDays !== 1 ? "s" : ""} after being moved here.`
+              : "Photos here can be restored until they are purged."}
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          className="text-destructive hover:text-destructive"
+          disabled={photos.length === 0}
+          onClick={() => setPending({ kind: "all" })}
+        >
+          <Trash2 className="mr-1 h-4 w-4" />
+          Empty trash
+        </Button>
+      </div>
+
+      {error && <p className="mb-3 px-1 text-sm text-destructive">{error}</p>}
+
+      {photos.length === 0 ? (
+        <div className="mx-auto flex max-w-md flex-col items-center justify-center gap-3 rounded-2xl border-2 border-dashed border-muted-foreground/25 px-8 py-24 text-center">
+          <Trash2 className="h-12 w-12 text-muted-foreground/50" />
+          <p className="text-lg font-medium text-muted-foreground">Trash is empty</p>
+        </div>
+      ) : (
+        <div
+          className="gap-1.5 transition-all duration-200"
+          style={{
+            display: "grid",
+            gridTemplateColumns: `repeat(${columns}, 1fr)`,
+          }}
+        >
+          {photos.map((photo) => (
+            <div key={photo.id} className="group relative aspect-square overflow-hidden rounded-md bg-muted">
+              {photo.thumbnailUrl ? (
+                <img
+                  src={photo.thumbnailUrl}
+                  alt={photo.name}
+                  className="h-full w-full object-cover opacity-70"
+                  loading="lazy"
+                  onError={() => onImageError(photo.thumbnailUrl)}
+                />
+              ) : (
+                <ImageIcon className="m-auto h-8 w-8 text-muted-foreground/70" />
+              )}
+              {photo.purgeAt && (
+                <span className="absolute left-1.5 top-1.5 rounded bg-black/60 px-1.5 py-0.5 text-[10px] text-white">
+                  {formatDistanceToNowStrict(photo.purgeAt)} left
+                </span>
+              )}
+              <div className="absolute inset-0 flex items-end justify-end gap-1 bg-gradient-to-t from-black/50 to-transparent p-2 opacity-0 transition-opacity group-hover:opacity-100">
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-white hover:bg-white/20 hover:text-white"
+                  title="Restore"
+                  onClick={() => run(() => onRestore(photo.id))}
+                >
+                  <RotateCcw className="h-4 w-4" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8 text-white hover:bg-destructive/80 hover:text-white"
+                  title="Delete forever"
+                  onClick={() => setPending({ kind: "one", photo })}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <AlertDialog open={pending !== null} onOpenChange={(open) => !open && setPending(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>
+              {pending?.kind === "all" ? "Empty trash?" : `Delete "${pending?.kind === "one" ? pending.photo.name : ""}" forever?`}
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              {pending?.kind === "all"
+                ? `All ${photos.length} photo${photos.length !== 1 ? "s" : ""} in the trash will be permanently deleted.`
+                : "The file is removed from disk and cannot be recovered."}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+              onClick={confirmPending}
+            >
+              Delete forever
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default TrashView;
@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { Copy, Download, Loader2, ShieldCheck } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { InputOTP, InputOTPGroup, InputOTPSlot } from "@/components/ui/input-otp";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { AuthUser, TwoFactorSetup } from "@/hooks/usePhotoLibrary";
+import { formatTotpSecret, recoveryCodesText } from "@/lib/twoFactor";
+
+interface TwoFactorSettingsProps {
+  user: AuthUser | null;
+  startTwoFactorSetup: (currentPassword: string) => Promise<TwoFactorSetup>;
+  enableTwoFactor: (code: string) => Promise<string[]>;
+  disableTwoFactor: (currentPassword: string, code: string) => Promise<void>;
+  regenerateRecoveryCodes: (currentPassword: string) => Promise<string[]>;
+}
+
+// "setup" walks password → scan and confirm → recovery codes; the other two ask for the
+// password (and a code to turn it off) and "regenerate" then shows the new codes.
+type Flow = "setup" | "regenerate" | "disable";
+
+const FLOW_TITLES: Record<Flow, string> = {
+  setup: "Set up two-factor sign-in",
+  regenerate: "New recovery codes",
+  disable: "Turn off two-factor sign-in",
+};
+
+const errorMessage = (err: unknown, fallback: string) => (err instanceof Error ? err.message : fallback);
+
+const TwoFactorSettings: React.FC<TwoFactorSettingsProps> = ({
+  user,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+}) => {
+  const [flow, setFlow] = useState<Flow | null>(null);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [qrCodeUrl, setQrCodeUrl] = useState<string | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (!setup) {
+      setQrCodeUrl(null);
+      return;
+    }
+    let cancelled = false;
+    QRCode.toDataURL(setup.otpauthUri, { margin: 1, width: 192 })
+      .then((url) => !cancelled && setQrCodeUrl(url))
+      .catch(() => !cancelled && setQrCodeUrl(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [setup]);
+
+  const close = () => {
+    setFlow(null);
+    setPassword("");
+    setCode("");
+    setSetup(null);
+    setRecoveryCodes(null);
+    setError(null);
+  };
+
+  const run = async (action: () => Promise<void>, fallback: string) => {
+    setIsWorking(true);
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (flow === "setup" && !setup) {
+      run(async () => setSetup(await startTwoFactorSetup(password)), "Failed to start setup.");
+    } else if (flow === "setup") {
+      run(async () => {
+        setRecoveryCodes(await enableTwoFactor(code));
+        setPassword("");
+      }, "That code is not valid.");
+    } else if (flow === "regenerate") {
+      run(async () => setRecoveryCodes(await regenerateRecoveryCodes(password)), "Failed to create new codes.");
+    } else if (flow === "disable") {
+      run(async () => {
+        await disableTwoFactor(password, code);
+        toast("Two-factor sign-in is off.");
+        close();
+      }, "Failed to turn off two-factor sign-in.");
+    }
+  };
+
+  const copyCodes = async () => {
+    if (!recoveryCodes) return;
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      toast("Recovery codes copied");
+    } catch {
+      toast("Copy failed. Select the codes and copy them by hand.");
+    }
+  };
+
+  const downloadCodes = () => {
+    if (!recoveryCodes) return;
+    const url = URL.createObjectURL(new Blob([recoveryCodesText(recoveryCodes, user?.username ?? "")], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const renderBody = () => {
+    if (recoveryCodes) {
+      return (
+        <>
+          <p className="text-sm text-muted-foreground">
+            Save these somewhere safe. Each one signs you in once if you lose your authenticator app, and they are not
+            shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-1.5 rounded-md border bg-muted/40 p-3 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <DialogFooter className="gap-2 sm:justify-between">
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={copyCodes}>
+                <Copy className="mr-2 h-4 w-4" />
+                Copy
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={downloadCodes}>
+                <Download className="mr-2 h-4 w-4" />
+                Download
+              </Button>
+            </div>
+            <Button type="button" onClick={close}>
+              Done
+            </Button>
+          </DialogFooter>
+        </>
+      );
+    }
+
+    const needsCode = flow === "disable" || (flow === "setup" && setup);
+    return (
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {flow === "setup" && setup ? (
+          <div className="flex flex-col items-center gap-2 text-center">
+            {qrCodeUrl ? (
+              <img src={qrCodeUrl} alt="QR code for your authenticator app" className="h-48 w-48 rounded-md" />
+            ) : (
+              <div className="flex h-48 w-48 items-center justify-center">
+                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+              </div>
+            )}
+            <p className="text-xs text-muted-foreground">Can&apos;t scan it? Enter this key instead:</p>
+            <code className="select-all rounded bg-muted px-2 py-1 text-xs">{formatTotpSecret(setup.secret)}</code>
+          </div>
+        ) : (
+          <div className="space-y-1.5">
+            <Label htmlFor="two-factor-password">Current password</Label>
+            <Input
+              id="two-factor-password"
+              type="password"
+              autoFocus
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+        )}
+        {needsCode && (
+          <div className="space-y-1.5">
+            <Label>{flow === "disable" ? "Authenticator or recovery code" : "Code from the app"}</Label>
+            {flow === "disable" ? (
+              <Input value={code} onChange={(e) => setCode(e.target.value)} autoComplete="one-time-code" />
+            ) : (
+              <InputOTP maxLength={6} value={code} onChange={setCode} inputMode="numeric" autoComplete="one-time-code">
+                <InputOTPGroup>
+                  {Array.from({ length: 6 }, (_, index) => (
+                    <InputOTPSlot key={index} index={index} />
+                  ))}
+                </InputOTPGroup>
+              </InputOTP>
+            )}
+          </div>
+        )}
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        <DialogFooter>
+          <Button
+            type="submit"
+            variant={flow === "disable" ? "destructive" : "default"}
+            disabled={isWorking || (needsCode ? !code.trim() : !password) || (flow === "disable" && !password)}
+          >
+            {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            {flow === "disable" ? "Turn off" : needsCode ? "Confirm" : "Continue"}
+          </Button>
+        </DialogFooter>
+      </form>
+    );
+  };
+
+  const describeFlow = () => {
+    if (recoveryCodes) return "Two-factor sign-in is on.";
+    if (flow === "setup" && setup) return "Scan the QR code with an authenticator app, then enter the code it shows.";
+    if (flow === "disable") return "Your account will be protected by your password alone.";
+    if (flow === "regenerate") return "Your old recovery codes stop working.";
+    return "Enter your password to continue.";
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-base">Two-factor sign-in</CardTitle>
+        <CardDescription>
+          {user?.twoFactorEnabled
+            ? "On. Signing in asks for a code from your authenticator app."
+            : "Ask for a code from an authenticator app as well as your password."}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-wrap gap-2">
+        {user?.twoFactorEnabled ? (
+          <>
+            <Button variant="outline" onClick={() => setFlow("regenerate")}>
+              New recovery codes
+            </Button>
+            <Button variant="outline" className="hover:text-destructive" onClick={() => setFlow("disable")}>
+              Turn off
+            </Button>
+          </>
+        ) : (
+          <Button variant="outline" onClick={() => setFlow("setup")}>
+            <ShieldCheck className="mr-2 h-4 w-4" />
+            Set up
+          </Button>
+        )}
+      </CardContent>
+
+      <Dialog open={flow !== null} onOpenChange={(open) => !open && close()}>
+        <DialogContent className="sm:max-w-sm">
+          <DialogHeader>
+            <DialogTitle>{flow && FLOW_TITLES[flow]}</DialogTitle>
+            <DialogDescription>{describeFlow()}</DialogDescription>
+          </DialogHeader>
+          {renderBody()}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { AlertCircle, CheckCircle2, ChevronDown, ChevronUp, Copy, Loader2, RotateCcw, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import { UploadItem } from "@/hooks/usePhotoLibrary";
+import { cn } from "@/lib/utils";
+
+interface UploadQueuePanelProps {
+  uploads: UploadItem[];
+  raised: boolean;
+  onRetry: (id: string) => void;
+  onCancel: (id: string) => void;
+  onClearFinished: () => void;
+}
+
+const formatBytes = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(0, Math.round(bytes / 1024))} KB`;
+
+const statusLabel = (item: UploadItem) => {
+  switch (item.status) {
+    case "queued":
+      return "Waiting";
+    case "uploading":
+      return `${formatBytes(item.uploadedBytes)} of ${formatBytes(item.size)}`;
+    case "processing":
+      return "Processing";
+    case "done":
+      return "Uploaded";
+    case "skipped":
+      return "Duplicate skipped";
+    case "offline":
+      return "Offline · uploads when the server is back";
+    case "interrupted":
+      return `Interrupted at ${formatBytes(item.uploadedBytes)} · select the file again to resume`;
+    case "error":
+      return item.error || "Upload failed";
+  }
+};
+
+const UploadQueuePanel: React.FC<UploadQueuePanelProps> = ({ uploads, raised, onRetry, onCancel, onClearFinished }) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  if (uploads.length === 0) {
+    return null;
+  }
+
+  const finished = uploads.filter((item) => item.status === "done" || item.status === "skipped").length;
+  const active = uploads.filter((item) => item.status === "uploading" || item.status === "processing").length;
+
+  return (
+    <div
+      className={cn(
+        "fixed right-4 z-40 w-[min(22rem,calc(100vw-2rem))] rounded-xl border bg-background/95 shadow-lg backdrop-blur-md transition-all",
+        raised ? "bottom-32" : "bottom-12"
+      )}
+    >
+      <div className="flex items-center gap-2 border-b px-3 py-2">
+        {active > 0 && <Loader2 className="h-4 w-4 animate-spin text-primary" />}
+        <span className="flex-1 text-sm font-medium text-foreground">
+          Uploads · {finished} of {uploads.length} done
+        </span>
+        {finished > 0 && (
+          <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={onClearFinished}>
+            Clear finished
+          </Button>
+        )}
+        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={() => setIsCollapsed((value) => !value)}>
+          {isCollapsed ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+        </Button>
+      </div>
+      {!isCollapsed && (
+        <ul className="max-h-72 space-y-2 overflow-y-auto px-3 py-2">
+          {uploads.map((item) => (
+            <li key={item.id} className="space-y-1">
+              <div className="flex items-center gap-2">
+                {item.status === "done" && <CheckCircle2 className="h-4 w-4 shrink-0 text-primary" />}
+                {item.status === "skipped" && <Copy className="h-4 w-4 shrink-0 text-muted-foreground" />}
+                {(item.status === "error" || item.status === "interrupted") && (
+                  <AlertCircle className="h-4 w-4 shrink-0 text-destructive" />
+                )}
+                <span className="min-w-0 flex-1 truncate text-sm text-foreground" title={item.name}>
+                  {item.name}
+                </span>
+                {item.status === "error" && (
+                  <Button variant="ghost" size="icon" className="h-6 w-6" title="Retry" onClick={() => onRetry(item.id)}>
+                    <RotateCcw className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+                {item.status !== "done" && item.status !== "skipped" && item.status !== "processing" && (
+                  <Button variant="ghost" size="icon" className="h-6 w-6" title="Cancel" onClick={() => onCancel(item.id)}>
+                    <X className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+              </div>
+              {item.status !== "done" && item.status !== "skipped" && (
+                <Progress value={item.size ? (item.uploadedBytes / item.size) * 100 : 0} className="h-1.5" />
+              )}
+              <p
+                className={cn(
+                  "text-[11px]",
+                  item.status === "error" ? "text-destructive" : "text-muted-foreground"
+                )}
+              >
+                {statusLabel(item)}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueuePanel;
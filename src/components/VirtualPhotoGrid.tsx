@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { Loader2 } from "lucide-react";
+import { Photo } from "@/hooks/usePhotoLibrary";
+import { TimelineGroup } from "@/lib/photoTimeline";
+import { buildGridRows, layoutGridRows, rowIndexAtOffset, visibleRowRange } from "@/lib/virtualGrid";
+
+interface VirtualPhotoGridProps {
+  groups: TimelineGroup<Photo>[];
+  columns: number;
+  renderTile: (photo: Photo, tileSize: number) => React.ReactNode;
+  hasMore: boolean;
+  isLoadingMore: boolean;
+  onLoadMore: () => void;
+}
+
+const GAP = 6;
+const HEADER_HEIGHT = 44;
+const LOADER_HEIGHT = 56;
+// Height of the sticky page header; rows scrolled under it count as hidden.
+const STICKY_OFFSET = 61;
+const OVERSCAN_ROWS = 4;
+
+interface ScrollAnchor {
+  photoId: string;
+  delta: number;
+}
+
+const VirtualPhotoGrid: React.FC<VirtualPhotoGridProps> = ({
+  groups,
+  columns,
+  renderTile,
+  hasMore,
+  isLoadingMore,
+  onLoadMore,
+}) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const [width, setWidth] = useState(0);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+  const anchor = useRef<ScrollAnchor | null>(null);
+  const previousColumns = useRef(columns);
+
+  const measure = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    setViewport({ scrollTop: -container.getBoundingClientRect().top, height: window.innerHeight });
+  }, []);
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    setWidth(container.clientWidth);
+    measure();
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(container);
+
+    let frame = 0;
+    const handleScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(measure);
+    };
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    window.addEventListener("resize", handleScroll);
+    return () => {
+      cancelAnimationFrame(frame);
+      observer.disconnect();
+      window.removeEventListener("scroll", handleScroll);
+      window.removeEventListener("resize", handleScroll);
+    };
+  }, [measure]);
+
+  const tileSize = width > 0 ? (width - GAP * (columns - 1)) / columns : 0;
+  const rows = useMemo(() => buildGridRows(groups, columns), [groups, columns]);
+  const layout = useMemo(
+    () => layoutGridRows(rows, { headerHeight: HEADER_HEIGHT, rowHeight: tileSize + GAP }),
+    [rows, tileSize]
+  );
+  const [first, last] = width > 0 ? visibleRowRange(layout, viewport.scrollTop, viewport.height, OVERSCAN_ROWS) : [0, -1];
+
+  // Keep the photo at the top of the screen in place when the column count changes.
+  useLayoutEffect(() => {
+    if (previousColumns.current === columns) return;
+    previousColumns.current = columns;
+    const container = containerRef.current;
+    const current = anchor.current;
+    if (!container || !current) return;
+    const index = rows.findIndex((row) => row.kind === "photos" && row.photos.some((photo) => photo.id === current.photoId));
+    if (index === -1) return;
+    const containerTop = container.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({ top: containerTop + layout.offsets[index] - current.delta });
+    measure();
+  }, [columns, layout, measure, rows]);
+
+  useEffect(() => {
+    if (!rows.length) return;
+    const topIndex = rowIndexAtOffset(layout.offsets, Math.max(0, viewport.scrollTop + STICKY_OFFSET));
+    for (let index = topIndex; index < rows.length; index += 1) {
+      const row = rows[index];
+      if (row.kind === "photos") {
+        anchor.current = { photoId: row.photos[0].id, delta: layout.offsets[index] - viewport.scrollTop };
+        return;
+      }
+    }
+  }, [layout, rows, viewport.scrollTop]);
+
+  useEffect(() => {
+    if (hasMore && !isLoadingMore && width > 0 && last >= rows.length - 1 - OVERSCAN_ROWS * 2) {
+      onLoadMore();
+    }
+  }, [hasMore, isLoadingMore, last, onLoadMore, rows.length, width]);
+
+  const stickyRow = rows[rowIndexAtOffset(layout.offsets, Math.max(0, viewport.scrollTop + STICKY_OFFSET))];
+  const stickyHeader = stickyRow && rows.find((row) => row.kind === "header" && row.groupKey === stickyRow.groupKey);
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative mx-auto max-w-7xl"
+      style={{ height: layout.totalHeight + (hasMore ? LOADER_HEIGHT : 0) }}
+    >
+      {stickyHeader?.kind === "header" && viewport.scrollTop + STICKY_OFFSET > 0 && (
+        <div className="sticky top-[61px] z-20 h-0">
+          <h3 className="flex items-baseline gap-2 bg-background/90 px-1 py-2 text-sm font-semibold text-foreground backdrop-blur-md">
+            {stickyHeader.label}
+            <span className="text-xs font-normal text-muted-foreground">{stickyHeader.count}</span>
+          </h3>
+        </div>
+      )}
+      {rows.slice(first, last + 1).map((row, offset) => {
+        const index = first + offset;
+        return row.kind === "header" ? (
+          <h3
+            key={row.key}
+            className="absolute inset-x-0 flex items-end gap-2 px-1 pb-2 text-sm font-semibold text-foreground"
+            style={{ top: layout.offsets[index], height: HEADER_HEIGHT }}
+          >
+            {row.label}
+            <span className="text-xs font-normal text-muted-foreground">{row.count}</span>
+          </h3>
+        ) : (
+          <div
+            key={row.key}
+            className="absolute inset-x-0"
+            style={{
+              top: layout.offsets[index],
+              height: tileSize,
+              display: "grid",
+              gap: GAP,
+              gridTemplateColumns: `repeat(${columns}, 1fr)`,
+            }}
+          >
+            {row.photos.map((photo) => renderTile(photo, tileSize))}
+          </div>
+        );
+      })}
+      {hasMore && (
+        <div
+          className="absolute inset-x-0 flex items-center justify-center text-muted-foreground"
+          style={{ top: layout.totalHeight, height: LOADER_HEIGHT }}
+        >
+          {isLoadingMore && <Loader2 className="h-5 w-5 animate-spin" />}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VirtualPhotoGrid;
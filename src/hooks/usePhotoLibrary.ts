@@ -1,28 +1,226 @@
-import { useCallback, useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { getApiBaseUrlSync, loadApiBaseUrl } from "@/lib/runtimeConfig";
+import { chunkRange, pendingChunkIndexes, UploadSession, uploadFingerprint } from "@/lib/chunkedUpload";
+import { EditOperation } from "@/lib/photoEdits";
+import { isMediaUrlExpired } from "@/lib/mediaUrls";
+import { isAccessTokenStale } from "@/lib/authTokens";
+import { PhotoSearch, photoSearchApiParams } from "@/lib/photoSearch";
+import { GeoBounds } from "@/lib/mapViewport";
+import { PhotoRendition } from "@/lib/renditions";
+import { applyLibraryEvent, createEventStreamParser, LibraryEvent, ServerEvent } from "@/lib/libraryEvents";
+import { isLikelyMediaFile } from "@/lib/mediaFiles";
+import {
+  clearOfflineData,
+  isOfflineCopy,
+  listOfflineActions,
+  OfflineAction,
+  queuedDeleteIds,
+  queueOfflineAction,
+  removeOfflineAction,
+  saveOfflineAction,
+  withoutQueuedDeletes,
+} from "@/lib/offlineQueue";
 
 export interface Photo {
   id: string;
   name: string;
   url: string;
-  thumbnailUrl: string;
+  /** Null for a video until its poster frame is written. */
+  thumbnailUrl: string | null;
+  renditions?: PhotoRendition[];
+  processing?: boolean;
+  /** Videos play from `url`; their thumbnail and renditions are a frame from the clip. */
+  mediaType?: "image" | "video";
+  durationMs?: number | null;
+  /** The motion clip of a Live Photo, paired with this still on the server. */
+  liveVideoUrl?: string | null;
   addedAt: number;
+  size?: number | null;
+  takenAt?: number | null;
+  width?: number | null;
+  height?: number | null;
+  camera?: PhotoCamera | null;
+  caption?: string | null;
+  tags?: string[];
+  location?: PhotoLocation | null;
+  favorite?: boolean;
+  hideLocation?: boolean;
   downloadUrl: string;
+  albumIds?: string[];
+  edits?: EditOperation[];
+  editedAt?: number;
+  originalUrl?: string;
+  deletedAt?: number;
+  purgeAt?: number;
+}
+
+export interface PhotoCamera {
+  make: string | null;
+  model: string | null;
+  lens: string | null;
+  exposureTime: number | null;
+  fNumber: number | null;
+  iso: number | null;
+  focalLength: number | null;
+}
+
+export interface PhotoLocation {
+  latitude: number;
+  longitude: number;
+}
+
+export interface PhotoDetails {
+  name?: string;
+  caption?: string;
+  tags?: string[];
+  favorite?: boolean;
+  hideLocation?: boolean;
+}
+
+export interface GeoCluster {
+  latitude: number;
+  longitude: number;
+  count: number;
+  bounds: GeoBounds;
+  photo: { id: string; name: string; thumbnailUrl: string | null };
+}
+
+export interface ProcessingJob {
+  id: number;
+  kind: string;
+  photoId: string;
+  status: "queued" | "running" | "failed";
+  attempts: number;
+  runAt: number;
+  error: string | null;
+  createdAt: number;
+}
+
+export interface TagCount {
+  tag: string;
+  count: number;
+}
+
+export interface Album {
+  id: string;
+  name: string;
+  photoCount: number;
+  coverUrl: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export type DuplicatePolicy = "skip" | "keep-both" | "replace";
+
+export interface DuplicateGroup {
+  kind: "exact" | "similar";
+  distance: number;
+  photos: (Photo & { size: number })[];
+}
+
+export interface ShareLink {
+  token: string;
+  kind: "photo" | "album";
+  targetId: string;
+  targetName: string | null;
+  path: string;
+  createdAt: number;
+  expiresAt: number | null;
+  expired: boolean;
+  hasPassword: boolean;
+  allowDownload: boolean;
+}
+
+export type ShareTarget = { photoId: string } | { albumId: string };
+
+export interface ShareOptions {
+  expiresAt?: number | null;
+  password?: string;
+  allowDownload?: boolean;
+}
+
+export type UploadStatus =
+  | "queued"
+  | "uploading"
+  | "processing"
+  | "done"
+  | "skipped"
+  | "error"
+  | "interrupted"
+  | "offline";
+
+export interface UploadItem {
+  id: string;
+  name: string;
+  size: number;
+  uploadedBytes: number;
+  status: UploadStatus;
+  error?: string;
+  sessionId?: string;
+  fingerprint: string | null;
+  albumId: string | null;
+  /** Key of the IndexedDB entry holding the file while it waits for the server. */
+  offlineId?: number;
+}
+
+interface UploadSummary {
+  uploaded: number;
+  skipped: number;
+  replaced: number;
+  albumPhotoIds: Map<string, string[]>;
 }
 
 export interface AuthUser {
   id: string;
   username: string;
   storageFolder?: string;
+  isAdmin?: boolean;
+  twoFactorEnabled?: boolean;
+}
+
+/** Returned by `login` when the account has two-factor sign-in on. */
+export interface TwoFactorChallenge {
+  challengeToken: string;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
+export interface AdminUser extends AuthUser {
+  createdAt: number;
+  disabledAt: number | null;
+  quotaBytes: number | null;
+  photoCount: number;
+  bytesUsed: number;
+}
+
+export interface AdminUserPatch {
+  disabled?: boolean;
+  isAdmin?: boolean;
+  quotaBytes?: number | null;
+}
+
+export interface AuthSession {
+  id: string;
+  userAgent: string | null;
+  createdAt: number;
+  lastUsedAt: number;
+  expiresAt: number;
+  current: boolean;
 }
 
 export class AuthActionError extends Error {
   code?: string;
+  /** Set when sign-in is locked out or rate limited. */
+  retryAfterMs?: number;
 
-  constructor(message: string, code?: string) {
+  constructor(message: string, code?: string, retryAfterMs?: number) {
     super(message);
     this.name = "AuthActionError";
     this.code = code;
+    this.retryAfterMs = retryAfterMs;
   }
 }
 
@@ -30,43 +228,83 @@ const toAbsoluteUrl = (apiBaseUrl: string, pathOrUrl: string) =>
   pathOrUrl.startsWith("http") ? pathOrUrl : `${apiBaseUrl}${pathOrUrl}`;
 
 const AUTH_TOKEN_KEY = "photoLibraryAuthToken";
+const REFRESH_TOKEN_KEY = "photoLibraryRefreshToken";
+const PHOTO_PAGE_SIZE = 200;
+const PHOTO_PAGE_MAX = 1000;
+const DUPLICATE_POLICY_KEY = "photoLibraryDuplicatePolicy";
+const PROCESSING_POLL_MS = 2000;
+// Photo ids per status request, to keep the query string short after a large upload.
+const PROCESSING_POLL_MAX = 100;
+// Live update stream reconnects: the server's suggested delay, doubling while it stays down.
+const EVENTS_RECONNECT_MS = 3000;
+const EVENTS_RECONNECT_MAX_MS = 60000;
+// Album covers and counts are reloaded once a burst of photo events settles.
+const EVENTS_ALBUM_REFRESH_MS = 1000;
+// How often /api/health is asked whether the photo server is back.
+const HEALTH_POLL_MS = 5000;
+const DUPLICATE_POLICIES: DuplicatePolicy[] = ["skip", "keep-both", "replace"];
 
-const withTokenInUrl = (url: string, authToken: string | null) => {
-  if (!authToken) {
-    return url;
-  }
-  const nextUrl = new URL(url);
-  nextUrl.searchParams.set("auth", authToken);
-  return nextUrl.toString();
+const readDuplicatePolicy = (): DuplicatePolicy => {
+  const stored = localStorage.getItem(DUPLICATE_POLICY_KEY) as DuplicatePolicy | null;
+  return stored && DUPLICATE_POLICIES.includes(stored) ? stored : "skip";
 };
 
-const isLikelyImageFile = (file: File) => {
-  if (file.type.startsWith("image/")) {
-    return true;
-  }
-  return /\.(png|jpe?g|webp|gif|bmp|svg|heic|heif|avif)$/i.test(file.name);
-};
+// Media URLs arrive already signed by the server; they only need the API host.
+const normalizePhoto = (apiBaseUrl: string, photo: Photo): Photo => ({
+  ...photo,
+  url: toAbsoluteUrl(apiBaseUrl, photo.url),
+  thumbnailUrl: photo.thumbnailUrl ? toAbsoluteUrl(apiBaseUrl, photo.thumbnailUrl) : null,
+  renditions: photo.renditions?.map((rendition) => ({ ...rendition, url: toAbsoluteUrl(apiBaseUrl, rendition.url) })),
+  downloadUrl: toAbsoluteUrl(apiBaseUrl, photo.downloadUrl),
+  originalUrl: photo.originalUrl ? toAbsoluteUrl(apiBaseUrl, photo.originalUrl) : undefined,
+  liveVideoUrl: photo.liveVideoUrl ? toAbsoluteUrl(apiBaseUrl, photo.liveVideoUrl) : null,
+});
 
-const normalizePhoto = (apiBaseUrl: string, authToken: string | null, photo: Photo): Photo => {
-  const url = toAbsoluteUrl(apiBaseUrl, photo.url);
-  const thumbnailUrl = toAbsoluteUrl(apiBaseUrl, photo.thumbnailUrl);
-  const downloadUrl = toAbsoluteUrl(apiBaseUrl, photo.downloadUrl);
+const normalizeAlbum = (apiBaseUrl: string, album: Album): Album => ({
+  ...album,
+  coverUrl: album.coverUrl ? toAbsoluteUrl(apiBaseUrl, album.coverUrl) : null,
+});
 
-  return {
-    ...photo,
-    url: withTokenInUrl(url, authToken),
-    thumbnailUrl: withTokenInUrl(thumbnailUrl, authToken),
-    downloadUrl: withTokenInUrl(downloadUrl, authToken),
-  };
-};
+const jsonRequest = (method: string, value: unknown): RequestInit => ({
+  method,
+  headers: { "Content-Type": "application/json" },
+  body: JSON.stringify(value),
+});
 
 export function usePhotoLibrary() {
   const [photos, setPhotos] = useState<Photo[]>([]);
+  const [photoTotal, setPhotoTotal] = useState(0);
+  const [nextPhotoCursor, setNextPhotoCursor] = useState<string | null>(null);
+  const [isLoadingMorePhotos, setIsLoadingMorePhotos] = useState(false);
+  const loadedPhotoCount = useRef(0);
+  const photoRequestId = useRef(0);
+  const isLoadingMore = useRef(false);
+  const [albums, setAlbums] = useState<Album[]>([]);
+  const [activeAlbumId, setActiveAlbumId] = useState<string | null>(null);
+  const [photoSearch, setPhotoSearch] = useState<PhotoSearch | null>(null);
+  const [trashedPhotos, setTrashedPhotos] = useState<Photo[]>([]);
+  const [trashRetentionMs, setTrashRetentionMs] = useState<number | null>(null);
+  const [duplicatePolicy, setDuplicatePolicyState] = useState<DuplicatePolicy>(readDuplicatePolicy);
+  const [uploads, setUploads] = useState<UploadItem[]>([]);
+  const [uploadTick, setUploadTick] = useState(0);
+  const uploadFiles = useRef(new Map<string, File>());
+  const uploadControllers = useRef(new Map<string, AbortController>());
+  const isUploadRunning = useRef(false);
+  const uploadSummary = useRef<UploadSummary>({ uploaded: 0, skipped: 0, replaced: 0, albumPhotoIds: new Map() });
   const [isDatabaseDown, setIsDatabaseDown] = useState(false);
+  const [offlineActions, setOfflineActions] = useState<OfflineAction[]>([]);
+  // Photos deleted offline stay hidden, even in the service worker's saved lists.
+  const offlineDeleteIds = useRef(new Set<string>());
+  offlineDeleteIds.current = queuedDeleteIds(offlineActions);
+  const isReplayingOffline = useRef(false);
   const [apiBaseUrl, setApiBaseUrl] = useState(getApiBaseUrlSync());
   const [authToken, setAuthToken] = useState<string | null>(
     () => localStorage.getItem(AUTH_TOKEN_KEY) || null
   );
+  // Rotated access tokens only go into this ref: swapping the state would re-create
+  // every request callback and reload the library each time the token is refreshed.
+  const accessToken = useRef(authToken);
+  const pendingTokenRefresh = useRef<Promise<string | null> | null>(null);
   const [authUser, setAuthUser] = useState<AuthUser | null>(null);
   const [authError, setAuthError] = useState<string | null>(null);
   const [authNotice, setAuthNotice] = useState<string | null>(null);
@@ -88,23 +326,129 @@ export function usePhotoLibrary() {
 
   const clearAuth = useCallback(() => {
     localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    accessToken.current = null;
     setAuthToken(null);
     setAuthUser(null);
     setAuthError(null);
     setAuthErrorCode(null);
     setAuthNotice(null);
     setPhotos([]);
+    setPhotoTotal(0);
+    setNextPhotoCursor(null);
+    setAlbums([]);
+    setActiveAlbumId(null);
+    setTrashedPhotos([]);
+    uploadControllers.current.forEach((controller) => controller.abort());
+    uploadFiles.current.clear();
+    setUploads([]);
+    setOfflineActions([]);
+    clearOfflineData().catch((error) => {
+      console.error(error);
+    });
   }, []);
 
+  // Resolves to a fresh access token, or null once the session is gone for good.
+  // Concurrent 401s share one refresh so the refresh token is rotated only once.
+  const refreshAccessToken = useCallback(() => {
+    if (!pendingTokenRefresh.current) {
+      pendingTokenRefresh.current = (async () => {
+        const stored = localStorage.getItem(AUTH_TOKEN_KEY);
+        if (stored && stored !== accessToken.current) {
+          // Another tab already refreshed the session.
+          accessToken.current = stored;
+          return stored;
+        }
+        const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+          return null;
+        }
+        const res = await fetch(`${apiBaseUrl}/api/auth/refresh`, jsonRequest("POST", { refreshToken }));
+        if (res.status === 409) {
+          // Lost a race with another tab; it has stored the new tokens by now.
+          const next = localStorage.getItem(AUTH_TOKEN_KEY);
+          accessToken.current = next;
+          return next;
+        }
+        if (res.status === 400 || res.status === 401) {
+          return null;
+        }
+        if (!res.ok) {
+          throw new Error("Failed to refresh session");
+        }
+        const payload = (await res.json()) as { token: string; refreshToken: string };
+        localStorage.setItem(AUTH_TOKEN_KEY, payload.token);
+        localStorage.setItem(REFRESH_TOKEN_KEY, payload.refreshToken);
+        accessToken.current = payload.token;
+        return payload.token;
+      })().finally(() => {
+        pendingTokenRefresh.current = null;
+      });
+    }
+    return pendingTokenRefresh.current;
+  }, [apiBaseUrl]);
+
   const authorizedFetch = useCallback(
     async (url: string, init: RequestInit = {}) => {
-      const headers = new Headers(init.headers || {});
-      if (authToken) {
-        headers.set("Authorization", `Bearer ${authToken}`);
+      const send = (token: string | null) => {
+        const headers = new Headers(init.headers || {});
+        if (token) {
+          headers.set("Authorization", `Bearer ${token}`);
+        }
+        return fetch(url, { ...init, headers });
+      };
+      const res = await send(accessToken.current);
+      if (res.status !== 401 || !authToken) {
+        return res;
+      }
+      // Access tokens are short-lived: try once more with a refreshed one before
+      // letting the caller treat the 401 as a signed-out session.
+      const refreshed = await refreshAccessToken();
+      return refreshed ? send(refreshed) : res;
+    },
+    [authToken, refreshAccessToken]
+  );
+
+  // For browser navigations that cannot be retried after a 401.
+  const freshAccessToken = useCallback(async () => {
+    const token = accessToken.current;
+    if (!token || !isAccessTokenStale(token)) {
+      return token;
+    }
+    return (await refreshAccessToken().catch(() => null)) ?? token;
+  }, [refreshAccessToken]);
+
+  const apiRequest = useCallback(
+    async (path: string, init: RequestInit = {}, fallbackError = "Request failed") => {
+      try {
+        const res = await authorizedFetch(`${apiBaseUrl}${path}`, init);
+        if (res.status === 401) {
+          clearAuth();
+          throw new Error("Session expired. Please log in again.");
+        }
+        if (!res.ok) {
+          const payload = (await res.json().catch(() => ({}))) as { error?: string };
+          if (res.status >= 500) {
+            markDatabaseDown();
+          } else {
+            markHealthy();
+          }
+          throw new Error(payload.error || fallbackError);
+        }
+        if (isOfflineCopy(res)) {
+          markDatabaseDown();
+        } else {
+          markHealthy();
+        }
+        return res;
+      } catch (error) {
+        if (error instanceof Error && error.message.toLowerCase().includes("failed to fetch")) {
+          markDatabaseDown();
+        }
+        throw error;
       }
-      return fetch(url, { ...init, headers });
     },
-    [authToken]
+    [apiBaseUrl, authorizedFetch, clearAuth, markDatabaseDown, markHealthy]
   );
 
   const refreshAuthUser = useCallback(async () => {
@@ -124,26 +468,144 @@ export function usePhotoLibrary() {
     setAuthUser(data.user);
   }, [apiBaseUrl, authToken, authorizedFetch, clearAuth]);
 
+  const fetchPhotoPage = useCallback(
+    async (cursor: string | null, limit: number) => {
+      // A search carries its own album filter, so the sidebar album does not apply to it.
+      const params = photoSearch ? photoSearchApiParams(photoSearch) : new URLSearchParams();
+      params.set("limit", String(limit));
+      if (activeAlbumId && !photoSearch) params.set("album", activeAlbumId);
+      if (cursor) params.set("cursor", cursor);
+      const res = await authorizedFetch(`${apiBaseUrl}/api/photos${photoSearch ? "/search" : ""}?${params}`);
+      if (res.status === 401) {
+        clearAuth();
+        throw new Error("Session expired. Please log in again.");
+      }
+      if (photoSearch && !res.ok && res.status < 500) {
+        // A search for an album that no longer exists, or a hand-edited URL, just finds nothing.
+        return { photos: [], nextCursor: null, total: 0, offline: false };
+      }
+      if (res.status === 404 && activeAlbumId) {
+        // The album was deleted elsewhere; fall back to the full library.
+        setActiveAlbumId(null);
+        return null;
+      }
+      if (!res.ok) throw new Error("Failed to load photos");
+      const data = (await res.json()) as { photos: Photo[]; nextCursor: string | null; total: number };
+      const photos = data.photos.filter((photo) => !offlineDeleteIds.current.has(photo.id));
+      return {
+        photos: photos.map((photo) => normalizePhoto(apiBaseUrl, photo)),
+        nextCursor: data.nextCursor,
+        total: Math.max(0, data.total - (data.photos.length - photos.length)),
+        offline: isOfflineCopy(res),
+      };
+    },
+    [activeAlbumId, apiBaseUrl, authorizedFetch, clearAuth, photoSearch]
+  );
+
   const refreshPhotos = useCallback(async () => {
     if (!authToken) {
       setPhotos([]);
+      setPhotoTotal(0);
+      setNextPhotoCursor(null);
       return;
     }
+    const requestId = ++photoRequestId.current;
     try {
-      const res = await authorizedFetch(`${apiBaseUrl}/api/photos`);
-      if (res.status === 401) {
-        clearAuth();
-        throw new Error("Session expired. Please log in again.");
+      // Reload at least as many photos as are already on screen so the scroll position survives.
+      const target = Math.max(PHOTO_PAGE_SIZE, loadedPhotoCount.current);
+      const loaded: Photo[] = [];
+      let cursor: string | null = null;
+      let total = 0;
+      let offline = false;
+      do {
+        const page = await fetchPhotoPage(cursor, Math.min(PHOTO_PAGE_MAX, target - loaded.length));
+        if (!page || requestId !== photoRequestId.current) return;
+        loaded.push(...page.photos);
+        cursor = page.nextCursor;
+        total = page.total;
+        offline ||= page.offline;
+      } while (cursor && loaded.length < target);
+      setPhotos(loaded);
+      setNextPhotoCursor(cursor);
+      setPhotoTotal(total);
+      if (offline) {
+        // The service worker answered with the last list it saved.
+        markDatabaseDown();
+      } else {
+        markHealthy();
       }
-      if (!res.ok) throw new Error("Failed to load photos");
-      const data = (await res.json()) as { photos: Photo[] };
-      setPhotos(data.photos.map((photo) => normalizePhoto(apiBaseUrl, authToken, photo)));
-      markHealthy();
     } catch (error) {
       markDatabaseDown();
       throw error;
     }
-  }, [apiBaseUrl, authToken, authorizedFetch, clearAuth, markDatabaseDown, markHealthy]);
+  }, [authToken, fetchPhotoPage, markDatabaseDown, markHealthy]);
+
+  const loadMorePhotos = useCallback(async () => {
+    if (!nextPhotoCursor || isLoadingMore.current) return;
+    isLoadingMore.current = true;
+    setIsLoadingMorePhotos(true);
+    const requestId = photoRequestId.current;
+    try {
+      const page = await fetchPhotoPage(nextPhotoCursor, PHOTO_PAGE_SIZE);
+      if (!page || requestId !== photoRequestId.current) return;
+      setPhotos((prev) => {
+        const seen = new Set(prev.map((photo) => photo.id));
+        return [...prev, ...page.photos.filter((photo) => !seen.has(photo.id))];
+      });
+      setNextPhotoCursor(page.nextCursor);
+      setPhotoTotal(page.total);
+      if (page.offline) {
+        markDatabaseDown();
+      } else {
+        markHealthy();
+      }
+    } catch (error) {
+      markDatabaseDown();
+      throw error;
+    } finally {
+      isLoadingMore.current = false;
+      setIsLoadingMorePhotos(false);
+    }
+  }, [fetchPhotoPage, markDatabaseDown, markHealthy, nextPhotoCursor]);
+
+  useEffect(() => {
+    loadedPhotoCount.current = photos.length;
+  }, [photos]);
+
+  useEffect(() => {
+    // A different album or search starts again from its first page.
+    loadedPhotoCount.current = 0;
+  }, [activeAlbumId, photoSearch]);
+
+  const fetchPhoto = useCallback(
+    async (id: string) => {
+      const res = await apiRequest(`/api/photos/${encodeURIComponent(id)}`, {}, "Photo not found");
+      const data = (await res.json()) as { photo: Photo };
+      return normalizePhoto(apiBaseUrl, data.photo);
+    },
+    [apiBaseUrl, apiRequest]
+  );
+
+  const refreshAlbums = useCallback(async () => {
+    if (!authToken) {
+      setAlbums([]);
+      return;
+    }
+    const res = await apiRequest("/api/albums", {}, "Failed to load albums");
+    const data = (await res.json()) as { albums: Album[] };
+    setAlbums(data.albums.map((album) => normalizeAlbum(apiBaseUrl, album)));
+  }, [apiBaseUrl, apiRequest, authToken]);
+
+  const refreshTrash = useCallback(async () => {
+    if (!authToken) {
+      setTrashedPhotos([]);
+      return;
+    }
+    const res = await apiRequest("/api/trash", {}, "Failed to load trash");
+    const data = (await res.json()) as { photos: Photo[]; retentionMs: number };
+    setTrashedPhotos(data.photos.map((photo) => normalizePhoto(apiBaseUrl, photo)));
+    setTrashRetentionMs(data.retentionMs);
+  }, [apiBaseUrl, apiRequest, authToken]);
 
   useEffect(() => {
     refreshAuthUser().catch((error) => {
@@ -157,49 +619,672 @@ export function usePhotoLibrary() {
     });
   }, [refreshPhotos]);
 
-  const addPhotos = useCallback(async (files: FileList | File[]) => {
-    const imageFiles = Array.from(files).filter(isLikelyImageFile);
-    if (!imageFiles.length) {
-      setAuthError("No valid image files selected.");
+  // Uploads and edits return before their thumbnails exist. While loaded photos are still
+  // processing, ask the job queue about them and reload each one once its jobs are done.
+  const processingIds = photos
+    .filter((photo) => photo.processing)
+    .slice(0, PROCESSING_POLL_MAX)
+    .map((photo) => photo.id)
+    .join(",");
+
+  useEffect(() => {
+    if (!processingIds) return;
+    const timer = setInterval(async () => {
+      try {
+        const res = await apiRequest(
+          `/api/jobs?${new URLSearchParams({ photoIds: processingIds })}`,
+          {},
+          "Failed to load processing status"
+        );
+        const data = (await res.json()) as { jobs: ProcessingJob[] };
+        const pending = new Set(data.jobs.filter((job) => job.status !== "failed").map((job) => job.photoId));
+        const finished = processingIds.split(",").filter((id) => !pending.has(id));
+        if (!finished.length) return;
+        const reloaded = new Map(
+          await Promise.all(
+            finished.map(async (id) => [id, await fetchPhoto(id).catch(() => null)] as const)
+          )
+        );
+        setPhotos((prev) =>
+          prev.map((item) =>
+            reloaded.has(item.id) ? reloaded.get(item.id) ?? { ...item, processing: false } : item
+          )
+        );
+      } catch (error) {
+        console.error(error);
+      }
+    }, PROCESSING_POLL_MS);
+    return () => clearInterval(timer);
+  }, [apiRequest, fetchPhoto, processingIds]);
+
+  // Changes made in other tabs and on other devices arrive as server-sent events. The
+  // stream outlives album and search changes, so the handler reads the view from refs.
+  const lastEventId = useRef("");
+  const liveLibrary = useRef({ photos, total: photoTotal });
+  liveLibrary.current = { photos, total: photoTotal };
+  const liveView = useRef({ albumId: activeAlbumId, isSearch: false, hasMore: false });
+  liveView.current = {
+    albumId: photoSearch ? null : activeAlbumId,
+    isSearch: Boolean(photoSearch),
+    hasMore: Boolean(nextPhotoCursor),
+  };
+  const liveRefresh = useRef({ refreshPhotos, refreshAlbums, refreshTrash });
+  liveRefresh.current = { refreshPhotos, refreshAlbums, refreshTrash };
+
+  useEffect(() => {
+    if (!authToken) {
+      lastEventId.current = "";
       return;
     }
+    const controller = new AbortController();
+    let reconnectMs = EVENTS_RECONNECT_MS;
+    let refreshTimer: ReturnType<typeof setTimeout> | undefined;
 
-    const body = new FormData();
-    imageFiles.forEach((file) => body.append("photos", file));
+    const refreshSidebars = () => {
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => {
+        const { refreshAlbums, refreshTrash } = liveRefresh.current;
+        Promise.all([refreshAlbums(), refreshTrash()]).catch((error) => {
+          console.error(error);
+        });
+      }, EVENTS_ALBUM_REFRESH_MS);
+    };
 
-    try {
-      const res = await authorizedFetch(`${apiBaseUrl}/api/photos`, {
-        method: "POST",
-        body,
+    const handleEvent = (event: ServerEvent) => {
+      lastEventId.current = event.id;
+      if (event.type === "reset") {
+        // Events were missed while disconnected, so reload instead of replaying.
+        liveRefresh.current.refreshPhotos().catch((error) => {
+          console.error(error);
+        });
+        refreshSidebars();
+        return;
+      }
+      if (!event.type.startsWith("photo.")) return;
+      const payload = JSON.parse(event.data) as { id?: string; photo?: Photo };
+      const libraryEvent = (
+        payload.photo
+          ? { type: event.type, photo: normalizePhoto(apiBaseUrl, payload.photo) }
+          : { type: event.type, id: payload.id }
+      ) as LibraryEvent<Photo>;
+      const next = applyLibraryEvent(liveLibrary.current, libraryEvent, liveView.current);
+      liveLibrary.current = next;
+      setPhotos(next.photos);
+      setPhotoTotal(next.total);
+      if (event.type === "photo.added") {
+        setTrashedPhotos((prev) => prev.filter((photo) => photo.id !== payload.photo?.id));
+      }
+      refreshSidebars();
+    };
+
+    const wait = (ms: number) =>
+      new Promise<void>((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        controller.signal.addEventListener("abort", () => {
+          clearTimeout(timer);
+          resolve();
+        });
       });
-      if (res.status === 401) {
-        clearAuth();
-        throw new Error("Session expired. Please log in again.");
+
+    const listen = async () => {
+      let delay = reconnectMs;
+      while (!controller.signal.aborted) {
+        try {
+          const res = await authorizedFetch(`${apiBaseUrl}/api/events`, {
+            headers: lastEventId.current ? { "Last-Event-ID": lastEventId.current } : {},
+            signal: controller.signal,
+          });
+          if (res.status === 401) {
+            clearAuth();
+            return;
+          }
+          if (res.ok && res.body) {
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            const parser = createEventStreamParser(handleEvent, (ms) => {
+              reconnectMs = ms;
+            });
+            delay = reconnectMs;
+            for (;;) {
+              const { done, value } = await reader.read();
+              if (done) break;
+              parser.push(decoder.decode(value, { stream: true }));
+            }
+            // The server ends the stream when the access token expires; reconnect without backing off.
+            delay = reconnectMs;
+          }
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          console.error(error);
+        }
+        await wait(delay);
+        delay = Math.min(delay * 2, EVENTS_RECONNECT_MAX_MS);
       }
-      if (!res.ok) {
-        const payload = (await res.json().catch(() => ({}))) as { error?: string };
-        const errorMessage = payload.error || "Failed to upload photos";
-        if (res.status >= 500) {
-          markDatabaseDown();
+    };
+
+    listen();
+    return () => {
+      controller.abort();
+      clearTimeout(refreshTimer);
+    };
+  }, [apiBaseUrl, authToken, authorizedFetch, clearAuth]);
+
+  useEffect(() => {
+    refreshAlbums().catch((error) => {
+      console.error(error);
+    });
+  }, [refreshAlbums]);
+
+  useEffect(() => {
+    refreshTrash().catch((error) => {
+      console.error(error);
+    });
+  }, [refreshTrash]);
+
+  const createAlbum = useCallback(
+    async (name: string) => {
+      const res = await apiRequest("/api/albums", jsonRequest("POST", { name }), "Failed to create album");
+      const data = (await res.json()) as { album: Album };
+      await refreshAlbums();
+      return normalizeAlbum(apiBaseUrl, data.album);
+    },
+    [apiBaseUrl, apiRequest, refreshAlbums]
+  );
+
+  const renameAlbum = useCallback(
+    async (albumId: string, name: string) => {
+      await apiRequest(
+        `/api/albums/${encodeURIComponent(albumId)}`,
+        jsonRequest("PATCH", { name }),
+        "Failed to rename album"
+      );
+      await refreshAlbums();
+    },
+    [apiRequest, refreshAlbums]
+  );
+
+  const deleteAlbum = useCallback(
+    async (albumId: string) => {
+      await apiRequest(`/api/albums/${encodeURIComponent(albumId)}`, { method: "DELETE" }, "Failed to delete album");
+      await refreshAlbums();
+      if (activeAlbumId === albumId) {
+        // Switching back to the full library refetches photos through the effect.
+        setActiveAlbumId(null);
+        return;
+      }
+      await refreshPhotos();
+    },
+    [activeAlbumId, apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  const addPhotosToAlbum = useCallback(
+    async (albumId: string, photoIds: string[]) => {
+      if (!photoIds.length) {
+        return;
+      }
+      await apiRequest(
+        `/api/albums/${encodeURIComponent(albumId)}/photos`,
+        jsonRequest("POST", { photoIds }),
+        "Failed to add photos to album"
+      );
+      await Promise.all([refreshAlbums(), refreshPhotos()]);
+    },
+    [apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  const removePhotosFromAlbum = useCallback(
+    async (albumId: string, photoIds: string[]) => {
+      if (!photoIds.length) {
+        return;
+      }
+      await apiRequest(
+        `/api/albums/${encodeURIComponent(albumId)}/photos/remove`,
+        jsonRequest("POST", { photoIds }),
+        "Failed to remove photos from album"
+      );
+      await Promise.all([refreshAlbums(), refreshPhotos()]);
+    },
+    [apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  const removePhotoFromAlbum = useCallback(
+    async (albumId: string, photoId: string) => {
+      await apiRequest(
+        `/api/albums/${encodeURIComponent(albumId)}/photos/${encodeURIComponent(photoId)}`,
+        { method: "DELETE" },
+        "Failed to remove photo from album"
+      );
+      await Promise.all([refreshAlbums(), refreshPhotos()]);
+    },
+    [apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  const refreshUploads = useCallback(async () => {
+    if (!authToken) {
+      setUploads([]);
+      return;
+    }
+    const res = await apiRequest("/api/uploads", {}, "Failed to load uploads");
+    const data = (await res.json()) as { sessions: UploadSession[] };
+    // Sessions left over from a previous visit wait for the user to pick the same file again.
+    setUploads((prev) => {
+      const known = new Set(prev.map((item) => item.sessionId));
+      const interrupted = data.sessions
+        .filter((session) => !known.has(session.id))
+        .map<UploadItem>((session) => ({
+          id: session.id,
+          name: session.name,
+          size: session.size,
+          uploadedBytes: session.receivedBytes,
+          status: "interrupted",
+          sessionId: session.id,
+          fingerprint: session.fingerprint,
+          albumId: null,
+        }));
+      return interrupted.length ? [...prev, ...interrupted] : prev;
+    });
+  }, [apiRequest, authToken]);
+
+  useEffect(() => {
+    refreshUploads().catch((error) => {
+      console.error(error);
+    });
+  }, [refreshUploads]);
+
+  const updateUpload = useCallback((id: string, changes: Partial<UploadItem>) => {
+    setUploads((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Lists uploads whose files wait in IndexedDB, or hands them to the upload queue.
+  const showOfflineUploads = useCallback((actions: OfflineAction[], status: "offline" | "queued") => {
+    const items = actions.flatMap<UploadItem>((action) => {
+      if (action.kind !== "upload" || action.id === undefined) return [];
+      const id = `offline-${action.id}`;
+      uploadFiles.current.set(id, action.file);
+      return [
+        {
+          id,
+          name: action.file.name,
+          size: action.file.size,
+          uploadedBytes: 0,
+          status,
+          fingerprint: uploadFingerprint(action.file),
+          albumId: action.albumId,
+          offlineId: action.id,
+        },
+      ];
+    });
+    if (!items.length) return;
+    const ids = new Set(items.map((item) => item.id));
+    setUploads((prev) => {
+      const shown = new Set(prev.map((item) => item.id));
+      return [
+        ...prev.map((item) => (item.status === "offline" && ids.has(item.id) ? { ...item, status } : item)),
+        ...items.filter((item) => !shown.has(item.id)),
+      ];
+    });
+  }, []);
+
+  const addPhotos = useCallback(
+    (files: FileList | File[]) => {
+      const mediaFiles = Array.from(files).filter(isLikelyMediaFile);
+      if (!mediaFiles.length) {
+        setAuthError("No valid image or video files selected.");
+        return;
+      }
+
+      if (isDatabaseDown) {
+        // Kept in IndexedDB so they survive a reload; sent once the server is back.
+        Promise.all(
+          mediaFiles.map((file) => queueOfflineAction({ kind: "upload", file, albumId: activeAlbumId, queuedAt: Date.now() }))
+        )
+          .then((queued) => {
+            setOfflineActions((prev) => [...prev, ...queued]);
+            showOfflineUploads(queued, "offline");
+          })
+          .catch((error) => {
+            console.error(error);
+            setAuthError("Could not keep the photos for uploading later.");
+          });
+        return;
+      }
+
+      const items = mediaFiles.map<UploadItem>((file) => {
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        uploadFiles.current.set(id, file);
+        return {
+          id,
+          name: file.name,
+          size: file.size,
+          uploadedBytes: 0,
+          status: "queued",
+          fingerprint: uploadFingerprint(file),
+          albumId: activeAlbumId,
+        };
+      });
+      const fingerprints = new Set(items.map((item) => item.fingerprint));
+      setUploads((prev) => [
+        // A re-selected file takes over its interrupted entry; the server resumes by fingerprint.
+        ...prev.filter((item) => item.status !== "interrupted" || !fingerprints.has(item.fingerprint)),
+        ...items,
+      ]);
+    },
+    [activeAlbumId, isDatabaseDown, showOfflineUploads]
+  );
+
+  const forgetOfflineUpload = useCallback((offlineId: number | undefined) => {
+    if (offlineId === undefined) return;
+    setOfflineActions((prev) => prev.filter((action) => action.id !== offlineId));
+    removeOfflineAction(offlineId).catch((error) => {
+      console.error(error);
+    });
+  }, []);
+
+  const runUpload = useCallback(
+    async (item: UploadItem) => {
+      const file = uploadFiles.current.get(item.id);
+      if (!file) {
+        updateUpload(item.id, { status: "error", error: "Select the file again to retry." });
+        return;
+      }
+      const controller = new AbortController();
+      uploadControllers.current.set(item.id, controller);
+      updateUpload(item.id, { status: "uploading", error: undefined });
+
+      try {
+        const sessionRes = await apiRequest(
+          "/api/uploads",
+          {
+            ...jsonRequest("POST", {
+              name: file.name,
+              size: file.size,
+              mimeType: file.type,
+              fingerprint: item.fingerprint,
+            }),
+            signal: controller.signal,
+          },
+          "Failed to start upload"
+        );
+        const session = (await sessionRes.json()) as UploadSession;
+        let uploadedBytes = session.receivedBytes;
+        updateUpload(item.id, { sessionId: session.id, uploadedBytes });
+
+        for (const index of pendingChunkIndexes(session)) {
+          const [start, end] = chunkRange(index, session.chunkSize, session.size);
+          await apiRequest(
+            `/api/uploads/${encodeURIComponent(session.id)}/chunks/${index}`,
+            {
+              method: "PUT",
+              headers: { "Content-Type": "application/octet-stream" },
+              body: file.slice(start, end),
+              signal: controller.signal,
+            },
+            "Failed to upload chunk"
+          );
+          uploadedBytes += end - start;
+          updateUpload(item.id, { uploadedBytes });
+        }
+
+        updateUpload(item.id, { status: "processing" });
+        const completeRes = await apiRequest(
+          `/api/uploads/${encodeURIComponent(session.id)}/complete`,
+          { ...jsonRequest("POST", { duplicates: duplicatePolicy }), signal: controller.signal },
+          "Failed to finish upload"
+        );
+        const payload = (await completeRes.json()) as {
+          photos?: Photo[];
+          skipped?: { name: string; existingId: string }[];
+          replaced?: { name: string; id: string }[];
+        };
+        const summary = uploadSummary.current;
+        const photoIds = (payload.photos || []).map((photo) => photo.id);
+        if (payload.skipped?.length) {
+          summary.skipped += 1;
+        } else if (payload.replaced?.length) {
+          summary.replaced += 1;
         } else {
-          markHealthy();
+          summary.uploaded += 1;
         }
-        throw new Error(errorMessage);
+        if (item.albumId && photoIds.length) {
+          summary.albumPhotoIds.set(item.albumId, [...(summary.albumPhotoIds.get(item.albumId) || []), ...photoIds]);
+        }
+        uploadFiles.current.delete(item.id);
+        forgetOfflineUpload(item.offlineId);
+        updateUpload(item.id, {
+          status: payload.skipped?.length ? "skipped" : "done",
+          uploadedBytes: item.size,
+        });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        updateUpload(item.id, {
+          status: "error",
+          error: error instanceof Error ? error.message : "Upload failed.",
+        });
+      } finally {
+        uploadControllers.current.delete(item.id);
       }
-      markHealthy();
-      setAuthNotice(`${imageFiles.length} photo${imageFiles.length > 1 ? "s" : ""} uploaded successfully.`);
-      await refreshPhotos();
-    } catch (error) {
-      if (error instanceof Error && error.message.toLowerCase().includes("failed to fetch")) {
-        markDatabaseDown();
+    },
+    [apiRequest, duplicatePolicy, forgetOfflineUpload, updateUpload]
+  );
+
+  const flushUploadSummary = useCallback(async () => {
+    const summary = uploadSummary.current;
+    uploadSummary.current = { uploaded: 0, skipped: 0, replaced: 0, albumPhotoIds: new Map() };
+    const details = [
+      summary.skipped > 0 && `${summary.skipped} duplicate${summary.skipped > 1 ? "s" : ""} skipped`,
+      summary.replaced > 0 && `${summary.replaced} duplicate${summary.replaced > 1 ? "s" : ""} replaced`,
+    ].filter(Boolean);
+    setAuthNotice(
+      `${summary.uploaded} photo${summary.uploaded !== 1 ? "s" : ""} uploaded successfully` +
+        (details.length ? ` (${details.join(", ")}).` : ".")
+    );
+    for (const [albumId, photoIds] of summary.albumPhotoIds) {
+      await addPhotosToAlbum(albumId, photoIds);
+    }
+    await refreshPhotos();
+  }, [addPhotosToAlbum, refreshPhotos]);
+
+  // Upload one file at a time so each gets the full connection and progress stays readable.
+  useEffect(() => {
+    if (isUploadRunning.current) {
+      return;
+    }
+    const next = uploads.find((item) => item.status === "queued");
+    if (!next) {
+      const summary = uploadSummary.current;
+      if (summary.uploaded + summary.skipped + summary.replaced > 0) {
+        flushUploadSummary().catch((error) => {
+          console.error(error);
+        });
       }
-      setAuthError(error instanceof Error ? error.message : "Failed to upload photos.");
-      throw error;
+      return;
+    }
+    isUploadRunning.current = true;
+    runUpload(next).finally(() => {
+      isUploadRunning.current = false;
+      setUploadTick((tick) => tick + 1);
+    });
+  }, [flushUploadSummary, runUpload, uploadTick, uploads]);
+
+  const retryUpload = useCallback(
+    (id: string) => {
+      if (!uploadFiles.current.has(id)) {
+        return;
+      }
+      updateUpload(id, { status: "queued", error: undefined });
+    },
+    [updateUpload]
+  );
+
+  const cancelUpload = useCallback(
+    async (id: string) => {
+      const item = uploads.find((candidate) => candidate.id === id);
+      uploadControllers.current.get(id)?.abort();
+      uploadFiles.current.delete(id);
+      setUploads((prev) => prev.filter((candidate) => candidate.id !== id));
+      forgetOfflineUpload(item?.offlineId);
+      if (item?.sessionId && item.status !== "done" && item.status !== "skipped") {
+        await authorizedFetch(`${apiBaseUrl}/api/uploads/${encodeURIComponent(item.sessionId)}`, {
+          method: "DELETE",
+        }).catch(() => undefined);
+      }
+    },
+    [apiBaseUrl, authorizedFetch, forgetOfflineUpload, uploads]
+  );
+
+  useEffect(() => {
+    if (!authToken) return;
+    listOfflineActions()
+      .then((actions) => {
+        setOfflineActions(actions);
+        showOfflineUploads(actions, "offline");
+      })
+      .catch((error) => {
+        console.error(error);
+      });
+  }, [authToken, showOfflineUploads]);
+
+  const replayOfflineActions = useCallback(async () => {
+    if (isReplayingOffline.current) return;
+    isReplayingOffline.current = true;
+    try {
+      const actions = await listOfflineActions();
+      const deletes = actions.filter((action) => action.kind === "delete");
+      const photoIds = [...queuedDeleteIds(deletes)];
+      if (photoIds.length) {
+        const res = await apiRequest(
+          "/api/photos/batch-delete",
+          jsonRequest("POST", { photoIds }),
+          "Failed to delete photos"
+        );
+        const data = (await res.json()) as { trashed: string[]; missing: string[] };
+        await Promise.all(deletes.map((action) => removeOfflineAction(action.id as number)));
+        if (data.missing.length) {
+          // Trashed or purged on another device meanwhile: the photo is gone either way.
+          setAuthNotice(
+            `${data.missing.length} photo${data.missing.length !== 1 ? "s" : ""} deleted while offline had already been removed elsewhere.`
+          );
+        }
+      }
+      // Uploads stay in IndexedDB until they finish, so a failed one is kept for a retry.
+      showOfflineUploads(actions, "queued");
+      setOfflineActions(await listOfflineActions());
+      if (photoIds.length) {
+        await Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()]);
+      }
+    } finally {
+      isReplayingOffline.current = false;
     }
-  }, [apiBaseUrl, authorizedFetch, clearAuth, markDatabaseDown, markHealthy, refreshPhotos]);
+  }, [apiRequest, refreshAlbums, refreshPhotos, refreshTrash, showOfflineUploads]);
+
+  // While the server is unreachable or offline changes wait, ask /api/health until it is back,
+  // then send the queued changes and reload what the service worker served from its cache.
+  const hasOfflineWork =
+    offlineActions.some((action) => action.kind === "delete") || uploads.some((item) => item.status === "offline");
+
+  useEffect(() => {
+    if (!authToken || (!isDatabaseDown && !hasOfflineWork)) return;
+    let cancelled = false;
+    const check = async () => {
+      try {
+        const res = await fetch(`${apiBaseUrl}/api/health`, { cache: "no-store" });
+        const health = (await res.json()) as { ok?: boolean };
+        if (cancelled || !res.ok || !health.ok) return;
+      } catch {
+        return;
+      }
+      markHealthy();
+      try {
+        await replayOfflineActions();
+        if (isDatabaseDown) {
+          await Promise.all([refreshPhotos(), refreshAlbums()]);
+        }
+      } catch (error) {
+        console.error(error);
+      }
+    };
+    check();
+    const timer = setInterval(check, HEALTH_POLL_MS);
+    window.addEventListener("online", check);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      window.removeEventListener("online", check);
+    };
+  }, [
+    apiBaseUrl,
+    authToken,
+    hasOfflineWork,
+    isDatabaseDown,
+    markHealthy,
+    refreshAlbums,
+    refreshPhotos,
+    replayOfflineActions,
+  ]);
+
+  const clearFinishedUploads = useCallback(() => {
+    setUploads((prev) => prev.filter((item) => item.status !== "done" && item.status !== "skipped"));
+  }, []);
+
+  const setDuplicatePolicy = useCallback((policy: DuplicatePolicy) => {
+    localStorage.setItem(DUPLICATE_POLICY_KEY, policy);
+    setDuplicatePolicyState(policy);
+  }, []);
+
+  const fetchDuplicates = useCallback(
+    async (threshold?: number) => {
+      const query = threshold === undefined ? "" : `?threshold=${threshold}`;
+      const res = await apiRequest(`/api/photos/duplicates${query}`, undefined, "Failed to load duplicates");
+      const payload = (await res.json()) as { groups?: DuplicateGroup[] };
+      return (payload.groups || []).map((group) => ({
+        ...group,
+        photos: group.photos.map((photo) => ({ ...normalizePhoto(apiBaseUrl, photo), size: photo.size })),
+      }));
+    },
+    [apiBaseUrl, apiRequest]
+  );
+
+  // Deletes made while the server is unreachable are hidden at once and sent on reconnect.
+  const queueOfflineDeletes = useCallback(async (ids: string[]) => {
+    const action = await queueOfflineAction({ kind: "delete", photoIds: ids, queuedAt: Date.now() });
+    const hidden = new Set(ids);
+    hidden.forEach((id) => offlineDeleteIds.current.add(id));
+    setOfflineActions((prev) => [...prev, action]);
+    setPhotos((prev) => prev.filter((photo) => !hidden.has(photo.id)));
+    setPhotoTotal((total) => Math.max(0, total - hidden.size));
+    return ids;
+  }, []);
+
+  // Undoing a delete that never left this device only takes it out of the queue.
+  const unqueueOfflineDeletes = useCallback(
+    async (ids: string[]) => {
+      const queued = ids.filter((id) => offlineDeleteIds.current.has(id));
+      if (!queued.length) {
+        return queued;
+      }
+      const { changed, emptied } = withoutQueuedDeletes(offlineActions, queued);
+      await Promise.all([...changed.map(saveOfflineAction), ...emptied.map(removeOfflineAction)]);
+      queued.forEach((id) => offlineDeleteIds.current.delete(id));
+      setOfflineActions(await listOfflineActions());
+      await refreshPhotos();
+      return queued;
+    },
+    [offlineActions, refreshPhotos]
+  );
 
   const removePhoto = useCallback((id: string) => {
-    authorizedFetch(`${apiBaseUrl}/api/photos/${id}`, { method: "DELETE" })
+    if (isDatabaseDown) {
+      return queueOfflineDeletes([id]).then(
+        () => true,
+        (error) => {
+          console.error(error);
+          return false;
+        }
+      );
+    }
+    return authorizedFetch(`${apiBaseUrl}/api/photos/${id}`, { method: "DELETE" })
       .then((res) => {
         if (res.status === 401) {
           clearAuth();
@@ -214,45 +1299,271 @@ export function usePhotoLibrary() {
           throw new Error("Failed to delete photo");
         }
         markHealthy();
-        return refreshPhotos();
+        return Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()]).then(() => true);
       })
       .catch((error) => {
         if (error instanceof Error && error.message.toLowerCase().includes("failed to fetch")) {
           markDatabaseDown();
         }
         console.error(error);
+        return false;
       });
-  }, [apiBaseUrl, authorizedFetch, clearAuth, markDatabaseDown, markHealthy, refreshPhotos]);
+  }, [
+    apiBaseUrl,
+    authorizedFetch,
+    clearAuth,
+    isDatabaseDown,
+    markDatabaseDown,
+    markHealthy,
+    queueOfflineDeletes,
+    refreshAlbums,
+    refreshPhotos,
+    refreshTrash,
+  ]);
 
-  const login = useCallback(
-    async (loginId: string, password: string) => {
+  const removePhotos = useCallback(
+    async (ids: string[]) => {
+      if (!ids.length) {
+        return [];
+      }
+      if (isDatabaseDown) {
+        return queueOfflineDeletes(ids);
+      }
+      const res = await apiRequest(
+        "/api/photos/batch-delete",
+        jsonRequest("POST", { photoIds: ids }),
+        "Failed to delete photos"
+      );
+      const data = (await res.json()) as { trashed: string[]; missing: string[] };
+      await Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()]);
+      return data.trashed;
+    },
+    [apiRequest, isDatabaseDown, queueOfflineDeletes, refreshAlbums, refreshPhotos, refreshTrash]
+  );
+
+  const fetchShares = useCallback(
+    async (target?: ShareTarget) => {
+      const query = target ? `?${new URLSearchParams(target).toString()}` : "";
+      const res = await apiRequest(`/api/shares${query}`, undefined, "Failed to load share links");
+      const payload = (await res.json()) as { shares?: ShareLink[] };
+      return payload.shares || [];
+    },
+    [apiRequest]
+  );
+
+  const createShare = useCallback(
+    async (target: ShareTarget, options: ShareOptions) => {
+      const res = await apiRequest(
+        "/api/shares",
+        jsonRequest("POST", { ...target, ...options }),
+        "Failed to create share link"
+      );
+      const payload = (await res.json()) as { share: ShareLink };
+      return payload.share;
+    },
+    [apiRequest]
+  );
+
+  const revokeShare = useCallback(
+    async (token: string) => {
+      await apiRequest(`/api/shares/${encodeURIComponent(token)}`, { method: "DELETE" }, "Failed to revoke share link");
+    },
+    [apiRequest]
+  );
+
+  const saveEdits = useCallback(
+    async (id: string, edits: EditOperation[]) => {
+      const res = await apiRequest(
+        `/api/photos/${encodeURIComponent(id)}/edits`,
+        jsonRequest("POST", { edits }),
+        "Failed to save edits"
+      );
+      const data = (await res.json()) as { photo: Photo };
+      await Promise.all([refreshPhotos(), refreshAlbums()]);
+      return normalizePhoto(apiBaseUrl, data.photo);
+    },
+    [apiBaseUrl, apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  // Applied to the grid straight away and put back if the server refuses it.
+  const updatePhoto = useCallback(
+    async (id: string, details: PhotoDetails) => {
+      const fields = Object.keys(details) as (keyof PhotoDetails)[];
+      let previous: Partial<Photo> | null = null;
+      setPhotos((prev) =>
+        prev.map((item) => {
+          if (item.id !== id) return item;
+          previous = Object.fromEntries(fields.map((field) => [field, item[field]]));
+          return { ...item, ...details };
+        })
+      );
+      try {
+        const res = await apiRequest(
+          `/api/photos/${encodeURIComponent(id)}`,
+          jsonRequest("PATCH", details),
+          "Failed to save photo details"
+        );
+        const data = (await res.json()) as { photo: Photo };
+        const photo = normalizePhoto(apiBaseUrl, data.photo);
+        const saved = {
+          name: photo.name,
+          caption: photo.caption,
+          tags: photo.tags,
+          favorite: photo.favorite,
+          hideLocation: photo.hideLocation,
+        };
+        setPhotos((prev) => prev.map((item) => (item.id === id ? { ...item, ...saved } : item)));
+        return photo;
+      } catch (error) {
+        const rollback = previous;
+        if (rollback) setPhotos((prev) => prev.map((item) => (item.id === id ? { ...item, ...rollback } : item)));
+        throw error;
+      }
+    },
+    [apiBaseUrl, apiRequest]
+  );
+
+  const fetchGeoClusters = useCallback(
+    async (bounds: GeoBounds, zoom: number, signal?: AbortSignal) => {
+      const params = new URLSearchParams({
+        west: String(bounds.west),
+        south: String(bounds.south),
+        east: String(bounds.east),
+        north: String(bounds.north),
+        zoom: String(zoom),
+      });
+      const res = await apiRequest(`/api/photos/geo?${params}`, { signal }, "Failed to load the map");
+      const data = (await res.json()) as { clusters: GeoCluster[]; total: number };
+      return {
+        total: data.total,
+        clusters: data.clusters.map((cluster) => ({
+          ...cluster,
+          photo: {
+            ...cluster.photo,
+            thumbnailUrl: cluster.photo.thumbnailUrl ? toAbsoluteUrl(apiBaseUrl, cluster.photo.thumbnailUrl) : null,
+          },
+        })),
+      };
+    },
+    [apiBaseUrl, apiRequest]
+  );
+
+  const fetchTags = useCallback(async () => {
+    const res = await apiRequest("/api/tags", {}, "Failed to load tags");
+    const data = (await res.json()) as { tags: TagCount[] };
+    return data.tags;
+  }, [apiRequest]);
+
+  const revertEdits = useCallback(
+    async (id: string) => {
+      const res = await apiRequest(
+        `/api/photos/${encodeURIComponent(id)}/edits`,
+        { method: "DELETE" },
+        "Failed to revert photo"
+      );
+      const data = (await res.json()) as { photo: Photo };
+      await Promise.all([refreshPhotos(), refreshAlbums()]);
+      return normalizePhoto(apiBaseUrl, data.photo);
+    },
+    [apiBaseUrl, apiRequest, refreshAlbums, refreshPhotos]
+  );
+
+  const restorePhotos = useCallback(
+    async (ids: string[]) => {
+      const queued = await unqueueOfflineDeletes(ids);
+      const sent = ids.filter((id) => !queued.includes(id));
+      if (!sent.length) {
+        return;
+      }
+      await apiRequest(
+        "/api/photos/batch-restore",
+        jsonRequest("POST", { photoIds: sent }),
+        "Failed to restore photos"
+      );
+      await Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()]);
+    },
+    [apiRequest, refreshAlbums, refreshPhotos, refreshTrash, unqueueOfflineDeletes]
+  );
+
+  const restorePhoto = useCallback(
+    async (id: string) => {
+      if ((await unqueueOfflineDeletes([id])).length) {
+        return;
+      }
+      await apiRequest(`/api/photos/${encodeURIComponent(id)}/restore`, { method: "POST" }, "Failed to restore photo");
+      await Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()]);
+    },
+    [apiRequest, refreshAlbums, refreshPhotos, refreshTrash, unqueueOfflineDeletes]
+  );
+
+  const deletePhotoForever = useCallback(
+    async (id: string) => {
+      await apiRequest(`/api/trash/${encodeURIComponent(id)}`, { method: "DELETE" }, "Failed to delete photo");
+      await refreshTrash();
+    },
+    [apiRequest, refreshTrash]
+  );
+
+  const emptyTrash = useCallback(async () => {
+    await apiRequest("/api/trash", { method: "DELETE" }, "Failed to empty trash");
+    await refreshTrash();
+  }, [apiRequest, refreshTrash]);
+
+  const signInRequest = useCallback(
+    async (path: string, body: unknown) => {
       setAuthError(null);
       setAuthErrorCode(null);
       setAuthNotice(null);
-      const res = await fetch(`${apiBaseUrl}/api/auth/login`, {
+      const res = await fetch(`${apiBaseUrl}${path}`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ loginId, password }),
+        body: JSON.stringify(body),
       });
       if (!res.ok) {
-        const payload = (await res.json().catch(() => ({}))) as { error?: string; code?: string };
+        const payload = (await res.json().catch(() => ({}))) as {
+          error?: string;
+          code?: string;
+          retryAfterMs?: number;
+        };
         const errorMessage = payload.error || "Invalid credentials";
         setAuthError(errorMessage);
         setAuthErrorCode(payload.code || null);
-        throw new AuthActionError(errorMessage, payload.code);
+        throw new AuthActionError(errorMessage, payload.code, payload.retryAfterMs);
+      }
+      const payload = (await res.json()) as
+        | { token: string; refreshToken: string; user: AuthUser }
+        | ({ twoFactorRequired: true } & TwoFactorChallenge);
+      if ("twoFactorRequired" in payload) {
+        return { challengeToken: payload.challengeToken };
       }
-      const payload = (await res.json()) as { token: string; user: AuthUser };
       localStorage.setItem(AUTH_TOKEN_KEY, payload.token);
+      localStorage.setItem(REFRESH_TOKEN_KEY, payload.refreshToken);
+      accessToken.current = payload.token;
       setAuthToken(payload.token);
       setAuthUser(payload.user);
       markHealthy();
       setAuthNotice(
         `Welcome back, ${payload.user.username}. Opened folder: ${payload.user.storageFolder ?? `users/${payload.user.id}`}.`
       );
+      return null;
     },
     [apiBaseUrl, markHealthy]
   );
 
+  /** Resolves to a challenge when a second factor is needed, otherwise signs in. */
+  const login = useCallback(
+    (loginId: string, password: string): Promise<TwoFactorChallenge | null> =>
+      signInRequest("/api/auth/login", { loginId, password }),
+    [signInRequest]
+  );
+
+  const verifyTwoFactorLogin = useCallback(
+    async (challengeToken: string, code: string) => {
+      await signInRequest("/api/auth/login/2fa", { challengeToken, code });
+    },
+    [signInRequest]
+  );
+
   const register = useCallback(
     async (loginId: string, password: string) => {
       setAuthError(null);
@@ -264,11 +1575,15 @@ export function usePhotoLibrary() {
         body: JSON.stringify({ loginId, password }),
       });
       if (!res.ok) {
-        const payload = (await res.json().catch(() => ({}))) as { error?: string; code?: string };
+        const payload = (await res.json().catch(() => ({}))) as {
+          error?: string;
+          code?: string;
+          retryAfterMs?: number;
+        };
         const errorMessage = payload.error || "Failed to create account";
         setAuthError(errorMessage);
         setAuthErrorCode(payload.code || null);
-        throw new AuthActionError(errorMessage, payload.code);
+        throw new AuthActionError(errorMessage, payload.code, payload.retryAfterMs);
       }
       const payload = (await res.json()) as { message?: string; user: AuthUser };
       setAuthNotice(
@@ -278,37 +1593,298 @@ export function usePhotoLibrary() {
     [apiBaseUrl]
   );
 
-  const downloadPhoto = useCallback((photo: Photo) => {
-    const a = document.createElement("a");
-    a.href = photo.downloadUrl;
-    a.download = photo.name;
-    a.click();
-  }, []);
+  // Every image that fails on the same expired signature shares one reload.
+  const pendingMediaRefresh = useRef<Promise<void> | null>(null);
+  const refreshExpiredMedia = useCallback(
+    (url: string) => {
+      if (!isMediaUrlExpired(url)) {
+        return false;
+      }
+      if (!pendingMediaRefresh.current) {
+        pendingMediaRefresh.current = Promise.all([refreshPhotos(), refreshAlbums(), refreshTrash()])
+          .then(() => undefined)
+          .catch((error) => {
+            console.error(error);
+          })
+          .finally(() => {
+            pendingMediaRefresh.current = null;
+          });
+      }
+      return true;
+    },
+    [refreshAlbums, refreshPhotos, refreshTrash]
+  );
+
+  const downloadPhoto = useCallback(
+    async (photo: Photo) => {
+      const fresh = isMediaUrlExpired(photo.downloadUrl) ? await fetchPhoto(photo.id) : photo;
+      const a = document.createElement("a");
+      a.href = fresh.downloadUrl;
+      a.download = fresh.name;
+      a.click();
+    },
+    [fetchPhoto]
+  );
+
+  // A native form post lets the browser stream the ZIP straight to disk
+  // instead of buffering it in memory as a fetch blob would.
+  const postExportForm = useCallback(
+    async (path: string, fields: [string, string][]) => {
+      const token = await freshAccessToken();
+      const form = document.createElement("form");
+      form.method = "POST";
+      form.action = `${apiBaseUrl}${path}`;
+      form.style.display = "none";
+      const appendField = (name: string, value: string) => {
+        const input = document.createElement("input");
+        input.type = "hidden";
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+      };
+      // The token travels in the body so it stays out of history and server logs.
+      if (token) {
+        appendField("auth", token);
+      }
+      fields.forEach(([name, value]) => appendField(name, value));
+      document.body.appendChild(form);
+      form.submit();
+      form.remove();
+    },
+    [apiBaseUrl, freshAccessToken]
+  );
+
+  const exportPhotos = useCallback(
+    async (photoIds: string[], options: { includeManifest?: boolean } = {}) => {
+      if (!photoIds.length) {
+        return;
+      }
+      const fields = photoIds.map((id): [string, string] => ["photoIds", id]);
+      if (options.includeManifest) {
+        fields.push(["manifest", "1"]);
+      }
+      await postExportForm("/api/photos/export", fields);
+    },
+    [postExportForm]
+  );
+
+  const exportLibrary = useCallback(
+    async (options: { includeManifest?: boolean } = {}) => {
+      await postExportForm("/api/export", options.includeManifest ? [["manifest", "1"]] : []);
+    },
+    [postExportForm]
+  );
+
+  const logout = useCallback(async () => {
+    try {
+      await authorizedFetch(`${apiBaseUrl}/api/auth/logout`, { method: "POST" });
+    } catch {
+      // Signing out locally still works while the server is unreachable.
+    }
+    clearAuth();
+  }, [apiBaseUrl, authorizedFetch, clearAuth]);
+
+  const fetchSessions = useCallback(async () => {
+    const res = await apiRequest("/api/auth/sessions", undefined, "Failed to load signed-in devices");
+    const payload = (await res.json()) as { sessions?: AuthSession[] };
+    return payload.sessions || [];
+  }, [apiRequest]);
+
+  const revokeSession = useCallback(
+    async (id: string) => {
+      await apiRequest(`/api/auth/sessions/${encodeURIComponent(id)}`, { method: "DELETE" }, "Failed to sign out device");
+    },
+    [apiRequest]
+  );
+
+  const changePassword = useCallback(
+    async (currentPassword: string, newPassword: string) => {
+      await apiRequest(
+        "/api/auth/password",
+        jsonRequest("POST", { currentPassword, newPassword }),
+        "Failed to change password"
+      );
+    },
+    [apiRequest]
+  );
+
+  const changeUsername = useCallback(
+    async (username: string) => {
+      const res = await apiRequest("/api/auth/username", jsonRequest("POST", { username }), "Failed to change username");
+      const payload = (await res.json()) as { user: AuthUser };
+      setAuthUser(payload.user);
+    },
+    [apiRequest]
+  );
+
+  const deleteAccount = useCallback(
+    async (currentPassword: string) => {
+      await apiRequest("/api/auth/account", jsonRequest("DELETE", { currentPassword }), "Failed to delete account");
+      clearAuth();
+    },
+    [apiRequest, clearAuth]
+  );
+
+  const startTwoFactorSetup = useCallback(
+    async (currentPassword: string) => {
+      const res = await apiRequest(
+        "/api/auth/2fa/setup",
+        jsonRequest("POST", { currentPassword }),
+        "Failed to start two-factor setup"
+      );
+      return (await res.json()) as TwoFactorSetup;
+    },
+    [apiRequest]
+  );
+
+  const enableTwoFactor = useCallback(
+    async (code: string) => {
+      const res = await apiRequest("/api/auth/2fa/enable", jsonRequest("POST", { code }), "Failed to turn on two-factor");
+      const payload = (await res.json()) as { recoveryCodes: string[]; user: AuthUser };
+      setAuthUser(payload.user);
+      return payload.recoveryCodes;
+    },
+    [apiRequest]
+  );
+
+  const disableTwoFactor = useCallback(
+    async (currentPassword: string, code: string) => {
+      const res = await apiRequest(
+        "/api/auth/2fa/disable",
+        jsonRequest("POST", { currentPassword, code }),
+        "Failed to turn off two-factor"
+      );
+      const payload = (await res.json()) as { user: AuthUser };
+      setAuthUser(payload.user);
+    },
+    [apiRequest]
+  );
+
+  const regenerateRecoveryCodes = useCallback(
+    async (currentPassword: string) => {
+      const res = await apiRequest(
+        "/api/auth/2fa/recovery-codes",
+        jsonRequest("POST", { currentPassword }),
+        "Failed to create new recovery codes"
+      );
+      const payload = (await res.json()) as { recoveryCodes: string[] };
+      return payload.recoveryCodes;
+    },
+    [apiRequest]
+  );
+
+  const fetchAdminUsers = useCallback(async () => {
+    const res = await apiRequest("/api/admin/users", undefined, "Failed to load users");
+    const payload = (await res.json()) as { users?: AdminUser[] };
+    return payload.users || [];
+  }, [apiRequest]);
+
+  const updateAdminUser = useCallback(
+    async (id: string, patch: AdminUserPatch) => {
+      const res = await apiRequest(
+        `/api/admin/users/${encodeURIComponent(id)}`,
+        jsonRequest("PATCH", patch),
+        "Failed to update user"
+      );
+      const payload = (await res.json()) as { user: AdminUser };
+      return payload.user;
+    },
+    [apiRequest]
+  );
+
+  const resetUserPassword = useCallback(
+    async (id: string, newPassword: string) => {
+      await apiRequest(
+        `/api/admin/users/${encodeURIComponent(id)}/password`,
+        jsonRequest("POST", { newPassword }),
+        "Failed to reset password"
+      );
+    },
+    [apiRequest]
+  );
+
+  const deleteUser = useCallback(
+    async (id: string) => {
+      await apiRequest(`/api/admin/users/${encodeURIComponent(id)}`, { method: "DELETE" }, "Failed to delete user");
+    },
+    [apiRequest]
+  );
 
   return {
     photos,
+    photoTotal,
+    hasMorePhotos: nextPhotoCursor !== null,
+    isLoadingMorePhotos,
+    loadMorePhotos,
+    fetchPhoto,
+    refreshExpiredMedia,
+    saveEdits,
+    revertEdits,
+    updatePhoto,
+    fetchTags,
+    fetchGeoClusters,
+    fetchShares,
+    createShare,
+    revokeShare,
+    albums,
+    activeAlbumId,
+    setActiveAlbumId,
+    photoSearch,
+    setPhotoSearch,
+    trashedPhotos,
+    trashRetentionMs,
+    duplicatePolicy,
+    setDuplicatePolicy,
+    fetchDuplicates,
+    uploads,
+    retryUpload,
+    cancelUpload,
+    clearFinishedUploads,
     authUser,
     isAuthenticated: Boolean(authToken),
     authError,
     authErrorCode,
     authNotice,
     isDatabaseDown,
+    offlineChangeCount: offlineActions.reduce(
+      (count, action) => count + (action.kind === "delete" ? action.photoIds.length : 1),
+      0
+    ),
     refreshPhotos,
+    refreshAlbums,
+    createAlbum,
+    renameAlbum,
+    deleteAlbum,
+    addPhotosToAlbum,
+    removePhotoFromAlbum,
+    removePhotosFromAlbum,
+    refreshTrash,
+    restorePhoto,
+    deletePhotoForever,
+    emptyTrash,
     login,
+    verifyTwoFactorLogin,
     register,
-    logout: () => {
-      clearAuth();
-    },
-    addPhotos: async (files: FileList | File[]) => {
-      try {
-        await addPhotos(files);
-      } catch (error) {
-        console.error(error);
-      }
-    },
-    removePhoto: (id: string) => {
-      removePhoto(id);
-    },
+    logout,
+    changePassword,
+    changeUsername,
+    deleteAccount,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    fetchSessions,
+    revokeSession,
+    fetchAdminUsers,
+    updateAdminUser,
+    resetUserPassword,
+    deleteUser,
+    addPhotos,
+    removePhoto,
+    removePhotos,
+    restorePhotos,
     downloadPhoto,
+    exportPhotos,
+    exportLibrary,
   };
 }
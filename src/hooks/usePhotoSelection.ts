@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+export interface SelectionRect {
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+}
+
+export const rectFromPoints = (x1: number, y1: number, x2: number, y2: number): SelectionRect => ({
+  left: Math.min(x1, x2),
+  top: Math.min(y1, y2),
+  right: Math.max(x1, x2),
+  bottom: Math.max(y1, y2),
+});
+
+export const rectsIntersect = (a: SelectionRect, b: SelectionRect) =>
+  a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+/** Ids between `fromId` and `toId` (inclusive) in display order, in either direction. */
+export const idsInRange = (orderedIds: string[], fromId: string, toId: string) => {
+  const from = orderedIds.indexOf(fromId);
+  const to = orderedIds.indexOf(toId);
+  if (from === -1 || to === -1) {
+    return to === -1 ? [] : [toId];
+  }
+  const [start, end] = from <= to ? [from, to] : [to, from];
+  return orderedIds.slice(start, end + 1);
+};
+
+export function usePhotoSelection(orderedIds: string[]) {
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<Set<string>>(() => new Set());
+  const anchorId = useRef<string | null>(null);
+
+  // Drop selections for photos that left the current view (deleted, album switch).
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const visible = new Set(orderedIds);
+      const next = new Set([...prev].filter((id) => visible.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [orderedIds]);
+
+  const toggle = useCallback((id: string) => {
+    setIsSelecting(true);
+    anchorId.current = id;
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  const selectRange = useCallback(
+    (id: string) => {
+      setIsSelecting(true);
+      const range = anchorId.current ? idsInRange(orderedIds, anchorId.current, id) : [id];
+      if (!anchorId.current) {
+        anchorId.current = id;
+      }
+      setSelectedIds((prev) => new Set([...prev, ...range]));
+    },
+    [orderedIds]
+  );
+
+  const replaceSelection = useCallback((ids: Iterable<string>) => {
+    setIsSelecting(true);
+    setSelectedIds(new Set(ids));
+  }, []);
+
+  const selectAll = useCallback(() => {
+    replaceSelection(orderedIds);
+  }, [orderedIds, replaceSelection]);
+
+  const clearSelection = useCallback(() => {
+    anchorId.current = null;
+    setSelectedIds(new Set());
+  }, []);
+
+  const startSelecting = useCallback(() => {
+    setIsSelecting(true);
+  }, []);
+
+  const stopSelecting = useCallback(() => {
+    anchorId.current = null;
+    setIsSelecting(false);
+    setSelectedIds(new Set());
+  }, []);
+
+  return {
+    isSelecting,
+    selectedIds,
+    toggle,
+    selectRange,
+    replaceSelection,
+    selectAll,
+    clearSelection,
+    startSelecting,
+    stopSelecting,
+  };
+}
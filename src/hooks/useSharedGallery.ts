@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useState } from "react";
+import { loadApiBaseUrl } from "@/lib/runtimeConfig";
+
+export interface SharedPhoto {
+  id: string;
+  name: string;
+  url: string;
+  /** Null for a video until its poster frame is written. */
+  thumbnailUrl: string | null;
+  downloadUrl: string | null;
+  mediaType?: "image" | "video";
+  durationMs?: number | null;
+  addedAt: number;
+  takenAt: number | null;
+  width: number | null;
+  height: number | null;
+}
+
+export interface SharedGalleryInfo {
+  kind: "photo" | "album";
+  name: string;
+  createdAt: number;
+  expiresAt: number | null;
+  allowDownload: boolean;
+}
+
+export type SharedGalleryStatus = "loading" | "ready" | "locked" | "expired" | "missing" | "error";
+
+const accessKey = (token: string) => `photoShareAccess:${token}`;
+
+const readError = async (res: Response, fallback: string) => {
+  try {
+    const payload = (await res.json()) as { error?: string };
+    return payload.error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/** Loads a public share link; visitors are never signed in, so this stays apart from usePhotoLibrary. */
+export function useSharedGallery(token: string) {
+  const [status, setStatus] = useState<SharedGalleryStatus>("loading");
+  const [share, setShare] = useState<SharedGalleryInfo | null>(null);
+  const [photos, setPhotos] = useState<SharedPhoto[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setStatus("loading");
+    try {
+      const apiBaseUrl = await loadApiBaseUrl();
+      const access = sessionStorage.getItem(accessKey(token));
+      const query = access ? `?access=${encodeURIComponent(access)}` : "";
+      const res = await fetch(`${apiBaseUrl}/api/public/shares/${encodeURIComponent(token)}${query}`);
+      if (res.status === 401) {
+        sessionStorage.removeItem(accessKey(token));
+        setStatus("locked");
+        return;
+      }
+      if (res.status === 404 || res.status === 410) {
+        setStatus(res.status === 404 ? "missing" : "expired");
+        return;
+      }
+      if (!res.ok) {
+        setError(await readError(res, "Failed to load shared photos"));
+        setStatus("error");
+        return;
+      }
+      const payload = (await res.json()) as { share: SharedGalleryInfo; photos: SharedPhoto[] };
+      const toAbsolute = (value: string) => `${apiBaseUrl}${value}`;
+      setShare(payload.share);
+      setPhotos(
+        payload.photos.map((photo) => ({
+          ...photo,
+          url: toAbsolute(photo.url),
+          thumbnailUrl: photo.thumbnailUrl ? toAbsolute(photo.thumbnailUrl) : null,
+          downloadUrl: photo.downloadUrl ? toAbsolute(photo.downloadUrl) : null,
+        }))
+      );
+      setError(null);
+      setStatus("ready");
+    } catch {
+      setError("The photo server is unreachable.");
+      setStatus("error");
+    }
+  }, [token]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const unlock = useCallback(
+    async (password: string) => {
+      const apiBaseUrl = await loadApiBaseUrl();
+      const res = await fetch(`${apiBaseUrl}/api/public/shares/${encodeURIComponent(token)}/access`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password }),
+      });
+      if (!res.ok) {
+        throw new Error(await readError(res, "Incorrect password"));
+      }
+      const payload = (await res.json()) as { access: string | null };
+      if (payload.access) {
+        sessionStorage.setItem(accessKey(token), payload.access);
+      }
+      await load();
+    },
+    [load, token]
+  );
+
+  return { status, share, photos, error, unlock };
+}
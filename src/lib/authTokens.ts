@@ -0,0 +1,21 @@
+// Refresh a little before the deadline so a request sent now still arrives in time.
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+/** Reads the expiry the server encodes into an access token (`<userId>.<expiresAt>.<sessionId>`). */
+export const accessTokenExpiry = (token: string) => {
+  try {
+    const [payloadB64] = token.split(".");
+    const base64 = payloadB64.replace(/-/g, "+").replace(/_/g, "/");
+    const [, expiresAt] = atob(base64).split(".");
+    const value = Number(expiresAt);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Whether an access token should be refreshed before it is used for a request the app cannot retry. */
+export const isAccessTokenStale = (token: string, now = Date.now()) => {
+  const expiresAt = accessTokenExpiry(token);
+  return expiresAt === null || expiresAt - EXPIRY_MARGIN_MS <= now;
+};
@@ -0,0 +1,35 @@
+export interface UploadSession {
+  id: string;
+  name: string;
+  mimeType: string;
+  size: number;
+  chunkSize: number;
+  totalChunks: number;
+  receivedChunks: number[];
+  receivedBytes: number;
+  fingerprint: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+/** Identifies a local file across reloads so the server can hand back its unfinished session. */
+export const uploadFingerprint = (file: Pick<File, "name" | "size" | "lastModified">) =>
+  `${file.name}:${file.size}:${file.lastModified}`;
+
+/** Byte range `[start, end)` of chunk `index`; the last chunk may be shorter. */
+export const chunkRange = (index: number, chunkSize: number, size: number): [number, number] => {
+  const start = index * chunkSize;
+  return [start, Math.min(size, start + chunkSize)];
+};
+
+/** Chunk indexes the server has not acknowledged yet, in upload order. */
+export const pendingChunkIndexes = (session: Pick<UploadSession, "totalChunks" | "receivedChunks">) => {
+  const received = new Set(session.receivedChunks);
+  const pending: number[] = [];
+  for (let index = 0; index < session.totalChunks; index += 1) {
+    if (!received.has(index)) {
+      pending.push(index);
+    }
+  }
+  return pending;
+};
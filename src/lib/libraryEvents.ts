@@ -0,0 +1,108 @@
+import { photoTimestamp, TimelineDated } from "@/lib/photoTimeline";
+
+export interface ServerEvent {
+  id: string;
+  type: string;
+  data: string;
+}
+
+/**
+ * Incremental parser for a `text/event-stream` body. Chunks may split lines anywhere;
+ * each complete event is passed to `onEvent` with the last id seen so far, as
+ * EventSource does. `retry` fields go to `onRetry`.
+ */
+export const createEventStreamParser = (
+  onEvent: (event: ServerEvent) => void,
+  onRetry?: (ms: number) => void
+) => {
+  let buffer = "";
+  let lastId = "";
+  let type = "";
+  let data: string[] = [];
+  let skipLineFeed = false;
+
+  const dispatch = () => {
+    if (data.length) onEvent({ id: lastId, type: type || "message", data: data.join("\n") });
+    type = "";
+    data = [];
+  };
+
+  const handleLine = (line: string) => {
+    if (line === "") return dispatch();
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") type = value;
+    else if (field === "data") data.push(value);
+    else if (field === "id" && !value.includes("\0")) lastId = value;
+    else if (field === "retry" && /^\d+$/.test(value)) onRetry?.(Number(value));
+  };
+
+  return {
+    push(chunk: string) {
+      // A chunk ending in "\r" may have split a "\r\n" line ending in two.
+      const text = skipLineFeed && chunk.startsWith("\n") ? chunk.slice(1) : chunk;
+      skipLineFeed = text.endsWith("\r");
+      const lines = (buffer + text).split(/\r\n|\r|\n/);
+      buffer = lines.pop() ?? "";
+      lines.forEach(handleLine);
+    },
+    get lastEventId() {
+      return lastId;
+    },
+  };
+};
+
+export interface LivePhoto extends TimelineDated {
+  id: string;
+  albumIds?: string[];
+}
+
+export type LibraryEvent<T extends LivePhoto> =
+  | { type: "photo.deleted"; id: string }
+  | { type: "photo.added" | "photo.updated" | "photo.processed"; photo: T };
+
+export interface LibraryView {
+  /** Sidebar album being shown, or null for the whole library. */
+  albumId: string | null;
+  /** Search results only change when the search runs again. */
+  isSearch: boolean;
+  /** More pages exist past the last loaded photo. */
+  hasMore: boolean;
+}
+
+// Same order as the server's photo pages: newest capture (or upload) date first, then id.
+const comesBefore = (a: LivePhoto, b: LivePhoto) => {
+  const delta = photoTimestamp(a) - photoTimestamp(b);
+  return delta !== 0 ? delta > 0 : a.id > b.id;
+};
+
+/**
+ * Applies a live library event to the loaded photos and total. A photo sorting past
+ * the last loaded one is left for a later page rather than shown out of order.
+ */
+export const applyLibraryEvent = <T extends LivePhoto>(
+  state: { photos: T[]; total: number },
+  event: LibraryEvent<T>,
+  view: LibraryView
+): { photos: T[]; total: number } => {
+  const id = event.type === "photo.deleted" ? event.id : event.photo.id;
+  const index = state.photos.findIndex((photo) => photo.id === id);
+  const remaining = index === -1 ? state.photos : state.photos.filter((_, position) => position !== index);
+  const removed = { photos: remaining, total: index === -1 ? state.total : Math.max(0, state.total - 1) };
+
+  if (event.type === "photo.deleted") return removed;
+  const { photo } = event;
+  if (index === -1 && view.isSearch) return state;
+  if (view.albumId && !photo.albumIds?.includes(view.albumId)) return removed;
+
+  const total = index === -1 ? state.total + (event.type === "photo.added" || view.albumId ? 1 : 0) : state.total;
+  const position = remaining.findIndex((other) => comesBefore(photo, other));
+  if (position === -1 && view.hasMore) {
+    return { photos: remaining, total };
+  }
+  const photos = [...remaining];
+  photos.splice(position === -1 ? photos.length : position, 0, photo);
+  return { photos, total };
+};
@@ -0,0 +1,96 @@
+// A flat (equirectangular) world map: longitude and latitude map straight to x and y. It
+// needs no tile images, so the map works on machines that cannot reach a tile server.
+
+export interface MapViewport {
+  latitude: number;
+  longitude: number;
+  zoom: number;
+}
+
+export interface MapSize {
+  width: number;
+  height: number;
+}
+
+export interface GeoBounds {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+}
+
+export const TILE_SIZE = 256;
+export const MIN_MAP_ZOOM = 0;
+export const MAX_MAP_ZOOM = 18;
+export const WORLD_VIEWPORT: MapViewport = { latitude: 20, longitude: 0, zoom: 1 };
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+/** Screen pixels per degree; at zoom 0 the whole world is one tile wide. */
+export const pixelsPerDegree = (zoom: number) => (TILE_SIZE * 2 ** zoom) / 360;
+
+export const clampViewport = (view: MapViewport): MapViewport => ({
+  latitude: clamp(view.latitude, -90, 90),
+  longitude: clamp(view.longitude, -180, 180),
+  zoom: clamp(view.zoom, MIN_MAP_ZOOM, MAX_MAP_ZOOM),
+});
+
+export const projectToScreen = (view: MapViewport, size: MapSize, latitude: number, longitude: number) => {
+  const scale = pixelsPerDegree(view.zoom);
+  return {
+    x: size.width / 2 + (longitude - view.longitude) * scale,
+    y: size.height / 2 - (latitude - view.latitude) * scale,
+  };
+};
+
+export const screenToCoordinate = (view: MapViewport, size: MapSize, x: number, y: number) => {
+  const scale = pixelsPerDegree(view.zoom);
+  return {
+    latitude: view.latitude - (y - size.height / 2) / scale,
+    longitude: view.longitude + (x - size.width / 2) / scale,
+  };
+};
+
+/** The part of the world on screen, clipped to valid coordinates. */
+export const viewportBounds = (view: MapViewport, size: MapSize): GeoBounds => {
+  const topLeft = screenToCoordinate(view, size, 0, 0);
+  const bottomRight = screenToCoordinate(view, size, size.width, size.height);
+  return {
+    west: clamp(topLeft.longitude, -180, 180),
+    south: clamp(bottomRight.latitude, -90, 90),
+    east: clamp(bottomRight.longitude, -180, 180),
+    north: clamp(topLeft.latitude, -90, 90),
+  };
+};
+
+/** Moves the map by a drag of `dx`, `dy` screen pixels. */
+export const panViewport = (view: MapViewport, dx: number, dy: number) => {
+  const scale = pixelsPerDegree(view.zoom);
+  return clampViewport({ ...view, latitude: view.latitude + dy / scale, longitude: view.longitude - dx / scale });
+};
+
+/** Zooms by `delta` levels while keeping the coordinate under the screen point `(x, y)` in place. */
+export const zoomViewportAt = (view: MapViewport, size: MapSize, delta: number, x: number, y: number) => {
+  const zoom = clamp(view.zoom + delta, MIN_MAP_ZOOM, MAX_MAP_ZOOM);
+  const anchor = screenToCoordinate(view, size, x, y);
+  const scale = pixelsPerDegree(zoom);
+  return clampViewport({
+    zoom,
+    latitude: anchor.latitude + (y - size.height / 2) / scale,
+    longitude: anchor.longitude - (x - size.width / 2) / scale,
+  });
+};
+
+/** The closest view that shows all of `bounds` with `padding` pixels to spare on each side. */
+export const fitBounds = (bounds: GeoBounds, size: MapSize, padding = 48): MapViewport => {
+  const width = Math.max(1, size.width - padding * 2);
+  const height = Math.max(1, size.height - padding * 2);
+  const spanX = Math.max(bounds.east - bounds.west, 1e-6);
+  const spanY = Math.max(bounds.north - bounds.south, 1e-6);
+  const zoom = Math.log2(Math.min(width / spanX, height / spanY) * (360 / TILE_SIZE));
+  return clampViewport({
+    latitude: (bounds.north + bounds.south) / 2,
+    longitude: (bounds.east + bounds.west) / 2,
+    zoom: Math.floor(zoom),
+  });
+};
@@ -0,0 +1,20 @@
+// Extensions the photo server accepts when the browser gives a file no type (HEIC on
+// Windows, MOV from some Android file pickers). Keep in step with server/index.js and
+// server/video.js.
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp|gif|bmp|svg|heic|heif|avif)$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|m4v|mov|webm|mkv|3gp)$/i;
+
+export const isLikelyVideoFile = (file: Pick<File, "name" | "type">) =>
+  file.type.startsWith("video/") || VIDEO_EXTENSIONS.test(file.name);
+
+export const isLikelyMediaFile = (file: Pick<File, "name" | "type">) =>
+  file.type.startsWith("image/") || IMAGE_EXTENSIONS.test(file.name) || isLikelyVideoFile(file);
+
+/** Clip length as players show it: "0:07", "12:30", "1:02:03". */
+export const formatDuration = (ms: number) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+};
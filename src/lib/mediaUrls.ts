@@ -0,0 +1,22 @@
+// Signed media URLs count as expired a little early so a request that is
+// already in flight, or a slightly fast server clock, does not race the deadline.
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/** Reads the `exp` timestamp the server signs into media URLs, if there is one. */
+export const mediaUrlExpiry = (url: string) => {
+  try {
+    const value = Number(new URL(url).searchParams.get("exp"));
+    return Number.isFinite(value) && value > 0 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Whether a signed media URL has run out and needs re-issuing.
+ * Unsigned URLs never expire, so a failed load there is a real error.
+ */
+export const isMediaUrlExpired = (url: string, now = Date.now()) => {
+  const expiresAt = mediaUrlExpiry(url);
+  return expiresAt !== null && expiresAt - EXPIRY_MARGIN_MS <= now;
+};
@@ -0,0 +1,87 @@
+// Uploads and deletes made while the photo server is unreachable wait in IndexedDB, so
+// they survive a reload, until usePhotoLibrary replays them. The service worker
+// (public/sw.js) keeps the cached lists and thumbnails the app browses meanwhile.
+
+export type OfflineAction =
+  | { id?: number; kind: "upload"; file: File; albumId: string | null; queuedAt: number }
+  | { id?: number; kind: "delete"; photoIds: string[]; queuedAt: number };
+
+const DB_NAME = "photo-library-offline";
+const STORE_NAME = "actions";
+// public/sw.js marks responses it answers from its cache with this header.
+const OFFLINE_COPY_HEADER = "X-Offline-Cache";
+// Caches holding the signed-in user's photos; the app shell cache is not theirs.
+const USER_CACHE_PREFIXES = ["photo-library-data-", "photo-library-media-"];
+
+/** True when the response is the service worker's saved copy, not the server's answer. */
+export const isOfflineCopy = (res: Response) => res.headers.get(OFFLINE_COPY_HEADER) === "1";
+
+/** Photo ids with a delete still waiting to reach the server. */
+export const queuedDeleteIds = (actions: OfflineAction[]) =>
+  new Set(actions.flatMap((action) => (action.kind === "delete" ? action.photoIds : [])));
+
+/**
+ * Drops `photoIds` from queued deletes, as when a delete is undone before it was sent.
+ * Returns the actions to rewrite and the ids of those left with nothing to delete.
+ */
+export const withoutQueuedDeletes = (actions: OfflineAction[], photoIds: string[]) => {
+  const dropped = new Set(photoIds);
+  const changed: OfflineAction[] = [];
+  const emptied: number[] = [];
+  for (const action of actions) {
+    if (action.kind !== "delete" || action.id === undefined) continue;
+    const remaining = action.photoIds.filter((id) => !dropped.has(id));
+    if (remaining.length === action.photoIds.length) continue;
+    if (remaining.length) {
+      changed.push({ ...action, photoIds: remaining });
+    } else {
+      emptied.push(action.id);
+    }
+  }
+  return { changed, emptied };
+};
+
+const openQueue = () =>
+  new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const withStore = async <T>(mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest<T>) => {
+  const db = await openQueue();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = run(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/** Oldest first, the order they are replayed in. */
+export const listOfflineActions = () => withStore<OfflineAction[]>("readonly", (store) => store.getAll());
+
+export const queueOfflineAction = async (action: OfflineAction) =>
+  ({ ...action, id: Number(await withStore("readwrite", (store) => store.add(action))) }) as OfflineAction;
+
+export const saveOfflineAction = (action: OfflineAction) => withStore("readwrite", (store) => store.put(action));
+
+export const removeOfflineAction = (id: number) => withStore("readwrite", (store) => store.delete(id));
+
+/** Forgets queued changes and cached photos when the user signs out. */
+export const clearOfflineData = async () => {
+  await withStore("readwrite", (store) => store.clear());
+  if (typeof caches === "undefined") return;
+  const keys = await caches.keys();
+  await Promise.all(
+    keys.filter((key) => USER_CACHE_PREFIXES.some((prefix) => key.startsWith(prefix))).map((key) => caches.delete(key))
+  );
+};
@@ -0,0 +1,150 @@
+export type RotateDegrees = 90 | 180 | 270;
+export type FlipAxis = "horizontal" | "vertical";
+
+/** Crop rectangle as fractions (0–1) of the image it is applied to. */
+export interface CropRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type EditOperation =
+  | { type: "rotate"; degrees: RotateDegrees }
+  | { type: "flip"; axis: FlipAxis }
+  | ({ type: "crop" } & CropRect)
+  | { type: "adjust"; brightness: number; contrast: number; saturation: number };
+
+/**
+ * Flattened form of an edit stack, as the editor shows it: the original is
+ * rotated clockwise, then flipped, then cropped, then adjusted.
+ */
+export interface EditState {
+  rotation: 0 | RotateDegrees;
+  flipHorizontal: boolean;
+  flipVertical: boolean;
+  crop: CropRect | null;
+  brightness: number;
+  contrast: number;
+  saturation: number;
+}
+
+export const MAX_ADJUSTMENT = 2;
+export const MIN_CROP_SIZE = 0.05;
+export const FULL_CROP: CropRect = { x: 0, y: 0, width: 1, height: 1 };
+
+export const DEFAULT_EDIT_STATE: EditState = {
+  rotation: 0,
+  flipHorizontal: false,
+  flipVertical: false,
+  crop: null,
+  brightness: 1,
+  contrast: 1,
+  saturation: 1,
+};
+
+const clamp = (value: number, min: number, max: number) => Math.max(min, Math.min(max, value));
+
+const clampAdjustment = (value: number) => clamp(value, 0, MAX_ADJUSTMENT);
+
+const normalizeRotation = (degrees: number) => (((degrees % 360) + 360) % 360) as EditState["rotation"];
+
+/** Where a crop rectangle ends up after the image under it turns clockwise. */
+export const rotateCrop = (crop: CropRect, degrees: number): CropRect => {
+  let rect = crop;
+  for (let turns = normalizeRotation(degrees) / 90; turns > 0; turns -= 1) {
+    rect = { x: 1 - rect.y - rect.height, y: rect.x, width: rect.height, height: rect.width };
+  }
+  return rect;
+};
+
+export const flipCrop = (crop: CropRect, axis: FlipAxis): CropRect =>
+  axis === "horizontal" ? { ...crop, x: 1 - crop.x - crop.width } : { ...crop, y: 1 - crop.y - crop.height };
+
+const isFullCrop = (crop: CropRect) => crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1;
+
+/** Folds one more operation onto the state, as if it ran after everything already in it. */
+export const applyEditOperation = (state: EditState, operation: EditOperation): EditState => {
+  switch (operation.type) {
+    case "rotate": {
+      // A single mirror reverses the direction of any rotation applied after it.
+      const mirrored = state.flipHorizontal !== state.flipVertical;
+      return {
+        ...state,
+        rotation: normalizeRotation(state.rotation + (mirrored ? -operation.degrees : operation.degrees)),
+        crop: state.crop && rotateCrop(state.crop, operation.degrees),
+      };
+    }
+    case "flip":
+      return {
+        ...state,
+        flipHorizontal: operation.axis === "horizontal" ? !state.flipHorizontal : state.flipHorizontal,
+        flipVertical: operation.axis === "vertical" ? !state.flipVertical : state.flipVertical,
+        crop: state.crop && flipCrop(state.crop, operation.axis),
+      };
+    case "crop": {
+      const outer = state.crop ?? FULL_CROP;
+      const crop = {
+        x: outer.x + operation.x * outer.width,
+        y: outer.y + operation.y * outer.height,
+        width: operation.width * outer.width,
+        height: operation.height * outer.height,
+      };
+      return { ...state, crop: isFullCrop(crop) ? null : crop };
+    }
+    case "adjust":
+      return {
+        ...state,
+        brightness: clampAdjustment(state.brightness * operation.brightness),
+        contrast: clampAdjustment(state.contrast * operation.contrast),
+        saturation: clampAdjustment(state.saturation * operation.saturation),
+      };
+  }
+};
+
+export const operationsToEditState = (operations: EditOperation[] = []): EditState =>
+  operations.reduce(applyEditOperation, DEFAULT_EDIT_STATE);
+
+/** The shortest stack that reproduces the state, in the order the server renders it. */
+export const editStateToOperations = (state: EditState): EditOperation[] => {
+  const operations: EditOperation[] = [];
+  if (state.rotation) operations.push({ type: "rotate", degrees: state.rotation });
+  if (state.flipHorizontal) operations.push({ type: "flip", axis: "horizontal" });
+  if (state.flipVertical) operations.push({ type: "flip", axis: "vertical" });
+  if (state.crop && !isFullCrop(state.crop)) operations.push({ type: "crop", ...state.crop });
+  if (state.brightness !== 1 || state.contrast !== 1 || state.saturation !== 1) {
+    operations.push({
+      type: "adjust",
+      brightness: state.brightness,
+      contrast: state.contrast,
+      saturation: state.saturation,
+    });
+  }
+  return operations;
+};
+
+export type CropHandle = "move" | "nw" | "ne" | "sw" | "se";
+
+/** Moves the whole rectangle or one corner by a drag of (dx, dy), as fractions of the image. */
+export const dragCrop = (start: CropRect, handle: CropHandle, dx: number, dy: number): CropRect => {
+  if (handle === "move") {
+    return {
+      ...start,
+      x: clamp(start.x + dx, 0, 1 - start.width),
+      y: clamp(start.y + dy, 0, 1 - start.height),
+    };
+  }
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+  if (handle.includes("w")) left = clamp(left + dx, 0, right - MIN_CROP_SIZE);
+  if (handle.includes("e")) right = clamp(right + dx, left + MIN_CROP_SIZE, 1);
+  if (handle.includes("n")) top = clamp(top + dy, 0, bottom - MIN_CROP_SIZE);
+  if (handle.includes("s")) bottom = clamp(bottom + dy, top + MIN_CROP_SIZE, 1);
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/** CSS filter previewing the adjustments; both pivot contrast around mid-grey like the server. */
+export const cssFilterForAdjustments = ({ brightness, contrast, saturation }: EditState) =>
+  `brightness(${brightness}) contrast(${contrast}) saturate(${saturation})`;
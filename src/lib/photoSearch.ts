@@ -0,0 +1,120 @@
+export type PhotoOrientation = "landscape" | "portrait" | "square";
+
+/**
+ * A library search as it appears in the page URL, so searches can be bookmarked.
+ * Dates are `YYYY-MM-DD` in the viewer's time zone and sizes are in megabytes.
+ */
+export interface PhotoSearch {
+  q?: string;
+  from?: string;
+  to?: string;
+  types?: string[];
+  minSizeMb?: number;
+  maxSizeMb?: number;
+  orientation?: PhotoOrientation;
+  hasLocation?: boolean;
+  favorite?: boolean;
+  album?: string;
+}
+
+export const SEARCH_FILE_TYPES = ["jpeg", "png", "gif", "webp", "heic", "avif", "tiff"];
+
+const ORIENTATIONS: PhotoOrientation[] = ["landscape", "portrait", "square"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MB = 1024 * 1024;
+
+const readNumber = (value: string | null) => {
+  if (value === null || value.trim() === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+};
+
+/** Reads a search from URL parameters; null when none of the search parameters are set. */
+export const readPhotoSearch = (params: URLSearchParams): PhotoSearch | null => {
+  const search: PhotoSearch = {};
+  const q = params.get("q")?.trim();
+  if (q) search.q = q;
+  const from = params.get("from");
+  if (from && DATE_PATTERN.test(from)) search.from = from;
+  const to = params.get("to");
+  if (to && DATE_PATTERN.test(to)) search.to = to;
+  const types = (params.get("type") ?? "")
+    .split(",")
+    .map((type) => type.trim().toLowerCase())
+    .filter((type) => SEARCH_FILE_TYPES.includes(type));
+  if (types.length) search.types = types;
+  const minSizeMb = readNumber(params.get("minSize"));
+  if (minSizeMb !== undefined) search.minSizeMb = minSizeMb;
+  const maxSizeMb = readNumber(params.get("maxSize"));
+  if (maxSizeMb !== undefined) search.maxSizeMb = maxSizeMb;
+  const orientation = params.get("orientation") as PhotoOrientation | null;
+  if (orientation && ORIENTATIONS.includes(orientation)) search.orientation = orientation;
+  const location = params.get("location");
+  if (location === "yes" || location === "no") search.hasLocation = location === "yes";
+  if (params.get("favorite") === "yes") search.favorite = true;
+  const album = params.get("album");
+  if (album) search.album = album;
+  return Object.keys(search).length ? search : null;
+};
+
+/** The URL parameters for a search, in a stable order so equal searches give equal URLs. */
+export const writePhotoSearch = (search: PhotoSearch | null) => {
+  const params = new URLSearchParams();
+  if (!search) return params;
+  if (search.q?.trim()) params.set("q", search.q.trim());
+  if (search.from) params.set("from", search.from);
+  if (search.to) params.set("to", search.to);
+  if (search.types?.length) params.set("type", search.types.join(","));
+  if (search.minSizeMb !== undefined) params.set("minSize", String(search.minSizeMb));
+  if (search.maxSizeMb !== undefined) params.set("maxSize", String(search.maxSizeMb));
+  if (search.orientation) params.set("orientation", search.orientation);
+  if (search.hasLocation !== undefined) params.set("location", search.hasLocation ? "yes" : "no");
+  if (search.favorite) params.set("favorite", "yes");
+  if (search.album) params.set("album", search.album);
+  return params;
+};
+
+/** True when the search is nothing but the favorites filter, which the sidebar shows as its own view. */
+export const isFavoritesView = (search: PhotoSearch | null) =>
+  Boolean(search?.favorite) && Object.keys(search ?? {}).length === 1;
+
+/** How many filters besides the text query are set, for the filter button badge. */
+export const countSearchFilters = (search: PhotoSearch | null) =>
+  search
+    ? [
+        search.from || search.to,
+        search.types?.length,
+        search.minSizeMb !== undefined || search.maxSizeMb !== undefined,
+        search.orientation,
+        search.hasLocation !== undefined,
+        search.favorite,
+        search.album,
+      ].filter(Boolean).length
+    : 0;
+
+const startOfLocalDay = (date: string) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day).getTime();
+};
+
+/**
+ * Query parameters for `GET /api/photos/search`. Dates become epoch milliseconds covering
+ * whole local days and sizes become bytes.
+ */
+export const photoSearchApiParams = (search: PhotoSearch) => {
+  const params = new URLSearchParams();
+  if (search.q?.trim()) params.set("q", search.q.trim());
+  if (search.from) params.set("from", String(startOfLocalDay(search.from)));
+  if (search.to) {
+    const [year, month, day] = search.to.split("-").map(Number);
+    params.set("to", String(new Date(year, month - 1, day + 1).getTime() - 1));
+  }
+  if (search.types?.length) params.set("type", search.types.join(","));
+  if (search.minSizeMb !== undefined) params.set("minSize", String(Math.round(search.minSizeMb * MB)));
+  if (search.maxSizeMb !== undefined) params.set("maxSize", String(Math.round(search.maxSizeMb * MB)));
+  if (search.orientation) params.set("orientation", search.orientation);
+  if (search.hasLocation !== undefined) params.set("hasLocation", String(search.hasLocation));
+  if (search.favorite) params.set("favorite", "true");
+  if (search.album) params.set("album", search.album);
+  return params;
+};
@@ -0,0 +1,46 @@
+import { format } from "date-fns";
+
+export type TimelineGranularity = "day" | "month";
+
+export interface TimelineDated {
+  addedAt: number;
+  takenAt?: number | null;
+}
+
+export interface TimelineGroup<T extends TimelineDated> {
+  key: string;
+  label: string;
+  photos: T[];
+}
+
+export const photoTimestamp = (photo: TimelineDated) => photo.takenAt ?? photo.addedAt;
+
+/**
+ * Splits an already sorted photo list into consecutive date buckets.
+ * Photos without a capture date fall back to their upload time.
+ */
+export const groupPhotosByDate = <T extends TimelineDated>(
+  photos: T[],
+  granularity: TimelineGranularity
+): TimelineGroup<T>[] => {
+  const keyFormat = granularity === "day" ? "yyyy-MM-dd" : "yyyy-MM";
+  const labelFormat = granularity === "day" ? "EEE, MMM d, yyyy" : "MMMM yyyy";
+  const groups: TimelineGroup<T>[] = [];
+
+  for (const photo of photos) {
+    const date = new Date(photoTimestamp(photo));
+    const key = format(date, keyFormat);
+    const current = groups[groups.length - 1];
+    if (current && current.key === key) {
+      current.photos.push(photo);
+      continue;
+    }
+    groups.push({ key, label: format(date, labelFormat), photos: [photo] });
+  }
+
+  return groups;
+};
+
+// Dense grids read better with fewer, larger buckets.
+export const granularityForColumns = (columns: number): TimelineGranularity =>
+  columns <= 4 ? "day" : "month";
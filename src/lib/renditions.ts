@@ -0,0 +1,27 @@
+export interface PhotoRendition {
+  width: number;
+  url: string;
+}
+
+/**
+ * The smallest rendition at least `displayWidth` CSS pixels wide on a screen with
+ * `pixelRatio` device pixels per CSS pixel. When none is wide enough the largest is
+ * used; `null` means the photo has no renditions and the caller keeps its fallback.
+ */
+export const pickRendition = (
+  renditions: PhotoRendition[] | undefined,
+  displayWidth: number,
+  pixelRatio = 1
+): PhotoRendition | null => {
+  if (!renditions?.length) return null;
+  const sorted = [...renditions].sort((a, b) => a.width - b.width);
+  const needed = displayWidth * Math.max(1, pixelRatio);
+  return sorted.find((rendition) => rendition.width >= needed) ?? sorted[sorted.length - 1];
+};
+
+/**
+ * CSS width a square, cover-cropped tile needs from a photo: the long side is cropped,
+ * so a landscape photo must be wider than the tile for its height to fill it.
+ */
+export const coverWidth = (tileSize: number, width?: number | null, height?: number | null) =>
+  width && height && width > height ? (tileSize * width) / height : tileSize;
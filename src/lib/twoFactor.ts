@@ -0,0 +1,12 @@
+/** Splits a base32 secret into groups of four so it can be typed into an authenticator app. */
+export const formatTotpSecret = (secret: string) => secret.replace(/(.{4})(?=.)/g, "$1 ");
+
+/** Plain-text sheet of recovery codes for saving or printing. */
+export const recoveryCodesText = (codes: string[], username: string) =>
+  [
+    `Recovery codes for ${username}`,
+    "Each code signs you in once if you lose your authenticator app.",
+    "",
+    ...codes,
+    "",
+  ].join("\n");
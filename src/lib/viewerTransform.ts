@@ -0,0 +1,41 @@
+export interface ViewerTransform {
+  scale: number;
+  x: number;
+  y: number;
+}
+
+export interface Size {
+  width: number;
+  height: number;
+}
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 5;
+export const IDENTITY_TRANSFORM: ViewerTransform = { scale: 1, x: 0, y: 0 };
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+/**
+ * Zooms by `factor` while keeping `origin` (measured from the viewport centre)
+ * over the same image pixel, the way map and photo viewers do.
+ */
+export const zoomAt = (transform: ViewerTransform, factor: number, origin: { x: number; y: number }): ViewerTransform => {
+  const scale = clamp(transform.scale * factor, MIN_ZOOM, MAX_ZOOM);
+  const ratio = scale / transform.scale;
+  return {
+    scale,
+    x: origin.x - (origin.x - transform.x) * ratio,
+    y: origin.y - (origin.y - transform.y) * ratio,
+  };
+};
+
+/** Stops panning once an image edge reaches the matching viewport edge. */
+export const clampPan = (transform: ViewerTransform, content: Size, viewport: Size): ViewerTransform => {
+  const maxX = Math.max(0, (content.width * transform.scale - viewport.width) / 2);
+  const maxY = Math.max(0, (content.height * transform.scale - viewport.height) / 2);
+  return {
+    scale: transform.scale,
+    x: clamp(transform.x, -maxX, maxX),
+    y: clamp(transform.y, -maxY, maxY),
+  };
+};
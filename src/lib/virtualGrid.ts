@@ -0,0 +1,77 @@
+import { TimelineDated, TimelineGroup } from "@/lib/photoTimeline";
+
+export type GridRow<T> =
+  | { kind: "header"; key: string; groupKey: string; label: string; count: number }
+  | { kind: "photos"; key: string; groupKey: string; photos: T[] };
+
+export interface GridLayout<T> {
+  rows: GridRow<T>[];
+  offsets: number[];
+  heights: number[];
+  totalHeight: number;
+}
+
+/** Flattens timeline groups into a header row followed by rows of `columns` photos each. */
+export const buildGridRows = <T extends TimelineDated & { id: string }>(
+  groups: TimelineGroup<T>[],
+  columns: number
+): GridRow<T>[] => {
+  const rows: GridRow<T>[] = [];
+  for (const group of groups) {
+    rows.push({ kind: "header", key: `h:${group.key}`, groupKey: group.key, label: group.label, count: group.photos.length });
+    for (let start = 0; start < group.photos.length; start += columns) {
+      const photos = group.photos.slice(start, start + columns);
+      rows.push({ kind: "photos", key: `r:${group.key}:${photos[0].id}`, groupKey: group.key, photos });
+    }
+  }
+  return rows;
+};
+
+export const layoutGridRows = <T>(
+  rows: GridRow<T>[],
+  { headerHeight, rowHeight }: { headerHeight: number; rowHeight: number }
+): GridLayout<T> => {
+  const offsets: number[] = [];
+  const heights: number[] = [];
+  let totalHeight = 0;
+  for (const row of rows) {
+    const height = row.kind === "header" ? headerHeight : rowHeight;
+    offsets.push(totalHeight);
+    heights.push(height);
+    totalHeight += height;
+  }
+  return { rows, offsets, heights, totalHeight };
+};
+
+/** Index of the row containing `offset` (the last row starting at or above it). */
+export const rowIndexAtOffset = (offsets: number[], offset: number) => {
+  let low = 0;
+  let high = offsets.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid] <= offset) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+};
+
+/** Inclusive row range intersecting the viewport, widened by `overscan` rows on each side. */
+export const visibleRowRange = (
+  layout: Pick<GridLayout<unknown>, "offsets">,
+  scrollTop: number,
+  viewportHeight: number,
+  overscan: number
+): [number, number] => {
+  const count = layout.offsets.length;
+  if (count === 0) {
+    return [0, -1];
+  }
+  const first = rowIndexAtOffset(layout.offsets, Math.max(0, scrollTop));
+  const last = rowIndexAtOffset(layout.offsets, Math.max(0, scrollTop + viewportHeight));
+  return [Math.max(0, first - overscan), Math.min(count - 1, last + overscan)];
+};
@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { useParams } from "react-router-dom";
+import { format } from "date-fns";
+import { Cloud, Download, Loader2, Lock, Play } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Dialog, DialogContent, DialogTitle } from "@/components/ui/dialog";
+import { Input } from "@/components/ui/input";
+import { SharedPhoto, useSharedGallery } from "@/hooks/useSharedGallery";
+import { formatDuration } from "@/lib/mediaFiles";
+
+const STATUS_MESSAGES: Record<string, string> = {
+  missing: "This share link does not exist or has been revoked.",
+  expired: "This share link has expired.",
+};
+
+const SharedGallery: React.FC = () => {
+  const { token = "" } = useParams();
+  const { status, share, photos, error, unlock } = useSharedGallery(token);
+  const [password, setPassword] = useState("");
+  const [unlockError, setUnlockError] = useState<string | null>(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [viewing, setViewing] = useState<SharedPhoto | null>(null);
+
+  const handleUnlock = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    try {
+      await unlock(password);
+      setUnlockError(null);
+    } catch (err) {
+      setUnlockError(err instanceof Error ? err.message : "Incorrect password");
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (status === "loading") {
+      return (
+        <div className="flex flex-1 items-center justify-center">
+          <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+        </div>
+      );
+    }
+
+    if (status === "locked") {
+      return (
+        <form onSubmit={handleUnlock} className="mx-auto mt-24 w-full max-w-xs space-y-3 text-center">
+          <Lock className="mx-auto h-8 w-8 text-muted-foreground" />
+          <p className="text-sm text-muted-foreground">This share is password protected.</p>
+          <Input
+            type="password"
+            autoFocus
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          {unlockError && <p className="text-sm text-destructive">{unlockError}</p>}
+          <Button type="submit" className="w-full" disabled={isUnlocking || !password}>
+            {isUnlocking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Unlock
+          </Button>
+        </form>
+      );
+    }
+
+    if (status !== "ready" || !share) {
+      return (
+        <p className="mt-24 text-center text-sm text-muted-foreground">
+          {STATUS_MESSAGES[status] ?? error ?? "Failed to load shared photos."}
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <div className="mb-4">
+          <h1 className="text-xl font-semibold text-foreground">{share.name}</h1>
+          <p className="text-xs text-muted-foreground">
+            {photos.length} {photos.length === 1 ? "photo" : "photos"}
+            {share.expiresAt && ` · available until ${format(share.expiresAt, "PP p")}`}
+          </p>
+        </div>
+        {photos.length === 0 ? (
+          <p className="mt-16 text-center text-sm text-muted-foreground">This album is empty.</p>
+        ) : (
+          <div className="grid grid-cols-2 gap-1 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6">
+            {photos.map((photo) => (
+              <button
+                key={photo.id}
+                className="relative aspect-square overflow-hidden bg-muted"
+                onClick={() => setViewing(photo)}
+              >
+                {photo.thumbnailUrl && (
+                  <img src={photo.thumbnailUrl} alt={photo.name} loading="lazy" className="h-full w-full object-cover" />
+                )}
+                {photo.mediaType === "video" && (
+                  <span className="absolute right-1.5 top-1.5 flex items-center gap-0.5 rounded bg-black/50 px-1 py-0.5 text-[11px] font-medium text-white">
+                    <Play className="h-3 w-3 fill-white" />
+                    {photo.durationMs ? formatDuration(photo.durationMs) : null}
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="flex min-h-screen flex-col bg-background">
+      <header className="flex items-center gap-2 border-b px-4 py-3">
+        <Cloud className="h-5 w-5 text-primary" />
+        <span className="text-sm font-medium text-foreground">Shared photos</span>
+      </header>
+      <main className="flex flex-1 flex-col p-4">{renderBody()}</main>
+
+      <Dialog open={Boolean(viewing)} onOpenChange={(open) => !open && setViewing(null)}>
+        <DialogContent className="max-w-5xl border-none bg-black/95 p-2">
+          <DialogTitle className="sr-only">{viewing?.name}</DialogTitle>
+          {viewing && (
+            <div className="flex flex-col items-center gap-2">
+              {viewing.mediaType === "video" ? (
+                <video
+                  src={viewing.url}
+                  poster={viewing.thumbnailUrl ?? undefined}
+                  controls
+                  autoPlay
+                  playsInline
+                  className="max-h-[80vh] w-auto"
+                />
+              ) : (
+                <img src={viewing.url} alt={viewing.name} className="max-h-[80vh] w-auto object-contain" />
+              )}
+              <div className="flex w-full items-center justify-between px-2 text-sm text-white/80">
+                <span className="truncate">{viewing.name}</span>
+                {viewing.downloadUrl && (
+                  <Button asChild variant="ghost" size="sm" className="text-white hover:bg-white/10 hover:text-white">
+                    <a href={viewing.downloadUrl} download>
+                      <Download className="mr-2 h-4 w-4" />
+                      Download
+                    </a>
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default SharedGallery;
@@ -0,0 +1,14 @@
+import { describe, it, expect } from "vitest";
+import { formatLockoutRemaining } from "@/lib/authLockout";
+
+describe("formatLockoutRemaining", () => {
+  it("rounds up to whole seconds", () => {
+    expect(formatLockoutRemaining(29_001)).toBe("30s");
+    expect(formatLockoutRemaining(10)).toBe("1s");
+  });
+
+  it("switches to minutes and hours for longer lockouts", () => {
+    expect(formatLockoutRemaining(125_000)).toBe("2m 05s");
+    expect(formatLockoutRemaining(60 * 60_000)).toBe("1h 00m");
+  });
+});
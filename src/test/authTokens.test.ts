@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { accessTokenExpiry, isAccessTokenStale } from "@/lib/authTokens";
+
+const token = (payload: string) =>
+  `${btoa(payload).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}.signature`;
+
+describe("accessTokenExpiry", () => {
+  it("reads the expiry from the token payload", () => {
+    expect(accessTokenExpiry(token("admin.1700000000000.session-id"))).toBe(1700000000000);
+  });
+
+  it("returns null for tokens it cannot read", () => {
+    expect(accessTokenExpiry("garbage")).toBeNull();
+    expect(accessTokenExpiry(token("admin"))).toBeNull();
+  });
+});
+
+describe("isAccessTokenStale", () => {
+  const now = 1_700_000_000_000;
+
+  it("refreshes shortly before the token expires", () => {
+    expect(isAccessTokenStale(token(`admin.${now + 10_000}.s`), now)).toBe(true);
+    expect(isAccessTokenStale(token(`admin.${now + 5 * 60_000}.s`), now)).toBe(false);
+  });
+
+  it("treats unreadable tokens as stale", () => {
+    expect(isAccessTokenStale("garbage", now)).toBe(true);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from "vitest";
+import { chunkRange, pendingChunkIndexes, uploadFingerprint } from "@/lib/chunkedUpload";
+
+describe("chunkRange", () => {
+  it("clamps the final chunk to the file size", () => {
+    expect(chunkRange(0, 300, 557)).toEqual([0, 300]);
+    expect(chunkRange(1, 300, 557)).toEqual([300, 557]);
+  });
+});
+
+describe("pendingChunkIndexes", () => {
+  it("skips chunks the server already has", () => {
+    expect(pendingChunkIndexes({ totalChunks: 4, receivedChunks: [0, 2] })).toEqual([1, 3]);
+    expect(pendingChunkIndexes({ totalChunks: 2, receivedChunks: [0, 1] })).toEqual([]);
+  });
+});
+
+describe("uploadFingerprint", () => {
+  it("combines name, size and modification time", () => {
+    expect(uploadFingerprint({ name: "IMG_1.HEIC", size: 42, lastModified: 7 })).toBe("IMG_1.HEIC:42:7");
+  });
+});
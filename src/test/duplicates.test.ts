@@ -0,0 +1,107 @@
+import { describe, it, expect } from "vitest";
+import {
+  differenceHashFromPixels,
+  findDuplicateGroups,
+  hammingDistance,
+  popcount32,
+  splitHash,
+} from "../../server/duplicates.js";
+
+// 9x8 greyscale pixels, row by row, from a function of (row, col).
+const pixelsFrom = (valueAt: (row: number, col: number) => number) =>
+  Array.from({ length: 72 }, (_, index) => valueAt(Math.floor(index / 9), index % 9));
+
+const photo = (id: string, fields: { content_hash?: string; perceptual_hash?: string }) => ({
+  id,
+  content_hash: null,
+  perceptual_hash: null,
+  ...fields,
+});
+
+const ids = (group: { photos: { id: string }[] }) => group.photos.map((p) => p.id).sort();
+
+describe("differenceHashFromPixels", () => {
+  it("sets a bit where a pixel is darker than its right neighbour", () => {
+    expect(differenceHashFromPixels(pixelsFrom(() => 128))).toBe("0000000000000000");
+    expect(differenceHashFromPixels(pixelsFrom((_, col) => col * 10))).toBe("ffffffffffffffff");
+    expect(differenceHashFromPixels(pixelsFrom((_, col) => 90 - col * 10))).toBe("0000000000000000");
+  });
+
+  it("fills the hash row by row from the most significant bit", () => {
+    expect(differenceHashFromPixels(pixelsFrom((row, col) => (row === 0 ? col : 0)))).toBe("ff00000000000000");
+    expect(differenceHashFromPixels(pixelsFrom((row, col) => (row === 7 ? col : 0)))).toBe("00000000000000ff");
+    expect(differenceHashFromPixels(pixelsFrom((row, col) => (row === 3 && col === 8 ? 1 : 0)))).toBe(
+      "0000000100000000"
+    );
+  });
+});
+
+describe("popcount32", () => {
+  it("counts set bits across the full 32 bits", () => {
+    expect(popcount32(0)).toBe(0);
+    expect(popcount32(1)).toBe(1);
+    expect(popcount32(0x80000001)).toBe(2);
+    expect(popcount32(0x12345678)).toBe(13);
+    expect(popcount32(0xffffffff)).toBe(32);
+  });
+});
+
+describe("hammingDistance", () => {
+  it("counts differing bits between two 64-bit hashes", () => {
+    const a = splitHash("ffffffff00000000");
+    expect(hammingDistance(a, a)).toBe(0);
+    expect(hammingDistance(a, splitHash("fffffffe00000001"))).toBe(2);
+    expect(hammingDistance(a, splitHash("00000000ffffffff"))).toBe(64);
+  });
+});
+
+describe("findDuplicateGroups", () => {
+  it("groups identical files as exact duplicates", () => {
+    const groups = findDuplicateGroups(
+      [photo("a", { content_hash: "x" }), photo("b", { content_hash: "x" }), photo("c", { content_hash: "y" })],
+      5
+    );
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ kind: "exact", distance: 0 });
+    expect(ids(groups[0])).toEqual(["a", "b"]);
+  });
+
+  it("groups near hashes within the threshold and reports the widest distance merged", () => {
+    const groups = findDuplicateGroups(
+      [
+        photo("a", { perceptual_hash: "0000000000000000" }),
+        photo("b", { perceptual_hash: "0000000000000007" }),
+        photo("c", { perceptual_hash: "000000000000003f" }),
+        photo("d", { perceptual_hash: "ffffffffffffffff" }),
+      ],
+      3
+    );
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ kind: "similar", distance: 3 });
+    expect(ids(groups[0])).toEqual(["a", "b", "c"]);
+  });
+
+  it("lets one of a set of exact copies join a similar group", () => {
+    const groups = findDuplicateGroups(
+      [
+        photo("a", { content_hash: "x", perceptual_hash: "0000000000000000" }),
+        photo("b", { content_hash: "x", perceptual_hash: "0000000000000000" }),
+        photo("c", { content_hash: "y", perceptual_hash: "0000000000000001" }),
+      ],
+      2
+    );
+    expect(groups.map((group) => group.kind)).toEqual(["exact", "similar"]);
+    expect(ids(groups[0])).toEqual(["a", "b"]);
+    expect(ids(groups[1])).toEqual(["a", "c"]);
+    expect(groups[1].distance).toBe(1);
+  });
+
+  it("finds nothing when every photo is distinct", () => {
+    expect(
+      findDuplicateGroups(
+        [photo("a", { perceptual_hash: "0000000000000000" }), photo("b", { perceptual_hash: "ffffffffffffffff" })],
+        10
+      )
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import Database from "better-sqlite3";
+import { createJobQueue } from "../../server/jobs.js";
+
+type Job = { id: number; user_id: string; photo_id: string; kind: string; attempts: number };
+
+const RETRY_BASE_MS = 5_000;
+const MAX_ATTEMPTS = 3;
+
+describe("createJobQueue", () => {
+  let db: Database.Database;
+  let handled: string[];
+  let settled: string[];
+  let failing: Set<string>;
+  let queue: ReturnType<typeof createJobQueue>;
+
+  const label = (job: Job) => `${job.photo_id}:${job.kind}`;
+  const jobs = () => queue.list({ userId: "alice", photoIds: null, limit: 100 });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    db = new Database(":memory:");
+    handled = [];
+    settled = [];
+    failing = new Set();
+    queue = createJobQueue(db, {
+      handle: async (job: Job) => {
+        handled.push(label(job));
+        if (failing.has(label(job))) {
+          throw new Error(`${job.kind} broke`);
+        }
+      },
+      onSettled: (job: Job) => settled.push(label(job)),
+      concurrency: 2,
+      maxAttempts: MAX_ATTEMPTS,
+      retryBaseMs: RETRY_BASE_MS,
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it("claims jobs oldest first, one photo's jobs in the order they were queued", async () => {
+    queue.enqueue("alice", "p1", ["metadata", "thumbnails"]);
+    queue.enqueue("alice", "p2", ["metadata"]);
+
+    const first = queue.runNext();
+    // p1's thumbnails wait for its metadata job, so p2 goes next.
+    const second = queue.runNext();
+    expect(queue.runNext()).toBeNull();
+    await Promise.all([first, second]);
+    await queue.runNext();
+
+    expect(handled).toEqual(["p1:metadata", "p2:metadata", "p1:thumbnails"]);
+    expect(settled).toEqual(handled);
+    expect(jobs()).toEqual([]);
+    expect(queue.hasPending("alice", "p1")).toBe(false);
+  });
+
+  it("queues the same waiting work only once", () => {
+    queue.enqueue("alice", "p1", ["metadata"]);
+    queue.enqueue("alice", "p1", ["metadata"]);
+    expect(jobs()).toHaveLength(1);
+    expect(queue.hasPending("alice", "p1")).toBe(true);
+  });
+
+  it("retries a failing job with exponential backoff", async () => {
+    failing.add("p1:metadata");
+    queue.enqueue("alice", "p1", ["metadata"]);
+
+    await queue.runNext();
+    expect(jobs()).toMatchObject([{ status: "queued", attempts: 1, run_at: RETRY_BASE_MS, last_error: "metadata broke" }]);
+    expect(queue.runNext()).toBeNull();
+    expect(settled).toEqual([]);
+
+    vi.setSystemTime(RETRY_BASE_MS);
+    await queue.runNext();
+    expect(jobs()).toMatchObject([{ status: "queued", attempts: 2, run_at: RETRY_BASE_MS * 3 }]);
+
+    failing.clear();
+    vi.setSystemTime(RETRY_BASE_MS * 3);
+    await queue.runNext();
+    expect(jobs()).toEqual([]);
+    expect(settled).toEqual(["p1:metadata"]);
+  });
+
+  it("marks a job failed after the last attempt and lets the photo's later jobs run", async () => {
+    failing.add("p1:convert");
+    queue.enqueue("alice", "p1", ["convert", "thumbnails"]);
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      vi.setSystemTime(RETRY_BASE_MS * 2 ** attempt);
+      await queue.runNext();
+    }
+    expect(jobs()).toMatchObject([
+      { kind: "convert", status: "failed", attempts: MAX_ATTEMPTS, last_error: "convert broke" },
+      { kind: "thumbnails", status: "queued" },
+    ]);
+    expect(settled).toEqual(["p1:convert"]);
+    expect(console.warn).toHaveBeenCalledOnce();
+
+    await queue.runNext();
+    expect(handled.at(-1)).toBe("p1:thumbnails");
+    expect(queue.countByStatus("alice")).toEqual([{ status: "failed", count: 1 }]);
+  });
+
+  it("replaces a failed job when the same work is queued again", async () => {
+    failing.add("p1:metadata");
+    queue.enqueue("alice", "p1", ["metadata"]);
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      vi.setSystemTime(RETRY_BASE_MS * 2 ** attempt);
+      await queue.runNext();
+    }
+    queue.enqueue("alice", "p1", ["metadata"]);
+    expect(jobs()).toMatchObject([{ status: "queued", attempts: 0 }]);
+  });
+
+  it("puts jobs cut off by a restart back in the queue", () => {
+    queue.enqueue("alice", "p1", ["metadata"]);
+    // Claimed but never finished, as after a crash.
+    db.prepare("UPDATE jobs SET status = 'running', attempts = 1").run();
+    expect(queue.runNext()).toBeNull();
+    queue.requeueRunning();
+    expect(jobs()).toMatchObject([{ status: "queued" }]);
+  });
+
+  it("runs up to its concurrency at once when pumped", async () => {
+    let release = () => {};
+    const blocked = new Promise<void>((resolve) => {
+      release = resolve;
+    });
+    const slow = createJobQueue(db, {
+      handle: async (job: Job) => {
+        handled.push(label(job));
+        await blocked;
+      },
+      concurrency: 2,
+      maxAttempts: MAX_ATTEMPTS,
+      retryBaseMs: RETRY_BASE_MS,
+    });
+    slow.enqueue("alice", "p1", ["metadata"]);
+    slow.enqueue("alice", "p2", ["metadata"]);
+    slow.enqueue("alice", "p3", ["metadata"]);
+
+    slow.pump();
+    expect(handled).toEqual(["p1:metadata", "p2:metadata"]);
+    release();
+    await vi.waitFor(() => expect(handled).toHaveLength(3));
+  });
+
+  it("forgets the jobs of a deleted photo or account", () => {
+    queue.enqueue("alice", "p1", ["metadata"]);
+    queue.enqueue("alice", "p2", ["metadata"]);
+    queue.deleteForPhoto("alice", "p1");
+    expect(jobs()).toMatchObject([{ photo_id: "p2" }]);
+    queue.deleteForUser("alice");
+    expect(jobs()).toEqual([]);
+  });
+});
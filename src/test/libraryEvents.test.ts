@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import { applyLibraryEvent, createEventStreamParser, LivePhoto, ServerEvent } from "@/lib/libraryEvents";
+
+describe("createEventStreamParser", () => {
+  it("dispatches events split across chunks and remembers the last id", () => {
+    const events: ServerEvent[] = [];
+    const retries: number[] = [];
+    const parser = createEventStreamParser((event) => events.push(event), (ms) => retries.push(ms));
+    parser.push("retry: 3000\n\n: keepalive\n\nid: b-1\nevent: photo.del");
+    parser.push('eted\ndata: {"id":"a"}\n\nid: b-2\r');
+    parser.push("\nevent: ready\r\ndata: {}\r\n\r\n");
+    expect(retries).toEqual([3000]);
+    expect(events).toEqual([
+      { id: "b-1", type: "photo.deleted", data: '{"id":"a"}' },
+      { id: "b-2", type: "ready", data: "{}" },
+    ]);
+    expect(parser.lastEventId).toBe("b-2");
+  });
+
+  it("joins multi-line data and defaults the type", () => {
+    const events: ServerEvent[] = [];
+    const parser = createEventStreamParser((event) => events.push(event));
+    parser.push("data: one\ndata: two\n\nevent: ignored\n\n");
+    expect(events).toEqual([{ id: "", type: "message", data: "one\ntwo" }]);
+  });
+});
+
+describe("applyLibraryEvent", () => {
+  const photo = (id: string, takenAt: number, albumIds: string[] = []): LivePhoto => ({
+    id,
+    addedAt: 0,
+    takenAt,
+    albumIds,
+  });
+  const state = { photos: [photo("c", 30), photo("b", 20), photo("a", 10)], total: 5 };
+  const library = { albumId: null, isSearch: false, hasMore: false };
+  const ids = (result: { photos: LivePhoto[] }) => result.photos.map((item) => item.id);
+
+  it("inserts added photos in date order and counts them", () => {
+    const result = applyLibraryEvent(state, { type: "photo.added", photo: photo("d", 25) }, library);
+    expect(ids(result)).toEqual(["c", "d", "b", "a"]);
+    expect(result.total).toBe(6);
+  });
+
+  it("leaves photos past the loaded page for a later page", () => {
+    const result = applyLibraryEvent(state, { type: "photo.added", photo: photo("d", 5) }, { ...library, hasMore: true });
+    expect(ids(result)).toEqual(["c", "b", "a"]);
+    expect(result.total).toBe(6);
+  });
+
+  it("moves updated photos whose date changed", () => {
+    const result = applyLibraryEvent(state, { type: "photo.updated", photo: photo("a", 40) }, library);
+    expect(ids(result)).toEqual(["a", "c", "b"]);
+    expect(result.total).toBe(5);
+  });
+
+  it("removes deleted photos", () => {
+    expect(applyLibraryEvent(state, { type: "photo.deleted", id: "b" }, library)).toEqual({
+      photos: [state.photos[0], state.photos[2]],
+      total: 4,
+    });
+    expect(applyLibraryEvent(state, { type: "photo.deleted", id: "z" }, library)).toEqual(state);
+  });
+
+  it("follows album membership in an album view", () => {
+    const album = { ...library, albumId: "x" };
+    const left = applyLibraryEvent(state, { type: "photo.updated", photo: photo("b", 20) }, album);
+    expect(ids(left)).toEqual(["c", "a"]);
+    expect(left.total).toBe(4);
+    const joined = applyLibraryEvent(state, { type: "photo.updated", photo: photo("d", 15, ["x"]) }, album);
+    expect(ids(joined)).toEqual(["c", "b", "d", "a"]);
+    expect(joined.total).toBe(6);
+  });
+
+  it("only updates photos already in search results", () => {
+    const search = { ...library, isSearch: true };
+    expect(applyLibraryEvent(state, { type: "photo.added", photo: photo("d", 25) }, search)).toBe(state);
+    const updated = { ...photo("b", 20), name: "renamed" };
+    expect(applyLibraryEvent(state, { type: "photo.updated", photo: updated }, search).photos[1]).toBe(updated);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { findLivePair, livePartnerPattern } from "../../server/live-photos.js";
+
+const TAKEN_AT = Date.UTC(2024, 5, 1, 12);
+
+const still = (fields: Record<string, unknown> = {}) => ({
+  id: "still",
+  name: "IMG_0001.HEIC",
+  filename: "a.heic",
+  mime_type: "image/heic",
+  width: 4032,
+  taken_at: TAKEN_AT,
+  duration_ms: null,
+  live_filename: null,
+  deleted_at: null,
+  ...fields,
+});
+
+const clip = (fields: Record<string, unknown> = {}) => ({
+  id: "clip",
+  name: "IMG_0001.MOV",
+  filename: "b.mov",
+  mime_type: "video/quicktime",
+  width: 1920,
+  taken_at: TAKEN_AT + 500,
+  duration_ms: 2_800,
+  live_filename: null,
+  deleted_at: null,
+  ...fields,
+});
+
+describe("findLivePair", () => {
+  it("pairs a still with its clip from either side", () => {
+    expect(findLivePair(still(), [clip()])).toEqual({ still: still(), video: clip() });
+    expect(findLivePair(clip(), [still()])).toEqual({ still: still(), video: clip() });
+  });
+
+  it("matches base names regardless of case", () => {
+    expect(findLivePair(still({ name: "img_0001.jpg" }), [clip()])).not.toBeNull();
+  });
+
+  it("waits for the other half's metadata", () => {
+    expect(findLivePair(still(), [clip({ width: null })])).toBeNull();
+    expect(findLivePair(still(), [clip({ duration_ms: null })])).toBeNull();
+  });
+
+  it("leaves longer videos and far-apart captures separate", () => {
+    expect(findLivePair(still(), [clip({ duration_ms: 5_001 })])).toBeNull();
+    expect(findLivePair(still(), [clip({ taken_at: TAKEN_AT + 10_001 })])).toBeNull();
+    expect(findLivePair(still(), [clip({ taken_at: null })])).not.toBeNull();
+  });
+
+  it("never pairs two stills, two clips, or a still that already has a clip", () => {
+    expect(findLivePair(still(), [still({ id: "other", name: "IMG_0001.JPG" })])).toBeNull();
+    expect(findLivePair(clip(), [clip({ id: "other", name: "IMG_0001.MP4" })])).toBeNull();
+    expect(findLivePair(clip(), [still({ live_filename: "c.mov" })])).toBeNull();
+    expect(findLivePair(still({ live_filename: "c.mov" }), [clip()])).toBeNull();
+    expect(findLivePair(still({ deleted_at: TAKEN_AT }), [clip()])).toBeNull();
+  });
+
+  it("skips candidates that only share a prefix", () => {
+    expect(findLivePair(still(), [clip({ name: "IMG_0001.edit.MOV" })])).toBeNull();
+  });
+});
+
+describe("livePartnerPattern", () => {
+  it("escapes LIKE wildcards in the base name", () => {
+    expect(livePartnerPattern(still())).toBe("IMG\\_0001.%");
+    expect(livePartnerPattern(still({ name: "50%.jpg" }))).toBe("50\\%.%");
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { createLockout } from "../../server/lockout.js";
+
+const LOCKOUT_MS = 30_000;
+const MAX_LOCKOUT_MS = 60 * 60_000;
+const WINDOW_MS = 15 * 60_000;
+const ACCOUNT_LIMIT = 5;
+const IP_LIMIT = 20;
+
+const fakeResponse = () => {
+  const res = {
+    headers: {} as Record<string, string>,
+    statusCode: 200,
+    body: undefined as unknown,
+    setHeader(name: string, value: string) {
+      res.headers[name] = value;
+    },
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: unknown) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+describe("createLockout", () => {
+  let lockout: ReturnType<typeof createLockout>;
+
+  beforeEach(() => {
+    lockout = createLockout({ lockoutMs: LOCKOUT_MS, maxLockoutMs: MAX_LOCKOUT_MS, windowMs: WINDOW_MS });
+  });
+
+  const fail = (key: string, times: number, now: number, limit = ACCOUNT_LIMIT) => {
+    for (let i = 0; i < times; i += 1) {
+      lockout.recordFailure(key, limit, now);
+    }
+  };
+
+  it("locks a key once it reaches its limit", () => {
+    fail("account:alice", ACCOUNT_LIMIT - 1, 0);
+    expect(lockout.remainingMs(["account:alice"], 0)).toBe(0);
+    fail("account:alice", 1, 0);
+    expect(lockout.remainingMs(["account:alice"], 0)).toBe(LOCKOUT_MS);
+    expect(lockout.remainingMs(["account:alice"], 10_000)).toBe(LOCKOUT_MS - 10_000);
+    expect(lockout.remainingMs(["account:alice"], LOCKOUT_MS)).toBe(0);
+  });
+
+  it("doubles the lockout with each further failure, up to the maximum", () => {
+    fail("account:alice", ACCOUNT_LIMIT, 0);
+    lockout.recordFailure("account:alice", ACCOUNT_LIMIT, LOCKOUT_MS);
+    expect(lockout.remainingMs(["account:alice"], LOCKOUT_MS)).toBe(LOCKOUT_MS * 2);
+    lockout.recordFailure("account:alice", ACCOUNT_LIMIT, LOCKOUT_MS);
+    expect(lockout.remainingMs(["account:alice"], LOCKOUT_MS)).toBe(LOCKOUT_MS * 4);
+    fail("account:alice", 20, LOCKOUT_MS);
+    expect(lockout.remainingMs(["account:alice"], LOCKOUT_MS)).toBe(MAX_LOCKOUT_MS);
+  });
+
+  it("starts the count over after a quiet window", () => {
+    fail("account:alice", ACCOUNT_LIMIT - 1, 0);
+    fail("account:alice", 1, WINDOW_MS);
+    expect(lockout.remainingMs(["account:alice"], WINDOW_MS)).toBe(0);
+  });
+
+  it("measures the window from the end of a lockout", () => {
+    fail("account:alice", ACCOUNT_LIMIT, 0);
+    // Still within the window counted from when the lockout ended, so this doubles it.
+    lockout.recordFailure("account:alice", ACCOUNT_LIMIT, LOCKOUT_MS + WINDOW_MS - 1);
+    expect(lockout.remainingMs(["account:alice"], LOCKOUT_MS + WINDOW_MS - 1)).toBe(LOCKOUT_MS * 2);
+  });
+
+  it("locks an IP guessing across many accounts without locking any of them", () => {
+    for (let i = 0; i < IP_LIMIT; i += 1) {
+      lockout.recordFailure("ip:10.0.0.1", IP_LIMIT, 0);
+      lockout.recordFailure(`account:user${i}`, ACCOUNT_LIMIT, 0);
+    }
+    expect(lockout.remainingMs(["account:user0"], 0)).toBe(0);
+    expect(lockout.remainingMs(["ip:10.0.0.1", "account:fresh"], 0)).toBe(LOCKOUT_MS);
+    expect(lockout.remainingMs(["ip:10.0.0.2", "account:fresh"], 0)).toBe(0);
+  });
+
+  it("clears only the reset key, so a success does not refund the IP", () => {
+    for (let i = 0; i < ACCOUNT_LIMIT - 1; i += 1) {
+      lockout.recordFailure("ip:10.0.0.1", IP_LIMIT, 0);
+      lockout.recordFailure("account:alice", ACCOUNT_LIMIT, 0);
+    }
+    lockout.reset("account:alice");
+    lockout.recordFailure("account:alice", ACCOUNT_LIMIT, 0);
+    expect(lockout.remainingMs(["account:alice"], 0)).toBe(0);
+    fail("ip:10.0.0.1", IP_LIMIT - ACCOUNT_LIMIT, 0, IP_LIMIT);
+    expect(lockout.remainingMs(["ip:10.0.0.1"], 0)).toBe(0);
+    fail("ip:10.0.0.1", 1, 0, IP_LIMIT);
+    expect(lockout.remainingMs(["ip:10.0.0.1"], 0)).toBe(LOCKOUT_MS);
+  });
+
+  it("lifts a lockout on reset", () => {
+    fail("account:alice", ACCOUNT_LIMIT, 0);
+    lockout.reset("account:alice");
+    expect(lockout.remainingMs(["account:alice"], 0)).toBe(0);
+  });
+
+  it("sweeps keys whose window has passed", () => {
+    fail("account:alice", ACCOUNT_LIMIT - 1, 0);
+    fail("account:bob", ACCOUNT_LIMIT - 1, WINDOW_MS);
+    lockout.sweep(WINDOW_MS);
+    // Alice's entry is gone, Bob's count carries on into a lockout.
+    lockout.recordFailure("account:alice", ACCOUNT_LIMIT, WINDOW_MS);
+    lockout.recordFailure("account:bob", ACCOUNT_LIMIT, WINDOW_MS);
+    expect(lockout.remainingMs(["account:alice"], WINDOW_MS)).toBe(0);
+    expect(lockout.remainingMs(["account:bob"], WINDOW_MS)).toBe(LOCKOUT_MS);
+  });
+
+  describe("rejectLockedOut", () => {
+    it("lets the request through while no key is locked", () => {
+      const res = fakeResponse();
+      expect(lockout.rejectLockedOut(res, ["ip:10.0.0.1", "account:alice"], 0, "Locked")).toBe(false);
+      expect(res.statusCode).toBe(200);
+    });
+
+    it("answers 429 with the longest remaining lockout", () => {
+      fail("account:alice", ACCOUNT_LIMIT + 1, 0);
+      fail("ip:10.0.0.1", IP_LIMIT, 0, IP_LIMIT);
+      const res = fakeResponse();
+      expect(lockout.rejectLockedOut(res, ["ip:10.0.0.1", "account:alice"], 1_500, "Locked")).toBe(true);
+      expect(res.statusCode).toBe(429);
+      expect(res.headers["Retry-After"]).toBe("59");
+      expect(res.body).toEqual({ code: "TOO_MANY_ATTEMPTS", error: "Locked", retryAfterMs: LOCKOUT_MS * 2 - 1_500 });
+    });
+  });
+});
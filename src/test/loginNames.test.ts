@@ -0,0 +1,37 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import Database from "better-sqlite3";
+import { createLoginNameCheck } from "../../server/login-names.js";
+
+describe("createLoginNameCheck", () => {
+  let isTaken: (name: string, exceptUserId?: string | null) => boolean;
+
+  beforeEach(() => {
+    const db = new Database(":memory:");
+    db.exec("CREATE TABLE users (id TEXT PRIMARY KEY, username TEXT UNIQUE NOT NULL)");
+    const insert = db.prepare("INSERT INTO users (id, username) VALUES (?, ?)");
+    insert.run("admin", "admin");
+    // Renamed after sign-up: still signs in with "alice" as well as "Wonderland".
+    insert.run("alice", "Wonderland");
+    isTaken = createLoginNameCheck(db);
+  });
+
+  it("matches usernames regardless of case", () => {
+    expect(isTaken("wonderland")).toBe(true);
+    expect(isTaken("WONDERLAND")).toBe(true);
+  });
+
+  it("matches another account's id even after it changed its username", () => {
+    expect(isTaken("alice")).toBe(true);
+    expect(isTaken("Alice")).toBe(true);
+  });
+
+  it("ignores the account making the change", () => {
+    expect(isTaken("ALICE", "alice")).toBe(false);
+    expect(isTaken("wonderland", "alice")).toBe(false);
+    expect(isTaken("alice", "admin")).toBe(true);
+  });
+
+  it("leaves unused names free", () => {
+    expect(isTaken("bob")).toBe(false);
+  });
+});
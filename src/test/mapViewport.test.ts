@@ -0,0 +1,81 @@
+import { describe, it, expect } from "vitest";
+import {
+  fitBounds,
+  MAX_MAP_ZOOM,
+  panViewport,
+  pixelsPerDegree,
+  projectToScreen,
+  screenToCoordinate,
+  viewportBounds,
+  zoomViewportAt,
+} from "@/lib/mapViewport";
+
+const size = { width: 800, height: 600 };
+
+describe("projectToScreen", () => {
+  it("puts the viewport centre in the middle and round-trips screen points", () => {
+    const view = { latitude: -33.86, longitude: 151.2, zoom: 6 };
+    expect(projectToScreen(view, size, -33.86, 151.2)).toEqual({ x: 400, y: 300 });
+    const coordinate = screenToCoordinate(view, size, 120, 45);
+    const point = projectToScreen(view, size, coordinate.latitude, coordinate.longitude);
+    expect(point.x).toBeCloseTo(120);
+    expect(point.y).toBeCloseTo(45);
+  });
+});
+
+describe("viewportBounds", () => {
+  it("covers the screen and clips to valid coordinates", () => {
+    expect(viewportBounds({ latitude: 0, longitude: 0, zoom: 0 }, size)).toEqual({
+      west: -180,
+      south: -90,
+      east: 180,
+      north: 90,
+    });
+    const bounds = viewportBounds({ latitude: 10, longitude: 20, zoom: 5 }, size);
+    expect(bounds.west).toBeLessThan(20);
+    expect(bounds.east).toBeGreaterThan(20);
+    expect(bounds.north - bounds.south).toBeCloseTo((600 * 360) / (256 * 32));
+  });
+});
+
+describe("panViewport", () => {
+  it("drags the map with the pointer", () => {
+    const view = panViewport({ latitude: 0, longitude: 0, zoom: 2 }, 100, 0);
+    expect(view.longitude).toBeLessThan(0);
+    expect(view.latitude).toBe(0);
+  });
+});
+
+describe("zoomViewportAt", () => {
+  it("keeps the coordinate under the pointer in place", () => {
+    const view = { latitude: 40, longitude: -3, zoom: 4 };
+    const before = screenToCoordinate(view, size, 600, 150);
+    const zoomed = zoomViewportAt(view, size, 1.5, 600, 150);
+    const after = screenToCoordinate(zoomed, size, 600, 150);
+    expect(zoomed.zoom).toBe(5.5);
+    expect(after.latitude).toBeCloseTo(before.latitude);
+    expect(after.longitude).toBeCloseTo(before.longitude);
+  });
+
+  it("stops at the zoom limits", () => {
+    expect(zoomViewportAt({ latitude: 0, longitude: 0, zoom: MAX_MAP_ZOOM }, size, 3, 400, 300).zoom).toBe(MAX_MAP_ZOOM);
+  });
+});
+
+describe("fitBounds", () => {
+  it("centres on the bounds and zooms until they fill the screen", () => {
+    const bounds = { west: 150, south: -34, east: 152, north: -33 };
+    const view = fitBounds(bounds, size);
+    expect(view.latitude).toBe(-33.5);
+    expect(view.longitude).toBe(151);
+    const shown = viewportBounds(view, size);
+    expect(shown.west).toBeLessThanOrEqual(150);
+    expect(shown.east).toBeGreaterThanOrEqual(152);
+    // One level closer, the two degrees of longitude no longer fit inside the padding.
+    expect(2 * pixelsPerDegree(view.zoom + 1)).toBeGreaterThan(size.width - 2 * 48);
+  });
+
+  it("caps the zoom for a single point", () => {
+    expect(fitBounds({ west: 1, south: 1, east: 1, north: 1 }, size).zoom).toBe(MAX_MAP_ZOOM);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import { formatDuration, isLikelyMediaFile, isLikelyVideoFile } from "@/lib/mediaFiles";
+
+describe("isLikelyMediaFile", () => {
+  it("accepts images and videos by type or extension", () => {
+    expect(isLikelyMediaFile({ name: "a", type: "image/png" })).toBe(true);
+    expect(isLikelyMediaFile({ name: "IMG_0001.HEIC", type: "" })).toBe(true);
+    expect(isLikelyMediaFile({ name: "clip", type: "video/mp4" })).toBe(true);
+    expect(isLikelyMediaFile({ name: "IMG_0001.MOV", type: "" })).toBe(true);
+  });
+
+  it("rejects other files", () => {
+    expect(isLikelyMediaFile({ name: "notes.txt", type: "text/plain" })).toBe(false);
+    expect(isLikelyMediaFile({ name: "song.mp3", type: "audio/mpeg" })).toBe(false);
+  });
+});
+
+describe("isLikelyVideoFile", () => {
+  it("tells videos from stills", () => {
+    expect(isLikelyVideoFile({ name: "IMG_0001.mov", type: "" })).toBe(true);
+    expect(isLikelyVideoFile({ name: "IMG_0001.heic", type: "" })).toBe(false);
+  });
+});
+
+describe("formatDuration", () => {
+  it("formats minutes and seconds, adding hours when needed", () => {
+    expect(formatDuration(0)).toBe("0:00");
+    expect(formatDuration(7400)).toBe("0:07");
+    expect(formatDuration(750_000)).toBe("12:30");
+    expect(formatDuration(3_723_000)).toBe("1:02:03");
+  });
+});
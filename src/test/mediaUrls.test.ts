@@ -0,0 +1,26 @@
+import { describe, it, expect } from "vitest";
+import { isMediaUrlExpired, mediaUrlExpiry } from "@/lib/mediaUrls";
+
+const signed = (exp: number) => `http://localhost:4001/uploads/a.jpg?uid=admin&exp=${exp}&sig=abc`;
+
+describe("mediaUrlExpiry", () => {
+  it("reads the signed expiry and ignores unsigned or malformed URLs", () => {
+    expect(mediaUrlExpiry(signed(1700000000000))).toBe(1700000000000);
+    expect(mediaUrlExpiry("http://localhost:4001/uploads/a.jpg")).toBeNull();
+    expect(mediaUrlExpiry("not a url")).toBeNull();
+  });
+});
+
+describe("isMediaUrlExpired", () => {
+  const now = 1_700_000_000_000;
+
+  it("treats URLs as expired shortly before their deadline", () => {
+    expect(isMediaUrlExpired(signed(now - 1), now)).toBe(true);
+    expect(isMediaUrlExpired(signed(now + 30_000), now)).toBe(true);
+    expect(isMediaUrlExpired(signed(now + 10 * 60_000), now)).toBe(false);
+  });
+
+  it("never expires unsigned URLs", () => {
+    expect(isMediaUrlExpired("http://localhost:4001/uploads/a.jpg", now)).toBe(false);
+  });
+});
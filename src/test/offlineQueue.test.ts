@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { isOfflineCopy, OfflineAction, queuedDeleteIds, withoutQueuedDeletes } from "@/lib/offlineQueue";
+
+const file = new File(["x"], "a.jpg", { type: "image/jpeg" });
+const actions: OfflineAction[] = [
+  { id: 1, kind: "delete", photoIds: ["a", "b"], queuedAt: 1 },
+  { id: 2, kind: "upload", file, albumId: null, queuedAt: 2 },
+  { id: 3, kind: "delete", photoIds: ["c"], queuedAt: 3 },
+];
+
+describe("queuedDeleteIds", () => {
+  it("collects every photo waiting to be deleted", () => {
+    expect([...queuedDeleteIds(actions)]).toEqual(["a", "b", "c"]);
+  });
+});
+
+describe("withoutQueuedDeletes", () => {
+  it("rewrites partly undone deletes and drops empty ones", () => {
+    expect(withoutQueuedDeletes(actions, ["b", "c"])).toEqual({
+      changed: [{ id: 1, kind: "delete", photoIds: ["a"], queuedAt: 1 }],
+      emptied: [3],
+    });
+  });
+
+  it("leaves actions for other photos alone", () => {
+    expect(withoutQueuedDeletes(actions, ["z"])).toEqual({ changed: [], emptied: [] });
+  });
+});
+
+describe("isOfflineCopy", () => {
+  it("recognises responses answered from the service worker cache", () => {
+    expect(isOfflineCopy(new Response("{}", { headers: { "X-Offline-Cache": "1" } }))).toBe(true);
+    expect(isOfflineCopy(new Response("{}"))).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_EDIT_STATE,
+  dragCrop,
+  EditOperation,
+  editStateToOperations,
+  operationsToEditState,
+  rotateCrop,
+} from "@/lib/photoEdits";
+
+describe("rotateCrop", () => {
+  it("moves the rectangle with the image when it turns clockwise", () => {
+    const crop = { x: 0, y: 0, width: 0.5, height: 0.25 };
+    // The top-left corner ends up top-right, with width and height swapped.
+    expect(rotateCrop(crop, 90)).toEqual({ x: 0.75, y: 0, width: 0.25, height: 0.5 });
+    expect(rotateCrop(crop, 360)).toEqual(crop);
+  });
+});
+
+describe("dragCrop", () => {
+  const start = { x: 0.25, y: 0.25, width: 0.5, height: 0.5 };
+
+  it("keeps a moved rectangle inside the image", () => {
+    expect(dragCrop(start, "move", 0.5, -0.5)).toEqual({ x: 0.5, y: 0, width: 0.5, height: 0.5 });
+  });
+
+  it("resizes from a corner without collapsing the rectangle", () => {
+    expect(dragCrop(start, "se", 0.25, 0.25)).toEqual({ x: 0.25, y: 0.25, width: 0.75, height: 0.75 });
+    expect(dragCrop(start, "nw", 1, 0).width).toBeCloseTo(0.05);
+  });
+});
+
+describe("operationsToEditState", () => {
+  it("round-trips the canonical stack", () => {
+    const operations: EditOperation[] = [
+      { type: "rotate", degrees: 90 },
+      { type: "flip", axis: "horizontal" },
+      { type: "crop", x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+      { type: "adjust", brightness: 1.2, contrast: 0.8, saturation: 1 },
+    ];
+    expect(editStateToOperations(operationsToEditState(operations))).toEqual(operations);
+  });
+
+  it("reverses later rotations after a single mirror", () => {
+    const state = operationsToEditState([
+      { type: "flip", axis: "horizontal" },
+      { type: "rotate", degrees: 90 },
+    ]);
+    expect(state).toMatchObject({ rotation: 270, flipHorizontal: true });
+  });
+
+  it("nests crops and drops ones that cancel out", () => {
+    const state = operationsToEditState([
+      { type: "crop", x: 0.5, y: 0, width: 0.5, height: 1 },
+      { type: "crop", x: 0.5, y: 0.5, width: 0.5, height: 0.5 },
+    ]);
+    expect(state.crop).toEqual({ x: 0.75, y: 0.5, width: 0.25, height: 0.5 });
+    expect(editStateToOperations(DEFAULT_EDIT_STATE)).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import {
+  countSearchFilters,
+  isFavoritesView,
+  photoSearchApiParams,
+  readPhotoSearch,
+  writePhotoSearch,
+} from "@/lib/photoSearch";
+
+describe("readPhotoSearch", () => {
+  it("returns null without search parameters", () => {
+    expect(readPhotoSearch(new URLSearchParams(""))).toBeNull();
+    expect(readPhotoSearch(new URLSearchParams("q=%20%20"))).toBeNull();
+  });
+
+  it("reads every filter and drops invalid values", () => {
+    const search = readPhotoSearch(
+      new URLSearchParams(
+        "q=beach&from=2024-01-01&to=bad&type=JPEG,exe,png&minSize=1.5&maxSize=-2&orientation=landscape&location=yes&album=a1"
+      )
+    );
+    expect(search).toEqual({
+      q: "beach",
+      from: "2024-01-01",
+      types: ["jpeg", "png"],
+      minSizeMb: 1.5,
+      orientation: "landscape",
+      hasLocation: true,
+      album: "a1",
+    });
+  });
+});
+
+describe("writePhotoSearch", () => {
+  it("round-trips through the URL", () => {
+    const search = { q: "sunset", to: "2024-06-30", types: ["heic"], maxSizeMb: 10, hasLocation: false };
+    const params = writePhotoSearch(search);
+    expect(params.toString()).toBe("q=sunset&to=2024-06-30&type=heic&maxSize=10&location=no");
+    expect(readPhotoSearch(params)).toEqual(search);
+  });
+});
+
+describe("isFavoritesView", () => {
+  it("is only the favorites filter on its own", () => {
+    expect(isFavoritesView(readPhotoSearch(new URLSearchParams("favorite=yes")))).toBe(true);
+    expect(isFavoritesView(readPhotoSearch(new URLSearchParams("favorite=yes&q=cat")))).toBe(false);
+    expect(isFavoritesView(readPhotoSearch(new URLSearchParams("favorite=no")))).toBe(false);
+  });
+});
+
+describe("countSearchFilters", () => {
+  it("counts filters but not the text query", () => {
+    expect(countSearchFilters(null)).toBe(0);
+    expect(countSearchFilters({ q: "cat" })).toBe(0);
+    expect(countSearchFilters({ q: "cat", from: "2024-01-01", to: "2024-02-01", orientation: "square" })).toBe(2);
+  });
+});
+
+describe("photoSearchApiParams", () => {
+  it("converts dates to whole local days and sizes to bytes", () => {
+    const params = photoSearchApiParams({ from: "2024-03-10", to: "2024-03-10", minSizeMb: 2, hasLocation: true });
+    expect(Number(params.get("from"))).toBe(new Date(2024, 2, 10).getTime());
+    expect(Number(params.get("to"))).toBe(new Date(2024, 2, 11).getTime() - 1);
+    expect(params.get("minSize")).toBe(String(2 * 1024 * 1024));
+    expect(params.get("hasLocation")).toBe("true");
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { idsInRange, rectFromPoints, rectsIntersect } from "@/hooks/usePhotoSelection";
+
+describe("idsInRange", () => {
+  const ids = ["a", "b", "c", "d", "e"];
+
+  it("selects inclusively in both directions", () => {
+    expect(idsInRange(ids, "b", "d")).toEqual(["b", "c", "d"]);
+    expect(idsInRange(ids, "d", "b")).toEqual(["b", "c", "d"]);
+  });
+
+  it("falls back to the target when the anchor is gone", () => {
+    expect(idsInRange(ids, "zz", "c")).toEqual(["c"]);
+    expect(idsInRange(ids, "a", "zz")).toEqual([]);
+  });
+});
+
+describe("rectsIntersect", () => {
+  it("normalizes drag direction and detects overlap", () => {
+    const drag = rectFromPoints(100, 100, 10, 10);
+    expect(drag).toEqual({ left: 10, top: 10, right: 100, bottom: 100 });
+    expect(rectsIntersect(drag, { left: 90, top: 90, right: 150, bottom: 150 })).toBe(true);
+    expect(rectsIntersect(drag, { left: 100, top: 0, right: 150, bottom: 50 })).toBe(false);
+  });
+});
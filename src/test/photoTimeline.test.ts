@@ -0,0 +1,34 @@
+import { describe, it, expect } from "vitest";
+import { granularityForColumns, groupPhotosByDate } from "@/lib/photoTimeline";
+
+const at = (value: string) => new Date(value).getTime();
+
+describe("groupPhotosByDate", () => {
+  const photos = [
+    { id: "a", addedAt: at("2024-05-01T09:00:00"), takenAt: at("2023-08-12T18:30:00") },
+    { id: "b", addedAt: at("2024-05-01T09:00:00"), takenAt: at("2023-08-12T07:15:00") },
+    { id: "c", addedAt: at("2024-05-01T09:00:00"), takenAt: at("2023-08-03T12:00:00") },
+    { id: "d", addedAt: at("2023-07-20T10:00:00"), takenAt: null },
+  ];
+
+  it("buckets consecutive photos by capture day", () => {
+    const groups = groupPhotosByDate(photos, "day");
+    expect(groups.map((group) => group.key)).toEqual(["2023-08-12", "2023-08-03", "2023-07-20"]);
+    expect(groups[0].photos.map((photo) => photo.id)).toEqual(["a", "b"]);
+    expect(groups[0].label).toBe("Sat, Aug 12, 2023");
+  });
+
+  it("buckets by month and falls back to the upload time", () => {
+    const groups = groupPhotosByDate(photos, "month");
+    expect(groups.map((group) => [group.label, group.photos.length])).toEqual([
+      ["August 2023", 3],
+      ["July 2023", 1],
+    ]);
+  });
+
+  it("uses day headers for the larger presets only", () => {
+    expect(granularityForColumns(2)).toBe("day");
+    expect(granularityForColumns(4)).toBe("day");
+    expect(granularityForColumns(8)).toBe("month");
+  });
+});
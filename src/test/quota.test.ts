@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { assertQuotaAllows, formatBytes } from "../../server/quota.js";
+
+const MB = 1024 * 1024;
+
+describe("formatBytes", () => {
+  it.each([
+    [0, "0 B"],
+    [1023, "1023 B"],
+    [1024, "1.0 KB"],
+    [1536, "1.5 KB"],
+    [5 * MB, "5.0 MB"],
+    [3 * 1024 * 1024 * MB, "3.0 TB"],
+    [2048 * 1024 * 1024 * MB, "2048.0 TB"],
+  ])("formats %d bytes as %s", (bytes, expected) => {
+    expect(formatBytes(bytes)).toBe(expected);
+  });
+});
+
+describe("assertQuotaAllows", () => {
+  it("allows uploads up to the quota exactly", () => {
+    expect(() => assertQuotaAllows({ quotaBytes: 10 * MB, usedBytes: 6 * MB }, 4 * MB)).not.toThrow();
+  });
+
+  it("refuses an upload that would go over with a 413", () => {
+    let error: (Error & { statusCode?: number }) | undefined;
+    try {
+      assertQuotaAllows({ quotaBytes: 10 * MB, usedBytes: 6 * MB }, 4 * MB + 1);
+    } catch (caught) {
+      error = caught as Error & { statusCode?: number };
+    }
+    expect(error?.statusCode).toBe(413);
+    expect(error?.message).toBe(
+      "Storage quota exceeded: uploaded originals use 6.0 MB of 10.0 MB, this upload needs 4.0 MB more.",
+    );
+  });
+
+  it("refuses anything more once a lowered quota is already exceeded", () => {
+    expect(() => assertQuotaAllows({ quotaBytes: 5 * MB, usedBytes: 6 * MB }, 1)).toThrow(/quota exceeded/);
+  });
+
+  it("sets no limit without a quota", () => {
+    expect(() => assertQuotaAllows({ quotaBytes: null, usedBytes: 6 * MB }, 100 * MB)).not.toThrow();
+  });
+});
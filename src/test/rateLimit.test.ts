@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createRateLimiter, parseTrustProxy } from "../../server/rate-limit.js";
+
+const fakeResponse = () => {
+  const res = {
+    headers: {} as Record<string, string>,
+    statusCode: 200,
+    body: undefined as unknown,
+    setHeader(name: string, value: string) {
+      res.headers[name] = value;
+    },
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: unknown) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+describe("createRateLimiter", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const hit = (limiter: ReturnType<typeof createRateLimiter>, req: object) => {
+    const res = fakeResponse();
+    const next = vi.fn();
+    limiter(req, res, next);
+    return { res, passed: next.mock.calls.length === 1 };
+  };
+
+  it("answers 429 past the limit within the window", () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60_000, message: "Slow down" });
+    expect(hit(limiter, { ip: "10.0.0.1" }).passed).toBe(true);
+    vi.advanceTimersByTime(20_000);
+    expect(hit(limiter, { ip: "10.0.0.1" }).passed).toBe(true);
+    const { res, passed } = hit(limiter, { ip: "10.0.0.1" });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.headers["Retry-After"]).toBe("40");
+    expect(res.body).toEqual({ code: "RATE_LIMITED", error: "Slow down", retryAfterMs: 40_000 });
+  });
+
+  it("starts a new window once the old one ends", () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60_000, message: "Slow down" });
+    hit(limiter, { ip: "10.0.0.1" });
+    expect(hit(limiter, { ip: "10.0.0.1" }).passed).toBe(false);
+    vi.advanceTimersByTime(60_000);
+    expect(hit(limiter, { ip: "10.0.0.1" }).passed).toBe(true);
+  });
+
+  it("counts each key apart", () => {
+    const limiter = createRateLimiter({
+      limit: 1,
+      windowMs: 60_000,
+      keyFor: (req) => req.authUserId,
+      message: "Slow down",
+    });
+    expect(hit(limiter, { ip: "10.0.0.1", authUserId: "alice" }).passed).toBe(true);
+    expect(hit(limiter, { ip: "10.0.0.1", authUserId: "bob" }).passed).toBe(true);
+    expect(hit(limiter, { ip: "10.0.0.2", authUserId: "alice" }).passed).toBe(false);
+  });
+
+  it("lets everything through with a limit of 0", () => {
+    const limiter = createRateLimiter({ limit: 0, windowMs: 60_000, message: "Slow down" });
+    for (let i = 0; i < 5; i += 1) {
+      expect(hit(limiter, { ip: "10.0.0.1" }).passed).toBe(true);
+    }
+  });
+});
+
+describe("parseTrustProxy", () => {
+  it.each([
+    [undefined, "loopback"],
+    ["true", true],
+    ["false", false],
+    ["2", 2],
+    ["10.0.0.0/8, 127.0.0.1", "10.0.0.0/8, 127.0.0.1"],
+  ])("parses %s", (value, expected) => {
+    expect(parseTrustProxy(value)).toBe(expected);
+  });
+});
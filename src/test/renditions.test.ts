@@ -0,0 +1,30 @@
+import { describe, it, expect } from "vitest";
+import { coverWidth, pickRendition } from "@/lib/renditions";
+
+const renditions = [
+  { width: 1024, url: "/renditions/r1024-a" },
+  { width: 256, url: "/renditions/r256-a" },
+  { width: 512, url: "/renditions/r512-a" },
+];
+
+describe("pickRendition", () => {
+  it("picks the smallest rendition covering the width in device pixels", () => {
+    expect(pickRendition(renditions, 200)?.width).toBe(256);
+    expect(pickRendition(renditions, 200, 2)?.width).toBe(512);
+    expect(pickRendition(renditions, 300, 3)?.width).toBe(1024);
+  });
+
+  it("falls back to the largest, or to nothing without renditions", () => {
+    expect(pickRendition(renditions, 900, 2)?.width).toBe(1024);
+    expect(pickRendition([], 100)).toBeNull();
+    expect(pickRendition(undefined, 100)).toBeNull();
+  });
+});
+
+describe("coverWidth", () => {
+  it("widens square tiles for landscape photos only", () => {
+    expect(coverWidth(200, 3000, 2000)).toBe(300);
+    expect(coverWidth(200, 2000, 3000)).toBe(200);
+    expect(coverWidth(200, null, null)).toBe(200);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import { createLockout } from "../../server/lockout.js";
+import {
+  TOTP_STEP_MS,
+  base32Decode,
+  base32Encode,
+  createRecoveryCodes,
+  totpForStep,
+  verifySecondFactor,
+  verifyTotp,
+} from "../../server/totp.js";
+
+// The SHA-1 seed from RFC 6238 appendix B, "12345678901234567890" in ASCII.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// Appendix B's 8-digit codes; authenticator apps, and this server, use the last 6.
+const RFC_VECTORS: [number, string][] = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+const stepAt = (seconds: number) => Math.floor((seconds * 1000) / TOTP_STEP_MS);
+
+describe("base32", () => {
+  it("round-trips the RFC seed", () => {
+    const seed = new TextEncoder().encode("12345678901234567890");
+    expect(base32Encode(seed)).toBe(RFC_SECRET);
+    expect([...base32Decode(RFC_SECRET)]).toEqual([...seed]);
+  });
+
+  it("ignores case, spaces, dashes and padding", () => {
+    expect(base32Decode("gezd gnbv-gy3t====").equals(base32Decode("GEZDGNBVGY3T"))).toBe(true);
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    expect(() => base32Decode("GEZD1")).toThrow("Invalid base32 secret");
+  });
+});
+
+describe("totpForStep", () => {
+  it.each(RFC_VECTORS)("matches RFC 6238 at T=%i", (seconds, code) => {
+    expect(totpForStep(RFC_SECRET, stepAt(seconds))).toBe(code.slice(-6));
+  });
+});
+
+describe("verifyTotp", () => {
+  const now = 1111111111 * 1000;
+  const current = stepAt(1111111111);
+
+  it("returns the step a code belongs to", () => {
+    expect(verifyTotp(RFC_SECRET, "050471", now)).toBe(current);
+  });
+
+  it("allows one step of clock drift either way", () => {
+    expect(verifyTotp(RFC_SECRET, totpForStep(RFC_SECRET, current - 1), now)).toBe(current - 1);
+    expect(verifyTotp(RFC_SECRET, totpForStep(RFC_SECRET, current + 1), now)).toBe(current + 1);
+  });
+
+  it("refuses codes two or more steps away", () => {
+    expect(verifyTotp(RFC_SECRET, totpForStep(RFC_SECRET, current - 2), now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, totpForStep(RFC_SECRET, current + 2), now)).toBeNull();
+  });
+
+  it("accepts the previous step's code until the step after it ends", () => {
+    const code = totpForStep(RFC_SECRET, current);
+    const lastMoment = (current + 2) * TOTP_STEP_MS - 1;
+    expect(verifyTotp(RFC_SECRET, code, lastMoment)).toBe(current);
+    expect(verifyTotp(RFC_SECRET, code, lastMoment + 1)).toBeNull();
+  });
+
+  it("refuses anything but six digits", () => {
+    expect(verifyTotp(RFC_SECRET, "50471", now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "0504712", now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "05047a", now)).toBeNull();
+  });
+});
+
+describe("createRecoveryCodes", () => {
+  it("makes distinct codes and stores only their hashes", () => {
+    const { codes, hashes } = createRecoveryCodes(10);
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) {
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    }
+    expect(hashes).toHaveLength(10);
+    expect(hashes.some((hash) => codes.includes(hash))).toBe(false);
+  });
+});
+
+describe("verifySecondFactor", () => {
+  const now = 1111111111 * 1000;
+  const current = stepAt(1111111111);
+  const { codes, hashes } = createRecoveryCodes(3);
+  const factors = { secret: RFC_SECRET, lastStep: null, recoveryHashes: hashes };
+
+  it("accepts a current code and reports its step", () => {
+    expect(verifySecondFactor(factors, totpForStep(RFC_SECRET, current), now)).toEqual({ lastStep: current });
+  });
+
+  it("refuses a code from a step that was already used", () => {
+    const used = { ...factors, lastStep: current };
+    expect(verifySecondFactor(used, totpForStep(RFC_SECRET, current), now)).toBeNull();
+    expect(verifySecondFactor(used, totpForStep(RFC_SECRET, current - 1), now)).toBeNull();
+    expect(verifySecondFactor(used, totpForStep(RFC_SECRET, current + 1), now)).toEqual({ lastStep: current + 1 });
+  });
+
+  it("spends a recovery code, so it works only once", () => {
+    const first = verifySecondFactor(factors, codes[1], now);
+    expect(first).toEqual({ recoveryHashes: [hashes[0], hashes[2]] });
+    const spent = { ...factors, recoveryHashes: first!.recoveryHashes };
+    expect(verifySecondFactor(spent, codes[1], now)).toBeNull();
+    expect(verifySecondFactor(spent, codes[0], now)).toEqual({ recoveryHashes: [hashes[2]] });
+  });
+
+  it("accepts recovery codes typed in capitals, with spaces or without the dash", () => {
+    const typed = codes[0].toUpperCase().replace("-", " ");
+    expect(verifySecondFactor(factors, typed, now)).toEqual({ recoveryHashes: [hashes[1], hashes[2]] });
+    expect(verifySecondFactor(factors, codes[0].replace("-", ""), now)).not.toBeNull();
+  });
+
+  it("refuses anything else", () => {
+    expect(verifySecondFactor(factors, "", now)).toBeNull();
+    expect(verifySecondFactor(factors, "00000-00000", now)).toBeNull();
+    expect(verifySecondFactor({ ...factors, recoveryHashes: [] }, codes[0], now)).toBeNull();
+  });
+});
+
+// The sign-in route counts wrong second-factor codes per account, like passwords.
+describe("second factor lockout", () => {
+  const now = 1111111111 * 1000;
+  const current = stepAt(1111111111);
+  const factors = { secret: RFC_SECRET, lastStep: null, recoveryHashes: [] };
+
+  it("holds back even a valid code once too many wrong ones were tried", () => {
+    const lockout = createLockout({ lockoutMs: 30_000, maxLockoutMs: 60 * 60_000, windowMs: 15 * 60_000 });
+    const attempt = (code: string, at: number) => {
+      if (lockout.remainingMs(["totp:alice"], at) > 0) {
+        return "locked";
+      }
+      if (!verifySecondFactor(factors, code, at)) {
+        lockout.recordFailure("totp:alice", 5, at);
+        return "invalid";
+      }
+      lockout.reset("totp:alice");
+      return "ok";
+    };
+
+    for (let i = 0; i < 5; i += 1) {
+      expect(attempt("000000", now)).toBe("invalid");
+    }
+    expect(attempt(totpForStep(RFC_SECRET, current), now)).toBe("locked");
+    const later = now + 30_000;
+    expect(attempt(totpForStep(RFC_SECRET, stepAt(later / 1000)), later)).toBe("ok");
+    expect(lockout.remainingMs(["totp:alice"], later)).toBe(0);
+  });
+});
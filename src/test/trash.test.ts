@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import Database from "better-sqlite3";
+import { purgeExpiredTrash } from "../../server/trash.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = 30 * DAY_MS;
+const NOW = Date.UTC(2024, 5, 1);
+
+type Photo = { id: string; filename: string; live_filename: string | null };
+
+describe("purgeExpiredTrash", () => {
+  let db: Database.Database;
+
+  const remaining = () => db.prepare("SELECT id FROM photos ORDER BY id").all().map((row: { id: string }) => row.id);
+  const deleteRow = (photo: Photo) => {
+    db.prepare("DELETE FROM photos WHERE id = ?").run(photo.id);
+  };
+
+  beforeEach(() => {
+    db = new Database(":memory:");
+    db.exec("CREATE TABLE photos (id TEXT PRIMARY KEY, filename TEXT, live_filename TEXT, deleted_at INTEGER)");
+    const insert = db.prepare("INSERT INTO photos (id, filename, live_filename, deleted_at) VALUES (?, ?, ?, ?)");
+    insert.run("kept", "kept.jpg", null, null);
+    insert.run("recent", "recent.jpg", null, NOW - RETENTION_MS + 1);
+    insert.run("due", "due.jpg", null, NOW - RETENTION_MS);
+    insert.run("old", "old.heic", "old.mov", NOW - 90 * DAY_MS);
+  });
+
+  it("purges photos trashed at least the retention period ago", () => {
+    const purged: Photo[] = [];
+    const result = purgeExpiredTrash(db, {
+      retentionMs: RETENTION_MS,
+      now: NOW,
+      purge: (photo: Photo) => {
+        purged.push(photo);
+        deleteRow(photo);
+      },
+    });
+    expect(result).toEqual({ purged: 2, failures: [] });
+    expect(purged).toEqual(
+      expect.arrayContaining([
+        { id: "due", filename: "due.jpg", live_filename: null },
+        { id: "old", filename: "old.heic", live_filename: "old.mov" },
+      ]),
+    );
+    expect(remaining()).toEqual(["kept", "recent"]);
+  });
+
+  it("keeps going past a photo that fails, leaving it for the next sweep", () => {
+    const result = purgeExpiredTrash(db, {
+      retentionMs: RETENTION_MS,
+      now: NOW,
+      purge: (photo: Photo) => {
+        if (photo.id === "due") {
+          throw new Error("disk busy");
+        }
+        deleteRow(photo);
+      },
+    });
+    expect(result.purged).toBe(1);
+    expect(result.failures).toEqual([{ photo: expect.objectContaining({ id: "due" }), error: new Error("disk busy") }]);
+    expect(remaining()).toEqual(["due", "kept", "recent"]);
+  });
+
+  it("does nothing while nothing is due", () => {
+    const result = purgeExpiredTrash(db, { retentionMs: RETENTION_MS, now: NOW - 90 * DAY_MS, purge: deleteRow });
+    expect(result).toEqual({ purged: 0, failures: [] });
+    expect(remaining()).toHaveLength(4);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { formatTotpSecret, recoveryCodesText } from "@/lib/twoFactor";
+
+describe("formatTotpSecret", () => {
+  it("groups the secret in fours", () => {
+    expect(formatTotpSecret("JBSWY3DPEHPK3PXP")).toBe("JBSW Y3DP EHPK 3PXP");
+    expect(formatTotpSecret("JBSWY3")).toBe("JBSW Y3");
+  });
+});
+
+describe("recoveryCodesText", () => {
+  it("lists one code per line under a heading", () => {
+    const text = recoveryCodesText(["aaaaa-11111", "bbbbb-22222"], "admin");
+    expect(text.split("\n")).toEqual([
+      "Recovery codes for admin",
+      "Each code signs you in once if you lose your authenticator app.",
+      "",
+      "aaaaa-11111",
+      "bbbbb-22222",
+      "",
+    ]);
+  });
+});
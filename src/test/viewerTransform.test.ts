@@ -0,0 +1,25 @@
+import { describe, it, expect } from "vitest";
+import { clampPan, IDENTITY_TRANSFORM, MAX_ZOOM, zoomAt } from "@/lib/viewerTransform";
+
+describe("zoomAt", () => {
+  it("keeps the zoom origin fixed on screen", () => {
+    const zoomed = zoomAt(IDENTITY_TRANSFORM, 2, { x: 100, y: -50 });
+    expect(zoomed).toEqual({ scale: 2, x: -100, y: 50 });
+    // The image point under the origin is unchanged: (origin - offset) / scale.
+    expect((100 - zoomed.x) / zoomed.scale).toBe(100);
+  });
+
+  it("clamps to the zoom limits", () => {
+    expect(zoomAt(IDENTITY_TRANSFORM, 0.5, { x: 0, y: 0 }).scale).toBe(1);
+    expect(zoomAt(IDENTITY_TRANSFORM, 100, { x: 0, y: 0 }).scale).toBe(MAX_ZOOM);
+  });
+});
+
+describe("clampPan", () => {
+  it("limits panning to the overflowing part of the image", () => {
+    const viewport = { width: 800, height: 600 };
+    const content = { width: 800, height: 400 };
+    expect(clampPan({ scale: 2, x: 5000, y: -5000 }, content, viewport)).toEqual({ scale: 2, x: 400, y: -100 });
+    expect(clampPan({ scale: 1, x: 30, y: 30 }, content, viewport)).toEqual({ scale: 1, x: 0, y: 0 });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { buildGridRows, layoutGridRows, rowIndexAtOffset, visibleRowRange } from "@/lib/virtualGrid";
+
+const photo = (id: string) => ({ id, addedAt: 0 });
+
+describe("buildGridRows", () => {
+  it("emits a header per group and splits photos into rows", () => {
+    const rows = buildGridRows(
+      [
+        { key: "a", label: "A", photos: [photo("1"), photo("2"), photo("3")] },
+        { key: "b", label: "B", photos: [photo("4")] },
+      ],
+      2
+    );
+    expect(rows.map((row) => (row.kind === "header" ? row.label : row.photos.map((p) => p.id).join("")))).toEqual([
+      "A",
+      "12",
+      "3",
+      "B",
+      "4",
+    ]);
+  });
+});
+
+describe("visibleRowRange", () => {
+  const layout = layoutGridRows(
+    buildGridRows([{ key: "a", label: "A", photos: Array.from({ length: 20 }, (_, i) => photo(String(i))) }], 2),
+    { headerHeight: 40, rowHeight: 100 }
+  );
+
+  it("lays rows out back to back", () => {
+    expect(layout.offsets.slice(0, 3)).toEqual([0, 40, 140]);
+    expect(layout.totalHeight).toBe(40 + 10 * 100);
+    expect(rowIndexAtOffset(layout.offsets, 139)).toBe(1);
+  });
+
+  it("returns only rows in the viewport plus overscan", () => {
+    expect(visibleRowRange(layout, 500, 200, 0)).toEqual([5, 7]);
+    expect(visibleRowRange(layout, 500, 200, 2)).toEqual([3, 9]);
+    expect(visibleRowRange(layout, 0, 100, 1)).toEqual([0, 2]);
+  });
+});